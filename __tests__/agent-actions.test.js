@@ -0,0 +1,227 @@
+/**
+ * Agent Action Test Suite
+ * Tests per-tenant, per-role tool policies (set by tenant admins only) and
+ * human-in-the-loop approval of agent tool calls over the chat stream
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const llmProviders = require('../api/services/llm-providers');
+const { MockProvider } = require('../api/services/llm-providers');
+const agentActions = require('../api/services/agent-actions');
+const { AgentActions } = require('../api/services/agent-actions');
+const personas = require('../api/services/agent-personas');
+const conversations = require('../api/services/conversations');
+const { runAgent, getAgentTools } = require('../api/services/agent');
+const chatRoutes = require('../api/routes/chat');
+const skillRoutes = require('../api/routes/skills');
+const skillSettings = require('../api/services/skill-settings');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const FINANCE = { id: '00000000-0000-0000-0000-000000000002', vertical: 'finance', subscriptionTier: 'enterprise' };
+const CONVERSATION_ID = '55555555-5555-5555-5555-555555555555';
+const ACTION_ID = '66666666-6666-6666-6666-666666666666';
+const CARD_TEXT = 'Card 4111111111111111 paid lunch';
+
+const withPolicy = (skillName, agentPolicy) => ({ ...FINANCE, skillSettings: { [skillName]: { agentPolicy } } });
+const redactTranscript = () => new MockProvider({
+  transcript: {
+    responses: [
+      { toolCalls: [{ id: 'c1', name: 'pci-redact', input: { text: CARD_TEXT } }] },
+      { text: 'Handled.' }
+    ]
+  },
+  external: false
+});
+
+const savedEnv = {};
+beforeAll(() => {
+  for (const key of ['LLM_PROVIDERS', 'SKILL_ISOLATION']) savedEnv[key] = process.env[key];
+  process.env.LLM_PROVIDERS = 'mock';
+  process.env.SKILL_ISOLATION = 'inline';
+});
+
+afterAll(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  llmProviders.unregister('mock');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('tool policies', () => {
+  test('should require approval for skills that write data unless the tenant says otherwise', () => {
+    expect(agentActions.policyFor('export-to-excel', FINANCE)).toBe('require-approval');
+    expect(agentActions.policyFor('pci-redact', FINANCE)).toBe('auto');
+
+    const tenant = withPolicy('export-to-excel', { '*': 'auto', junior_accountant: 'forbidden' });
+    expect(agentActions.policyFor('export-to-excel', tenant, 'cpa')).toBe('auto');
+    expect(agentActions.policyFor('export-to-excel', tenant, 'junior_accountant')).toBe('forbidden');
+  });
+
+  test('should not offer forbidden tools to the agent', () => {
+    const tenant = withPolicy('pci-redact', { junior_accountant: 'forbidden' });
+    const persona = personas.get('finance');
+
+    expect(getAgentTools(persona, tenant, 'cpa').map(tool => tool.name)).toContain('pci-redact');
+    expect(getAgentTools(persona, tenant, 'junior_accountant').map(tool => tool.name)).not.toContain('pci-redact');
+  });
+
+  test('should validate tenant policies', () => {
+    expect(agentActions.validatePolicy({ '*': 'auto', cpa: 'require-approval' })).toEqual({ '*': 'auto', cpa: 'require-approval' });
+    expect(() => agentActions.validatePolicy({ cpa: 'sometimes' })).toThrow(expect.objectContaining({ code: 'INVALID_AGENT_POLICY', status: 400 }));
+    expect(() => agentActions.validatePolicy(['auto'])).toThrow('agentPolicy must be an object');
+  });
+
+  test('should not let anyone but a tenant admin lift the approval gate', async () => {
+    const update = jest.spyOn(skillSettings, 'update');
+    const reset = jest.spyOn(skillSettings, 'reset');
+    const app = express()
+      .use(express.json())
+      .use((req, res, next) => { req.tenantId = FINANCE.id; req.tenant = { ...FINANCE }; next(); })
+      .use('/skills', skillRoutes);
+    const cpa = jwt.sign({ userId: 'user_1', tenantId: FINANCE.id, role: 'cpa' }, JWT_SECRET);
+    const url = '/skills/export-to-excel/settings';
+
+    await request(app).put(url).send({ agentPolicy: { '*': 'auto' } }).expect(401);
+    await request(app).put(url).set('Authorization', `Bearer ${cpa}`).send({ agentPolicy: { '*': 'auto' } }).expect(403);
+    await request(app).delete(url).set('Authorization', `Bearer ${cpa}`).expect(403);
+
+    expect(update).not.toHaveBeenCalled();
+    expect(reset).not.toHaveBeenCalled();
+    update.mockRestore();
+    reset.mockRestore();
+  });
+});
+
+describe('approval in the agent loop', () => {
+  const tenant = withPolicy('pci-redact', { '*': 'require-approval' });
+  const run = (context) => runAgent({ message: 'redact', tenantId: FINANCE.id, context: { tenant, vertical: 'finance', ...context } });
+
+  test('should run the tool only after it is approved', async () => {
+    llmProviders.register('mock', redactTranscript());
+    const requestApproval = jest.fn(async () => ({ id: ACTION_ID, status: 'approved' }));
+
+    const result = await run({ requestApproval });
+
+    expect(requestApproval).toHaveBeenCalledWith({ tool: 'pci-redact', input: { text: CARD_TEXT } });
+    expect(result.toolResults[0].output.redacted_text).toBe('Card 41************11 paid lunch');
+  });
+
+  test('should tell the model when a call was rejected or cannot be approved', async () => {
+    llmProviders.register('mock', redactTranscript());
+    const rejected = await run({ requestApproval: async () => ({ id: ACTION_ID, status: 'rejected', reason: 'Not this card' }) });
+    expect(rejected.toolResults[0].output).toMatchObject({ success: false, error: 'ACTION_REJECTED', reason: 'Not this card' });
+
+    llmProviders.register('mock', redactTranscript());
+    const unattended = await run({});
+    expect(unattended.toolResults[0].output).toMatchObject({ success: false, error: 'APPROVAL_REQUIRED' });
+  });
+
+  test('should resolve waiters on a local decision and expire on the database', async () => {
+    const rows = { [ACTION_ID]: { id: ACTION_ID, status: 'pending', tool_name: 'pci-redact' } };
+    const db = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes("status = $4")) {
+          rows[params[0]] = { ...rows[params[0]], status: params[3], decided_by: params[4] };
+          return { rows: [rows[params[0]]] };
+        }
+        return { rows: [rows[params[0]]] };
+      })
+    };
+    const actions = new AgentActions({ db, pollIntervalMs: 5 });
+
+    const waiting = actions.wait(rows[ACTION_ID]);
+    await actions.decide(ACTION_ID, FINANCE.id, CONVERSATION_ID, { approved: false, decidedBy: 'user_1' });
+    await expect(waiting).resolves.toMatchObject({ status: 'rejected', decided_by: 'user_1' });
+
+    rows[ACTION_ID] = { id: ACTION_ID, status: 'expired' };
+    await expect(actions.wait({ id: ACTION_ID })).resolves.toMatchObject({ status: 'expired' });
+  });
+});
+
+describe('chat approval endpoints', () => {
+  const token = jwt.sign({ userId: 'user_1', tenantId: FINANCE.id, role: 'cpa' }, JWT_SECRET);
+  const audit = { log: jest.fn(async () => 'audit-id') };
+  const tenant = withPolicy('pci-redact', { '*': 'require-approval', junior_accountant: 'forbidden' });
+  const app = express()
+    .use(express.json())
+    .use((req, res, next) => { req.tenantId = FINANCE.id; req.tenant = { ...tenant }; req.audit = audit; next(); })
+    .use('/chat', chatRoutes);
+  const pending = { id: ACTION_ID, conversation_id: CONVERSATION_ID, tool_name: 'pci-redact', input: { text: CARD_TEXT }, status: 'pending' };
+
+  const events = (text) => text.split('\n\n')
+    .filter(block => block.startsWith('data: {'))
+    .map(block => JSON.parse(block.slice('data: '.length)));
+
+  beforeEach(() => {
+    audit.log.mockClear();
+    jest.spyOn(conversations, 'get').mockResolvedValue({ id: CONVERSATION_ID, message_count: 0 });
+    jest.spyOn(conversations, 'append').mockResolvedValue([]);
+    jest.spyOn(agentActions, 'get').mockResolvedValue(pending);
+    jest.spyOn(agentActions, 'decide').mockImplementation(async (actionId, tenantId, conversationId, { approved, decidedBy }) => {
+      const decided = { ...pending, status: approved ? 'approved' : 'rejected', decided_by: decidedBy };
+      agentActions.events.emit(actionId, decided);
+      return decided;
+    });
+  });
+
+  test('should pause the stream on a pending action and resume once it is approved', async () => {
+    llmProviders.register('mock', redactTranscript());
+    jest.spyOn(conversations, 'create').mockResolvedValue({ id: CONVERSATION_ID, message_count: 0 });
+    let paused;
+    const actionCreated = new Promise((resolve) => { paused = resolve; });
+    jest.spyOn(agentActions, 'create').mockImplementation(async (action) => {
+      paused(action);
+      return pending;
+    });
+
+    const chat = request(app)
+      .post('/chat')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ message: 'Please redact this', stream: true })
+      .then(res => res);
+
+    expect(await actionCreated).toMatchObject({ conversationId: CONVERSATION_ID, userId: 'user_1', tool: 'pci-redact' });
+    await request(app)
+      .post(`/chat/conversations/${CONVERSATION_ID}/actions/${ACTION_ID}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ decision: 'approve' })
+      .expect(200);
+
+    const res = await chat;
+    const types = events(res.text).map(event => event.type);
+    expect(types.indexOf('pending_action')).toBeLessThan(types.indexOf('action_decided'));
+    expect(events(res.text).find(event => event.type === 'done').toolResults[0].output.redacted_text)
+      .toBe('Card 41************11 paid lunch');
+    expect(conversations.create).toHaveBeenCalledTimes(1);
+    expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'AGENT_ACTION_APPROVED',
+      userId: 'user_1',
+      resourceId: ACTION_ID,
+      skillName: 'pci-redact'
+    }));
+  });
+
+  test('should refuse invalid, unauthenticated, forbidden and late decisions', async () => {
+    const url = `/chat/conversations/${CONVERSATION_ID}/actions/${ACTION_ID}`;
+    const junior = jwt.sign({ userId: 'user_2', tenantId: FINANCE.id, role: 'junior_accountant' }, JWT_SECRET);
+
+    await request(app).post(url).send({ decision: 'approve' }).expect(401);
+    await request(app).post(url).set('Authorization', `Bearer ${token}`).send({ decision: 'maybe' }).expect(400);
+    await request(app).post(url).set('Authorization', `Bearer ${junior}`).send({ decision: 'approve' }).expect(403);
+
+    agentActions.decide.mockResolvedValueOnce(null);
+    const late = await request(app).post(url).set('Authorization', `Bearer ${token}`).send({ decision: 'reject' }).expect(409);
+    expect(late.body.error).toBe('Action is already expired');
+
+    agentActions.get.mockResolvedValueOnce(null);
+    await request(app).post(url).set('Authorization', `Bearer ${token}`).send({ decision: 'reject' }).expect(404);
+    expect(audit.log).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Agent Persona Test Suite
+ * Tests the per-vertical agent definitions, prompt overrides and the chat
+ * persona endpoints
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const personas = require('../api/services/agent-personas');
+const registry = require('../api/services/skill-registry');
+const skillSettings = require('../api/services/skill-settings');
+const { getAgentTools } = require('../api/services/agent');
+const chatRoutes = require('../api/routes/chat');
+
+const HEALTHCARE = { id: '00000000-0000-0000-0000-000000000001', vertical: 'healthcare', subscriptionTier: 'enterprise' };
+const FINANCE = { id: '00000000-0000-0000-0000-000000000002', vertical: 'finance', subscriptionTier: 'enterprise' };
+
+describe('agent personas', () => {
+  test.each(['finance', 'healthcare'])('should define a complete %s agent whose tools exist in the vertical', (vertical) => {
+    const persona = personas.get(vertical);
+
+    expect(persona.vertical).toBe(vertical);
+    expect(persona.systemPrompt).toBeTruthy();
+    expect(persona.safetyRules).toBeTruthy();
+    for (const skill of persona.skills) {
+      expect(registry.get(skill, vertical).name).toBe(skill);
+    }
+  });
+
+  test('should refuse verticals without an agent', () => {
+    expect(() => personas.get('legal')).toThrow(expect.objectContaining({ code: 'AGENT_NOT_AVAILABLE', status: 404 }));
+    expect(() => personas.get('../finance')).toThrow(expect.objectContaining({ code: 'AGENT_NOT_AVAILABLE' }));
+  });
+
+  test('should give healthcare tenants healthcare tools only', () => {
+    const tools = getAgentTools(personas.get('healthcare'), HEALTHCARE).map(tool => tool.name);
+
+    expect(tools).toContain('phi-redact');
+    expect(tools).not.toContain('prescription-generate');
+    expect(tools).not.toContain('tax-prep-automate');
+  });
+
+  test('should keep the safety rules when a tenant replaces the prompt', () => {
+    const persona = personas.get('healthcare');
+
+    const appended = personas.systemPrompt(persona, { systemPrompt: 'Our clinic is in Ohio.', mode: 'append' });
+    const replaced = personas.systemPrompt(persona, { systemPrompt: 'You are CareBot.', mode: 'replace' });
+
+    expect(appended.startsWith(persona.systemPrompt)).toBe(true);
+    expect(appended).toContain('Our clinic is in Ohio.');
+    expect(replaced.startsWith('You are CareBot.')).toBe(true);
+    expect(replaced).not.toContain(persona.systemPrompt);
+    expect(replaced).toContain(persona.safetyRules);
+    expect(() => personas.validateOverride({ systemPrompt: 'x', mode: 'merge' })).toThrow('mode');
+  });
+});
+
+describe('chat persona endpoints', () => {
+  const appFor = (tenant) => express()
+    .use(express.json())
+    .use((req, res, next) => { req.tenantId = tenant.id; req.tenant = { ...tenant }; next(); })
+    .use('/chat', chatRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve the agent of the tenant vertical', async () => {
+    const res = await request(appFor({ ...HEALTHCARE, agentSettings: { systemPrompt: 'Be brief.', mode: 'append' } }))
+      .get('/chat/persona')
+      .expect(200);
+
+    expect(res.body.persona.name).toBe('MediGuard AI');
+    expect(res.body.persona.tools).not.toContain('tax-categorize');
+    expect(res.body.effectiveSystemPrompt).toContain('Be brief.');
+
+    const tools = await request(appFor(FINANCE)).get('/chat/tools').expect(200);
+    expect(tools.body.tools.map(tool => tool.name)).toContain('tax-categorize');
+
+    await request(appFor({ id: FINANCE.id, vertical: 'legal' })).get('/chat/tools').expect(404);
+  });
+
+  test('should store prompt overrides for tenant admins', async () => {
+    const update = jest.spyOn(skillSettings, 'updateAgentSettings').mockResolvedValue(true);
+    const secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+    const token = jwt.sign({ userId: 'user_1', tenantId: FINANCE.id, role: 'admin' }, secret);
+    const member = jwt.sign({ userId: 'user_2', tenantId: FINANCE.id, role: 'user' }, secret);
+    const otherAdmin = jwt.sign({ userId: 'user_3', tenantId: HEALTHCARE.id, role: 'admin' }, secret);
+    const app = appFor(FINANCE);
+
+    await request(app).put('/chat/persona').send({ systemPrompt: 'Be brief.' }).expect(401);
+    await request(app).put('/chat/persona').set('Authorization', `Bearer ${member}`).send({ systemPrompt: 'Be brief.' }).expect(403);
+    await request(app).delete('/chat/persona').set('Authorization', `Bearer ${member}`).expect(403);
+    await request(app).put('/chat/persona').set('Authorization', `Bearer ${otherAdmin}`).send({ systemPrompt: 'Be brief.' }).expect(403);
+    expect(update).not.toHaveBeenCalled();
+
+    await request(app).put('/chat/persona').set('Authorization', `Bearer ${token}`).send({ systemPrompt: '' }).expect(400);
+    const res = await request(app).put('/chat/persona')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ systemPrompt: ' Be brief. ', mode: 'replace' })
+      .expect(200);
+
+    expect(update).toHaveBeenCalledWith(FINANCE.id, { systemPrompt: 'Be brief.', mode: 'replace' });
+    expect(res.body.effectiveSystemPrompt.startsWith('Be brief.')).toBe(true);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Conversation Test Suite
+ * Tests persisted chat conversations: storing turns with tool calls, owner
+ * scoping, anonymous callers and the conversation endpoints (database and
+ * agent are stubbed)
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const conversations = require('../api/services/conversations');
+const { ConversationStore, titleFrom } = require('../api/services/conversations');
+
+jest.mock('../api/services/agent', () => ({
+  runAgent: jest.fn(),
+  runAgentStream: jest.fn(),
+  getAvailableProviders: () => ['anthropic']
+}));
+const { runAgent } = require('../api/services/agent');
+const chatRoutes = require('../api/routes/chat');
+
+const TENANT_ID = '00000000-0000-0000-0000-000000000006';
+const CONVERSATION_ID = '44444444-4444-4444-4444-444444444444';
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const token = jwt.sign({ userId: 'user_1', tenantId: TENANT_ID }, JWT_SECRET);
+const auth = (test) => test.set('Authorization', `Bearer ${token}`);
+
+const conversation = (overrides = {}) => ({
+  id: CONVERSATION_ID,
+  user_id: 'user_1',
+  title: 'Categorize my receipts',
+  message_count: 60,
+  ...overrides
+});
+
+describe('chat conversations', () => {
+  const app = express()
+    .use(express.json())
+    .use((req, res, next) => { req.tenantId = TENANT_ID; req.tenant = { id: TENANT_ID, vertical: 'finance' }; next(); })
+    .use('/chat', chatRoutes);
+
+  beforeEach(() => {
+    runAgent.mockResolvedValue({
+      response: 'Meals are 50% deductible.',
+      toolResults: [{ tool: 'tax-categorize', input: { text: 'lunch' }, output: { category: 'meals' } }],
+      provider: 'anthropic',
+      model: 'claude',
+      usage: { input_tokens: 10, output_tokens: 5 }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    runAgent.mockReset();
+  });
+
+  test('should start a conversation and store the turn with its tool calls', async () => {
+    jest.spyOn(conversations, 'create').mockResolvedValue(conversation({ message_count: 0 }));
+    const append = jest.spyOn(conversations, 'append').mockResolvedValue([]);
+
+    const res = await auth(request(app).post('/chat')).send({ message: 'Is lunch deductible?' }).expect(200);
+
+    expect(res.body.conversation_id).toBe(CONVERSATION_ID);
+    expect(res.body.history).toEqual({ included: 0, omitted: 0 });
+    expect(conversations.create).toHaveBeenCalledWith(TENANT_ID, 'user_1', { firstMessage: 'Is lunch deductible?', profileName: undefined });
+    expect(append).toHaveBeenCalledWith(CONVERSATION_ID, TENANT_ID, [
+      { role: 'user', content: 'Is lunch deductible?' },
+      expect.objectContaining({
+        role: 'assistant',
+        toolCalls: [expect.objectContaining({ tool: 'tax-categorize' })],
+        metadata: expect.objectContaining({ provider: 'anthropic' })
+      })
+    ]);
+  });
+
+  test('should continue a conversation with its recent messages and report the omitted ones', async () => {
+    jest.spyOn(conversations, 'get').mockResolvedValue(conversation());
+    jest.spyOn(conversations, 'messages').mockResolvedValue([
+      { role: 'user', content: 'Hi', tool_calls: [] },
+      { role: 'assistant', content: 'Hello', tool_calls: [] }
+    ]);
+    jest.spyOn(conversations, 'append').mockResolvedValue([]);
+
+    const res = await auth(request(app).post('/chat')).send({ message: 'And dinner?', conversation_id: CONVERSATION_ID }).expect(200);
+
+    expect(res.body.history).toEqual({ included: 2, omitted: 58 });
+    expect(runAgent.mock.calls[0][0].conversationHistory).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' }
+    ]);
+  });
+
+  test('should not continue conversations the caller does not own', async () => {
+    jest.spyOn(conversations, 'get').mockResolvedValue(null);
+
+    const res = await auth(request(app).post('/chat')).send({ message: 'Hi', conversation_id: CONVERSATION_ID }).expect(404);
+
+    expect(res.body.error).toBe('Conversation not found');
+    expect(runAgent).not.toHaveBeenCalled();
+  });
+
+  test('should not store anonymous turns or show conversations to anonymous callers', async () => {
+    const create = jest.spyOn(conversations, 'create');
+    const get = jest.spyOn(conversations, 'get');
+    const list = jest.spyOn(conversations, 'list');
+    const append = jest.spyOn(conversations, 'append');
+
+    const res = await request(app).post('/chat').send({ message: 'Is lunch deductible?' }).expect(200);
+    expect(res.body.conversation_id).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+    expect(append).not.toHaveBeenCalled();
+
+    // Another anonymous caller can neither continue nor read, rename or delete a conversation
+    await request(app).post('/chat').send({ message: 'Hi', conversation_id: CONVERSATION_ID }).expect(401);
+    await request(app).get('/chat/conversations').expect(401);
+    await request(app).get(`/chat/conversations/${CONVERSATION_ID}`).expect(401);
+    await request(app).patch(`/chat/conversations/${CONVERSATION_ID}`).send({ title: 'Mine now' }).expect(401);
+    await request(app).delete(`/chat/conversations/${CONVERSATION_ID}`).expect(401);
+    expect(get).not.toHaveBeenCalled();
+    expect(list).not.toHaveBeenCalled();
+    expect(runAgent).toHaveBeenCalledTimes(1);
+  });
+
+  test('should refuse a token of another tenant', async () => {
+    const other = jwt.sign({ userId: 'user_9', tenantId: '00000000-0000-0000-0000-000000000002' }, JWT_SECRET);
+    const list = jest.spyOn(conversations, 'list');
+
+    const res = await request(app).post('/chat').set('Authorization', `Bearer ${other}`).send({ message: 'Hi' }).expect(403);
+    await request(app).get('/chat/conversations').set('Authorization', `Bearer ${other}`).expect(403);
+
+    expect(res.body.error).toBe('Token was issued for another tenant');
+    expect(runAgent).not.toHaveBeenCalled();
+    expect(list).not.toHaveBeenCalled();
+  });
+
+  test('should scope the conversation list to the signed-in user', async () => {
+    const list = jest.spyOn(conversations, 'list').mockResolvedValue({ conversations: [conversation()], total: 1 });
+
+    const res = await auth(request(app).get('/chat/conversations?q=receipts&limit=500')).expect(200);
+
+    expect(res.body).toMatchObject({ total: 1, limit: 100, offset: 0 });
+    expect(list).toHaveBeenCalledWith(TENANT_ID, 'user_1', { q: 'receipts', limit: 100, offset: 0 });
+  });
+
+  test('should validate titles and 404 unknown conversations on rename and delete', async () => {
+    jest.spyOn(conversations, 'rename').mockResolvedValue(null);
+    jest.spyOn(conversations, 'delete').mockResolvedValue(false);
+
+    await auth(request(app).patch(`/chat/conversations/${CONVERSATION_ID}`)).send({ title: '  ' }).expect(400);
+    await auth(request(app).patch(`/chat/conversations/${CONVERSATION_ID}`)).send({ title: 'Receipts' }).expect(404);
+    await auth(request(app).delete(`/chat/conversations/${CONVERSATION_ID}`)).expect(404);
+  });
+});
+
+describe('ConversationStore', () => {
+  test('should scope lookups to the tenant and owner', async () => {
+    const db = { query: jest.fn(async () => ({ rows: [] })) };
+    const store = new ConversationStore({ db });
+
+    expect(await store.get('conv_legacy', TENANT_ID, 'user_1')).toBeNull();
+    expect(await store.get(CONVERSATION_ID, TENANT_ID, undefined)).toBeNull();
+    expect(await store.list(TENANT_ID, null)).toEqual({ conversations: [], total: 0 });
+    expect(await store.delete(CONVERSATION_ID, TENANT_ID, null)).toBe(false);
+    expect(db.query).not.toHaveBeenCalled();
+
+    await store.get(CONVERSATION_ID, TENANT_ID, 'user_1');
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('user_id = $3');
+    expect(params).toEqual([CONVERSATION_ID, TENANT_ID, 'user_1']);
+  });
+
+  test('should append messages in order under the conversation lock', async () => {
+    const db = { query: jest.fn(async () => ({ rows: [] })) };
+    const store = new ConversationStore({ db });
+
+    await store.append(CONVERSATION_ID, TENANT_ID, [
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello', toolCalls: [{ tool: 'x' }] }
+    ]);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('UPDATE conversations');
+    expect(sql).toContain('WITH ORDINALITY');
+    expect(params.slice(0, 3)).toEqual([CONVERSATION_ID, TENANT_ID, 2]);
+    expect(JSON.parse(params[3])).toEqual([
+      { role: 'user', content: 'Hi', tool_calls: [], metadata: {} },
+      { role: 'assistant', content: 'Hello', tool_calls: [{ tool: 'x' }], metadata: {} }
+    ]);
+  });
+
+  test('should title conversations after their first message', () => {
+    expect(titleFrom('  What   is\nmy AGI? ')).toBe('What is my AGI?');
+    expect(titleFrom('x'.repeat(100))).toHaveLength(80);
+    expect(titleFrom('')).toBe('New conversation');
+  });
+});
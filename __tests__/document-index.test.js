@@ -0,0 +1,228 @@
+/**
+ * Document Index Test Suite
+ * Tests chunking and BM25 retrieval over a profile's documents, and chat
+ * answers that cite the retrieved passages (database is stubbed)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const llmProviders = require('../api/services/llm-providers');
+const { MockProvider } = require('../api/services/llm-providers');
+const documentIndex = require('../api/services/document-index');
+const { DocumentIndex, tokenize, rank } = require('../api/services/document-index');
+const conversations = require('../api/services/conversations');
+const chatRoutes = require('../api/routes/chat');
+
+const TENANT_ID = '00000000-0000-0000-0000-000000000002';
+const STATEMENT_ID = '77777777-7777-7777-7777-777777777777';
+const W2_ID = '88888888-8888-8888-8888-888888888888';
+
+const counts = (text) => tokenize(text).reduce((terms, term) => ({ ...terms, [term]: (terms[term] || 0) + 1 }), {});
+const chunk = (text, extra = {}) => ({ content: text, terms: counts(text), length: tokenize(text).length, ...extra });
+
+describe('chunking', () => {
+  let file;
+
+  beforeAll(() => {
+    file = path.join(os.tmpdir(), `statement-${process.pid}.txt`);
+    fs.writeFileSync(file, 'First Bank statement\nOpening balance 2,500.00\nClosing balance 3,100.00');
+  });
+
+  afterAll(() => {
+    fs.rmSync(file, { force: true });
+  });
+
+  test('should tokenize without stopwords and keep amounts whole', () => {
+    expect(tokenize('What were the deposits of $1,000.50 in the W-2?')).toEqual(['deposit', '1000.50', 'w-2']);
+  });
+
+  test('should chunk the text, each record and each other field of a document', async () => {
+    const index = new DocumentIndex({ db: {} });
+    const chunks = await index.chunk({
+      file_path: file,
+      original_name: 'statement.txt',
+      mimetype: 'text/plain',
+      document_type: 'bank_statement',
+      extracted_data: {
+        transactions: [
+          { date: '2024-01-03', description: 'Payroll deposit', amount: 1000, page: 2 },
+          { date: '2024-01-09', description: 'Grocery store', amount: -84.2, page: 2 }
+        ],
+        summary: { opening_balance: 2500, closing_balance: 3100 }
+      }
+    });
+
+    expect(chunks.map(({ chunk_index, page, field }) => [chunk_index, page, field])).toEqual([
+      [0, null, null],
+      [1, 2, 'transactions[0]'],
+      [2, 2, 'transactions[1]'],
+      [3, null, 'summary']
+    ]);
+    expect(chunks[0].content).toContain('Closing balance 3,100.00');
+    expect(chunks[1].content).toBe('date: 2024-01-03; description: Payroll deposit; amount: 1000; page: 2');
+    expect(chunks[3].content).toBe('summary.opening_balance: 2500; summary.closing_balance: 3100');
+    expect(chunks[1].terms).toMatchObject({ bank: 1, statement: 1, payroll: 1, deposit: 1 });
+  });
+
+  test('should rebuild the chunks of a document in one transaction', async () => {
+    const client = { query: jest.fn(async () => ({ rows: [] })), release: jest.fn() };
+    const db = {
+      query: jest.fn(async () => ({ rows: [{ id: STATEMENT_ID, file_path: file, mimetype: 'text/plain', extracted_data: null }] })),
+      connect: jest.fn(async () => client)
+    };
+
+    await expect(new DocumentIndex({ db }).indexDocument(TENANT_ID, STATEMENT_ID)).resolves.toEqual({
+      chunks: 1,
+      injection: { findings: [], action: null }
+    });
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+    expect(statements).toEqual(['BEGIN', 'DELETE', 'INSERT', 'UPDATE', 'COMMIT']);
+    const [, inserted] = client.query.mock.calls[2];
+    expect(JSON.parse(inserted[2])[0]).toMatchObject({ chunk_index: 0, page: null, field: null, length: 9 });
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should skip documents that fail to index and index the rest', async () => {
+    const index = new DocumentIndex({ db: {} });
+    const indexDocument = jest.spyOn(index, 'indexDocument').mockImplementation(async (tenantId, id) => {
+      if (id === STATEMENT_ID) throw new Error('Invalid PDF structure');
+      return { chunks: 1 };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(index.indexMissing(TENANT_ID, [
+      { id: STATEMENT_ID, status: 'processed', indexedAt: null },
+      { id: W2_ID, status: 'processed', indexedAt: null }
+    ])).resolves.toBeUndefined();
+
+    expect(indexDocument.mock.calls.map(([, id]) => id)).toEqual([STATEMENT_ID, W2_ID]);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('retrieval', () => {
+  test('should rank chunks by BM25', () => {
+    const chunks = [
+      chunk('Grocery store purchase 84.20'),
+      chunk('Payroll deposit 1000 deposit from employer'),
+      chunk('Payroll tax withheld')
+    ];
+
+    const ranked = rank(chunks, ['payroll', 'deposit'], { count: 3, avgLength: 4 });
+
+    expect(ranked.map(c => c.content)).toEqual([chunks[1].content, chunks[2].content, chunks[0].content]);
+    expect(ranked[2].score).toBe(0);
+  });
+
+  test('should search the chunks of the profile that share a term with the query', async () => {
+    const db = {
+      query: jest.fn(async (sql) => sql.includes('COUNT(*)')
+        ? { rows: [{ count: 10, avg_length: 6 }] }
+        : {
+          rows: [
+            chunk('Payroll tax withheld', { document_id: W2_ID, filename: 'w2.pdf', page: 1, field: null }),
+            chunk('Payroll deposit 1000', { document_id: STATEMENT_ID, filename: 'statement.pdf', page: 2, field: 'transactions[0]' })
+          ]
+        })
+    };
+
+    const passages = await new DocumentIndex({ db, limit: 1 }).search(TENANT_ID, 'smith', 'Which deposits were payroll?');
+
+    expect(passages).toEqual([{
+      document_id: STATEMENT_ID,
+      filename: 'statement.pdf',
+      page: 2,
+      field: 'transactions[0]',
+      content: 'Payroll deposit 1000',
+      score: expect.any(Number)
+    }]);
+    expect(db.query.mock.calls[1][1]).toEqual([TENANT_ID, 'smith', ['deposit', 'payroll']]);
+  });
+
+  test('should map [n] markers to the cited passages', () => {
+    const passages = [
+      { ref: 1, document_id: STATEMENT_ID, filename: 'statement.pdf', page: 2, field: 'transactions[0]', content: '...' },
+      { ref: 2, document_id: W2_ID, filename: 'w2.pdf', page: 1, field: null, content: '...' }
+    ];
+
+    expect(documentIndex.citations('Withheld tax [2], payroll [2][1] and [7].', passages)).toEqual([
+      { ref: 2, document_id: W2_ID, filename: 'w2.pdf', page: 1, field: null },
+      { ref: 1, document_id: STATEMENT_ID, filename: 'statement.pdf', page: 2, field: 'transactions[0]' }
+    ]);
+  });
+});
+
+describe('chat with citations', () => {
+  const savedEnv = {};
+  const db = {
+    query: jest.fn(async () => ({
+      rows: [{
+        id: STATEMENT_ID,
+        originalName: 'statement.pdf',
+        documentType: 'bank_statement',
+        status: 'processed',
+        indexedAt: '2024-02-01T00:00:00Z'
+      }]
+    }))
+  };
+  const app = express()
+    .use(express.json())
+    .use((req, res, next) => {
+      req.tenantId = TENANT_ID;
+      req.tenant = { id: TENANT_ID, vertical: 'finance', subscriptionTier: 'enterprise' };
+      req.db = db;
+      next();
+    })
+    .use('/chat', chatRoutes);
+
+  beforeAll(() => {
+    for (const key of ['LLM_PROVIDERS', 'SKILL_ISOLATION']) savedEnv[key] = process.env[key];
+    process.env.LLM_PROVIDERS = 'mock';
+    process.env.SKILL_ISOLATION = 'inline';
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    llmProviders.unregister('mock');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should give the agent the retrieved passages and return what it cites', async () => {
+    const mock = llmProviders.register('mock', new MockProvider({
+      transcript: { responses: [{ text: 'Payroll deposits were $1,000 [1].' }] },
+      external: false
+    }));
+    jest.spyOn(conversations, 'create').mockResolvedValue({ id: '55555555-5555-5555-5555-555555555555', message_count: 0 });
+    jest.spyOn(conversations, 'append').mockResolvedValue([]);
+    jest.spyOn(documentIndex, 'indexMissing').mockResolvedValue();
+    jest.spyOn(documentIndex, 'search').mockResolvedValue([
+      { document_id: STATEMENT_ID, filename: 'statement.pdf', document_type: 'bank_statement', page: 2, field: 'transactions[0]', content: 'description: Payroll deposit; amount: 1000', score: 2.1 }
+    ]);
+
+    const token = jwt.sign({ userId: 'user_1', tenantId: TENANT_ID }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+
+    const res = await request(app)
+      .post('/chat')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ message: 'How much payroll was deposited?', profile_name: 'smith' })
+      .expect(200);
+
+    expect(conversations.append.mock.calls[0][2][1].metadata.citations).toEqual(res.body.citations);
+    expect(documentIndex.search).toHaveBeenCalledWith(TENANT_ID, 'smith', 'How much payroll was deposited?');
+    expect(res.body.citations).toEqual([
+      { ref: 1, document_id: STATEMENT_ID, filename: 'statement.pdf', page: 2, field: 'transactions[0]' }
+    ]);
+    expect(mock.requests[0].system).toMatch(/\[1\] statement\.pdf \(page 2, field transactions\[0\]\):\n<<<UNTRUSTED_CONTENT id=\w+ source=document:statement\.pdf>>>\ndescription: Payroll deposit; amount: 1000/);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Dry Run Test Suite
+ * Tests that dry runs roll back database writes, keep files in memory and
+ * report the side effects the run would have had
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SkillRegistry } = require('../api/services/skill-registry');
+const { FileStore } = require('../api/services/file-store');
+const { DryRunSession } = require('../api/services/dry-run');
+
+const TENANT_ID = '00000000-0000-0000-0000-000000000003';
+
+/**
+ * Database stand-in with a pooled client that logs every statement
+ */
+function createDb() {
+  const statements = [];
+  const client = {
+    query: jest.fn(async (text) => {
+      statements.push(text.trim().split(/\s+/)[0].toUpperCase());
+      if (/^\s*insert/i.test(text)) {
+        return { command: 'INSERT', rowCount: 1, rows: [{ id: 'appt-1', status: 'scheduled' }] };
+      }
+      return { command: 'SELECT', rowCount: 0, rows: [] };
+    }),
+    release: jest.fn()
+  };
+  return {
+    statements,
+    client,
+    query: jest.fn(async () => { throw new Error('dry runs must not use the pool directly'); }),
+    connect: jest.fn(async () => client)
+  };
+}
+
+describe('dry run', () => {
+  const registry = new SkillRegistry({ isolation: 'inline' });
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should run database writes in a transaction that is rolled back', async () => {
+    const db = createDb();
+    const audit = { log: jest.fn() };
+
+    const { result, meta, sideEffects } = await registry.execute('appointment-schedule', {
+      action: 'create',
+      patient_id: '00000000-0000-0000-0000-0000000000a1',
+      provider_id: '00000000-0000-0000-0000-0000000000b1',
+      preferred_datetime: '2024-06-20T09:00:00Z'
+    }, { tenantId: TENANT_ID, vertical: 'healthcare', db, audit, dryRun: true });
+
+    expect(result.appointment.id).toBe('appt-1');
+    expect(meta.dry_run).toBe(true);
+    expect(db.statements[0]).toBe('BEGIN');
+    expect(db.statements[db.statements.length - 1]).toBe('ROLLBACK');
+    expect(db.client.release).toHaveBeenCalledTimes(1);
+    expect(db.query).not.toHaveBeenCalled();
+    expect(sideEffects).toContainEqual({
+      type: 'db',
+      operation: 'INSERT',
+      table: 'appointments',
+      rowCount: 1,
+      rows: [{ id: 'appt-1', status: 'scheduled' }]
+    });
+  });
+
+  test('should keep exported files in memory', async () => {
+    const files = new FileStore({ root });
+
+    const { result, sideEffects } = await registry.execute('export-to-excel', {
+      data: { rows: [{ a: 1 }] },
+      filename: 'preview'
+    }, { tenantId: TENANT_ID, vertical: 'finance', files, dryRun: true });
+
+    const expectedPath = path.join(root, TENANT_ID, 'preview.xlsx');
+    expect(result.file_path).toBe(expectedPath);
+    expect(fs.existsSync(expectedPath)).toBe(false);
+    expect(sideEffects).toContainEqual(expect.objectContaining({
+      type: 'file',
+      operation: 'WRITE',
+      path: expectedPath
+    }));
+    expect(sideEffects).toContainEqual({ type: 'audit', action: 'EXCEL_EXPORT' });
+  });
+
+  test('should write files and skip side effect reporting on a real run', async () => {
+    const files = new FileStore({ root });
+
+    const outcome = await registry.execute('export-to-excel', {
+      data: { rows: [{ a: 1 }] },
+      filename: 'final'
+    }, { tenantId: TENANT_ID, vertical: 'finance', files });
+
+    expect(fs.existsSync(path.join(root, TENANT_ID, 'final.xlsx'))).toBe(true);
+    expect(outcome.sideEffects).toBeUndefined();
+    expect(outcome.meta.dry_run).toBeUndefined();
+  });
+
+  test('should refuse queries once the session is rolled back', async () => {
+    const db = createDb();
+    const session = await new DryRunSession({ db }).begin();
+    const services = session.services();
+
+    await session.rollback();
+    await session.rollback();
+
+    await expect(services.db.query('UPDATE documents SET status = $1', ['x'])).rejects.toThrow('rolled back');
+    expect(db.client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not let file paths escape the store', async () => {
+    const files = new FileStore({ root });
+
+    await expect(files.write('../outside.xlsx', 'x')).rejects.toThrow('escapes');
+  });
+});
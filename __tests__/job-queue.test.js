@@ -0,0 +1,107 @@
+/**
+ * Skill Job Queue Test Suite
+ * Tests job outcome recording, retry-with-backoff and requeueing on shutdown (database and registry are stubbed)
+ */
+
+const { JobQueue, isTransientError } = require('../api/services/job-queue');
+const { SkillError, SkillValidationError } = require('../core/utils/skill-loader');
+
+const job = (overrides = {}) => ({
+  id: '11111111-1111-1111-1111-111111111111',
+  tenant_id: '00000000-0000-0000-0000-000000000002',
+  tenant_context: { id: '00000000-0000-0000-0000-000000000002', vertical: 'finance' },
+  user_id: null,
+  skill_name: 'audit-package',
+  input: { period: '2025' },
+  attempts: 1,
+  max_attempts: 3,
+  ...overrides
+});
+
+function createQueue(execute) {
+  const db = { query: jest.fn(async () => ({ rows: [] })) };
+  const audit = { log: jest.fn(async () => 'audit-id') };
+  const queue = new JobQueue({
+    db,
+    registry: { execute },
+    audit,
+    retryBaseMs: 1000
+  });
+  return { queue, db, audit };
+}
+
+const lastUpdate = (db) => db.query.mock.calls[db.query.mock.calls.length - 1];
+
+describe('JobQueue', () => {
+  test('should store the result of a successful run', async () => {
+    const { queue, db } = createQueue(async () => ({ result: { success: true }, meta: { skill: 'audit-package' } }));
+
+    await queue.process(job());
+
+    const [sql, params] = lastUpdate(db);
+    expect(sql).toContain("status = 'succeeded'");
+    expect(JSON.parse(params[1])).toEqual({ success: true, _meta: { skill: 'audit-package' } });
+    expect(queue.running.size).toBe(0);
+  });
+
+  test('should requeue a transient failure with exponential backoff', async () => {
+    const { queue, db } = createQueue(async () => {
+      throw new SkillError('SKILL_TIMEOUT', 'timed out', 504);
+    });
+
+    await queue.process(job({ attempts: 2 }));
+
+    const [sql, params] = lastUpdate(db);
+    expect(sql).toContain("status = 'queued'");
+    expect(params[2]).toBe('2000');
+    expect(JSON.parse(params[1])).toMatchObject({ code: 'SKILL_TIMEOUT', attempt: 2, transient: true });
+  });
+
+  test('should fail once attempts are exhausted', async () => {
+    const { queue, db } = createQueue(async () => {
+      throw new SkillError('SKILL_CRASHED', 'worker died');
+    });
+
+    await queue.process(job({ attempts: 3 }));
+
+    expect(lastUpdate(db)[0]).toContain("status = 'failed'");
+  });
+
+  test('should not retry permanent failures', async () => {
+    const { queue, db } = createQueue(async () => {
+      throw new SkillValidationError('audit-package', 'input', [{ path: '/period', message: 'must be string' }]);
+    });
+
+    await queue.process(job());
+
+    const [sql, params] = lastUpdate(db);
+    expect(sql).toContain("status = 'failed'");
+    expect(JSON.parse(params[1]).errors).toHaveLength(1);
+  });
+
+  test('should requeue running jobs on stop without auditing a run that ignores the abort', async () => {
+    let finish;
+    const { queue, db, audit } = createQueue(() => new Promise(resolve => {
+      finish = () => resolve({ result: { success: true }, meta: { version: '1.0.0' } });
+    }));
+
+    const processing = queue.process(job());
+    await queue.stop();
+
+    const [sql, params] = db.query.mock.calls.find(([statement]) => statement.includes("status = 'queued'"));
+    expect(sql).toContain('locked_by = NULL');
+    expect(params).toEqual([[job().id], queue.workerId]);
+
+    finish();
+    await processing;
+    expect(lastUpdate(db)[0]).toContain("status = 'succeeded'");
+    expect(audit.log).not.toHaveBeenCalled();
+    expect(queue.running.size).toBe(0);
+  });
+
+  test('should classify transient errors', () => {
+    expect(isTransientError({ code: 'ECONNRESET' })).toBe(true);
+    expect(isTransientError({ status: 429 })).toBe(true);
+    expect(isTransientError(new Error('bad input'))).toBe(false);
+  });
+});
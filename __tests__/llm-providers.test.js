@@ -0,0 +1,189 @@
+/**
+ * LLM Provider Test Suite
+ * Tests the provider adapters, the scripted mock provider and a chat turn run
+ * end to end against a recorded transcript (no network access)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const llmProviders = require('../api/services/llm-providers');
+const {
+  LlmProviders,
+  RecordingProvider,
+  AnthropicProvider,
+  OpenAIProvider,
+  LocalProvider,
+  MockProvider
+} = require('../api/services/llm-providers');
+const conversations = require('../api/services/conversations');
+const { runAgent } = require('../api/services/agent');
+const chatRoutes = require('../api/routes/chat');
+
+const TRANSCRIPT = path.join(__dirname, 'fixtures', 'transcripts', 'pci-redact-chat.json');
+const TENANT = { id: '00000000-0000-0000-0000-000000000002', vertical: 'finance', subscriptionTier: 'enterprise' };
+const ENV_KEYS = ['LLM_PROVIDERS', 'SKILL_ISOLATION', 'LOCAL_LLM_BASE_URL', 'LOCAL_LLM_ALLOW_REMOTE'];
+
+const savedEnv = {};
+beforeAll(() => {
+  for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+  process.env.LLM_PROVIDERS = 'mock';
+  process.env.SKILL_ISOLATION = 'inline';
+});
+
+afterAll(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+  llmProviders.unregister('mock');
+});
+
+describe('mock provider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should run a chat turn end to end from a recorded transcript', async () => {
+    const mock = llmProviders.register('mock', new MockProvider({ transcriptPath: TRANSCRIPT }));
+    jest.spyOn(conversations, 'create').mockResolvedValue({ id: '55555555-5555-5555-5555-555555555555', message_count: 0 });
+    jest.spyOn(conversations, 'append').mockResolvedValue([]);
+    const app = express()
+      .use(express.json())
+      .use((req, res, next) => { req.tenantId = TENANT.id; req.tenant = { ...TENANT }; next(); })
+      .use('/chat', chatRoutes);
+
+    const res = await request(app).post('/chat').send({ message: 'Please redact this receipt' }).expect(200);
+
+    expect(res.body.provider).toBe('mock');
+    expect(res.body.response).toContain('41************11');
+    expect(res.body.tool_results).toEqual([expect.objectContaining({
+      tool: 'pci-redact',
+      output: expect.objectContaining({ redacted_text: 'Card 41************11 paid lunch' })
+    })]);
+
+    // The model was offered the persona's tools and got the real tool result back
+    expect(mock.requests[0].tools.map(tool => tool.name)).toContain('pci-redact');
+    expect(mock.requests[0].system).toContain('FinSecure AI');
+    const toolMessage = mock.requests[1].messages[mock.requests[1].messages.length - 1];
+    expect(toolMessage).toMatchObject({ role: 'tool', toolCallId: 'toolu_01', name: 'pci-redact' });
+    expect(toolMessage.content).toMatch(/^<<<UNTRUSTED_CONTENT id=\w+ source=tool:pci-redact>>>\n.*\n<<<END_UNTRUSTED_CONTENT id=\w+>>>$/);
+    expect(JSON.parse(toolMessage.content.split('\n')[1]).summary.total_redactions).toBe(1);
+  });
+
+  test('should refuse tools outside the persona and fail on a drifted transcript', async () => {
+    llmProviders.register('mock', new MockProvider({
+      transcript: {
+        responses: [
+          { toolCalls: [{ name: 'phi-redact', input: { text: 'x' } }] },
+          { text: 'That tool is not available here.' }
+        ]
+      }
+    }));
+
+    const result = await runAgent({ message: 'hi', tenantId: TENANT.id, context: { tenant: TENANT, vertical: 'finance' } });
+    expect(result.toolResults[0].output).toMatchObject({ success: false, error: 'TOOL_NOT_ALLOWED' });
+
+    const drifted = new MockProvider({ transcript: { responses: [{ expectMessage: 'redact', text: 'ok' }] } });
+    await expect(drifted.complete({ messages: [{ role: 'user', content: 'hello' }] })).rejects.toThrow('expected a message');
+    await expect(new MockProvider({ transcript: { responses: [] } }).complete({ messages: [] })).rejects.toThrow('exhausted');
+  });
+
+  test('should record responses as a transcript the mock replays', async () => {
+    const file = path.join(os.tmpdir(), `transcript-${process.pid}.json`);
+    const source = new MockProvider({ transcriptPath: TRANSCRIPT });
+    const recorder = new RecordingProvider(source, file);
+
+    try {
+      await recorder.complete({ messages: [{ role: 'user', content: 'redact it' }] });
+      await recorder.complete({ messages: [] });
+
+      const replay = new MockProvider({ transcriptPath: file });
+      const first = await replay.complete({ messages: [] });
+      expect(first.toolCalls).toEqual([{ id: 'toolu_01', name: 'pci-redact', input: { text: 'Card 4111111111111111 paid lunch' } }]);
+      expect((await replay.complete({ messages: [] })).stopReason).toBe('end');
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
+
+describe('provider adapters', () => {
+  const conversation = [
+    { role: 'user', content: 'Categorize lunch' },
+    { role: 'assistant', content: 'Checking.', toolCalls: [{ id: 'c1', name: 'tax-categorize', input: { a: 1 } }, { id: 'c2', name: 'pci-redact', input: {} }] },
+    { role: 'tool', toolCallId: 'c1', name: 'tax-categorize', content: '{"category":"meals"}' },
+    { role: 'tool', toolCallId: 'c2', name: 'pci-redact', content: '{}' }
+  ];
+
+  test('should send tool calls and results to Anthropic as content blocks', async () => {
+    const create = jest.fn(async () => ({
+      content: [{ type: 'text', text: 'Meals.' }, { type: 'tool_use', id: 't1', name: 'export-to-excel', input: {} }],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 5, output_tokens: 2 }
+    }));
+    const provider = new AnthropicProvider({ client: { messages: { create } } });
+
+    const response = await provider.complete({ system: 'sys', messages: conversation, tools: [] });
+
+    const params = create.mock.calls[0][0];
+    expect(params).not.toHaveProperty('tools');
+    expect(params.messages[1].content.map(block => block.type)).toEqual(['text', 'tool_use', 'tool_use']);
+    expect(params.messages[2]).toEqual({
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'c1', content: '{"category":"meals"}' },
+        { type: 'tool_result', tool_use_id: 'c2', content: '{}' }
+      ]
+    });
+    expect(response).toEqual({
+      text: 'Meals.',
+      toolCalls: [{ id: 't1', name: 'export-to-excel', input: {} }],
+      stopReason: 'tool_use',
+      usage: { input_tokens: 5, output_tokens: 2 }
+    });
+  });
+
+  test('should report unparseable OpenAI tool arguments instead of throwing', async () => {
+    const create = jest.fn(async () => ({
+      choices: [{
+        finish_reason: 'stop',
+        message: { content: null, tool_calls: [{ id: 'x1', function: { name: 'pci-redact', arguments: '{text: oops' } }] }
+      }]
+    }));
+    const provider = new OpenAIProvider({ client: { chat: { completions: { create } } } });
+
+    const response = await provider.complete({ system: 'sys', messages: conversation });
+
+    const params = create.mock.calls[0][0];
+    expect(params.messages[0]).toEqual({ role: 'system', content: 'sys' });
+    expect(params.messages[2].tool_calls[0].function).toEqual({ name: 'tax-categorize', arguments: '{"a":1}' });
+    expect(params.messages[3]).toEqual({ role: 'tool', tool_call_id: 'c1', content: '{"category":"meals"}' });
+    expect(response.stopReason).toBe('tool_use');
+    expect(response.toolCalls[0]).toMatchObject({ id: 'x1', input: null, inputError: expect.stringContaining('not valid JSON') });
+  });
+
+  test('should only talk to loopback hosts unless remote local servers are allowed', () => {
+    expect(new LocalProvider({ baseURL: 'http://localhost:11434/v1' }).getClient()).toBeTruthy();
+    expect(() => new LocalProvider({ baseURL: 'https://llm.example.com/v1' }).getClient()).toThrow('not a loopback address');
+    expect(new LocalProvider({ baseURL: 'https://llm.internal/v1', allowRemote: true }).getClient()).toBeTruthy();
+    expect(new LocalProvider({ baseURL: '' }).isConfigured()).toBe(false);
+  });
+
+  test('should list configured providers in the LLM_PROVIDERS order', () => {
+    const providers = new LlmProviders();
+    providers.register('anthropic', { isConfigured: () => true });
+    providers.register('openai', { isConfigured: () => false });
+    providers.register('local', { isConfigured: () => true });
+
+    process.env.LLM_PROVIDERS = 'local, openai, anthropic';
+    try {
+      expect(providers.available()).toEqual(['local', 'anthropic']);
+    } finally {
+      process.env.LLM_PROVIDERS = 'mock';
+    }
+    expect(() => providers.get('gemini')).toThrow('Unknown provider');
+  });
+});
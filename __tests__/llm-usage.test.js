@@ -0,0 +1,243 @@
+/**
+ * LLM Usage Test Suite
+ * Tests cost from the price table, budget checks, the usage budgets the chat
+ * route enforces and the usage endpoints with who may use them (database is stubbed)
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const llmProviders = require('../api/services/llm-providers');
+const { MockProvider } = require('../api/services/llm-providers');
+const llmUsage = require('../api/services/llm-usage');
+const { LlmUsage } = require('../api/services/llm-usage');
+const skillSettings = require('../api/services/skill-settings');
+const conversations = require('../api/services/conversations');
+const chatRoutes = require('../api/routes/chat');
+const usageRoutes = require('../api/routes/usage');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const TENANT_ID = '00000000-0000-0000-0000-000000000002';
+const CONVERSATION_ID = '55555555-5555-5555-5555-555555555555';
+const NOW = new Date('2024-03-15T10:30:00Z');
+
+const totalsRow = (overrides = {}) => ({
+  minute_requests: 0, minute_tokens: 0, minute_cost: 0,
+  day_requests: 0, day_tokens: 0, day_cost: 0,
+  month_requests: 0, month_tokens: 0, month_cost: 0,
+  ...overrides
+});
+
+describe('cost', () => {
+  test('should price a model by name, prefix or provider', () => {
+    const usage = new LlmUsage({ db: {}, prices: { 'gpt-4o': { input: 2.5, output: 10 }, 'gpt-4o-mini': { input: 0.15, output: 0.6 }, local: { input: 0, output: 0 } } });
+
+    expect(usage.cost('openai', 'gpt-4o-2024-08-06', { input_tokens: 1000, output_tokens: 500 })).toBe(0.0075);
+    expect(usage.cost('openai', 'gpt-4o-mini', { input_tokens: 1000000, output_tokens: 0 })).toBe(0.15);
+    expect(usage.cost('local', 'llama3', { input_tokens: 5000, output_tokens: 5000 })).toBe(0);
+    expect(usage.cost('anthropic', 'unknown-model', { input_tokens: 5000 })).toBe(0);
+  });
+});
+
+describe('budget checks', () => {
+  test('should not query usage without budgets', async () => {
+    const db = { query: jest.fn() };
+    await expect(new LlmUsage({ db }).check(TENANT_ID, 'user_1', null)).resolves.toEqual({ allowed: true, exceeded: [], warnings: [] });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('should warn near a limit and refuse over one, with user overrides', async () => {
+    const db = {
+      query: jest.fn(async (sql, params) => ({
+        rows: [params[1] === null
+          ? totalsRow({ day_cost: 8.5, month_cost: 20 })
+          : totalsRow({ minute_requests: 3, day_tokens: 120000 })]
+      }))
+    };
+    const budgets = {
+      tenant: { day: { costUsd: 10 }, month: { costUsd: 200 } },
+      user: { minute: { requests: 10 }, day: { tokens: 100000 } },
+      users: { user_1: { minute: { requests: 3 } } }
+    };
+
+    const status = await new LlmUsage({ db }).check(TENANT_ID, 'user_1', budgets, NOW);
+
+    expect(status.allowed).toBe(false);
+    expect(status.warnings).toEqual([
+      { scope: 'tenant', period: 'day', metric: 'costUsd', used: 8.5, limit: 10, resetsAt: '2024-03-16T00:00:00.000Z' }
+    ]);
+    expect(status.exceeded.map(({ scope, period, metric }) => `${scope}:${period}:${metric}`))
+      .toEqual(['user:minute:requests', 'user:day:tokens']);
+    expect(db.query.mock.calls[1][1].slice(0, 5)).toEqual([
+      TENANT_ID, 'user_1', new Date('2024-03-15T10:29:00Z'), new Date('2024-03-15T00:00:00Z'), new Date('2024-03-01T00:00:00Z')
+    ]);
+  });
+
+  test('should validate budgets', () => {
+    const budgets = { warnAt: 0.9, tenant: { month: { costUsd: 500 } }, users: { user_1: { day: { tokens: 1000 } } } };
+    expect(llmUsage.validateBudgets(budgets)).toEqual(budgets);
+
+    expect(() => llmUsage.validateBudgets({ tenant: { week: { tokens: 1 } } })).toThrow(expect.objectContaining({ code: 'INVALID_USAGE_BUDGETS', status: 400 }));
+    expect(() => llmUsage.validateBudgets({ user: { day: { dollars: 1 } } })).toThrow('user.day.dollars is not a metric');
+    expect(() => llmUsage.validateBudgets({ tenant: { day: { tokens: -5 } } })).toThrow('must be a positive number');
+    expect(() => llmUsage.validateBudgets({ warnAt: 2 })).toThrow('warnAt');
+  });
+});
+
+describe('chat budgets', () => {
+  const savedEnv = {};
+  const token = jwt.sign({ userId: 'user_1', tenantId: TENANT_ID, role: 'cpa' }, JWT_SECRET);
+  const audit = { log: jest.fn(async () => 'audit-id') };
+  const budgets = { tenant: { day: { costUsd: 10 } } };
+  const app = express()
+    .use(express.json())
+    .use((req, res, next) => {
+      req.tenantId = TENANT_ID;
+      req.tenant = { id: TENANT_ID, vertical: 'finance', subscriptionTier: 'enterprise', usageBudgets: budgets };
+      req.audit = audit;
+      next();
+    })
+    .use('/chat', chatRoutes);
+
+  beforeAll(() => {
+    for (const key of ['LLM_PROVIDERS', 'SKILL_ISOLATION']) savedEnv[key] = process.env[key];
+    process.env.LLM_PROVIDERS = 'mock';
+    process.env.SKILL_ISOLATION = 'inline';
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    llmProviders.unregister('mock');
+  });
+
+  beforeEach(() => {
+    audit.log.mockClear();
+    jest.spyOn(conversations, 'create').mockResolvedValue({ id: CONVERSATION_ID, message_count: 0 });
+    jest.spyOn(conversations, 'append').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record the usage of a turn and warn near a limit', async () => {
+    llmProviders.register('mock', new MockProvider({
+      model: 'claude-sonnet-4-20250514',
+      transcript: { responses: [{ text: 'Meals are 50% deductible.', usage: { input_tokens: 2000, output_tokens: 400 } }] }
+    }));
+    jest.spyOn(llmUsage, 'totals').mockResolvedValue({
+      minute: { tokens: 0, costUsd: 0, requests: 0 },
+      day: { tokens: 0, costUsd: 9, requests: 40 },
+      month: { tokens: 0, costUsd: 9, requests: 40 }
+    });
+    const record = jest.spyOn(llmUsage.db, 'query').mockResolvedValue({ rows: [{}] });
+
+    const res = await request(app)
+      .post('/chat')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ message: 'Are meals deductible?' })
+      .expect(200);
+
+    expect(res.body.budget_warnings).toEqual([expect.objectContaining({ scope: 'tenant', period: 'day', metric: 'costUsd', used: 9 })]);
+    expect(record.mock.calls[0][0]).toContain('INSERT INTO llm_usage');
+    expect(record.mock.calls[0][1]).toEqual([TENANT_ID, 'user_1', CONVERSATION_ID, 'mock', 'claude-sonnet-4-20250514', 2000, 400, 0.012]);
+  });
+
+  test('should refuse a turn while a budget is used up', async () => {
+    const mock = llmProviders.register('mock', new MockProvider({ transcript: { responses: [{ text: 'unused' }] } }));
+    jest.spyOn(llmUsage, 'totals').mockResolvedValue({
+      minute: { tokens: 0, costUsd: 0, requests: 0 },
+      day: { tokens: 0, costUsd: 10.2, requests: 50 },
+      month: { tokens: 0, costUsd: 10.2, requests: 50 }
+    });
+
+    const res = await request(app)
+      .post('/chat')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ message: 'Are meals deductible?' })
+      .expect(429);
+
+    expect(res.body).toMatchObject({ success: false, code: 'USAGE_BUDGET_EXCEEDED', budget: { allowed: false } });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(mock.requests).toHaveLength(0);
+    expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'USAGE_BUDGET_EXCEEDED', userId: 'user_1', resourceId: 'tenant:day:costUsd' }));
+  });
+});
+
+describe('usage endpoints', () => {
+  const token = jwt.sign({ userId: 'user_1', tenantId: TENANT_ID, role: 'admin' }, JWT_SECRET);
+  const member = jwt.sign({ userId: 'user_2', tenantId: TENANT_ID, role: 'cpa' }, JWT_SECRET);
+  const app = express()
+    .use(express.json())
+    .use((req, res, next) => { req.tenantId = TENANT_ID; req.tenant = { id: TENANT_ID, usageBudgets: null }; next(); })
+    .use('/usage', usageRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report usage by period with totals', async () => {
+    const report = jest.spyOn(llmUsage, 'report').mockResolvedValue([
+      { period_start: '2024-01-01T00:00:00.000Z', input_tokens: 1000, output_tokens: 200, tokens: 1200, cost_usd: 0.006, requests: 2 },
+      { period_start: '2024-02-01T00:00:00.000Z', input_tokens: 3000, output_tokens: 600, tokens: 3600, cost_usd: 0.018, requests: 5 }
+    ]);
+
+    const res = await request(app)
+      .get('/usage?period=month&from=2024-01-01T00:00:00Z&to=2024-03-01T00:00:00Z&group_by=model')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(report).toHaveBeenCalledWith(TENANT_ID, {
+      period: 'month',
+      from: new Date('2024-01-01T00:00:00Z'),
+      to: new Date('2024-03-01T00:00:00Z'),
+      userId: null,
+      groupBy: 'model'
+    });
+    expect(res.body.totals).toEqual({ input_tokens: 4000, output_tokens: 800, tokens: 4800, cost_usd: 0.024, requests: 7 });
+    expect(res.body.budget).toEqual({ allowed: true, exceeded: [], warnings: [] });
+
+    await request(app).get('/usage?period=week').set('Authorization', `Bearer ${token}`).expect(400);
+    await request(app).get('/usage?from=2024-03-01&to=2024-01-01').set('Authorization', `Bearer ${token}`).expect(400);
+    await request(app).get('/usage').expect(401);
+  });
+
+  test('should show users only their own usage', async () => {
+    const report = jest.spyOn(llmUsage, 'report').mockResolvedValue([]);
+
+    await request(app).get('/usage').set('Authorization', `Bearer ${member}`).expect(200);
+    expect(report).toHaveBeenCalledWith(TENANT_ID, expect.objectContaining({ userId: 'user_2' }));
+
+    const res = await request(app).get('/usage?user_id=user_1').set('Authorization', `Bearer ${member}`).expect(403);
+    expect(res.body.error).toBe('FORBIDDEN');
+    expect(report).toHaveBeenCalledTimes(1);
+
+    // A token of another tenant is refused before the Host tenant's budgets are read
+    const other = jwt.sign({ userId: 'user_1', tenantId: '00000000-0000-0000-0000-000000000001', role: 'admin' }, JWT_SECRET);
+    await request(app).get('/usage').set('Authorization', `Bearer ${other}`).expect(403);
+    expect(report).toHaveBeenCalledTimes(1);
+  });
+
+  test('should validate and store budgets', async () => {
+    const update = jest.spyOn(skillSettings, 'updateUsageBudgets').mockResolvedValue(true);
+    const budgets = { warnAt: 0.9, user: { day: { tokens: 50000 } } };
+
+    await request(app).put('/usage/budgets').set('Authorization', `Bearer ${member}`).send(budgets).expect(403);
+    await request(app).delete('/usage/budgets').set('Authorization', `Bearer ${member}`).expect(403);
+    expect(update).not.toHaveBeenCalled();
+
+    const invalid = await request(app).put('/usage/budgets').set('Authorization', `Bearer ${token}`).send({ user: { day: { tokens: 0 } } }).expect(400);
+    expect(invalid.body.error).toBe('INVALID_USAGE_BUDGETS');
+    expect(update).not.toHaveBeenCalled();
+
+    const res = await request(app).put('/usage/budgets').set('Authorization', `Bearer ${token}`).send(budgets).expect(200);
+    expect(res.body.budgets).toEqual(budgets);
+    expect(update).toHaveBeenCalledWith(TENANT_ID, budgets);
+
+    await request(app).delete('/usage/budgets').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(update).toHaveBeenLastCalledWith(TENANT_ID, null);
+  });
+});
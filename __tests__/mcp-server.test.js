@@ -0,0 +1,144 @@
+/**
+ * MCP Server Test Suite
+ * Tests the JSON-RPC handling, tool listing and tool calls (gateway and settings are stubbed)
+ * and who may manage the API keys MCP clients sign in with
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const apiKeys = require('../api/services/api-keys');
+const apiKeyRoutes = require('../api/routes/api-keys');
+const registry = require('../api/services/skill-registry');
+const { McpServer, JSONRPC_ERRORS } = require('../api/services/mcp-server');
+const { SkillError } = require('../core/utils/skill-loader');
+
+const TENANT = {
+  id: '00000000-0000-0000-0000-000000000002',
+  name: 'FinSecure AI',
+  vertical: 'finance',
+  dlpStrictMode: true
+};
+
+function createServer({ execute, skills = {}, subscriptionTier = 'enterprise' } = {}) {
+  const gateway = { execute: jest.fn(execute || (async () => ({ result: { ok: true }, meta: { version: '1.0.0', pinned: false } }))) };
+  const skillSettings = { getForTenant: jest.fn(async () => ({ subscriptionTier, skills })) };
+  const server = new McpServer({ registry, gateway, skillSettings });
+  const session = server.createSession({ tenant: TENANT, apiKey: { id: 'key-1' } });
+  const call = (method, params, id = 1) => server.handle(session, { jsonrpc: '2.0', id, method, params });
+  return { server, session, gateway, call };
+}
+
+describe('McpServer protocol', () => {
+  test('should negotiate the protocol version on initialize', async () => {
+    const { call } = createServer();
+
+    const reply = await call('initialize', { protocolVersion: '2024-11-05', clientInfo: { name: 'test', version: '1' } });
+
+    expect(reply.result.protocolVersion).toBe('2024-11-05');
+    expect(reply.result.capabilities).toHaveProperty('tools');
+  });
+
+  test('should not answer notifications and reject unknown methods', async () => {
+    const { server, session, call } = createServer();
+
+    expect(await server.handle(session, { jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+    expect((await call('resources/list')).error.code).toBe(JSONRPC_ERRORS.METHOD_NOT_FOUND);
+    expect((await server.handleText(session, '{nope')).error.code).toBe(JSONRPC_ERRORS.PARSE_ERROR);
+  });
+});
+
+describe('McpServer tools', () => {
+  test('should list the tenant skills without tenant_id', async () => {
+    const { call } = createServer({ skills: { 'tax-categorize': { enabled: false } }, subscriptionTier: 'starter' });
+
+    const { result } = await call('tools/list');
+    const names = result.tools.map(t => t.name);
+
+    expect(names).toContain('anomaly-detect');
+    expect(names).not.toContain('tax-categorize');
+    expect(names).not.toContain('fraud-detection-scan'); // tier 2
+    expect(names).not.toContain('phi-redact');
+    expect(result.tools.every(t => !t.inputSchema.properties?.tenant_id)).toBe(true);
+  });
+
+  test('should run tools through the gateway with MCP audit fields', async () => {
+    const { call, gateway } = createServer();
+
+    const reply = await call('tools/call', { name: 'anomaly-detect', arguments: { transactions: [] } }, 7);
+
+    expect(reply.result.isError).toBe(false);
+    expect(reply.result.structuredContent).toEqual({ ok: true });
+    const [name, args, options] = gateway.execute.mock.calls[0];
+    expect(name).toBe('anomaly-detect');
+    expect(args).toEqual({ transactions: [] });
+    expect(options.tenant.subscriptionTier).toBe('enterprise');
+    expect(options.auditFields).toMatchObject({ requestMethod: 'MCP', resourceId: 'key-1' });
+  });
+
+  test('should report skill errors as tool results and unknown tools as protocol errors', async () => {
+    const { call } = createServer({
+      execute: async () => {
+        throw new SkillError('DLP_VIOLATION', 'Request contains sensitive data that cannot be processed', 403);
+      }
+    });
+
+    const failed = await call('tools/call', { name: 'anomaly-detect', arguments: {} });
+    expect(failed.result.isError).toBe(true);
+    expect(failed.result.structuredContent.error).toBe('DLP_VIOLATION');
+
+    const unknown = await call('tools/call', { name: 'nope', arguments: {} });
+    expect(unknown.error.code).toBe(JSONRPC_ERRORS.INVALID_PARAMS);
+  });
+
+  test('should cancel an in-flight call on notifications/cancelled', async () => {
+    const { server, session, call } = createServer({
+      execute: (name, args, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new SkillError('SKILL_CANCELLED', 'Skill run was cancelled', 499)));
+      })
+    });
+
+    const pending = call('tools/call', { name: 'anomaly-detect', arguments: {} }, 'req-1');
+    await new Promise(resolve => setImmediate(resolve));
+    await server.handle(session, { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'req-1' } });
+
+    const reply = await pending;
+    expect(reply.result.structuredContent.error).toBe('SKILL_CANCELLED');
+    expect(session.inFlight.size).toBe(0);
+  });
+});
+
+describe('API key endpoints', () => {
+  const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+  const admin = jwt.sign({ userId: 'user_1', email: 'admin@example.com', tenantId: TENANT.id, role: 'admin' }, JWT_SECRET);
+  const member = jwt.sign({ userId: 'user_2', email: 'member@example.com', tenantId: TENANT.id, role: 'user' }, JWT_SECRET);
+  const app = express()
+    .use(express.json())
+    .use((req, res, next) => { req.tenantId = TENANT.id; req.tenant = { ...TENANT }; next(); })
+    .use('/api-keys', apiKeyRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only let tenant admins list, create and revoke keys', async () => {
+    const list = jest.spyOn(apiKeys, 'list').mockResolvedValue([]);
+    const create = jest.spyOn(apiKeys, 'create').mockResolvedValue({ key: 'sk_test', apiKey: { id: 'key-1' } });
+    const revoke = jest.spyOn(apiKeys, 'revoke').mockResolvedValue(true);
+    const id = '11111111-1111-1111-1111-111111111111';
+
+    await request(app).get('/api-keys').expect(401);
+    await request(app).get('/api-keys').set('Authorization', `Bearer ${member}`).expect(403);
+    await request(app).post('/api-keys').set('Authorization', `Bearer ${member}`).send({ name: 'ci' }).expect(403);
+    await request(app).delete(`/api-keys/${id}`).set('Authorization', `Bearer ${member}`).expect(403);
+    expect(list).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+    expect(revoke).not.toHaveBeenCalled();
+
+    await request(app).get('/api-keys').set('Authorization', `Bearer ${admin}`).expect(200);
+    await request(app).post('/api-keys').set('Authorization', `Bearer ${admin}`).send({ name: 'ci' }).expect(201);
+    await request(app).delete(`/api-keys/${id}`).set('Authorization', `Bearer ${admin}`).expect(200);
+    expect(create).toHaveBeenCalledWith(TENANT.id, expect.objectContaining({ name: 'ci', createdBy: 'admin@example.com' }));
+    expect(revoke).toHaveBeenCalledWith(TENANT.id, id);
+  });
+});
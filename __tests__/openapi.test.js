@@ -0,0 +1,59 @@
+/**
+ * OpenAPI Document Test Suite
+ * Tests the static routes and the per-skill operations generated for a tenant
+ */
+
+const { buildOpenApiDocument } = require('../api/services/openapi');
+const { clientInputSchema } = require('../core/utils/skill-loader');
+const registry = require('../api/services/skill-registry');
+
+const TENANT = {
+  id: '00000000-0000-0000-0000-000000000001',
+  vertical: 'healthcare'
+};
+
+describe('OpenAPI document', () => {
+  test('should describe the static routes', () => {
+    const spec = buildOpenApiDocument({ tenant: TENANT });
+
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.paths['/api/v1/auth/login'].post.requestBody).toBeDefined();
+    expect(spec.paths['/api/v1/documents/upload'].post.requestBody.content).toHaveProperty('multipart/form-data');
+    expect(Object.keys(spec.paths['/api/v1/profiles'])).toEqual(['get', 'post']);
+    expect(spec.paths['/api/v1/exports/{tenant_id}/{filename}'].get).toBeDefined();
+    expect(spec.paths['/api/v1/chat'].post.responses[200].content).toHaveProperty('text/event-stream');
+  });
+
+  test('should add one operation per skill of the tenant vertical', () => {
+    const spec = buildOpenApiDocument({ tenant: TENANT });
+    const skillPaths = Object.keys(spec.paths)
+      .filter(p => p.startsWith('/api/v1/skills/') && !p.includes('{skillName}') && spec.paths[p].post)
+      .map(p => p.replace('/api/v1/skills/', ''));
+
+    expect(skillPaths.sort()).toEqual(registry.list('healthcare').map(s => s.name).sort());
+    expect(spec.paths['/api/v1/skills/phi-redact'].post.requestBody.content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/phi-redact.input' });
+    expect(spec.components.schemas['phi-redact.output']).toBeDefined();
+  });
+
+  test('should leave out disabled and tier-locked skills', () => {
+    const spec = buildOpenApiDocument({
+      tenant: { ...TENANT, subscriptionTier: 'starter', skillSettings: { 'phi-redact': { enabled: false } } }
+    });
+
+    expect(spec.paths['/api/v1/skills/phi-redact']).toBeUndefined();
+    expect(spec.paths['/api/v1/skills/diagnosis-suggest']).toBeUndefined();
+    expect(spec.paths['/api/v1/skills/patient-intake']).toBeDefined();
+  });
+
+  test('should not ask clients for tenant_id', () => {
+    const schema = clientInputSchema({
+      type: 'object',
+      properties: { tenant_id: { type: 'string' }, notes: { type: 'string' } },
+      required: ['tenant_id', 'notes']
+    });
+
+    expect(schema.properties).not.toHaveProperty('tenant_id');
+    expect(schema.required).toEqual(['notes']);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Prompt Tokenizer Test Suite
+ * Tests that sensitive values are tokenized before they reach external LLM
+ * providers and restored in tool inputs and the final response
+ */
+
+const llmProviders = require('../api/services/llm-providers');
+const { MockProvider } = require('../api/services/llm-providers');
+const PromptTokenizer = require('../api/services/prompt-tokenizer');
+const DLPScanner = require('../security/dlp/scanner');
+const { runAgent } = require('../api/services/agent');
+
+const TENANT = { id: '00000000-0000-0000-0000-000000000002', vertical: 'finance', subscriptionTier: 'enterprise' };
+const SSN = '123-45-6789';
+const CARD = '4111111111111111';
+const ACCOUNT = '9876543210';
+
+describe('PromptTokenizer', () => {
+  test('should replace values with stable placeholders and keep labels', () => {
+    const tokenizer = new PromptTokenizer();
+
+    const first = tokenizer.tokenize(`SSN ${SSN}, Account: ${ACCOUNT}, again ${SSN}`);
+    const second = tokenizer.tokenize(`Other SSN 987-65-4321 and ${SSN}`);
+
+    expect(first).toBe('SSN [SSN_1], Account: [ACCOUNT_NUMBER_1], again [SSN_1]');
+    expect(second).toBe('Other SSN [SSN_2] and [SSN_1]');
+    expect(tokenizer.detokenize(second)).toBe(`Other SSN 987-65-4321 and ${SSN}`);
+  });
+
+  test('should restore placeholders inside tool inputs and leave unknown ones', () => {
+    const tokenizer = new PromptTokenizer();
+    tokenizer.tokenize(`Card ${CARD}`);
+
+    expect(tokenizer.detokenize({ text: 'Card [CREDIT_CARD_1]', items: ['[CREDIT_CARD_1]', '[SSN_9]', 3] }))
+      .toEqual({ text: `Card ${CARD}`, items: [CARD, '[SSN_9]', 3] });
+  });
+
+  test('should report what was tokenized without the values', () => {
+    const tokenizer = new PromptTokenizer({ dlp: new DLPScanner(), categories: ['PHI'] });
+    tokenizer.tokenize(`MRN: AB123456, SSN ${SSN}, Card ${CARD}`);
+
+    const findings = tokenizer.findings();
+    expect(findings.map(finding => [finding.type, finding.count])).toEqual([['ssn', 1], ['mrn', 1]]);
+    expect(JSON.stringify(findings)).not.toMatch(/123-45-6789|AB123456/);
+  });
+});
+
+describe('agent tokenization', () => {
+  const savedEnv = {};
+  const audit = { log: jest.fn(async () => 'audit-id') };
+  const context = {
+    tenant: TENANT,
+    vertical: 'finance',
+    audit,
+    documents: [{
+      status: 'processed',
+      originalName: 'statement.pdf',
+      documentType: 'bank_statement'
+    }],
+    passages: [{
+      ref: 1,
+      filename: 'statement.pdf',
+      page: 1,
+      field: null,
+      content: `Holder SSN: ${SSN}\nAccount: ${ACCOUNT}`
+    }]
+  };
+
+  beforeAll(() => {
+    for (const key of ['LLM_PROVIDERS', 'SKILL_ISOLATION']) savedEnv[key] = process.env[key];
+    process.env.LLM_PROVIDERS = 'mock';
+    process.env.SKILL_ISOLATION = 'inline';
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    llmProviders.unregister('mock');
+  });
+
+  beforeEach(() => {
+    audit.log.mockClear();
+  });
+
+  const transcript = {
+    responses: [
+      { toolCalls: [{ id: 'c1', name: 'pci-redact', input: { text: 'Card [CREDIT_CARD_1] for [SSN_1]' } }] },
+      { text: 'Masked the card for [SSN_1] (account [ACCOUNT_NUMBER_1]).' }
+    ]
+  };
+
+  test('should send only placeholders to an external provider', async () => {
+    const mock = llmProviders.register('mock', new MockProvider({ transcript }));
+
+    const result = await runAgent({
+      message: `Mask card ${CARD} for SSN ${SSN}`,
+      tenantId: TENANT.id,
+      context
+    });
+
+    const sent = JSON.stringify(mock.requests);
+    expect(sent).not.toContain(SSN);
+    expect(sent).not.toContain(CARD);
+    expect(sent).not.toContain(ACCOUNT);
+    expect(mock.requests[0].messages[0].content).toBe('Mask card [CREDIT_CARD_1] for SSN [SSN_1]');
+    expect(mock.requests[0].system).toContain('Account: [ACCOUNT_NUMBER_1]');
+
+    // The skill ran on the real values; the model's answer came back restored
+    expect(result.toolResults[0].input).toEqual({ text: `Card ${CARD} for ${SSN}` });
+    expect(result.toolResults[0].output.redacted_text).toMatch(/^Card 41\*{12}11 for/);
+    expect(result.response).toBe(`Masked the card for ${SSN} (account ${ACCOUNT}).`);
+
+    const entry = audit.log.mock.calls.map(([call]) => call).find(call => call.action === 'LLM_PROMPT_TOKENIZED');
+    expect(entry).toMatchObject({ tenantId: TENANT.id, resourceType: 'llm_provider', resourceId: 'mock', phiDetected: true });
+    expect(entry.dlpFindings.map(finding => finding.type).sort()).toEqual(['accountNumber', 'creditCard', 'ssn']);
+    expect(JSON.stringify(entry)).not.toContain(SSN);
+  });
+
+  test('should not tokenize for a provider on this machine', async () => {
+    const mock = llmProviders.register('mock', new MockProvider({ transcript: { responses: [{ text: 'ok' }] }, external: false }));
+
+    await runAgent({ message: `SSN ${SSN}`, tenantId: TENANT.id, context });
+
+    expect(mock.requests[0].messages[0].content).toBe(`SSN ${SSN}`);
+    expect(audit.log).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'LLM_PROMPT_TOKENIZED' }));
+  });
+});
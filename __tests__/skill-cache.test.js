@@ -0,0 +1,177 @@
+/**
+ * Skill Cache and Idempotency Test Suite
+ * Tests result caching in the registry (storage is stubbed) and the Idempotency-Key middleware
+ */
+
+const sharedRegistry = require('../api/services/skill-registry');
+const { SkillRegistry } = require('../api/services/skill-registry');
+const { SkillCache } = require('../api/services/skill-cache');
+const { IdempotencyStore } = require('../api/services/idempotency');
+
+const TENANT = { id: '00000000-0000-0000-0000-000000000002', vertical: 'finance' };
+
+const MATCH_INPUT = {
+  bank_transactions: [{ id: 'b1', date: '2024-06-01', amount: -100, description: 'Rent' }],
+  ledger_entries: [{ id: 'l1', date: '2024-06-01', amount: -100, description: 'Rent' }]
+};
+
+function createCache() {
+  const entries = new Map();
+  const cache = new SkillCache({ db: {} });
+  cache.get = jest.fn(async (skill, tenantId, input, config) => entries.get(cache.key(input, config)) || null);
+  cache.set = jest.fn(async (skill, tenantId, input, config, result, meta) => {
+    entries.set(cache.key(input, config), { result, meta, cachedAt: new Date('2024-06-15T12:00:00Z') });
+  });
+  return cache;
+}
+
+describe('skill result cache', () => {
+  const registry = new SkillRegistry({ isolation: 'inline' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve a repeated run of a cacheable skill from the cache', async () => {
+    const cache = createCache();
+
+    const first = await registry.execute('transaction-match', MATCH_INPUT, { tenant: TENANT, cache });
+    const second = await registry.execute('transaction-match', { ...MATCH_INPUT }, { tenant: TENANT, cache });
+
+    expect(first.meta.cached).toBe(false);
+    expect(second.meta).toMatchObject({ cached: true, cached_at: '2024-06-15T12:00:00.000Z' });
+    expect(second.result).toEqual(first.result);
+    expect(cache.set).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run again for other configuration, refreshCache and skills that do not opt in', async () => {
+    const cache = createCache();
+    const input = { transactions: [{ id: 'm1', amount: -80, description: 'Client dinner', vendor: 'Bistro' }] };
+    const withRate = (rate) => ({ ...TENANT, skillSettings: { 'tax-categorize': { config: { meal_deduction_rate: rate } } } });
+
+    await registry.execute('tax-categorize', input, { tenant: withRate(0.5), cache });
+    const otherConfig = await registry.execute('tax-categorize', input, { tenant: withRate(0.8), cache });
+    const refreshed = await registry.execute('tax-categorize', input, { tenant: withRate(0.5), cache, refreshCache: true });
+    const uncached = await registry.execute('pci-redact', { text: 'hello' }, { tenant: TENANT, cache });
+
+    expect(otherConfig.meta.cached).toBe(false);
+    expect(refreshed.meta.cached).toBe(false);
+    expect(uncached.meta.cached).toBeUndefined();
+    expect(cache.set).toHaveBeenCalledTimes(3);
+  });
+
+  test('should key on input regardless of key order and tag profile and document dependencies', () => {
+    const cache = new SkillCache({ db: {} });
+
+    expect(cache.key({ a: 1, b: { c: 2, d: 3 }, tenant_id: 'x' }))
+      .toBe(cache.key({ b: { d: 3, c: 2 }, a: 1, tenant_id: 'y' }));
+    expect(cache.key({ a: 1 }, { rate: 0.5 })).not.toBe(cache.key({ a: 1 }, { rate: 0.8 }));
+    expect(cache.dependencies({ profile_name: 'acme-2024', document_ids: ['d1', 'd2'] }))
+      .toEqual(['profile:acme-2024', 'document:d1', 'document:d2']);
+  });
+
+  test('should not cache skills that write to the database', () => {
+    const cache = new SkillCache({ db: {} });
+
+    expect(cache.policy(registry.get('doc-extract'))).toBeNull();
+    expect(cache.policy(registry.get('transaction-match'))).toEqual({ ttlSeconds: 86400 });
+  });
+
+  test('should not use the shared cache for skills a skill runs itself', async () => {
+    const nested = jest.spyOn(sharedRegistry, 'execute')
+      .mockResolvedValue({ result: { success: true, categorized: [], needs_review: [] }, meta: {} });
+    const db = { query: jest.fn(async () => ({ rows: [] })) };
+    const files = { write: jest.fn(async (filePath) => ({ path: filePath })) };
+
+    await sharedRegistry.get('export-to-excel').execute({ input: { profile_name: 'acme-2024', tenant_id: TENANT.id }, db, files });
+
+    expect(nested).toHaveBeenCalledWith('tax-prep-automate', expect.any(Object), expect.objectContaining({ db, files, cache: null }));
+  });
+});
+
+describe('Idempotency-Key middleware', () => {
+  function createRequest(key) {
+    const listeners = {};
+    const req = {
+      method: 'POST',
+      originalUrl: '/api/v1/skills/appointment-schedule',
+      body: { action: 'create' },
+      tenant: TENANT,
+      get: (name) => (name.toLowerCase() === 'idempotency-key' ? key : undefined)
+    };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      set: jest.fn(function (name, value) { this.headers[name] = value; return this; }),
+      json: jest.fn(function (body) { this.body = body; return this; }),
+      on: (event, listener) => { listeners[event] = listener; },
+      emit: (event) => listeners[event]?.()
+    };
+    return { req, res };
+  }
+
+  function createStore(claim) {
+    const store = new IdempotencyStore({ db: {} });
+    store.begin = jest.fn(claim);
+    store.complete = jest.fn(async () => {});
+    store.release = jest.fn(async () => {});
+    return store;
+  }
+
+  test('should pass requests without the header straight through', async () => {
+    const store = createStore(async () => ({ state: 'new' }));
+    const { req, res } = createRequest(undefined);
+    const next = jest.fn();
+
+    await store.middleware()(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(store.begin).not.toHaveBeenCalled();
+  });
+
+  test('should store the first response and release the key on server errors', async () => {
+    const store = createStore(async () => ({ state: 'new' }));
+
+    const ok = createRequest('key-1');
+    await store.middleware()(ok.req, ok.res, () => ok.res.status(201).json({ success: true }));
+    ok.res.emit('close');
+    expect(store.complete).toHaveBeenCalledWith(TENANT.id, 'key-1', 201, { success: true });
+    expect(store.release).not.toHaveBeenCalled();
+
+    const failed = createRequest('key-2');
+    await store.middleware()(failed.req, failed.res, () => failed.res.status(500).json({ error: 'SKILL_EXECUTION_ERROR' }));
+    expect(store.release).toHaveBeenCalledWith(TENANT.id, 'key-2');
+  });
+
+  test('should replay a stored response without running the handler', async () => {
+    const store = createStore(async () => ({ state: 'replay', status: 201, body: { success: true, appointment: { id: 'a1' } } }));
+    const { req, res } = createRequest('key-1');
+    const next = jest.fn();
+
+    await store.middleware()(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.body.appointment.id).toBe('a1');
+  });
+
+  test('should reject reused and malformed keys', async () => {
+    const store = createStore(async () => {
+      const error = new Error('This Idempotency-Key was already used for a different request');
+      error.code = 'IDEMPOTENCY_KEY_MISMATCH';
+      error.status = 422;
+      throw error;
+    });
+
+    const reused = createRequest('key-1');
+    await store.middleware()(reused.req, reused.res, jest.fn());
+    expect(reused.res.statusCode).toBe(422);
+    expect(reused.res.body.error).toBe('IDEMPOTENCY_KEY_MISMATCH');
+
+    const tooLong = createRequest('k'.repeat(256));
+    await store.middleware()(tooLong.req, tooLong.res, jest.fn());
+    expect(tooLong.res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Skill Contract Test Suite
+ * Checks every discovered skill's exports and runs its golden fixtures
+ * (verticals/<vertical>/skills/<name>/fixtures/*.json).
+ *
+ * Update the expected outputs after an intended change with:
+ *   npm run test:fixtures:update
+ */
+
+const path = require('path');
+const { SkillRegistry } = require('../api/services/skill-registry');
+const { loadFixtures, runFixture, updateFixture } = require('../core/utils/skill-fixtures');
+
+const SEMVER = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+const registry = new SkillRegistry({ isolation: 'inline' });
+const skills = registry.list().sort((a, b) => a.name.localeCompare(b.name));
+
+describe('skill contracts', () => {
+  test('should discover skills in every vertical', () => {
+    expect(registry.verticals().sort()).toEqual(['finance', 'healthcare']);
+  });
+
+  describe.each(skills.map(skill => [skill.name, skill]))('%s', (name, skill) => {
+    test('should export name, vertical, tier and version', () => {
+      const skillDir = path.dirname(skill._path);
+
+      expect(skill.name).toBe(path.basename(skillDir));
+      expect(skill._vertical).toBe(path.basename(path.resolve(skillDir, '../..')));
+      if (skill.vertical) expect(skill.vertical).toBe(skill._vertical);
+      expect([1, 2, 3]).toContain(skill.tier || 1);
+      expect(skill.version).toMatch(SEMVER);
+      expect(typeof skill.description).toBe('string');
+      expect(skill.description.length).toBeGreaterThan(0);
+      expect(typeof skill.execute).toBe('function');
+      if (skill.cache) expect(skill.cache.ttlSeconds).toBeGreaterThan(0);
+    });
+
+    test('should declare an object input schema (and output schema, when it has one)', () => {
+      expect(skill.inputSchema).toMatchObject({ type: 'object' });
+      expect(skill.inputSchema.required || []).toContain('tenant_id');
+      if (skill.outputSchema) expect(skill.outputSchema).toMatchObject({ type: 'object' });
+    });
+
+    test('should have golden fixtures', () => {
+      expect(loadFixtures(skill).length).toBeGreaterThan(0);
+    });
+
+    const fixtures = loadFixtures(skill);
+    if (fixtures.length === 0) return;
+
+    test.each(fixtures.map(f => [f.name, f]))('fixture %s', async (_, { file, fixture }) => {
+      const outcome = await runFixture(registry, skill, fixture);
+
+      if (UPDATE) {
+        fixture = updateFixture(file, fixture, outcome);
+      }
+
+      if (fixture.expectedError) {
+        expect(outcome.error).toMatchObject(fixture.expectedError);
+        return;
+      }
+
+      expect(outcome.error).toBeUndefined();
+      expect(outcome.outputValid).toBe(true);
+      expect(outcome.result).toEqual(fixture.expected);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Skill Gateway Test Suite
+ * Tests batch execution: partial success, per-item auditing and bounded concurrency
+ */
+
+const { SkillRegistry } = require('../api/services/skill-registry');
+const { SkillGateway } = require('../api/services/skill-gateway');
+
+const TENANT = {
+  id: '00000000-0000-0000-0000-000000000002',
+  vertical: 'finance',
+  subscriptionTier: 'enterprise',
+  dlpStrictMode: false
+};
+
+function createGateway(registry = new SkillRegistry({ isolation: 'inline' })) {
+  const audit = { log: jest.fn(async () => 'audit-id') };
+  const db = { query: async () => ({ rows: [] }), setTenantContext: async () => {} };
+  return { gateway: new SkillGateway({ registry, audit, db }), audit };
+}
+
+describe('SkillGateway.executeBatch', () => {
+  test('should return per-item results and errors without failing the batch', async () => {
+    const { gateway } = createGateway();
+
+    const { items, summary } = await gateway.executeBatch('pci-redact', [
+      { text: 'Card 4111111111111111' },
+      { redaction_strategy: 'mask' },
+      ['not', 'an', 'object']
+    ], { tenant: TENANT });
+
+    expect(summary).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+    expect(items[0].success).toBe(true);
+    expect(items[0].result.redacted_text).not.toContain('4111111111111111');
+    expect(items[1].error.code).toBe('INVALID_SKILL_INPUT');
+    expect(items[2].error.code).toBe('INVALID_SKILL_INPUT');
+  });
+
+  test('should write one audit record per item linked by the batch id', async () => {
+    const { gateway, audit } = createGateway();
+
+    const { batchId } = await gateway.executeBatch('pci-redact', [
+      { text: 'nothing sensitive' },
+      { text: 'routing 021000021' },
+      {}
+    ], { tenant: TENANT });
+
+    const entries = audit.log.mock.calls.map(([entry]) => entry);
+    const itemEntries = entries.filter(e => e.action.startsWith('SKILL_EXECUTION_'));
+
+    expect(itemEntries).toHaveLength(3);
+    expect(itemEntries.every(e => e.resourceType === 'skill_batch' && e.resourceId === batchId)).toBe(true);
+    expect(entries.filter(e => e.action === 'SKILL_BATCH_COMPLETED')).toEqual([
+      expect.objectContaining({ resourceId: batchId, skillName: 'pci-redact' })
+    ]);
+  });
+
+  test('should run at most the requested number of items at once', async () => {
+    const registry = new SkillRegistry({ isolation: 'inline' });
+    let running = 0;
+    let peak = 0;
+    const run = registry.run.bind(registry);
+    registry.run = async (...args) => {
+      peak = Math.max(peak, ++running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return run(...args);
+    };
+    const { gateway } = createGateway(registry);
+
+    const inputs = Array.from({ length: 7 }, (_, i) => ({ text: `record ${i}` }));
+    const { summary } = await gateway.executeBatch('pci-redact', inputs, { tenant: TENANT, concurrency: 2 });
+
+    expect(summary.succeeded).toBe(7);
+    expect(peak).toBe(2);
+  });
+
+  test('should fail the whole batch when the tenant cannot run the skill', async () => {
+    const { gateway } = createGateway();
+
+    await expect(gateway.executeBatch('fraud-detection-scan', [{ transactions: [] }], {
+      tenant: { ...TENANT, subscriptionTier: 'starter' }
+    })).rejects.toMatchObject({ code: 'SKILL_TIER_REQUIRED' });
+  });
+});
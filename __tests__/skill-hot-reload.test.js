@@ -0,0 +1,102 @@
+/**
+ * Skill Hot Reload Test Suite
+ * Tests re-registering edited skills and reporting load errors, on a
+ * temporary verticals directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SkillRegistry } = require('../api/services/skill-registry');
+const { SkillWatcher } = require('../api/services/skill-watcher');
+
+const TENANT = { id: '00000000-0000-0000-0000-000000000004', vertical: 'finance' };
+
+function skillSource(version, greeting) {
+  return `module.exports = {
+  name: 'greet',
+  version: '${version}',
+  description: 'Greets',
+  inputSchema: { type: 'object', properties: {}, required: ['tenant_id'] },
+  async execute() { return { greeting: '${greeting}' }; }
+};
+`;
+}
+
+// Jest keeps its own module registry, so resetModules stands in for the require cache purge
+function edit(file, source) {
+  fs.writeFileSync(file, source);
+  jest.resetModules();
+}
+
+describe('skill hot reload', () => {
+  let verticalsPath;
+  let skillFile;
+  let registry;
+
+  beforeEach(() => {
+    verticalsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'verticals-'));
+    skillFile = path.join(verticalsPath, 'finance', 'skills', 'greet', 'execute.js');
+    fs.mkdirSync(path.dirname(skillFile), { recursive: true });
+    fs.writeFileSync(skillFile, skillSource('1.0.0', 'hello'));
+    registry = new SkillRegistry({ verticalsPath, isolation: 'inline' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(verticalsPath, { recursive: true, force: true });
+  });
+
+  test('should pick up an edited skill without a restart', async () => {
+    expect((await registry.execute('greet', {}, { tenant: TENANT })).result.greeting).toBe('hello');
+
+    edit(skillFile, skillSource('1.1.0', 'hi there'));
+    const outcome = registry.reloadSkill('finance', 'greet');
+
+    expect(outcome).toEqual({ status: 'loaded', skill: 'greet', version: '1.1.0' });
+    expect((await registry.execute('greet', {}, { tenant: TENANT })).result.greeting).toBe('hi there');
+  });
+
+  test('should keep the last good version and report the error when an edit breaks the skill', async () => {
+    registry.load();
+
+    edit(skillFile, 'module.exports = { name: "greet", execute( };');
+    const outcome = registry.reloadSkill('finance', 'greet');
+
+    expect(outcome.status).toBe('failed');
+    expect(registry.loadErrors).toEqual([expect.objectContaining({ vertical: 'finance', skill: 'greet', path: skillFile })]);
+    expect((await registry.execute('greet', {}, { tenant: TENANT })).result.greeting).toBe('hello');
+
+    edit(skillFile, skillSource('1.0.1', 'fixed'));
+    registry.reloadSkill('finance', 'greet');
+    expect(registry.loadErrors).toEqual([]);
+  });
+
+  test('should unregister a deleted skill', () => {
+    registry.load();
+
+    fs.rmSync(path.dirname(skillFile), { recursive: true });
+
+    expect(registry.reloadSkill('finance', 'greet')).toEqual({ status: 'removed', skill: 'greet' });
+    expect(registry.has('greet')).toBe(false);
+  });
+
+  test('should debounce changes per skill and ignore fixtures', () => {
+    jest.useFakeTimers();
+    try {
+      const watcher = new SkillWatcher({ registry, debounceMs: 100 });
+      registry.reloadSkill = jest.fn(() => ({ status: 'loaded', skill: 'greet', version: '1.0.0' }));
+
+      watcher.onChange(path.join('finance', 'skills', 'greet', 'execute.js'));
+      watcher.onChange(path.join('finance', 'skills', 'greet', 'helpers.js'));
+      watcher.onChange(path.join('finance', 'skills', 'greet', 'fixtures', 'basic.json'));
+      watcher.onChange(path.join('finance', 'workflows', 'monthly.json'));
+      jest.advanceTimersByTime(100);
+
+      expect(registry.reloadSkill).toHaveBeenCalledTimes(1);
+      expect(registry.reloadSkill).toHaveBeenCalledWith('finance', 'greet');
+      expect(watcher.status().recentReloads[0]).toMatchObject({ vertical: 'finance', skill: 'greet', status: 'loaded' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
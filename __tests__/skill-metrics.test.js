@@ -0,0 +1,122 @@
+/**
+ * Skill Metrics Test Suite
+ * Tests run recording, the Prometheus exposition, the metrics route and the
+ * audit-based per-skill statistics
+ */
+
+const express = require('express');
+const request = require('supertest');
+const AuditLogger = require('../security/audit/logger');
+const skillMetrics = require('../api/services/skill-metrics');
+const { SkillMetrics } = require('../api/services/skill-metrics');
+const { SkillRegistry } = require('../api/services/skill-registry');
+const { SkillGateway } = require('../api/services/skill-gateway');
+const metricsRoutes = require('../api/routes/metrics');
+
+const TENANT = {
+  id: '00000000-0000-0000-0000-000000000002',
+  vertical: 'finance',
+  dlpStrictMode: true
+};
+
+describe('SkillMetrics', () => {
+  test('should count runs by outcome and bucket their durations', () => {
+    const metrics = new SkillMetrics();
+
+    metrics.record({ skill: 'pci-redact', version: '1.0.0', tenantId: 't1', outcome: 'success', durationMs: 40 });
+    metrics.record({ skill: 'pci-redact', version: '1.0.0', tenantId: 't1', outcome: 'success', durationMs: 3000 });
+    metrics.record({ skill: 'pci-redact', version: '1.0.0', tenantId: 't1', outcome: 'blocked' });
+
+    const text = metrics.toPrometheus();
+    const labels = 'skill="pci-redact",version="1.0.0",tenant="t1"';
+
+    expect(text).toContain(`skill_executions_total{${labels},outcome="success"} 2`);
+    expect(text).toContain(`skill_executions_total{${labels},outcome="blocked"} 1`);
+    expect(text).toContain(`skill_execution_duration_seconds_bucket{${labels},le="0.05"} 1`);
+    expect(text).toContain(`skill_execution_duration_seconds_bucket{${labels},le="5"} 2`);
+    expect(text).toContain(`skill_execution_duration_seconds_bucket{${labels},le="+Inf"} 2`);
+    expect(text).toContain(`skill_execution_duration_seconds_count{${labels}} 2`);
+    expect(() => metrics.record({ skill: 'x', outcome: 'maybe' })).toThrow('Unknown skill outcome');
+  });
+
+  test('should record registry runs and gateway DLP blocks', async () => {
+    const metrics = new SkillMetrics();
+    const registry = new SkillRegistry({ isolation: 'inline', metrics });
+    const gateway = new SkillGateway({
+      registry,
+      metrics,
+      audit: { log: jest.fn(async () => 'audit-id') },
+      cache: null
+    });
+
+    await registry.execute('pci-redact', { text: 'hello' }, { tenant: TENANT });
+    await expect(registry.execute('pci-redact', {}, { tenant: TENANT })).rejects.toThrow();
+    await expect(registry.execute('no-such-skill', {}, { tenant: TENANT })).rejects.toThrow();
+    await expect(gateway.execute('pci-redact', { text: 'Card 4111111111111111' }, { tenant: TENANT }))
+      .rejects.toMatchObject({ code: 'DLP_VIOLATION' });
+
+    const counts = Object.fromEntries([...metrics.executions.values()]
+      .map(({ labels, count }) => [`${labels.skill}:${labels.outcome}`, count]));
+    expect(counts).toEqual({ 'pci-redact:success': 1, 'pci-redact:error': 1, 'pci-redact:blocked': 1 });
+  });
+});
+
+describe('GET /metrics', () => {
+  const app = express().use('/metrics', metricsRoutes);
+  const originalToken = process.env.METRICS_TOKEN;
+
+  afterEach(() => {
+    if (originalToken === undefined) delete process.env.METRICS_TOKEN;
+    else process.env.METRICS_TOKEN = originalToken;
+  });
+
+  test('should serve the Prometheus text format and require the token when one is set', async () => {
+    skillMetrics.record({ skill: 'tax-categorize', version: '1.1.0', tenantId: 't1', outcome: 'cached' });
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    await request(app).get('/metrics').expect(401);
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain('skill_executions_total{skill="tax-categorize",version="1.1.0",tenant="t1",outcome="cached"} 1');
+  });
+});
+
+describe('AuditLogger.getSkillStats', () => {
+  test('should return totals and per-version rates and percentiles', async () => {
+    const logger = new AuditLogger({});
+    logger.initialized = true;
+    logger.pool = {
+      query: jest.fn(async () => ({
+        rows: [
+          { skill_version: null, is_total: 1, succeeded: '7', dryruns: '1', cached: '1', failed: '1', blocked: '2', p50_ms: 120.4, p95_ms: 900 },
+          { skill_version: '1.0.0', is_total: 0, succeeded: '3', dryruns: '0', cached: '0', failed: '1', blocked: '0', p50_ms: 150, p95_ms: 900 },
+          { skill_version: '1.1.0', is_total: 0, succeeded: '4', dryruns: '1', cached: '1', failed: '0', blocked: '2', p50_ms: null, p95_ms: null }
+        ]
+      }))
+    };
+
+    const stats = await logger.getSkillStats({ tenantId: TENANT.id, skillName: 'tax-categorize', startDate: '2024-06-01' });
+
+    expect(stats.total).toEqual({
+      executions: 10,
+      succeeded: 7,
+      dryRuns: 1,
+      cached: 1,
+      failed: 1,
+      blocked: 2,
+      errorRate: 0.1,
+      dlpBlockRate: 2 / 12,
+      p50Ms: 120,
+      p95Ms: 900
+    });
+    expect(stats.versions.map(v => [v.version, v.executions, v.errorRate])).toEqual([['1.0.0', 4, 0.25], ['1.1.0', 6, 0]]);
+    expect(logger.pool.query.mock.calls[0][1]).toEqual([
+      TENANT.id,
+      'tax-categorize',
+      expect.arrayContaining(['SKILL_EXECUTION_SUCCESS', 'SKILL_EXECUTION_BLOCKED']),
+      '2024-06-01'
+    ]);
+    await expect(logger.getSkillStats({ tenantId: TENANT.id })).rejects.toThrow('skillName');
+  });
+});
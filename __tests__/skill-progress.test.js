@@ -0,0 +1,169 @@
+/**
+ * Skill Progress Test Suite
+ * Tests progress reports from skills (inline and in worker threads), their
+ * delivery through the job queue and the job events stream
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { SkillRegistry } = require('../api/services/skill-registry');
+const { JobQueue } = require('../api/services/job-queue');
+const jobQueue = require('../api/services/job-queue');
+const jobRoutes = require('../api/routes/jobs');
+
+const TENANT = { id: '00000000-0000-0000-0000-000000000005', vertical: 'finance' };
+const JOB_ID = '22222222-2222-2222-2222-222222222222';
+
+const SKILL_SOURCE = `module.exports = {
+  name: 'count-up',
+  version: '1.0.0',
+  description: 'Reports progress',
+  inputSchema: { type: 'object', properties: {}, required: ['tenant_id'] },
+  async execute({ progress }) {
+    progress(25, 'Started');
+    progress(62.6, 'Halfway', { rows: 2 });
+    progress(150, 'Overshoot');
+    return { done: true };
+  }
+};
+`;
+
+describe('skill progress', () => {
+  let verticalsPath;
+
+  beforeAll(() => {
+    verticalsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'verticals-'));
+    const skillFile = path.join(verticalsPath, 'finance', 'skills', 'count-up', 'execute.js');
+    fs.mkdirSync(path.dirname(skillFile), { recursive: true });
+    fs.writeFileSync(skillFile, SKILL_SOURCE);
+  });
+
+  afterAll(() => {
+    fs.rmSync(verticalsPath, { recursive: true, force: true });
+  });
+
+  test.each(['inline', 'worker'])('should forward clamped reports to onProgress (%s)', async (isolation) => {
+    const registry = new SkillRegistry({ verticalsPath, isolation });
+    const onProgress = jest.fn();
+
+    try {
+      await registry.execute('count-up', {}, { tenant: TENANT, onProgress });
+    } finally {
+      await registry.pool?.destroy();
+    }
+
+    expect(onProgress.mock.calls.map(([event]) => event)).toEqual([
+      { progress: 25, message: 'Started' },
+      { progress: 63, message: 'Halfway', partialResult: { rows: 2 } },
+      { progress: 100, message: 'Overshoot' }
+    ]);
+  });
+
+  test('should not fail the skill when a listener throws', async () => {
+    const registry = new SkillRegistry({ verticalsPath, isolation: 'inline' });
+    const onProgress = () => { throw new Error('listener broke'); };
+
+    const { result } = await registry.execute('count-up', {}, { tenant: TENANT, onProgress });
+
+    expect(result.done).toBe(true);
+  });
+});
+
+describe('JobQueue progress', () => {
+  test('should emit every report to subscribers and store them throttled', async () => {
+    jest.useFakeTimers();
+    try {
+      const db = { query: jest.fn(async () => ({ rows: [] })) };
+      const queue = new JobQueue({
+        db,
+        audit: { log: jest.fn(async () => 'audit-id') },
+        progressIntervalMs: 1000,
+        registry: {
+          execute: async (name, input, { onProgress }) => {
+            onProgress({ progress: 10, message: 'one' });
+            onProgress({ progress: 20, message: 'two' });
+            onProgress({ progress: 30, message: 'three', partialResult: { section: 'a' } });
+            return { result: { ok: true }, meta: {} };
+          }
+        }
+      });
+      const events = [];
+      queue.subscribe(JOB_ID, event => events.push(event));
+
+      await queue.process({ id: JOB_ID, tenant_id: TENANT.id, tenant_context: TENANT, skill_name: 'count-up', input: {}, attempts: 1, max_attempts: 3 });
+      jest.advanceTimersByTime(1000);
+
+      expect(events).toEqual([
+        { type: 'progress', progress: 10, message: 'one' },
+        { type: 'progress', progress: 20, message: 'two' },
+        { type: 'progress', progress: 30, message: 'three', partialResult: { section: 'a' } },
+        { type: 'finished' }
+      ]);
+      // Only the first report is stored, the trailing write is dropped once the run finished
+      const progressWrites = db.query.mock.calls.filter(([sql]) => /SET progress/.test(sql));
+      expect(progressWrites.map(([, params]) => params.slice(1))).toEqual([[10, 'one']]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('GET /api/v1/jobs/:id/events', () => {
+  const app = express()
+    .use((req, res, next) => { req.tenant = TENANT; next(); })
+    .use('/jobs', jobRoutes);
+
+  const row = (overrides) => ({
+    id: JOB_ID,
+    skill_name: 'count-up',
+    status: 'running',
+    progress: 0,
+    progress_message: null,
+    attempts: 1,
+    max_attempts: 3,
+    ...overrides
+  });
+
+  const parse = (text) => text.split('\n\n').filter(block => block.startsWith('event:')).map((block) => {
+    const [event, data] = block.split('\n');
+    return [event.slice('event: '.length), JSON.parse(data.slice('data: '.length))];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should stream local progress and close once the job finished', async () => {
+    const rows = [row(), row({ status: 'succeeded', progress: 100, result: { done: true } })];
+    jest.spyOn(jobQueue, 'get').mockImplementation(async () => rows.length > 1 ? rows.shift() : rows[0]);
+    jest.spyOn(jobQueue, 'subscribe').mockImplementation((id, listener) => {
+      setImmediate(() => {
+        listener({ type: 'progress', progress: 40, message: 'Building', partialResult: { section: 'a' } });
+        listener({ type: 'finished' });
+      });
+      return () => {};
+    });
+
+    const res = await request(app).get(`/jobs/${JOB_ID}/events`).expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(parse(res.text)).toEqual([
+      ['job', expect.objectContaining({ id: JOB_ID, status: 'running' })],
+      ['progress', { progress: 40, message: 'Building', partialResult: { section: 'a' } }],
+      ['job', expect.objectContaining({ status: 'succeeded' })],
+      ['done', expect.objectContaining({ status: 'succeeded', result: { done: true } })]
+    ]);
+  });
+
+  test('should end right away for finished jobs and 404 unknown ones', async () => {
+    jest.spyOn(jobQueue, 'get').mockImplementation(async (id) => id === JOB_ID ? row({ status: 'failed' }) : null);
+
+    const res = await request(app).get(`/jobs/${JOB_ID}/events`).expect(200);
+    expect(parse(res.text).map(([event]) => event)).toEqual(['job', 'done']);
+
+    await request(app).get('/jobs/33333333-3333-3333-3333-333333333333/events').expect(404);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Skill Registry Test Suite
+ * Tests discovery, vertical filtering, the execution context contract and
+ * who may change a tenant's skill settings and version pins
+ */
+
+// Spies on skill.execute need the skill to run on this thread
+process.env.SKILL_ISOLATION = 'inline';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const registry = require('../api/services/skill-registry');
+const { SkillRegistry, SkillError } = require('../api/services/skill-registry');
+const skillSettings = require('../api/services/skill-settings');
+const AuditLogger = require('../security/audit/logger');
+const skillRoutes = require('../api/routes/skills');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+const TENANT = {
+  id: '00000000-0000-0000-0000-000000000001',
+  vertical: 'healthcare'
+};
+
+describe('SkillRegistry', () => {
+  test('should discover skills from every vertical', () => {
+    expect(registry.verticals().sort()).toEqual(['finance', 'healthcare']);
+    expect(registry.list('finance').every(s => s._vertical === 'finance')).toBe(true);
+    expect(registry.getToolDefinitions('healthcare').map(t => t.name)).toContain('phi-redact');
+  });
+
+  test('should reject a skill outside the requested vertical', () => {
+    expect(() => registry.get('tax-categorize', 'healthcare')).toThrow(SkillError);
+    expect(() => registry.get('tax-categorize', 'healthcare')).toThrow(/in vertical healthcare/);
+  });
+
+  test('should build the same context contract for every caller', () => {
+    const context = registry.buildContext({ a: 1 }, { tenantId: TENANT.id, vertical: 'healthcare', userId: 'u1' });
+
+    expect(context.tenant).toEqual(TENANT);
+    expect(context.user).toEqual({ id: 'u1' });
+    expect(typeof context.db.query).toBe('function');
+    expect(typeof context.dlp.scan).toBe('function');
+    expect(typeof context.audit.log).toBe('function');
+    expect(Object.getOwnPropertyDescriptor(context, 'encryption').get).toBeDefined();
+  });
+
+  test('should execute with tenant_id taken from the tenant', async () => {
+    const skill = registry.get('phi-redact');
+    const execute = jest.spyOn(skill, 'execute').mockResolvedValue({ redacted_text: 'x' });
+
+    const { meta } = await registry.execute('phi-redact', {
+      text: 'Patient John Doe',
+      tenant_id: '00000000-0000-0000-0000-000000000099'
+    }, { tenant: TENANT });
+
+    expect(execute.mock.calls[0][0].input.tenant_id).toBe(TENANT.id);
+    expect(execute.mock.calls[0][0].tenant).toBe(TENANT);
+    expect(meta).toMatchObject({ skill: 'phi-redact', vertical: 'healthcare' });
+
+    execute.mockRestore();
+  });
+});
+
+describe('SkillRegistry versions', () => {
+  const skillSource = (version, rate) => `module.exports = {
+    name: 'meal-rate',
+    version: '${version}',
+    async execute({ input }) { return { deductible: input.amount * ${rate} }; }
+  };`;
+
+  let dir;
+  let versioned;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skill-versions-'));
+    const skillDir = path.join(dir, 'finance', 'skills', 'meal-rate');
+    fs.mkdirSync(path.join(skillDir, 'versions', '1.0.0'), { recursive: true });
+    fs.writeFileSync(path.join(skillDir, 'execute.js'), skillSource('1.1.0', 1));
+    fs.writeFileSync(path.join(skillDir, 'versions', '1.0.0', 'execute.js'), skillSource('1.0.0', 0.5));
+
+    versioned = new SkillRegistry({ verticalsPath: dir, isolation: 'inline' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should hold every version side by side', () => {
+    expect(versioned.get('meal-rate').version).toBe('1.1.0');
+    expect(versioned.get('meal-rate', null, '1.0.0').version).toBe('1.0.0');
+    expect(versioned.versionsOf('meal-rate')).toEqual(['1.1.0', '1.0.0']);
+  });
+
+  test('should run the version the tenant pinned', async () => {
+    const tenant = { id: TENANT.id, vertical: 'finance', skillSettings: { 'meal-rate': { version: '1.0.0' } } };
+
+    const pinned = await versioned.execute('meal-rate', { amount: 100 }, { tenant });
+    expect(pinned.result).toEqual({ deductible: 50 });
+    expect(pinned.meta).toMatchObject({ version: '1.0.0', pinned: true });
+
+    const current = await versioned.execute('meal-rate', { amount: 100 }, { tenant: { id: TENANT.id } });
+    expect(current.result).toEqual({ deductible: 100 });
+    expect(current.meta).toMatchObject({ version: '1.1.0', pinned: false });
+  });
+
+  test('should reject unknown versions', async () => {
+    await expect(versioned.execute('meal-rate', {}, { tenant: TENANT, version: '2.0.0' }))
+      .rejects.toMatchObject({ code: 'SKILL_VERSION_NOT_FOUND', status: 404 });
+  });
+});
+
+describe('SkillRegistry tenant settings', () => {
+  const tenant = (overrides = {}) => ({ ...TENANT, vertical: 'finance', ...overrides });
+
+  test('should hide skills a tenant disabled or whose tier it lacks', () => {
+    const sox = registry.get('compliance-check-sox'); // tier 2
+
+    expect(registry.checkAccess(sox, tenant({ subscriptionTier: 'professional' })).allowed).toBe(true);
+    expect(registry.checkAccess(sox, tenant({ subscriptionTier: 'starter' })).code).toBe('SKILL_TIER_REQUIRED');
+    expect(registry.checkAccess(sox, tenant({
+      skillSettings: { 'compliance-check-sox': { enabled: false } }
+    })).code).toBe('SKILL_DISABLED');
+
+    const names = registry.listForTenant(tenant({ subscriptionTier: 'starter' })).map(s => s.name);
+    expect(names).toContain('tax-categorize');
+    expect(names).not.toContain('compliance-check-sox');
+  });
+
+  test('should refuse to execute a disabled skill', async () => {
+    await expect(registry.execute('tax-categorize', { transactions: [] }, {
+      tenant: tenant({ skillSettings: { 'tax-categorize': { enabled: false } } })
+    })).rejects.toMatchObject({ code: 'SKILL_DISABLED', status: 403 });
+  });
+
+  test('should run skills with the tenant configuration', async () => {
+    const transactions = [
+      { amount: 5000, description: 'Server purchase' },
+      { amount: 500, description: 'Office chairs', approved_by: 'cfo' }
+    ];
+    const run = (config) => registry.execute('compliance-check-sox', { transactions }, {
+      tenant: tenant({ skillSettings: config && { 'compliance-check-sox': { config } } })
+    });
+    const sox002 = ({ result }) => result.results.find(c => c.control_id === 'SOX-002');
+
+    expect(sox002(await run()).findings).toEqual(['1 transactions over $1000 without approval']);
+    expect(sox002(await run({ approval_limit: 10000 })).findings).toEqual([]);
+  });
+});
+
+describe('skill settings endpoints', () => {
+  const tenant = { ...TENANT, vertical: 'finance', subscriptionTier: 'enterprise' };
+  const admin = jwt.sign({ userId: 'user_1', tenantId: tenant.id, role: 'admin' }, JWT_SECRET);
+  const member = jwt.sign({ userId: 'user_2', tenantId: tenant.id, role: 'user' }, JWT_SECRET);
+  const app = express()
+    .use(express.json())
+    .use((req, res, next) => { req.tenantId = tenant.id; req.tenant = { ...tenant }; next(); })
+    .use('/skills', skillRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only let tenant admins change skill settings', async () => {
+    const update = jest.spyOn(skillSettings, 'update').mockResolvedValue({ enabled: true, config: { approval_limit: 10000 } });
+    const reset = jest.spyOn(skillSettings, 'reset').mockResolvedValue(true);
+    jest.spyOn(AuditLogger.prototype, 'log').mockResolvedValue('audit-id');
+    const url = '/skills/compliance-check-sox/settings';
+
+    await request(app).put(url).send({ config: { approval_limit: 10000 } }).expect(401);
+    await request(app).put(url).set('Authorization', `Bearer ${member}`).send({ enabled: false }).expect(403);
+    await request(app).delete(url).set('Authorization', `Bearer ${member}`).expect(403);
+    expect(update).not.toHaveBeenCalled();
+    expect(reset).not.toHaveBeenCalled();
+
+    await request(app).put(url).set('Authorization', `Bearer ${admin}`).send({ config: { approval_limit: 10000 } }).expect(200);
+    expect(update).toHaveBeenCalledWith(tenant.id, 'compliance-check-sox', expect.objectContaining({ config: { approval_limit: 10000 } }), 'user_1');
+  });
+
+  test('should only let tenant admins pin and unpin versions', async () => {
+    const pin = jest.spyOn(skillSettings, 'pinVersion').mockResolvedValue();
+    const unpin = jest.spyOn(skillSettings, 'unpinVersion').mockResolvedValue(true);
+    jest.spyOn(AuditLogger.prototype, 'log').mockResolvedValue('audit-id');
+    const version = registry.get('tax-categorize').version;
+
+    await request(app).put('/skills/tax-categorize/pin').send({ version }).expect(401);
+    await request(app).put('/skills/tax-categorize/pin').set('Authorization', `Bearer ${member}`).send({ version }).expect(403);
+    await request(app).delete('/skills/tax-categorize/pin').set('Authorization', `Bearer ${member}`).expect(403);
+    expect(pin).not.toHaveBeenCalled();
+    expect(unpin).not.toHaveBeenCalled();
+
+    await request(app).put('/skills/tax-categorize/pin').set('Authorization', `Bearer ${admin}`).send({ version }).expect(200);
+    expect(pin).toHaveBeenCalledWith(tenant.id, 'tax-categorize', version, 'user_1');
+  });
+});
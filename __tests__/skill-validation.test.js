@@ -0,0 +1,115 @@
+/**
+ * Skill Schema Validation Test Suite
+ * Tests for inputSchema/outputSchema enforcement in the skill loader and executor
+ */
+
+const {
+  compileSkillSchemas,
+  validateInput,
+  validateOutput,
+  SkillValidationError
+} = require('../core/utils/skill-loader');
+const { executeSkill, loadSkill } = require('../api/services/tool-executor');
+
+const TENANT_ID = '00000000-0000-0000-0000-000000000002'; // FinSecure AI
+
+const testSkill = {
+  name: 'test-skill',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      amount: { type: 'number' },
+      mode: { type: 'string', enum: ['fast', 'full'], default: 'fast' },
+      items: { type: 'array', items: { type: 'object', required: ['id'] } },
+      tenant_id: { type: 'string', format: 'uuid' }
+    },
+    required: ['amount', 'tenant_id']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' }
+    },
+    required: ['success']
+  }
+};
+
+describe('Skill Schema Validation', () => {
+  const skill = { ...testSkill, ...compileSkillSchemas(testSkill) };
+
+  describe('validateInput', () => {
+    test('should apply schema defaults without mutating the caller input', () => {
+      const raw = { amount: 10, tenant_id: TENANT_ID };
+      const input = validateInput(skill, raw);
+
+      expect(input.mode).toBe('fast');
+      expect(raw.mode).toBeUndefined();
+    });
+
+    test('should report every invalid field with a JSON-pointer path', () => {
+      expect.assertions(4);
+
+      try {
+        validateInput(skill, { mode: 'slow', items: [{}], tenant_id: 'not-a-uuid' });
+      } catch (error) {
+        expect(error).toBeInstanceOf(SkillValidationError);
+        expect(error.status).toBe(400);
+        expect(error.code).toBe('INVALID_SKILL_INPUT');
+        expect(error.errors.map(e => e.path).sort()).toEqual(
+          ['/amount', '/items/0/id', '/mode', '/tenant_id']
+        );
+      }
+    });
+  });
+
+  describe('validateOutput', () => {
+    test('should flag drift from outputSchema by default', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const check = validateOutput(skill, { result: 1 }, { strict: false });
+      warn.mockRestore();
+
+      expect(check.valid).toBe(false);
+      expect(check.errors[0].path).toBe('/success');
+    });
+
+    test('should fail on drift in strict mode', () => {
+      expect(() => validateOutput(skill, { result: 1 }, { strict: true }))
+        .toThrow(SkillValidationError);
+    });
+  });
+
+  describe('executeSkill', () => {
+    test('should reject invalid input before the skill runs', async () => {
+      const pciRedact = loadSkill('finance', 'pci-redact');
+      const execute = jest.spyOn(pciRedact, 'execute');
+
+      await expect(executeSkill('pci-redact', { redaction_strategy: 'shred' }, {
+        tenantId: TENANT_ID,
+        vertical: 'finance'
+      })).rejects.toMatchObject({
+        code: 'INVALID_SKILL_INPUT',
+        errors: expect.arrayContaining([
+          expect.objectContaining({ path: '/text' }),
+          expect.objectContaining({ path: '/redaction_strategy' })
+        ])
+      });
+      expect(execute).not.toHaveBeenCalled();
+
+      execute.mockRestore();
+    });
+
+    test('should run with schema defaults applied', async () => {
+      const result = await executeSkill('pci-redact', {
+        text: 'Card 4111111111111111 on file'
+      }, {
+        tenantId: TENANT_ID,
+        vertical: 'finance',
+        audit: { log: async () => ({ logged: true }) }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.summary.by_type.credit_card).toBe(1);
+      expect(result._meta.output_valid).toBe(true);
+    });
+  });
+});
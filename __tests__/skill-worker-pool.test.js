@@ -0,0 +1,98 @@
+/**
+ * Skill Worker Pool Test Suite
+ * Tests isolated execution: service proxying, timeouts, crashes and cancellation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SkillWorkerPool = require('../api/services/skill-worker-pool');
+
+const FIXTURE_SKILLS = {
+  echo: `module.exports = {
+    name: 'echo',
+    async execute({ input, db, audit, tenant }) {
+      const { rows } = await db.query('SELECT 1', [input.value]);
+      await audit.log({ action: 'ECHO' });
+      return { value: input.value, rows, tenant: tenant.id };
+    }
+  };`,
+  hang: `module.exports = {
+    name: 'hang',
+    execute() { while (true) {} }
+  };`,
+  crash: `module.exports = {
+    name: 'crash',
+    execute() { setImmediate(() => { throw new Error('boom'); }); return new Promise(() => {}); }
+  };`,
+  fail: `module.exports = {
+    name: 'fail',
+    async execute() { throw new Error('invalid ledger'); }
+  };`
+};
+
+describe('SkillWorkerPool', () => {
+  let dir;
+  let pool;
+  const skills = {};
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skill-pool-'));
+    for (const [name, source] of Object.entries(FIXTURE_SKILLS)) {
+      const skillPath = path.join(dir, `${name}.js`);
+      fs.writeFileSync(skillPath, source);
+      skills[name] = { name, _path: skillPath };
+    }
+    pool = new SkillWorkerPool({ size: 2, timeoutMs: 2000, maxHeapMb: 64 });
+  });
+
+  afterAll(async () => {
+    await pool.destroy();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const context = (input = {}) => ({
+    input,
+    tenant: { id: 't1' },
+    user: null,
+    db: { query: jest.fn(async () => ({ rows: [{ ok: 1 }], rowCount: 1, _parsers: [() => {}] })) },
+    audit: { log: jest.fn(async () => 'audit-id') }
+  });
+
+  test('should run a skill and proxy db/audit calls to the main thread', async () => {
+    const ctx = context({ value: 42 });
+    const result = await pool.run(skills.echo, ctx);
+
+    expect(result).toEqual({ value: 42, rows: [{ ok: 1 }], tenant: 't1' });
+    expect(ctx.db.query).toHaveBeenCalledWith('SELECT 1', [42]);
+    expect(ctx.audit.log).toHaveBeenCalledWith({ action: 'ECHO' });
+  });
+
+  test('should pass skill errors through and keep the worker', async () => {
+    await expect(pool.run(skills.fail, context())).rejects.toThrow('invalid ledger');
+    expect(pool.idle.length).toBeGreaterThan(0);
+  });
+
+  test('should time out a runaway skill', async () => {
+    await expect(pool.run(skills.hang, context(), { timeoutMs: 200 }))
+      .rejects.toMatchObject({ code: 'SKILL_TIMEOUT', status: 504 });
+  });
+
+  test('should report a crashed worker', async () => {
+    await expect(pool.run(skills.crash, context()))
+      .rejects.toMatchObject({ code: 'SKILL_CRASHED' });
+  });
+
+  test('should cancel a run through an AbortSignal', async () => {
+    const controller = new AbortController();
+    const run = pool.run(skills.hang, context(), { timeoutMs: 5000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+
+    await expect(run).rejects.toMatchObject({ code: 'SKILL_CANCELLED' });
+  });
+
+  test('should keep serving after a skill misbehaves', async () => {
+    const result = await pool.run(skills.echo, context({ value: 'still up' }));
+    expect(result.value).toBe('still up');
+  });
+});
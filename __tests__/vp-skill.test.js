@@ -0,0 +1,44 @@
+/**
+ * vp-skill CLI Test Suite
+ * Tests CSV parsing, schema-driven coercion and output formatting
+ */
+
+const { parseCsv, coerceRows, parseSets, formatTable, tableRows } = require('../scripts/vp-skill');
+
+describe('vp-skill input', () => {
+  test('should parse quoted CSV fields', () => {
+    const rows = parseCsv('Date,Description,Amount\r\n2024-01-05,"Paper, ""A4""",-245.50\r\n\r\n2024-01-08,Lunch,"-1,045.00"\n');
+
+    expect(rows).toEqual([
+      { Date: '2024-01-05', Description: 'Paper, "A4"', Amount: '-245.50' },
+      { Date: '2024-01-08', Description: 'Lunch', Amount: '-1,045.00' }
+    ]);
+  });
+
+  test('should map columns onto schema properties and convert numbers', () => {
+    const itemSchema = { properties: { date: { type: 'string' }, amount: { type: 'number' }, vendor: { type: 'string' } } };
+
+    const [row] = coerceRows([{ Date: '2024-01-05', Amount: '(1,045.00)', Vendor: ' Adobe ', 'Posting Ref': 'X1' }], itemSchema);
+
+    expect(row).toEqual({ date: '2024-01-05', amount: -1045, vendor: 'Adobe', posting_ref: 'X1' });
+  });
+
+  test('should parse --set values as JSON when possible', () => {
+    expect(parseSets(['tax_year=2024', 'business_type=llc', 'flags=["a"]'])).toEqual({
+      tax_year: 2024,
+      business_type: 'llc',
+      flags: ['a']
+    });
+    expect(() => parseSets(['nope'])).toThrow('key=value');
+  });
+});
+
+describe('vp-skill output', () => {
+  test('should tabulate the first list of records in a result', () => {
+    const rows = tableRows({ success: true, categorized: [{ description: 'Paper', amount: -5 }], totals: {} });
+    const table = formatTable(rows).split('\n');
+
+    expect(table[0]).toBe('description  amount');
+    expect(table[2]).toBe('Paper        -5');
+  });
+});
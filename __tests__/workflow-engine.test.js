@@ -0,0 +1,198 @@
+/**
+ * Workflow Engine Test Suite
+ * Tests definition validation, input mapping, conditions and step execution (database, registry and audit are stubbed)
+ */
+
+const {
+  WorkflowEngine,
+  validateDefinition,
+  resolveTemplate,
+  evaluateCondition,
+  planSteps
+} = require('../api/services/workflow-engine');
+const { SkillError } = require('../core/utils/skill-loader');
+
+const tenant = { id: '00000000-0000-0000-0000-000000000002', vertical: 'finance' };
+
+const scope = {
+  input: { profile_name: 'Acme', threshold: 50 },
+  steps: { fraud: { status: 'succeeded', output: { risk_score: 80, alerts: [{ id: 'a1' }] } } }
+};
+
+describe('Workflow definitions', () => {
+  test('should order steps by their dependencies', () => {
+    const ordered = planSteps([
+      { id: 'export', skill: 'export-to-excel', needs: ['taxes'] },
+      { id: 'taxes', skill: 'tax-prep-automate' }
+    ]);
+
+    expect(ordered.map(s => s.id)).toEqual(['taxes', 'export']);
+  });
+
+  test('should reject cycles', () => {
+    expect(() => validateDefinition({
+      steps: [
+        { id: 'a', skill: 'anomaly-detect', needs: ['b'] },
+        { id: 'b', skill: 'anomaly-detect', needs: ['a'] }
+      ]
+    })).toThrow('cycle');
+  });
+
+  test('should reject references to steps that are not dependencies', () => {
+    try {
+      validateDefinition({
+        steps: [
+          { id: 'taxes', skill: 'tax-prep-automate' },
+          { id: 'fraud', skill: 'fraud-detection-scan', input: { transactions: '{{ steps.taxes.output.categorized }}' } }
+        ]
+      });
+      throw new Error('expected validation to fail');
+    } catch (error) {
+      expect(error.code).toBe('INVALID_WORKFLOW');
+      expect(error.errors[0].message).toContain("references step 'taxes'");
+    }
+  });
+
+  test('should reject unknown skills', () => {
+    const registry = { has: name => name === 'anomaly-detect', get: () => ({ _vertical: 'finance' }) };
+
+    expect(() => validateDefinition(
+      { steps: [{ id: 'a', skill: 'nope' }] },
+      { registry, vertical: 'finance' }
+    )).toThrow('Workflow definition is invalid');
+  });
+
+  test('should accept the same input schema $id more than once', () => {
+    const definition = {
+      inputSchema: { $id: 'https://example.com/tax-input', type: 'object', required: ['profile_name'] },
+      steps: [{ id: 'taxes', skill: 'tax-prep-automate' }]
+    };
+
+    expect(() => validateDefinition(definition)).not.toThrow();
+    expect(() => validateDefinition(definition)).not.toThrow();
+  });
+});
+
+describe('Workflow templates and conditions', () => {
+  test('should keep the type of whole-string templates', () => {
+    expect(resolveTemplate('{{ steps.fraud.output.alerts }}', scope)).toEqual([{ id: 'a1' }]);
+    expect(resolveTemplate({ n: '{{ input.threshold }}' }, scope)).toEqual({ n: 50 });
+  });
+
+  test('should interpolate embedded templates as text', () => {
+    expect(resolveTemplate('{{ input.profile_name }}_export', scope)).toBe('Acme_export');
+    expect(resolveTemplate('{{ steps.fraud.output.alerts[0].id }}', scope)).toBe('a1');
+  });
+
+  test('should evaluate conditions', () => {
+    expect(evaluateCondition({ path: 'steps.fraud.output.risk_score', op: 'gt', value: '{{ input.threshold }}' }, scope)).toBe(true);
+    expect(evaluateCondition({ all: [
+      { path: 'input.profile_name', op: 'exists' },
+      { path: 'steps.fraud.output.risk_score', op: 'lt', value: 50 }
+    ] }, scope)).toBe(false);
+    expect(evaluateCondition({ not: { path: 'input.missing', op: 'truthy' } }, scope)).toBe(true);
+  });
+});
+
+describe('WorkflowEngine runs', () => {
+  function createEngine(execute) {
+    const db = { query: jest.fn(async () => ({ rows: [] })) };
+    const registry = {
+      execute: jest.fn(execute),
+      has: () => true,
+      get: () => ({ _vertical: 'finance', version: '1.0.0' }),
+      resolveVersion: () => '1.0.0',
+      assertAccess: () => {}
+    };
+    const audit = { log: jest.fn(async () => 'audit-id') };
+    const engine = new WorkflowEngine({ db, registry, audit });
+    return { engine, db, registry, audit };
+  }
+
+  const stepUpdates = (db, stepId) => db.query.mock.calls
+    .filter(([sql, params]) => sql.includes('UPDATE workflow_run_steps') && params[1] === stepId)
+    .map(([sql, params]) => ({ sql, params }));
+
+  const definition = {
+    steps: [
+      { id: 'fraud', skill: 'fraud-detection-scan', input: { transactions: '{{ input.transactions }}' } },
+      {
+        id: 'anomalies',
+        skill: 'anomaly-detect',
+        needs: ['fraud'],
+        when: { path: 'steps.fraud.output.risk_score', op: 'gt', value: 50 },
+        input: { transactions: '{{ input.transactions }}' }
+      }
+    ],
+    output: { risk: '{{ steps.fraud.output.risk_score }}' }
+  };
+  const run = { id: 'run-1', input: { transactions: [{ amount: 10 }] }, definition };
+
+  test('should map outputs into inputs and skip steps whose condition is false', async () => {
+    const { engine, db, registry } = createEngine(async () => ({ result: { risk_score: 10 }, meta: {} }));
+
+    await engine.executeRun(run, planSteps(definition.steps), { tenant });
+
+    expect(registry.execute).toHaveBeenCalledTimes(1);
+    expect(registry.execute.mock.calls[0][1]).toEqual({ transactions: [{ amount: 10 }] });
+
+    const [skipped] = stepUpdates(db, 'anomalies');
+    expect(skipped.params).toContain('skipped');
+    expect(skipped.params).toContain('condition not met');
+
+    const finish = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE workflow_runs'));
+    expect(finish[1][1]).toBe('succeeded');
+    expect(JSON.parse(finish[1][2])).toEqual({ risk: 10 });
+  });
+
+  test('should fail the run and cancel remaining steps when a step fails', async () => {
+    const { engine, db } = createEngine(async () => {
+      throw new SkillError('SKILL_TIMEOUT', 'timed out', 504);
+    });
+
+    await engine.executeRun(run, planSteps(definition.steps), { tenant });
+
+    expect(stepUpdates(db, 'fraud').pop().params).toContain('failed');
+    expect(stepUpdates(db, 'anomalies').pop().params).toContain('cancelled');
+
+    const finish = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE workflow_runs'));
+    expect(finish[1][1]).toBe('failed');
+    expect(JSON.parse(finish[1][3])).toMatchObject({ step: 'fraud', code: 'SKILL_TIMEOUT' });
+  });
+
+  test('should treat a { success: false } result as a failed step', async () => {
+    const { engine, db } = createEngine(async () => ({ result: { success: false, error: 'No transactions' }, meta: {} }));
+
+    await engine.executeRun(run, planSteps(definition.steps), { tenant });
+
+    const [, params] = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE workflow_runs'));
+    expect(JSON.parse(params[3])).toMatchObject({ code: 'SKILL_REPORTED_FAILURE', message: 'No transactions' });
+  });
+
+  test('should screen and audit steps through the skill gateway', async () => {
+    const { engine, db, registry, audit } = createEngine(async () => ({ result: { risk_score: 10 }, meta: { version: '1.0.0' } }));
+
+    await engine.executeRun(run, planSteps(definition.steps), { tenant });
+    expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'SKILL_EXECUTION_SUCCESS',
+      skillName: 'fraud-detection-scan',
+      resourceType: 'workflow_run',
+      resourceId: 'run-1'
+    }));
+
+    const blocked = { ...run, input: { transactions: [{ note: 'Card 4111111111111111' }] } };
+    await engine.executeRun(blocked, planSteps(definition.steps), { tenant: { ...tenant, dlpStrictMode: true } });
+
+    expect(registry.execute).toHaveBeenCalledTimes(1);
+    expect(audit.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'SKILL_EXECUTION_BLOCKED',
+      skillName: 'fraud-detection-scan',
+      resourceType: 'workflow_run',
+      resourceId: 'run-1'
+    }));
+    expect(audit.log.mock.calls.filter(([entry]) => entry.action === 'SKILL_EXECUTION_ERROR')).toHaveLength(0);
+    expect(stepUpdates(db, 'fraud').pop().params).toContain('failed');
+    const finish = db.query.mock.calls.filter(([sql]) => sql.includes('UPDATE workflow_runs')).pop();
+    expect(JSON.parse(finish[1][3])).toMatchObject({ step: 'fraud', code: 'DLP_VIOLATION' });
+  });
+});
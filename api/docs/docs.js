@@ -0,0 +1,167 @@
+/**
+ * Minimal OpenAPI renderer for the self-hosted docs page
+ * Fetches /api/v1/openapi.json and lists operations by tag with their
+ * parameters, request body and responses. No external dependencies.
+ */
+
+(function () {
+  const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+  const MAX_DEPTH = 6;
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    Object.entries(attrs || {}).forEach(([key, value]) => {
+      if (key === 'text') node.textContent = value;
+      else node.setAttribute(key, value);
+    });
+    (children || []).forEach(child => child && node.appendChild(child));
+    return node;
+  }
+
+  function resolve(spec, schema) {
+    if (!schema || !schema.$ref) return schema;
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return spec.components.schemas[name] || {};
+  }
+
+  function typeLabel(spec, schema) {
+    const resolved = resolve(spec, schema) || {};
+    if (schema && schema.$ref) return schema.$ref.split('/').pop();
+    if (resolved.enum) return resolved.enum.map(v => JSON.stringify(v)).join(' | ');
+    if (resolved.const !== undefined) return JSON.stringify(resolved.const);
+    const type = [].concat(resolved.type || (resolved.allOf ? 'object' : 'any')).join(' | ');
+    if (type === 'array' && resolved.items) return typeLabel(spec, resolved.items) + '[]';
+    return type;
+  }
+
+  function renderSchema(spec, schema, depth) {
+    let resolved = resolve(spec, schema) || {};
+    if (resolved.allOf) {
+      resolved = resolved.allOf.map(part => resolve(spec, part)).reduce((merged, part) => ({
+        properties: Object.assign({}, merged.properties, part.properties),
+        required: (merged.required || []).concat(part.required || [])
+      }), {});
+    }
+    if (resolved.type === 'array' && resolved.items) {
+      return renderSchema(spec, resolved.items, depth);
+    }
+
+    const properties = resolved.properties || {};
+    const required = resolved.required || [];
+    if (depth > MAX_DEPTH || Object.keys(properties).length === 0) return null;
+
+    return el('ul', { class: 'schema' }, Object.entries(properties).map(([name, property]) => {
+      const details = resolve(spec, property) || {};
+      const parts = [
+        el('span', { class: 'name', text: name }),
+        el('span', { class: 'type', text: ' ' + typeLabel(spec, property) }),
+        required.includes(name) ? el('span', { class: 'required', text: ' required' }) : null
+      ];
+      if (details.description) parts.push(el('span', { class: 'muted', text: ' - ' + details.description }));
+      if (details.default !== undefined) parts.push(el('span', { class: 'muted', text: ' (default ' + JSON.stringify(details.default) + ')' }));
+      parts.push(renderSchema(spec, property, depth + 1));
+      return el('li', {}, parts);
+    }));
+  }
+
+  function renderParameters(parameters) {
+    if (parameters.length === 0) return null;
+    return el('div', {}, [
+      el('h4', { text: 'Parameters' }),
+      el('table', {}, [
+        el('tr', {}, ['Name', 'In', 'Type', 'Description'].map(text => el('th', { text }))),
+        ...parameters.map(p => el('tr', {}, [
+          el('td', { class: 'name', text: p.name + (p.required ? ' *' : '') }),
+          el('td', { text: p.in }),
+          el('td', { class: 'type', text: [].concat((p.schema && (p.schema.enum ? p.schema.enum.join(' | ') : p.schema.type)) || 'string').join(' | ') }),
+          el('td', { text: p.description || '' })
+        ]))
+      ])
+    ]);
+  }
+
+  function renderContent(spec, content) {
+    return Object.entries(content || {}).map(([mediaType, media]) => el('div', {}, [
+      el('div', { class: 'muted', text: mediaType + (media.schema ? ' - ' + typeLabel(spec, media.schema) : '') }),
+      media.schema ? renderSchema(spec, media.schema, 0) : null
+    ]));
+  }
+
+  function renderOperation(spec, path, method, operation, pathParameters) {
+    const parameters = (pathParameters || []).concat(operation.parameters || []);
+    const body = el('div', { class: 'operation-body' }, [
+      operation.description ? el('p', { text: operation.description }) : null,
+      renderParameters(parameters),
+      operation.requestBody ? el('h4', { text: 'Request body' }) : null,
+      ...(operation.requestBody ? renderContent(spec, operation.requestBody.content) : []),
+      el('h4', { text: 'Responses' }),
+      ...Object.entries(operation.responses || {}).map(([status, response]) => el('div', {}, [
+        el('span', { class: 'status', text: status + ' ' }),
+        el('span', { text: response.description || '' }),
+        ...renderContent(spec, response.content)
+      ]))
+    ]);
+
+    const details = el('details', { class: 'operation' }, [
+      el('summary', {}, [
+        el('span', { class: 'method ' + method, text: method }),
+        el('span', { class: 'path', text: path }),
+        el('span', { class: 'muted', text: operation.summary || '' })
+      ]),
+      body
+    ]);
+    details.dataset.search = [method, path, operation.summary, operation.operationId].join(' ').toLowerCase();
+    return details;
+  }
+
+  function render(spec) {
+    document.title = spec.info.title;
+    document.getElementById('title').textContent = spec.info.title + ' ' + spec.info.version;
+    document.getElementById('description').textContent = spec.info.description || '';
+
+    const byTag = new Map((spec.tags || []).map(tag => [tag.name, []]));
+    Object.entries(spec.paths).forEach(([path, item]) => {
+      METHODS.filter(method => item[method]).forEach(method => {
+        const operation = item[method];
+        const tag = (operation.tags || ['Other'])[0];
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(renderOperation(spec, path, method, operation, item.parameters));
+      });
+    });
+
+    const container = document.getElementById('operations');
+    container.textContent = '';
+    byTag.forEach((operations, tag) => {
+      if (operations.length === 0) return;
+      const section = el('section', {}, [el('h2', { text: tag }), ...operations]);
+      container.appendChild(section);
+    });
+  }
+
+  function applyFilter(query) {
+    const needle = query.trim().toLowerCase();
+    document.querySelectorAll('#operations section').forEach(section => {
+      let visible = 0;
+      section.querySelectorAll('details.operation').forEach(operation => {
+        const match = !needle || operation.dataset.search.includes(needle);
+        operation.hidden = !match;
+        if (match) visible++;
+      });
+      section.hidden = visible === 0;
+    });
+  }
+
+  document.getElementById('filter').addEventListener('input', event => applyFilter(event.target.value));
+
+  fetch('/api/v1/openapi.json', { credentials: 'same-origin' })
+    .then(response => {
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return response.json();
+    })
+    .then(render)
+    .catch(error => {
+      const container = document.getElementById('operations');
+      container.textContent = '';
+      container.appendChild(el('p', { class: 'required', text: 'Could not load the API description: ' + error.message }));
+    });
+})();
@@ -0,0 +1,115 @@
+/**
+ * API Keys Routes
+ * Create, list and revoke the tenant API keys used by machine clients (MCP server).
+ * Requires a signed-in tenant admin; keys act as the admin's tenant.
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/api-keys');
+const { authenticateToken, requireRole } = require('./auth');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SCOPES = ['mcp'];
+
+router.use(authenticateToken, requireRole('admin'));
+
+// List the tenant's keys (hashes and plaintext keys are never returned)
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeys.list(req.tenantId);
+    res.json({ success: true, apiKeys: keys, count: keys.length });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      error: 'API_KEY_LIST_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Create a key; the response is the only time the key is shown
+router.post('/', async (req, res) => {
+  const { name, scopes = SCOPES, expiresAt = null } = req.body || {};
+
+  try {
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'INVALID_API_KEY_REQUEST',
+        message: 'name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => SCOPES.includes(s))) {
+      return res.status(400).json({
+        error: 'INVALID_API_KEY_REQUEST',
+        message: `scopes must be a non-empty list of: ${SCOPES.join(', ')}`
+      });
+    }
+
+    if (expiresAt !== null && (Number.isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+      return res.status(400).json({
+        error: 'INVALID_API_KEY_REQUEST',
+        message: 'expiresAt must be a future ISO 8601 date'
+      });
+    }
+
+    const { key, apiKey } = await apiKeys.create(req.tenantId, {
+      name: name.trim(),
+      scopes,
+      expiresAt,
+      createdBy: req.user.email
+    });
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenantId,
+        action: 'API_KEY_CREATED',
+        resourceType: 'api_key',
+        resourceId: apiKey.id
+      });
+    }
+
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'API_KEY_CREATE_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Revoke a key
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const revoked = UUID_PATTERN.test(id) && await apiKeys.revoke(req.tenantId, id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'API_KEY_NOT_FOUND',
+        message: `Active API key '${id}' not found`
+      });
+    }
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenantId,
+        action: 'API_KEY_REVOKED',
+        resourceType: 'api_key',
+        resourceId: id
+      });
+    }
+
+    res.json({ success: true, id });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'API_KEY_REVOKE_ERROR',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -268,6 +268,8 @@ router.get('/me', authenticateToken, (req, res) => {
 
 /**
  * Authentication middleware
+ * A token only works on its own tenant's host: the tenant's settings, tools and
+ * policies (req.tenant) must belong to the tenant whose data it reaches (req.tenantId).
  */
 function authenticateToken(req, res, next) {
     const authHeader = req.headers.authorization;
@@ -282,6 +284,12 @@ function authenticateToken(req, res, next) {
 
     try {
         const decoded = jwt.verify(token, JWT_SECRET);
+        if (req.tenant && decoded.tenantId !== req.tenant.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'Token was issued for another tenant'
+            });
+        }
         req.user = decoded;
         req.userId = decoded.userId;
         req.tenantId = decoded.tenantId;
@@ -294,6 +302,36 @@ function authenticateToken(req, res, next) {
     }
 }
 
+/**
+ * Role middleware (after authenticateToken) for changes to tenant-wide settings:
+ * the user must hold one of the roles, in the tenant being changed
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.user?.role)) {
+            return res.status(403).json({
+                success: false,
+                error: `Requires the ${roles.join(' or ')} role`
+            });
+        }
+        if (req.tenant && req.tenantId !== req.tenant.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'Token was issued for another tenant'
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Authenticate when a token is sent, continue anonymously otherwise
+ */
+function optionalAuth(req, res, next) {
+    if (!req.headers.authorization) return next();
+    return authenticateToken(req, res, next);
+}
+
 /**
  * Generate access and refresh tokens
  */
@@ -333,3 +371,5 @@ function sanitizeUser(user) {
 // Export middleware for use in other routes
 module.exports = router;
 module.exports.authenticateToken = authenticateToken;
+module.exports.optionalAuth = optionalAuth;
+module.exports.requireRole = requireRole;
@@ -5,15 +5,30 @@
 
 const express = require('express');
 const router = express.Router();
-const { runAgent, runAgentStream, getAvailableProviders } = require('../services/agent');
-const { getAvailableTools } = require('../services/tool-executor');
+const { runAgent, runAgentStream, getAvailableProviders, getAgentTools } = require('../services/agent');
+const conversations = require('../services/conversations');
+const personas = require('../services/agent-personas');
+const skillSettings = require('../services/skill-settings');
+const agentActions = require('../services/agent-actions');
+const documentIndex = require('../services/document-index');
+const llmUsage = require('../services/llm-usage');
+const { optionalAuth, authenticateToken, requireRole } = require('./auth');
 
-// In-memory conversation store (use Redis/DB in production)
-const conversationStore = new Map();
+// Most recent messages of a conversation sent to the model with a new message
+const CONTEXT_MESSAGES = parseInt(process.env.CHAT_CONTEXT_MESSAGES) || 50;
+const MAX_TITLE_LENGTH = 200;
+const KEEPALIVE_MS = 15000;
+
+// Anyone may chat; conversations are stored for, and only visible to, the signed-in user
+router.use(optionalAuth);
+router.use('/conversations', authenticateToken);
 
 /**
  * POST /api/v1/chat
  * Send a message to the AI agent (with profile support)
+ * Refused with 429 while a usage budget of the tenant or user is used up; replies
+ * carry budget_warnings for limits that are nearly used up. Turns of signed-in
+ * users are stored in a conversation; anonymous turns are not (conversation_id null).
  */
 router.post('/', async (req, res) => {
     try {
@@ -28,33 +43,72 @@ router.post('/', async (req, res) => {
             });
         }
 
-        // Fetch documents for this profile from database
+        const persona = resolvePersona(req, res);
+        if (!persona) return;
+
+        let conversation = null;
+        if (conversation_id && !userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Sign in to continue a conversation'
+            });
+        }
+        if (conversation_id) {
+            conversation = await conversations.get(conversation_id, tenantId, userId);
+            if (!conversation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
+            }
+        }
+
+        const budget = await llmUsage.check(tenantId, userId, req.tenant.usageBudgets);
+        if (!budget.allowed) {
+            return refuseOverBudget(req, res, budget);
+        }
+
+        // The profile's documents, and the indexed passages relevant to the message
         let documents = [];
+        let passages = [];
         if (profile_name) {
             const docResult = await req.db.query(`
                 SELECT id, filename, original_name as "originalName", mimetype,
-                       document_type as "documentType", status,
-                       extracted_data as "extractedData"
+                       document_type as "documentType", status, indexed_at as "indexedAt"
                 FROM documents
                 WHERE tenant_id = $1 AND profile_name = $2 AND deleted_at IS NULL
+                  AND quarantined_at IS NULL
                 ORDER BY created_at DESC
             `, [tenantId, profile_name]);
 
             documents = docResult.rows;
+            await documentIndex.indexMissing(tenantId, documents, { screener: req.injection });
+            passages = (await documentIndex.search(tenantId, profile_name, message))
+                .map((passage, i) => ({ ref: i + 1, ...passage }));
         }
 
-        // Get or create conversation history
-        const convId = conversation_id || generateConversationId();
-        const history = conversationStore.get(convId) || [];
+        // The model sees the most recent messages; the response says how many were left out
+        const history = conversation
+            ? (await conversations.messages(conversation.id, tenantId, { limit: CONTEXT_MESSAGES }))
+                .map(({ role, content }) => ({ role, content }))
+            : [];
+        const historyInfo = {
+            included: history.length,
+            omitted: conversation ? conversation.message_count - history.length : 0
+        };
 
         // Build context from request
         const context = {
+            tenant: req.tenant,
             dlp: req.dlp,
+            injection: req.injection,
             audit: req.audit,
             db: req.db,
-            vertical: 'finance',
+            vertical: persona.vertical,
+            role: req.user?.role || null,
             profile_name,
-            documents  // Documents from DB for this profile
+            documents,  // Documents from DB for this profile
+            passages    // Retrieved excerpts the answer cites as [ref]
         };
 
         if (stream) {
@@ -63,13 +117,25 @@ router.post('/', async (req, res) => {
             res.setHeader('Cache-Control', 'no-cache');
             res.setHeader('Connection', 'keep-alive');
 
-            await runAgentStream(
+            // Signed-in users approve tool calls that need it while the stream waits
+            const turn = { conversation, tenantId, userId, message, profileName: profile_name };
+            if (userId) {
+                context.requestApproval = (request) => requestApproval(req, res, turn, request);
+            }
+            if (budget.warnings.length > 0) {
+                res.write(`data: ${JSON.stringify({ type: 'budget_warning', warnings: budget.warnings })}\n\n`);
+            }
+
+            const result = await runAgentStream(
                 { message, tenantId, userId, conversationHistory: history, context },
                 (chunk) => {
                     res.write(`data: ${JSON.stringify(chunk)}\n\n`);
                 }
             );
 
+            conversation = await saveTurn(turn.conversation, { tenantId, userId, message, result, profileName: profile_name });
+            await recordUsage(conversation, { tenantId, userId, result });
+            res.write(`data: ${JSON.stringify({ type: 'conversation', conversation_id: conversation?.id || null, history: historyInfo })}\n\n`);
             res.write('data: [DONE]\n\n');
             res.end();
         } else {
@@ -82,69 +148,244 @@ router.post('/', async (req, res) => {
                 context
             });
 
-            // Update conversation history
-            history.push({ role: 'user', content: message });
-            history.push({ role: 'assistant', content: result.response });
-
-            // Keep last 20 messages
-            if (history.length > 20) {
-                history.splice(0, history.length - 20);
-            }
-            conversationStore.set(convId, history);
+            conversation = await saveTurn(conversation, { tenantId, userId, message, result, profileName: profile_name });
+            await recordUsage(conversation, { tenantId, userId, result });
 
             res.json({
                 success: true,
-                conversation_id: convId,
+                conversation_id: conversation?.id || null,
                 response: result.response,
                 tool_results: result.toolResults,
                 provider: result.provider,
                 model: result.model,
-                usage: result.usage
+                usage: result.usage,
+                citations: result.citations,
+                budget_warnings: budget.warnings,
+                history: historyInfo
             });
         }
     } catch (error) {
         console.error('Chat error:', error);
+        const errorMessage = error.message || 'An error occurred processing your request';
+
+        // A stream that already started can only report the error in-band
+        if (res.headersSent) {
+            res.write(`data: ${JSON.stringify({ type: 'error', error: errorMessage })}\n\n`);
+            return res.end();
+        }
         res.status(500).json({
             success: false,
-            error: error.message || 'An error occurred processing your request'
+            error: errorMessage
+        });
+    }
+});
+
+/**
+ * GET /api/v1/chat/conversations
+ * List the caller's conversations (q searches titles and message text)
+ */
+router.get('/conversations', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const q = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : null;
+
+        const { conversations: rows, total } = await conversations.list(req.tenantId, req.userId, { q, limit, offset });
+
+        res.json({
+            success: true,
+            conversations: rows,
+            total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
         });
     }
 });
 
 /**
  * GET /api/v1/chat/conversations/:id
- * Get conversation history
+ * Get conversation history (limit and before page back through long conversations)
  */
-router.get('/conversations/:id', (req, res) => {
-    const { id } = req.params;
-    const history = conversationStore.get(id);
+router.get('/conversations/:id', async (req, res) => {
+    try {
+        const conversation = await conversations.get(req.params.id, req.tenantId, req.userId);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Conversation not found'
+            });
+        }
+
+        const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit) || 1, 1), 500) : null;
+        const before = req.query.before !== undefined ? parseInt(req.query.before) : null;
+        const messages = await conversations.messages(conversation.id, req.tenantId, {
+            limit,
+            before: Number.isInteger(before) ? before : null
+        });
 
-    if (!history) {
-        return res.status(404).json({
+        res.json({
+            success: true,
+            conversation_id: conversation.id,
+            conversation,
+            messages
+        });
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({
             success: false,
-            error: 'Conversation not found'
+            error: error.message
         });
     }
+});
 
-    res.json({
-        success: true,
-        conversation_id: id,
-        messages: history
-    });
+/**
+ * PATCH /api/v1/chat/conversations/:id
+ * Rename a conversation
+ */
+router.patch('/conversations/:id', async (req, res) => {
+    try {
+        const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+        if (!title || title.length > MAX_TITLE_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Title is required and must be at most ${MAX_TITLE_LENGTH} characters`
+            });
+        }
+
+        const conversation = await conversations.rename(req.params.id, req.tenantId, req.userId, title);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Conversation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            conversation
+        });
+    } catch (error) {
+        console.error('Rename conversation error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
 /**
  * DELETE /api/v1/chat/conversations/:id
- * Clear conversation history
+ * Delete a conversation and its messages
  */
-router.delete('/conversations/:id', (req, res) => {
-    const { id } = req.params;
-    conversationStore.delete(id);
+router.delete('/conversations/:id', async (req, res) => {
+    try {
+        const deleted = await conversations.delete(req.params.id, req.tenantId, req.userId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Conversation not found'
+            });
+        }
 
-    res.json({
-        success: true,
-        message: 'Conversation cleared'
-    });
+        if (req.audit) {
+            await req.audit.log({
+                tenantId: req.tenantId,
+                action: 'CONVERSATION_DELETED',
+                resourceType: 'conversation',
+                resourceId: req.params.id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Conversation deleted'
+        });
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/chat/conversations/:id/actions/:actionId
+ * Approve or reject a tool call the agent paused on ({ decision: 'approve' | 'reject', reason })
+ */
+router.post('/conversations/:id/actions/:actionId', async (req, res) => {
+    try {
+        const { decision, reason = null } = req.body || {};
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                error: "decision must be 'approve' or 'reject'"
+            });
+        }
+        if (reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'reason must be a string'
+            });
+        }
+
+        const conversation = await conversations.get(req.params.id, req.tenantId, req.userId);
+        const action = conversation && await agentActions.get(req.params.actionId, req.tenantId, conversation.id);
+        if (!action) {
+            return res.status(404).json({
+                success: false,
+                error: conversation ? 'Action not found' : 'Conversation not found'
+            });
+        }
+
+        // Approvers need a role the tool is not forbidden for
+        if (decision === 'approve' && agentActions.policyFor(action.tool_name, req.tenant, req.user?.role) === 'forbidden') {
+            return res.status(403).json({
+                success: false,
+                error: `Your role may not run '${action.tool_name}'`
+            });
+        }
+
+        const decided = await agentActions.decide(action.id, req.tenantId, conversation.id, {
+            approved: decision === 'approve',
+            decidedBy: req.userId,
+            reason
+        });
+        if (!decided) {
+            return res.status(409).json({
+                success: false,
+                error: `Action is already ${action.status === 'pending' ? 'expired' : action.status}`
+            });
+        }
+
+        if (req.audit) {
+            await req.audit.log({
+                tenantId: req.tenantId,
+                userId: req.userId,
+                action: decided.status === 'approved' ? 'AGENT_ACTION_APPROVED' : 'AGENT_ACTION_REJECTED',
+                resourceType: 'agent_action',
+                resourceId: decided.id,
+                skillName: decided.tool_name
+            });
+        }
+
+        res.json({
+            success: true,
+            action: decided
+        });
+    } catch (error) {
+        console.error('Decide agent action error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
 /**
@@ -152,7 +393,10 @@ router.delete('/conversations/:id', (req, res) => {
  * List available tools/skills
  */
 router.get('/tools', (req, res) => {
-    const tools = getAvailableTools('finance');
+    const persona = resolvePersona(req, res);
+    if (!persona) return;
+
+    const tools = getAgentTools(persona, req.tenant, req.user?.role);
 
     res.json({
         success: true,
@@ -163,6 +407,124 @@ router.get('/tools', (req, res) => {
     });
 });
 
+/**
+ * GET /api/v1/chat/persona
+ * The tenant's agent: persona, tools, rules and prompt override
+ */
+router.get('/persona', (req, res) => {
+    try {
+        const persona = resolvePersona(req, res);
+        if (!persona) return;
+
+        const override = req.tenant.agentSettings || null;
+        res.json({
+            success: true,
+            persona: {
+                vertical: persona.vertical,
+                name: persona.name,
+                systemPrompt: persona.systemPrompt,
+                formattingRules: persona.formattingRules,
+                safetyRules: persona.safetyRules,
+                tools: getAgentTools(persona, req.tenant, req.user?.role).map(tool => tool.name)
+            },
+            override,
+            effectiveSystemPrompt: personas.systemPrompt(persona, override)
+        });
+    } catch (error) {
+        console.error('Get persona error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/chat/persona
+ * Append to (mode: append) or replace (mode: replace) the agent's system prompt;
+ * formatting and safety rules still apply (admins only)
+ */
+router.put('/persona', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const persona = resolvePersona(req, res);
+        if (!persona) return;
+
+        let override;
+        try {
+            override = personas.validateOverride(req.body || {});
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (!await skillSettings.updateAgentSettings(req.tenantId, override)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tenant not found'
+            });
+        }
+
+        if (req.audit) {
+            await req.audit.log({
+                tenantId: req.tenantId,
+                userId: req.userId,
+                action: 'AGENT_PROMPT_UPDATED',
+                resourceType: 'agent',
+                resourceId: persona.vertical
+            });
+        }
+
+        res.json({
+            success: true,
+            override,
+            effectiveSystemPrompt: personas.systemPrompt(persona, override)
+        });
+    } catch (error) {
+        console.error('Update persona error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/chat/persona
+ * Go back to the vertical's default prompt (admins only)
+ */
+router.delete('/persona', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const persona = resolvePersona(req, res);
+        if (!persona) return;
+
+        await skillSettings.updateAgentSettings(req.tenantId, null);
+
+        if (req.audit) {
+            await req.audit.log({
+                tenantId: req.tenantId,
+                userId: req.userId,
+                action: 'AGENT_PROMPT_RESET',
+                resourceType: 'agent',
+                resourceId: persona.vertical
+            });
+        }
+
+        res.json({
+            success: true,
+            override: null,
+            effectiveSystemPrompt: personas.systemPrompt(persona)
+        });
+    } catch (error) {
+        console.error('Reset persona error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/v1/chat/providers
  * List available AI providers
@@ -178,10 +540,126 @@ router.get('/providers', (req, res) => {
 });
 
 /**
- * Generate a unique conversation ID
+ * Agent persona of the tenant's vertical; answers 404 and returns null when
+ * the vertical has no agent
+ */
+function resolvePersona(req, res) {
+    try {
+        return personas.get(req.tenant.vertical);
+    } catch (error) {
+        if (error.code !== 'AGENT_NOT_AVAILABLE') throw error;
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * Answer 429 for a turn over a usage budget; Retry-After is when every used-up
+ * limit has reset
+ */
+async function refuseOverBudget(req, res, budget) {
+    const [first] = budget.exceeded;
+    const resetsAt = Math.max(...budget.exceeded.map(limit => Date.parse(limit.resetsAt)));
+
+    if (req.audit) {
+        await req.audit.log({
+            tenantId: req.tenantId,
+            userId: req.userId,
+            action: 'USAGE_BUDGET_EXCEEDED',
+            resourceType: 'usage_budget',
+            resourceId: `${first.scope}:${first.period}:${first.metric}`
+        });
+    }
+
+    res.set('Retry-After', String(Math.max(Math.ceil((resetsAt - Date.now()) / 1000), 1)));
+    res.status(429).json({
+        success: false,
+        error: `Usage budget exceeded: ${first.scope} ${first.metric} limit for the ${first.period} (${first.limit}) is used up`,
+        code: 'USAGE_BUDGET_EXCEEDED',
+        budget
+    });
+}
+
+/**
+ * Ask for approval of a tool call over the chat stream and wait for the decision
+ * (POST /conversations/:id/actions/:actionId). The turn's conversation is started
+ * here when it has none yet, since the action belongs to it.
+ */
+async function requestApproval(req, res, turn, { tool, input }) {
+    const { tenantId, userId } = turn;
+    if (!turn.conversation) {
+        turn.conversation = await conversations.create(tenantId, userId, { firstMessage: turn.message, profileName: turn.profileName });
+    }
+
+    const action = await agentActions.create({ tenantId, conversationId: turn.conversation.id, userId, tool, input });
+    res.write(`data: ${JSON.stringify({ type: 'pending_action', conversation_id: turn.conversation.id, action })}\n\n`);
+
+    // Keep proxies from closing the idle stream while the user decides
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    let decided;
+    try {
+        decided = await agentActions.wait(action);
+    } finally {
+        clearInterval(keepalive);
+    }
+
+    res.write(`data: ${JSON.stringify({ type: 'action_decided', conversation_id: turn.conversation.id, action: decided })}\n\n`);
+
+    if (decided.status === 'expired' && req.audit) {
+        await req.audit.log({
+            tenantId,
+            action: 'AGENT_ACTION_EXPIRED',
+            resourceType: 'agent_action',
+            resourceId: decided.id,
+            skillName: decided.tool_name
+        });
+    }
+    return decided;
+}
+
+/**
+ * Store a chat turn: the user's message and the agent's reply with its tool calls
+ * Starts the conversation on its first turn; anonymous turns are not stored.
+ * @returns {object|null} The conversation
  */
-function generateConversationId() {
-    return 'conv_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+async function saveTurn(conversation, { tenantId, userId, message, result, profileName }) {
+    if (!userId) return null;
+    if (!conversation) {
+        conversation = await conversations.create(tenantId, userId, { firstMessage: message, profileName });
+    }
+
+    await conversations.append(conversation.id, tenantId, [
+        { role: 'user', content: message },
+        {
+            role: 'assistant',
+            content: result.response,
+            toolCalls: result.toolResults || [],
+            metadata: { provider: result.provider, model: result.model, usage: result.usage, citations: result.citations || [] }
+        }
+    ]);
+    return conversation;
+}
+
+/**
+ * Store the LLM usage of a chat turn; the model already ran, so a failure is
+ * logged instead of failing the turn
+ */
+async function recordUsage(conversation, { tenantId, userId, result }) {
+    try {
+        await llmUsage.record({
+            tenantId,
+            userId,
+            conversationId: conversation?.id || null,
+            provider: result.provider,
+            model: result.model,
+            usage: result.usage
+        });
+    } catch (error) {
+        console.error('Failed to record LLM usage:', error.message);
+    }
 }
 
 module.exports = router;
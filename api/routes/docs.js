@@ -0,0 +1,31 @@
+/**
+ * API Documentation Routes
+ * GET /api/v1/openapi.json - OpenAPI 3.1 document for the calling tenant
+ * GET /api/v1/docs         - Self-hosted docs page (no CDN, served from api/docs)
+ */
+
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const skillSettings = require('../services/skill-settings');
+const { buildOpenApiDocument } = require('../services/openapi');
+
+const DOCS_PATH = path.join(__dirname, '../docs');
+
+// Skill operations depend on the tenant's enablement and tier, so load its settings first
+router.get('/openapi.json', skillSettings.middleware(), (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json(buildOpenApiDocument({ tenant: req.tenant }));
+  } catch (error) {
+    console.error('OpenAPI document error:', error);
+    res.status(500).json({
+      error: 'OPENAPI_ERROR',
+      message: error.message
+    });
+  }
+});
+
+router.use('/docs', express.static(DOCS_PATH));
+
+module.exports = router;
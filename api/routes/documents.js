@@ -9,6 +9,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const skillCache = require('../services/skill-cache');
+const documentIndex = require('../services/document-index');
 
 // Configure multer for file uploads
 // Configure multer for file uploads
@@ -114,6 +116,8 @@ router.post('/upload', upload.array('files', 10), async (req, res) => {
             documents.push(result.rows[0]);
         }
 
+        await skillCache.invalidate(tenantId, { profiles: [profile_name] });
+
         // Log audit
         if (req.audit) {
             await req.audit.log({
@@ -156,7 +160,7 @@ router.get('/', async (req, res) => {
             SELECT id, filename, original_name as "originalName", mimetype, size_bytes as size,
                    profile_name as "profileName", document_type as "documentType",
                    status, processed_at as "processedAt", created_at as "uploadedAt",
-                   extracted_data as "extractedData"
+                   quarantined_at as "quarantinedAt", extracted_data as "extractedData"
             FROM documents
             WHERE tenant_id = $1 AND deleted_at IS NULL
         `;
@@ -226,7 +230,8 @@ router.get('/:id', async (req, res) => {
             SELECT id, filename, original_name as "originalName", mimetype, size_bytes as size,
                    profile_name as "profileName", document_type as "documentType",
                    status, processed_at as "processedAt", created_at as "uploadedAt",
-                   extracted_data as "extractedData"
+                   quarantined_at as "quarantinedAt", extracted_data as "extractedData",
+                   dlp_findings as "dlpFindings"
             FROM documents
             WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
         `, [id, tenantId]);
@@ -346,7 +351,7 @@ router.patch('/:id', async (req, res) => {
 
         // Check document exists
         const checkResult = await req.db.query(`
-            SELECT id FROM documents
+            SELECT id, profile_name FROM documents
             WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
         `, [id, tenantId]);
 
@@ -394,6 +399,11 @@ router.patch('/:id', async (req, res) => {
 
         const result = await req.db.query(query, params);
 
+        await skillCache.invalidate(tenantId, {
+            profiles: [checkResult.rows[0].profile_name, result.rows[0].profileName],
+            documents: [id]
+        });
+
         res.json({
             success: true,
             document: result.rows[0]
@@ -418,7 +428,7 @@ router.delete('/:id', async (req, res) => {
 
         // Get document path before deletion
         const docResult = await req.db.query(`
-            SELECT file_path
+            SELECT file_path, profile_name
             FROM documents
             WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
         `, [id, tenantId]);
@@ -439,6 +449,8 @@ router.delete('/:id', async (req, res) => {
             WHERE id = $1
         `, [id]);
 
+        await skillCache.invalidate(tenantId, { profiles: [docResult.rows[0].profile_name], documents: [id] });
+
         // Delete file from disk
         try {
             if (fs.existsSync(filePath)) {
@@ -473,7 +485,9 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * POST /api/v1/documents/:id/process
- * Trigger document processing (extraction) - stores extracted data in DB
+ * Trigger document processing (extraction) - stores extracted data in DB and
+ * rebuilds the document's chat retrieval index, screening its text for prompt
+ * injection (findings are stored in dlp_findings and audited)
  */
 router.post('/:id/process', async (req, res) => {
     try {
@@ -505,17 +519,42 @@ router.post('/:id/process', async (req, res) => {
             tenant_id: tenantId
         }, {
             tenantId,
+            tenant: req.tenant,
             vertical: req.tenant?.vertical || 'finance',
             dlp: req.dlp,
             audit: req.audit,
             db: req.db
         });
 
+        // Skills that read this document or its profile must see the new extraction
+        await skillCache.invalidate(tenantId, { profiles: [document.profileName], documents: [id] });
+
+        // The extraction succeeded even if indexing does not; chat retries documents left unindexed
+        let index;
+        try {
+            index = await documentIndex.indexDocument(tenantId, id, { screener: req.injection });
+        } catch (error) {
+            console.error('Document indexing error:', error);
+            index = { error: error.message };
+        }
+
+        // The findings are stored on the document; a lost audit entry must not fail the processing
+        if (req.audit && index.injection?.findings.length > 0) {
+            await req.audit.log({
+                tenantId,
+                action: 'PROMPT_INJECTION_DETECTED',
+                resourceType: 'document',
+                resourceId: id,
+                dlpFindings: index.injection.findings
+            }).catch(error => console.error('Failed to audit prompt injection:', error.message));
+        }
+
         res.json({
             success: true,
             document_id: id,
             profile_name: document.profileName,
-            extraction_result: result
+            extraction_result: result,
+            index
         });
     } catch (error) {
         console.error('Processing error:', error);
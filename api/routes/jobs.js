@@ -0,0 +1,178 @@
+/**
+ * Skill Jobs API Routes
+ * Status, progress events, result retrieval and cancellation for asynchronous
+ * skill runs (enqueued with POST /api/v1/skills/:skillName?async=true)
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/job-queue');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FINISHED_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+// The events stream re-reads the job this often, for jobs running on other instances
+const EVENTS_POLL_MS = parseInt(process.env.JOB_EVENTS_POLL_MS) || 1000;
+const KEEPALIVE_MS = 15000;
+
+function jobNotFound(res, id) {
+  return res.status(404).json({
+    error: 'JOB_NOT_FOUND',
+    message: `Job '${id}' not found`
+  });
+}
+
+// Get job status, progress and (once finished) result
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return jobNotFound(res, id);
+
+    const job = await jobQueue.get(id, req.tenant.id);
+    if (!job) return jobNotFound(res, id);
+
+    res.json({
+      success: true,
+      job: jobQueue.format(job)
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      error: 'JOB_LOOKUP_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Stream a job's progress as server-sent events until it finishes
+// Events: job (status snapshot), progress ({ progress, message, partialResult? }), done (final job)
+router.get('/:id/events', async (req, res) => {
+  const { id } = req.params;
+  let last;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return jobNotFound(res, id);
+
+    last = await jobQueue.get(id, req.tenant.id);
+    if (!last) return jobNotFound(res, id);
+  } catch (error) {
+    console.error('Job events error:', error);
+    return res.status(500).json({
+      error: 'JOB_LOOKUP_ERROR',
+      message: error.message
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('job', jobQueue.format(last));
+  if (FINISHED_STATUSES.has(last.status)) {
+    send('done', jobQueue.format(last));
+    return res.end();
+  }
+
+  let closed = false;
+  let refreshing = false;
+  let unsubscribe = () => {};
+  let poll;
+  let keepalive;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    clearInterval(keepalive);
+    unsubscribe();
+    res.end();
+  };
+
+  // Pick up progress stored by other instances, retries and the outcome
+  const refresh = async () => {
+    if (closed || refreshing) return;
+    refreshing = true;
+
+    try {
+      const job = await jobQueue.get(id, req.tenant.id);
+      if (!job || closed) return;
+
+      if (job.status !== last.status) {
+        send('job', jobQueue.format(job));
+      } else if (job.progress !== last.progress || job.progress_message !== last.progress_message) {
+        send('progress', { progress: job.progress, message: job.progress_message });
+      }
+      last = job;
+
+      if (FINISHED_STATUSES.has(job.status)) {
+        send('done', jobQueue.format(job));
+        close();
+      }
+    } catch (error) {
+      console.error('Job events refresh error:', error.message);
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  // Jobs running on this instance report every step, including partial results
+  unsubscribe = jobQueue.subscribe(id, (event) => {
+    if (event.type !== 'progress') return refresh();
+
+    const { type, ...progress } = event;
+    send('progress', progress);
+    last = { ...last, progress: event.progress, progress_message: event.message };
+  });
+  poll = setInterval(refresh, EVENTS_POLL_MS);
+  keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  req.on('close', close);
+});
+
+// Cancel a queued or running job
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return jobNotFound(res, id);
+
+    const cancelled = await jobQueue.cancel(id, req.tenant.id);
+    if (!cancelled) {
+      const job = await jobQueue.get(id, req.tenant.id);
+      if (!job) return jobNotFound(res, id);
+
+      return res.status(409).json({
+        error: 'JOB_NOT_CANCELLABLE',
+        message: `Job '${id}' already ${job.status}`,
+        job: jobQueue.format(job)
+      });
+    }
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenant.id,
+        action: 'SKILL_JOB_CANCELLED',
+        skillName: cancelled.skill_name,
+        resourceType: 'skill_job',
+        resourceId: id
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobQueue.format(cancelled)
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      error: 'JOB_CANCEL_ERROR',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * MCP HTTP Transports
+ * POST /api/v1/mcp                      - Stateless JSON-RPC (one message per request)
+ * GET  /api/v1/mcp/sse                  - SSE stream; the first "endpoint" event says where to post
+ * POST /api/v1/mcp/messages?sessionId=  - Messages of an SSE session (responses arrive on the stream)
+ * Every request authenticates with a tenant API key that has the 'mcp' scope.
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiKeys = require('../services/api-keys');
+const mcpServer = require('../services/mcp-server');
+
+const KEEPALIVE_MS = parseInt(process.env.MCP_SSE_KEEPALIVE_MS) || 25000;
+
+// Open SSE sessions (sessionId -> { session, res })
+const sseSessions = new Map();
+
+router.use(apiKeys.middleware('mcp'));
+
+router.post('/', async (req, res) => {
+  const session = mcpServer.createSession({ tenant: req.tenant, apiKey: req.apiKey });
+
+  try {
+    const reply = await mcpServer.handle(session, req.body);
+    if (!reply) return res.status(202).end();
+    res.json(reply);
+  } catch (error) {
+    console.error('MCP request error:', error);
+    res.status(500).json({
+      error: 'MCP_ERROR',
+      message: error.message
+    });
+  }
+});
+
+router.get('/sse', (req, res) => {
+  const session = mcpServer.createSession({ tenant: req.tenant, apiKey: req.apiKey });
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  sseSessions.set(session.id, { session, res });
+  res.write(`event: endpoint\ndata: ${req.baseUrl}/messages?sessionId=${session.id}\n\n`);
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+
+  res.on('close', () => {
+    clearInterval(keepalive);
+    sseSessions.delete(session.id);
+    mcpServer.closeSession(session);
+  });
+});
+
+router.post('/messages', async (req, res) => {
+  const entry = sseSessions.get(req.query.sessionId);
+
+  // Sessions are bound to the key that opened them
+  if (!entry || entry.session.apiKey?.id !== req.apiKey.id) {
+    return res.status(404).json({
+      error: 'MCP_SESSION_NOT_FOUND',
+      message: `MCP session '${req.query.sessionId}' not found`
+    });
+  }
+
+  res.status(202).end();
+
+  const reply = await mcpServer.handle(entry.session, req.body);
+  if (reply && !entry.res.writableEnded) {
+    entry.res.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Metrics Route
+ * GET /metrics serves skill metrics in the Prometheus text format. It sits in
+ * front of tenant isolation so scrapers need no tenant host; set METRICS_TOKEN
+ * to require "Authorization: Bearer <token>". Without a token it is only served
+ * outside production.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+const skillMetrics = require('../services/skill-metrics');
+
+function authorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return process.env.NODE_ENV !== 'production';
+
+  const presented = Buffer.from(req.get('authorization') || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+router.get('/', (req, res) => {
+  if (!authorized(req)) {
+    return res.status(401).json({
+      error: 'UNAUTHORIZED',
+      message: 'A valid metrics token is required'
+    });
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(skillMetrics.toPrometheus());
+});
+
+module.exports = router;
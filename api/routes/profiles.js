@@ -5,6 +5,7 @@
 
 const express = require('express');
 const router = express.Router();
+const skillCache = require('../services/skill-cache');
 
 /**
  * GET /api/v1/profiles
@@ -189,6 +190,8 @@ router.delete('/:name', async (req, res) => {
             });
         }
 
+        await skillCache.invalidate(tenantId, { profiles: [name] });
+
         // Log audit
         if (req.audit) {
             await req.audit.log({
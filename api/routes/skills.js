@@ -1,164 +1,587 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
-const crypto = require('crypto');
 
-const db = require('../../core/database/connection');
-const EncryptionService = require('../../security/encryption/service');
-const DLPScanner = require('../../security/dlp/scanner');
 const AuditLogger = require('../../security/audit/logger');
-const { loadAllSkills } = require('../../core/utils/skill-loader');
+const registry = require('../services/skill-registry');
+const jobQueue = require('../services/job-queue');
+const gateway = require('../services/skill-gateway');
+const skillSettings = require('../services/skill-settings');
+const idempotency = require('../services/idempotency');
+const skillWatcher = require('../services/skill-watcher');
+const agentActions = require('../services/agent-actions');
+const { validateInput, resolveSkillConfig, SkillError } = require('../../core/utils/skill-loader');
+const { authenticateToken, requireRole } = require('./auth');
 
 // Initialize services
-const encryption = new EncryptionService(process.env.MASTER_ENCRYPTION_KEY);
-const dlp = new DLPScanner({ strictMode: true });
 const audit = new AuditLogger({ connectionString: process.env.DATABASE_URL });
 
 // Load ALL skills dynamically from verticals directory
-const skills = loadAllSkills();
+registry.load();
 
-// List all available skills
+// Changes to the tenant's skill settings and version pins are made by its admins
+const requireAdmin = [authenticateToken, requireRole('admin')];
+
+// List the skills this tenant can run (?include=unavailable also lists disabled and tier-locked ones)
 router.get('/', (req, res) => {
-  const availableSkills = Object.keys(skills).map(name => ({
-    name,
-    description: skills[name].description,
-    vertical: skills[name]._vertical || skills[name].vertical,
-    tier: skills[name].tier,
-    requiredInputs: skills[name].inputSchema?.required || [],
-    inputFields: Object.entries(skills[name].inputSchema?.properties || {}).map(([fieldName, fieldDef]) => ({
+  const includeUnavailable = req.query.include === 'unavailable';
+
+  const availableSkills = registry.list().map(skill => ({
+    name: skill.name,
+    description: skill.description,
+    vertical: skill._vertical || skill.vertical,
+    tier: skill.tier,
+    version: skill.version,
+    versions: registry.versionsOf(skill.name),
+    pinnedVersion: req.tenant.skillSettings?.[skill.name]?.version || null,
+    requiredInputs: skill.inputSchema?.required || [],
+    inputFields: Object.entries(skill.inputSchema?.properties || {}).map(([fieldName, fieldDef]) => ({
       name: fieldName,
       type: fieldDef?.type || 'any',
       description: fieldDef?.description || null
     })),
-    outputFields: Object.keys(skills[name].outputSchema?.properties || {})
+    outputFields: Object.keys(skill.outputSchema?.properties || {}),
+    configurable: Boolean(skill.configSchema),
+    access: registry.checkAccess(skill, req.tenant)
   }));
 
+  const skills = availableSkills
+    .filter(s => s.vertical === req.tenant.vertical)
+    .filter(s => includeUnavailable || s.access.allowed)
+    .map(({ access, ...s }) => ({
+      ...s,
+      available: access.allowed,
+      ...(!access.allowed && { unavailableReason: access.code })
+    }));
+
   res.json({
     success: true,
     tenant: req.tenant.id,
     vertical: req.tenant.vertical,
-    skills: availableSkills.filter(s => s.vertical === req.tenant.vertical),
+    subscriptionTier: req.tenant.subscriptionTier || null,
+    skills,
     totalSkills: availableSkills.length
   });
 });
 
-// Execute a skill
-router.post('/:skillName', async (req, res) => {
+// Skills of the tenant's vertical that failed to load, and hot reload state (development)
+router.get('/load-errors', (req, res) => {
+  registry.load();
+  const { watching, recentReloads } = skillWatcher.status();
+
+  res.json({
+    success: true,
+    hotReload: {
+      watching,
+      recentReloads: recentReloads.filter(reload => reload.vertical === req.tenant.vertical)
+    },
+    errors: registry.loadErrors
+      .filter(entry => entry.vertical === req.tenant.vertical)
+      .map(({ path: filePath, ...entry }) => ({
+        ...entry,
+        file: filePath ? path.relative(registry.verticalsPath, filePath) : null
+      }))
+  });
+});
+
+function skillNotFound(res, skillName) {
+  return res.status(404).json({
+    error: 'SKILL_NOT_FOUND',
+    message: `Skill '${skillName}' not found`
+  });
+}
+
+// Default window of the stats endpoint when ?from is not given
+const STATS_DEFAULT_DAYS = 30;
+
+// Execution counts, p50/p95 latency, error and DLP-block rates of a skill for this tenant,
+// overall and per version (?from / ?to ISO dates, default the last 30 days)
+router.get('/:skillName/stats', async (req, res) => {
+  const { skillName } = req.params;
+  if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - STATS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return res.status(400).json({
+      error: 'INVALID_STATS_PERIOD',
+      message: 'from and to must be ISO dates with from before to'
+    });
+  }
+
+  try {
+    const stats = await audit.getSkillStats({
+      tenantId: req.tenant.id,
+      skillName,
+      startDate: from.toISOString(),
+      endDate: to.toISOString()
+    });
+
+    res.json({
+      success: true,
+      skill: skillName,
+      period: { from: from.toISOString(), to: to.toISOString() },
+      ...stats
+    });
+  } catch (error) {
+    console.error('Skill stats error:', error);
+    res.status(500).json({
+      error: 'SKILL_STATS_ERROR',
+      message: 'Failed to load skill statistics'
+    });
+  }
+});
+
+// List the versions of a skill and the tenant's pin
+router.get('/:skillName/versions', (req, res) => {
+  const { skillName } = req.params;
+  if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+  const skill = registry.get(skillName);
+  res.json({
+    success: true,
+    skill: skillName,
+    current: skill.version,
+    versions: registry.versionsOf(skillName),
+    pinnedVersion: req.tenant.skillSettings?.[skillName]?.version || null
+  });
+});
+
+// Pin the tenant to an exact version of a skill
+router.put('/:skillName/pin', requireAdmin, async (req, res) => {
+  const { skillName } = req.params;
+  const { version } = req.body || {};
+
+  try {
+    if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+    if (typeof version !== 'string') {
+      return res.status(400).json({
+        error: 'INVALID_SKILL_VERSION',
+        message: 'version is required'
+      });
+    }
+
+    // Throws SKILL_VERSION_NOT_FOUND for versions that are not loaded
+    registry.get(skillName, null, version);
+
+    await skillSettings.pinVersion(req.tenant.id, skillName, version, req.userId);
+
+    await audit.log({
+      tenantId: req.tenant.id,
+      userId: req.userId,
+      action: 'SKILL_VERSION_PINNED',
+      skillName,
+      skillVersion: version,
+      resourceType: 'skill',
+      resourceId: skillName
+    });
+
+    res.json({ success: true, skill: skillName, pinnedVersion: version });
+  } catch (error) {
+    console.error('Pin skill version error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.code : 'SKILL_PIN_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Remove the tenant's pin (the current version is used again)
+router.delete('/:skillName/pin', requireAdmin, async (req, res) => {
+  const { skillName } = req.params;
+
+  try {
+    if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+    const removed = await skillSettings.unpinVersion(req.tenant.id, skillName);
+
+    if (removed) {
+      await audit.log({
+        tenantId: req.tenant.id,
+        userId: req.userId,
+        action: 'SKILL_VERSION_UNPINNED',
+        skillName,
+        resourceType: 'skill',
+        resourceId: skillName
+      });
+    }
+
+    res.json({ success: true, skill: skillName, pinnedVersion: null, currentVersion: registry.get(skillName).version });
+  } catch (error) {
+    console.error('Unpin skill version error:', error);
+    res.status(500).json({
+      error: 'SKILL_PIN_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Get the tenant's settings for a skill (enablement, effective configuration, version pin, chat agent policy)
+router.get('/:skillName/settings', (req, res) => {
+  const { skillName } = req.params;
+
+  try {
+    if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+    const skill = registry.get(skillName);
+    const settings = req.tenant.skillSettings?.[skillName] || {};
+    const access = registry.checkAccess(skill, req.tenant);
+
+    res.json({
+      success: true,
+      skill: skillName,
+      enabled: settings.enabled ?? true,
+      available: access.allowed,
+      ...(!access.allowed && { unavailableReason: access.code }),
+      tier: skill.tier,
+      subscriptionTier: req.tenant.subscriptionTier || null,
+      pinnedVersion: settings.version || null,
+      configSchema: skill.configSchema || null,
+      overrides: settings.config || {},
+      config: resolveSkillConfig(skill, settings.config),
+      agentPolicy: settings.agentPolicy || {},
+      defaultAgentPolicy: agentActions.defaultPolicy(skillName)
+    });
+  } catch (error) {
+    console.error('Get skill settings error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.code : 'SKILL_SETTINGS_ERROR',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// Enable/disable a skill or replace its configuration overrides or chat agent policy
+// ({ enabled, config, agentPolicy: { "*" | role -> auto | require-approval | forbidden } }, null = default)
+router.put('/:skillName/settings', requireAdmin, async (req, res) => {
+  const { skillName } = req.params;
+  const { enabled, config, agentPolicy } = req.body || {};
+
+  try {
+    if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+    if (enabled !== undefined && enabled !== null && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        error: 'INVALID_SKILL_SETTINGS',
+        message: 'enabled must be a boolean or null'
+      });
+    }
+
+    const skill = registry.get(skillName);
+    if (config !== undefined) {
+      if (!skill.configSchema) {
+        return res.status(400).json({
+          error: 'INVALID_SKILL_SETTINGS',
+          message: `Skill '${skillName}' has no configuration`
+        });
+      }
+      // Throws INVALID_SKILL_CONFIG (400) with the offending paths
+      resolveSkillConfig(skill, config);
+    }
+    if (agentPolicy !== undefined && agentPolicy !== null) {
+      // Throws INVALID_AGENT_POLICY (400)
+      agentActions.validatePolicy(agentPolicy);
+    }
+
+    const row = await skillSettings.update(req.tenant.id, skillName, {
+      enabled,
+      config,
+      agentPolicy: agentPolicy === null ? {} : agentPolicy
+    }, req.userId);
+
+    await audit.log({
+      tenantId: req.tenant.id,
+      userId: req.userId,
+      action: 'SKILL_SETTINGS_UPDATED',
+      skillName,
+      resourceType: 'skill',
+      resourceId: skillName
+    });
+
+    res.json({
+      success: true,
+      skill: skillName,
+      enabled: row.enabled ?? true,
+      overrides: row.config,
+      config: resolveSkillConfig(skill, row.config),
+      agentPolicy: row.agent_policy || {}
+    });
+  } catch (error) {
+    console.error('Update skill settings error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.code : 'SKILL_SETTINGS_ERROR',
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+});
+
+// Restore default enablement, configuration and chat agent policy
+router.delete('/:skillName/settings', requireAdmin, async (req, res) => {
+  const { skillName } = req.params;
+
+  try {
+    if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+    if (await skillSettings.reset(req.tenant.id, skillName)) {
+      await audit.log({
+        tenantId: req.tenant.id,
+        userId: req.userId,
+        action: 'SKILL_SETTINGS_RESET',
+        skillName,
+        resourceType: 'skill',
+        resourceId: skillName
+      });
+    }
+
+    res.json({ success: true, skill: skillName, enabled: true, overrides: {}, agentPolicy: {} });
+  } catch (error) {
+    console.error('Reset skill settings error:', error);
+    res.status(500).json({
+      error: 'SKILL_SETTINGS_ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Cache-Control: no-cache asks for a fresh run of cacheable skills (the new result is still stored)
+ */
+function wantsFreshResult(req) {
+  return /\bno-(cache|store)\b/.test(req.get('cache-control') || '');
+}
+
+const MAX_BATCH_ITEMS = parseInt(process.env.SKILL_BATCH_MAX_ITEMS) || 500;
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+/**
+ * Batch inputs from a JSON array, { inputs: [...] } or an NDJSON body (one input per line)
+ * @throws {SkillError} INVALID_BATCH (400)
+ */
+function parseBatchInputs(req) {
+  let inputs = req.body;
+
+  if (typeof inputs === 'string') {
+    inputs = inputs.split(/\r?\n/).reduce((items, line, lineIndex) => {
+      if (!line.trim()) return items;
+      try {
+        items.push(JSON.parse(line));
+      } catch (error) {
+        throw new SkillError('INVALID_BATCH', `Line ${lineIndex + 1} is not valid JSON`, 400);
+      }
+      return items;
+    }, []);
+  } else if (inputs && !Array.isArray(inputs)) {
+    inputs = inputs.inputs;
+  }
+
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new SkillError('INVALID_BATCH', 'Provide a non-empty array of inputs (JSON array, { inputs: [...] } or NDJSON)', 400);
+  }
+  if (inputs.length > MAX_BATCH_ITEMS) {
+    throw new SkillError('BATCH_TOO_LARGE', `A batch holds at most ${MAX_BATCH_ITEMS} inputs (got ${inputs.length})`, 413);
+  }
+  return inputs;
+}
+
+// Run a skill over many inputs (?concurrency=n, ?version=x.y.z); items succeed or fail independently
+router.post('/:skillName/batch', express.text({ type: NDJSON_TYPES, limit: '10mb' }), idempotency.middleware(), async (req, res) => {
+  const { skillName } = req.params;
+
+  try {
+    if (!registry.has(skillName)) return skillNotFound(res, skillName);
+
+    const inputs = parseBatchInputs(req);
+
+    // Stop starting new items if the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) abortController.abort();
+    });
+
+    const { batchId, version, items, summary } = await gateway.executeBatch(skillName, inputs, {
+      tenant: req.tenant,
+      user: req.user || null,
+      userId: req.userId,
+      version: req.query.version || null,
+      concurrency: parseInt(req.query.concurrency) || undefined,
+      refreshCache: wantsFreshResult(req),
+      signal: abortController.signal
+    });
+
+    if (res.headersSent || res.destroyed) return;
+
+    res.json({
+      success: true,
+      skill: skillName,
+      batchId,
+      skillVersion: version,
+      summary,
+      results: items.map(item => item.success
+        ? {
+          index: item.index,
+          success: true,
+          result: item.result,
+          metadata: {
+            executionTime: item.durationMs,
+            cached: Boolean(item.meta.cached),
+            outputValidation: {
+              valid: item.meta.output_valid,
+              errors: item.meta.output_errors || []
+            }
+          }
+        }
+        : {
+          index: item.index,
+          success: false,
+          error: item.error.status ? item.error.code : 'SKILL_EXECUTION_ERROR',
+          message: item.error.message,
+          ...(item.error.errors && { errors: item.error.errors }),
+          ...(item.error.violations && { violations: item.error.violations })
+        })
+    });
+  } catch (error) {
+    console.error('Batch skill execution error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.code : 'SKILL_BATCH_ERROR',
+      message: error.message,
+      skill: skillName
+    });
+  }
+});
+
+// Execute a skill (?version=x.y.z runs an exact version instead of the tenant's pin or the current one)
+// Send Idempotency-Key to make retries safe; results of cacheable skills may be served from the cache
+// ?dry_run=true rolls back every write and lists the side effects the run would have had
+router.post('/:skillName', idempotency.middleware(), async (req, res) => {
   const { skillName } = req.params;
   const startTime = Date.now();
+  const requestedVersion = req.query.version || null;
 
   try {
     // Check if skill exists
-    const skill = skills[skillName];
-    if (!skill) {
+    if (!registry.has(skillName)) {
       return res.status(404).json({
         error: 'SKILL_NOT_FOUND',
         message: `Skill '${skillName}' not found`,
-        availableSkills: Object.keys(skills)
+        availableSkills: registry.names()
       });
     }
 
-    // Check if skill is available for this vertical (disabled for dev testing)
-    if (process.env.NODE_ENV === 'production' && skill.vertical !== req.tenant.vertical) {
-      return res.status(403).json({
-        error: 'SKILL_NOT_AVAILABLE',
-        message: `Skill '${skillName}' is not available for ${req.tenant.vertical} vertical`
+    const dryRun = req.query.dry_run === 'true';
+    if (dryRun && req.query.async === 'true') {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        message: 'dry_run cannot be combined with async'
       });
     }
 
-    // Hash input for audit
-    const inputHash = crypto.createHash('sha256')
-      .update(JSON.stringify(req.body))
-      .digest('hex');
+    // Asynchronous run: enqueue a job and return its id right away
+    if (req.query.async === 'true') {
+      const skill = gateway.resolve(skillName, { tenant: req.tenant, version: requestedVersion });
+      const { inputHash, dlpScan } = await gateway.screen(skillName, req.body, { tenant: req.tenant, skillVersion: skill.version });
 
-    // DLP scan input
-    const dlpScan = dlp.scan(JSON.stringify(req.body), {
-      context: req.tenant.vertical,
-      includeMatches: false
-    });
+      // Validate now so bad input fails with a 400 instead of inside the job
+      validateInput(skill, { ...req.body, tenant_id: req.tenant.id });
+
+      const job = await jobQueue.enqueue({
+        tenant: req.tenant,
+        userId: req.userId,
+        skillName,
+        version: skill.version,
+        input: req.body
+      });
 
-    const blockers = dlpScan.findings.filter(f => f.action === 'BLOCK');
-    if (blockers.length > 0 && req.tenant.dlpStrictMode) {
       await audit.log({
         tenantId: req.tenant.id,
-        action: 'SKILL_EXECUTION_BLOCKED',
+        action: 'SKILL_JOB_QUEUED',
         skillName,
+        skillVersion: skill.version,
+        resourceType: 'skill_job',
+        resourceId: job.id,
         requestBodyHash: inputHash,
-        dlpFindings: blockers,
-        responseStatus: 403
+        responseStatus: 202,
+        dlpFindings: dlpScan.findings
       });
 
-      return res.status(403).json({
-        error: 'DLP_VIOLATION',
-        message: 'Request contains sensitive data that cannot be processed',
-        violations: blockers.map(b => ({
-          type: b.type,
-          severity: b.severity,
-          description: b.description
-        }))
+      return res.status(202).json({
+        success: true,
+        skill: skillName,
+        job: jobQueue.format(job),
+        statusUrl: `/api/v1/jobs/${job.id}`
       });
     }
 
-    // Execute skill
-    const context = {
+    // Cancel the skill run if the client goes away before it finishes
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) abortController.abort();
+    });
+
+    // DLP screening, isolated execution and auditing are shared with the MCP server
+    const { result, meta, dlpScan, durationMs, sideEffects } = await gateway.execute(skillName, req.body, {
       tenant: req.tenant,
-      encryption,
-      dlp,
-      audit,
-      db,
-      input: req.body
-    };
-
-    const result = await skill.execute(context);
-    const durationMs = Date.now() - startTime;
-
-    // Hash output for audit
-    const outputHash = crypto.createHash('sha256')
-      .update(JSON.stringify(result))
-      .digest('hex');
-
-    // Log success
-    await audit.log({
-      tenantId: req.tenant.id,
-      action: 'SKILL_EXECUTION_SUCCESS',
-      skillName,
-      requestBodyHash: inputHash,
-      responseBodyHash: outputHash,
-      responseStatus: 200,
-      durationMs,
-      dlpFindings: dlpScan.findings
+      user: req.user || null,
+      userId: req.userId,
+      version: requestedVersion,
+      refreshCache: wantsFreshResult(req),
+      dryRun,
+      signal: abortController.signal
     });
 
     res.json({
       success: true,
       skill: skillName,
       result,
+      ...(dryRun && { dryRun: true, sideEffects }),
       metadata: {
         executionTime: durationMs,
+        skillVersion: meta.version,
+        pinned: meta.pinned,
+        cached: Boolean(meta.cached),
+        ...(meta.cached && { cachedAt: meta.cached_at }),
         dlpScan: {
           scanned: true,
           findings: dlpScan.findings.length,
           sensitive: dlpScan.hasSensitiveData
+        },
+        outputValidation: {
+          valid: meta.output_valid,
+          errors: meta.output_errors || []
         }
       }
     });
 
   } catch (error) {
-    const durationMs = Date.now() - startTime;
+    // Errors raised by the skill layer carry their own status/code; anything else is a 500
+    const status = error.status || 500;
 
-    await audit.log({
-      tenantId: req.tenant.id,
-      action: 'SKILL_EXECUTION_ERROR',
-      skillName,
-      responseStatus: 500,
-      durationMs,
-      errorMessage: error.message,
-      errorStack: error.stack
-    });
+    if (!error.audited) {
+      await audit.log({
+        tenantId: req.tenant.id,
+        action: 'SKILL_EXECUTION_ERROR',
+        skillName,
+        skillVersion: error.skillVersion || null,
+        responseStatus: status,
+        durationMs: Date.now() - startTime,
+        errorMessage: error.message,
+        errorStack: error.stack
+      });
+    }
 
-    res.status(500).json({
-      error: 'SKILL_EXECUTION_ERROR',
+    if (res.headersSent || res.destroyed) return;
+
+    res.status(status).json({
+      error: error.status ? error.code : 'SKILL_EXECUTION_ERROR',
       message: error.message,
-      skill: skillName
+      skill: skillName,
+      ...(error.errors && { errors: error.errors }),
+      ...(error.violations && { violations: error.violations })
     });
   }
 });
@@ -0,0 +1,167 @@
+/**
+ * Usage Routes
+ * LLM usage of the tenant's chat turns by period, and the tenant's usage
+ * budgets (see api/services/llm-usage.js). Requires a signed-in user of the
+ * tenant; users see their own usage, admins the whole tenant's and change budgets.
+ */
+
+const express = require('express');
+const router = express.Router();
+const llmUsage = require('../services/llm-usage');
+const { periodStart } = require('../services/llm-usage');
+const skillSettings = require('../services/skill-settings');
+const { authenticateToken, requireRole } = require('./auth');
+
+const REPORT_PERIODS = ['day', 'month'];
+const GROUP_BY = ['user', 'model', 'provider', 'conversation'];
+const ADMIN_ROLE = 'admin';
+
+router.use(authenticateToken);
+
+function invalidQuery(res, message) {
+  return res.status(400).json({
+    error: 'INVALID_USAGE_QUERY',
+    message
+  });
+}
+
+// Default report range: this month by day, the last 12 months by month
+function defaultFrom(period, now) {
+  const start = periodStart('month', now);
+  return period === 'month' ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 11, 1)) : start;
+}
+
+// Usage per day or month (?period=day|month&from&to&user_id&group_by=user|model|provider|conversation),
+// with the budget status of the tenant and the caller. Users other than admins
+// only see their own usage.
+router.get('/', async (req, res) => {
+  const { period = 'day', group_by: groupBy = null } = req.query;
+  const isAdmin = req.user.role === ADMIN_ROLE;
+  const userId = isAdmin ? req.query.user_id || null : req.userId;
+  const now = new Date();
+
+  if (!isAdmin && req.query.user_id && req.query.user_id !== req.userId) {
+    return res.status(403).json({
+      error: 'FORBIDDEN',
+      message: "Only admins can see other users' usage"
+    });
+  }
+
+  if (!REPORT_PERIODS.includes(period)) {
+    return invalidQuery(res, `period must be one of: ${REPORT_PERIODS.join(', ')}`);
+  }
+  if (groupBy !== null && !GROUP_BY.includes(groupBy)) {
+    return invalidQuery(res, `group_by must be one of: ${GROUP_BY.join(', ')}`);
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : defaultFrom(period, now);
+  const to = req.query.to ? new Date(req.query.to) : now;
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return invalidQuery(res, 'from and to must be ISO 8601 dates with from before to');
+  }
+
+  try {
+    const [usage, budget] = await Promise.all([
+      llmUsage.report(req.tenantId, { period, from, to, userId, groupBy }),
+      llmUsage.check(req.tenantId, req.userId, req.tenant.usageBudgets, now)
+    ]);
+
+    const totals = { input_tokens: 0, output_tokens: 0, tokens: 0, cost_usd: 0, requests: 0 };
+    for (const row of usage) {
+      for (const key of Object.keys(totals)) totals[key] += row[key];
+    }
+    totals.cost_usd = Math.round(totals.cost_usd * 1e6) / 1e6;
+
+    res.json({
+      success: true,
+      period,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy,
+      usage,
+      totals,
+      budget
+    });
+  } catch (error) {
+    console.error('Usage report error:', error);
+    res.status(500).json({
+      error: 'USAGE_REPORT_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// The tenant's usage budgets
+router.get('/budgets', (req, res) => {
+  res.json({
+    success: true,
+    budgets: req.tenant.usageBudgets || null
+  });
+});
+
+// Replace the tenant's usage budgets (admins only)
+router.put('/budgets', requireRole(ADMIN_ROLE), async (req, res) => {
+  let budgets;
+  try {
+    budgets = llmUsage.validateBudgets(req.body);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      error: error.code || 'INVALID_USAGE_BUDGETS',
+      message: error.message
+    });
+  }
+
+  try {
+    if (!await skillSettings.updateUsageBudgets(req.tenantId, budgets)) {
+      return res.status(404).json({
+        error: 'TENANT_NOT_FOUND',
+        message: 'Tenant not found'
+      });
+    }
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenantId,
+        userId: req.userId,
+        action: 'USAGE_BUDGETS_UPDATED',
+        resourceType: 'usage_budget',
+        resourceId: req.tenantId
+      });
+    }
+
+    res.json({ success: true, budgets });
+  } catch (error) {
+    console.error('Update usage budgets error:', error);
+    res.status(500).json({
+      error: 'USAGE_BUDGETS_UPDATE_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Remove every usage budget of the tenant (admins only)
+router.delete('/budgets', requireRole(ADMIN_ROLE), async (req, res) => {
+  try {
+    await skillSettings.updateUsageBudgets(req.tenantId, null);
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenantId,
+        userId: req.userId,
+        action: 'USAGE_BUDGETS_RESET',
+        resourceType: 'usage_budget',
+        resourceId: req.tenantId
+      });
+    }
+
+    res.json({ success: true, budgets: null });
+  } catch (error) {
+    console.error('Reset usage budgets error:', error);
+    res.status(500).json({
+      error: 'USAGE_BUDGETS_UPDATE_ERROR',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
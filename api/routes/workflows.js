@@ -0,0 +1,273 @@
+/**
+ * Workflows API Routes
+ * Tenant-defined skill pipelines (DAGs) and their run history
+ */
+
+const express = require('express');
+const router = express.Router();
+const workflowEngine = require('../services/workflow-engine');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function notFound(res, kind, id) {
+  return res.status(404).json({
+    error: `${kind.toUpperCase()}_NOT_FOUND`,
+    message: `${kind === 'workflow' ? 'Workflow' : 'Workflow run'} '${id}' not found`
+  });
+}
+
+function sendError(res, error, fallbackCode) {
+  // Unique (tenant_id, name) index
+  if (error.code === '23505') {
+    return res.status(409).json({
+      error: 'WORKFLOW_EXISTS',
+      message: 'A workflow with this name already exists'
+    });
+  }
+
+  const status = error.status || 500;
+  res.status(status).json({
+    error: error.status ? error.code : fallbackCode,
+    message: error.message,
+    ...(error.errors?.length && { errors: error.errors })
+  });
+}
+
+// List the tenant's workflows
+router.get('/', async (req, res) => {
+  try {
+    const workflows = await workflowEngine.list(req.tenant.id);
+    res.json({ success: true, workflows, count: workflows.length });
+  } catch (error) {
+    console.error('List workflows error:', error);
+    sendError(res, error, 'WORKFLOW_LIST_ERROR');
+  }
+});
+
+// Built-in workflow templates for the tenant's vertical
+router.get('/templates', (req, res) => {
+  const templates = workflowEngine.getTemplates(req.tenant.vertical);
+  res.json({ success: true, templates, count: templates.length });
+});
+
+// Get a run with its per-step records
+router.get('/runs/:runId', async (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(runId)) return notFound(res, 'workflow_run', runId);
+
+    const run = await workflowEngine.getRun(runId, req.tenant.id);
+    if (!run) return notFound(res, 'workflow_run', runId);
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Get workflow run error:', error);
+    sendError(res, error, 'WORKFLOW_RUN_LOOKUP_ERROR');
+  }
+});
+
+// Cancel a running run
+router.delete('/runs/:runId', async (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(runId)) return notFound(res, 'workflow_run', runId);
+
+    const cancelled = await workflowEngine.cancelRun(runId, req.tenant.id);
+    if (!cancelled) {
+      const run = await workflowEngine.getRun(runId, req.tenant.id);
+      if (!run) return notFound(res, 'workflow_run', runId);
+
+      return res.status(409).json({
+        error: 'WORKFLOW_RUN_NOT_CANCELLABLE',
+        message: `Workflow run '${runId}' already ${run.status}`
+      });
+    }
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenant.id,
+        userId: req.userId,
+        action: 'WORKFLOW_RUN_CANCELLED',
+        resourceType: 'workflow_run',
+        resourceId: runId
+      });
+    }
+
+    res.json({ success: true, run: cancelled });
+  } catch (error) {
+    console.error('Cancel workflow run error:', error);
+    sendError(res, error, 'WORKFLOW_RUN_CANCEL_ERROR');
+  }
+});
+
+// Create a workflow from a definition, or from a built-in template ({ template: 'client-onboarding' })
+router.post('/', async (req, res) => {
+  try {
+    let { name, description, definition, template } = req.body || {};
+
+    if (template) {
+      const builtIn = workflowEngine.getTemplates(req.tenant.vertical).find(t => t.name === template);
+      if (!builtIn) {
+        return res.status(404).json({
+          error: 'WORKFLOW_TEMPLATE_NOT_FOUND',
+          message: `Workflow template '${template}' not found`
+        });
+      }
+      name = name || builtIn.name;
+      description = description || builtIn.description;
+      definition = builtIn.definition;
+    }
+
+    if (!name || !definition) {
+      return res.status(400).json({
+        error: 'INVALID_WORKFLOW',
+        message: 'name and definition (or template) are required'
+      });
+    }
+
+    const workflow = await workflowEngine.create(req.tenant, { name, description, definition });
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenant.id,
+        userId: req.userId,
+        action: 'WORKFLOW_CREATED',
+        resourceType: 'workflow',
+        resourceId: workflow.id
+      });
+    }
+
+    res.status(201).json({ success: true, workflow });
+  } catch (error) {
+    console.error('Create workflow error:', error);
+    sendError(res, error, 'WORKFLOW_CREATE_ERROR');
+  }
+});
+
+// Get a workflow
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return notFound(res, 'workflow', id);
+
+    const workflow = await workflowEngine.get(id, req.tenant.id);
+    if (!workflow) return notFound(res, 'workflow', id);
+
+    res.json({ success: true, workflow });
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    sendError(res, error, 'WORKFLOW_LOOKUP_ERROR');
+  }
+});
+
+// Update a workflow (a new definition bumps its version; past runs keep their snapshot)
+router.put('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return notFound(res, 'workflow', id);
+
+    const { name, description, definition } = req.body || {};
+    const workflow = await workflowEngine.update(req.tenant, id, { name, description, definition });
+    if (!workflow) return notFound(res, 'workflow', id);
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenant.id,
+        userId: req.userId,
+        action: 'WORKFLOW_UPDATED',
+        resourceType: 'workflow',
+        resourceId: id
+      });
+    }
+
+    res.json({ success: true, workflow });
+  } catch (error) {
+    console.error('Update workflow error:', error);
+    sendError(res, error, 'WORKFLOW_UPDATE_ERROR');
+  }
+});
+
+// Delete a workflow (runs are kept)
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return notFound(res, 'workflow', id);
+
+    const deleted = await workflowEngine.remove(id, req.tenant.id);
+    if (!deleted) return notFound(res, 'workflow', id);
+
+    if (req.audit) {
+      await req.audit.log({
+        tenantId: req.tenant.id,
+        userId: req.userId,
+        action: 'WORKFLOW_DELETED',
+        resourceType: 'workflow',
+        resourceId: id
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete workflow error:', error);
+    sendError(res, error, 'WORKFLOW_DELETE_ERROR');
+  }
+});
+
+// Trigger a run; returns 202 with the run id, or waits for the result with ?wait=true
+router.post('/:id/runs', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return notFound(res, 'workflow', id);
+
+    const workflow = await workflowEngine.get(id, req.tenant.id);
+    if (!workflow) return notFound(res, 'workflow', id);
+
+    const { run, completion } = await workflowEngine.startRun(workflow, req.body || {}, {
+      tenant: req.tenant,
+      userId: req.userId
+    });
+
+    if (req.query.wait === 'true') {
+      await completion;
+      return res.json({
+        success: true,
+        run: await workflowEngine.getRun(run.id, req.tenant.id)
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      run: { id: run.id, workflowId: workflow.id, workflowVersion: run.workflow_version, status: run.status },
+      statusUrl: `/api/v1/workflows/runs/${run.id}`
+    });
+  } catch (error) {
+    console.error('Start workflow run error:', error);
+    sendError(res, error, 'WORKFLOW_RUN_ERROR');
+  }
+});
+
+// Run history for a workflow
+router.get('/:id/runs', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!UUID_PATTERN.test(id)) return notFound(res, 'workflow', id);
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const runs = await workflowEngine.listRuns(id, req.tenant.id, { limit, offset });
+
+    res.json({ success: true, runs, count: runs.length });
+  } catch (error) {
+    console.error('List workflow runs error:', error);
+    sendError(res, error, 'WORKFLOW_RUN_LIST_ERROR');
+  }
+});
+
+module.exports = router;
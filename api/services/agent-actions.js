@@ -0,0 +1,173 @@
+/**
+ * Agent Actions
+ * Human-in-the-loop control over the tools the chat agent calls. Each skill has
+ * a policy per tenant and role: auto (run it), require-approval (pause until a
+ * user approves) or forbidden (never offered to the agent). Tenants set it in
+ * tenant_skill_settings.agent_policy ({ "*": ..., "<role>": ... }); skills that
+ * declare `writes: true` require approval by default.
+ *
+ * Paused tool calls are stored in agent_actions. The chat turn waits for a
+ * decision (POST /api/v1/chat/conversations/:id/actions/:actionId), which is
+ * emitted to local waiters and picked up by polling on other instances.
+ */
+
+const { EventEmitter } = require('events');
+const db = require('../../core/database/connection');
+const registry = require('./skill-registry');
+
+const POLICIES = ['auto', 'require-approval', 'forbidden'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ACTION_COLUMNS = `id, conversation_id, user_id, tool_name, input, status, decided_by, decided_at, reason, expires_at, created_at`;
+
+class AgentActionError extends Error {
+    constructor(code, message, status) {
+        super(message);
+        this.name = 'AgentActionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class AgentActions {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     * @param {number} options.timeoutMs - How long a paused tool call waits for a decision
+     * @param {number} options.pollIntervalMs - How often waiters check for decisions made on other instances
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.AGENT_APPROVAL_TIMEOUT_MS) || 10 * 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.AGENT_APPROVAL_POLL_MS) || 2000;
+
+        this.events = new EventEmitter(); // actionId -> decided action
+        this.events.setMaxListeners(0);
+    }
+
+    /**
+     * Policy for the agent calling a skill on behalf of a user with a role
+     * (the tenant's role entry, then its "*" entry, then the skill's default)
+     */
+    policyFor(skillName, tenant = null, role = null) {
+        const policy = tenant?.skillSettings?.[skillName]?.agentPolicy || {};
+        return (role && policy[role]) || policy['*'] || this.defaultPolicy(skillName);
+    }
+
+    defaultPolicy(skillName) {
+        return registry.has(skillName) && registry.get(skillName).writes ? 'require-approval' : 'auto';
+    }
+
+    /**
+     * Check a tenant agent policy ({ "*" | role -> policy })
+     * @throws {AgentActionError} INVALID_AGENT_POLICY (400)
+     */
+    validatePolicy(agentPolicy) {
+        if (!agentPolicy || typeof agentPolicy !== 'object' || Array.isArray(agentPolicy)) {
+            throw new AgentActionError('INVALID_AGENT_POLICY', 'agentPolicy must be an object of role -> policy', 400);
+        }
+        for (const [role, policy] of Object.entries(agentPolicy)) {
+            if (role !== '*' && !/^[a-z0-9_-]+$/.test(role)) {
+                throw new AgentActionError('INVALID_AGENT_POLICY', `Invalid role '${role}' (use "*" for every role)`, 400);
+            }
+            if (!POLICIES.includes(policy)) {
+                throw new AgentActionError('INVALID_AGENT_POLICY', `Policy for '${role}' must be one of: ${POLICIES.join(', ')}`, 400);
+            }
+        }
+        return agentPolicy;
+    }
+
+    /**
+     * Store a tool call that waits for approval
+     */
+    async create({ tenantId, conversationId, userId = null, tool, input = {} }) {
+        const result = await this.db.query(`
+            INSERT INTO agent_actions (tenant_id, conversation_id, user_id, tool_name, input, expires_at)
+            VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+            RETURNING ${ACTION_COLUMNS}
+        `, [tenantId, conversationId, userId, tool, JSON.stringify(input), this.timeoutMs / 1000]);
+        return result.rows[0];
+    }
+
+    /**
+     * An action of a conversation
+     * @returns {object|null}
+     */
+    async get(actionId, tenantId, conversationId) {
+        if (!UUID_PATTERN.test(actionId)) return null;
+
+        const result = await this.db.query(`
+            SELECT ${ACTION_COLUMNS}
+            FROM agent_actions
+            WHERE id = $1 AND tenant_id = $2 AND conversation_id = $3
+        `, [actionId, tenantId, conversationId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Approve or reject a pending action
+     * @param {object} decision - { approved, decidedBy, reason }
+     * @returns {object|null} The decided action, or null when it was not pending (or has expired)
+     */
+    async decide(actionId, tenantId, conversationId, { approved, decidedBy = null, reason = null }) {
+        if (!UUID_PATTERN.test(actionId)) return null;
+
+        const result = await this.db.query(`
+            UPDATE agent_actions
+            SET status = $4, decided_by = $5, decided_at = NOW(), reason = $6
+            WHERE id = $1 AND tenant_id = $2 AND conversation_id = $3
+              AND status = 'pending' AND expires_at > NOW()
+            RETURNING ${ACTION_COLUMNS}
+        `, [actionId, tenantId, conversationId, approved ? 'approved' : 'rejected', decidedBy, reason]);
+
+        const action = result.rows[0] || null;
+        if (action) this.events.emit(action.id, action);
+        return action;
+    }
+
+    /**
+     * Wait until an action is decided or expires
+     * @returns {Promise<object>} The action with status approved, rejected or expired
+     */
+    wait(action) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            let settled = false;
+
+            const finish = (decided, error = null) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                this.events.off(action.id, finish);
+                if (error) reject(error);
+                else resolve(decided);
+            };
+
+            const poll = async () => {
+                try {
+                    // Decided on another instance, or expired
+                    const result = await this.db.query(`
+                        UPDATE agent_actions
+                        SET status = CASE WHEN status = 'pending' AND expires_at <= NOW() THEN 'expired' ELSE status END
+                        WHERE id = $1
+                        RETURNING ${ACTION_COLUMNS}
+                    `, [action.id]);
+                    const current = result.rows[0];
+                    if (!current) return finish(null, new Error(`Agent action ${action.id} no longer exists`));
+                    if (current.status !== 'pending') return finish(current);
+                } catch (error) {
+                    console.error(`Agent action ${action.id} poll error:`, error.message);
+                }
+                if (!settled) timer = setTimeout(poll, this.pollIntervalMs);
+            };
+
+            this.events.on(action.id, finish);
+            timer = setTimeout(poll, this.pollIntervalMs);
+        });
+    }
+}
+
+module.exports = new AgentActions();
+module.exports.AgentActions = AgentActions;
+module.exports.AgentActionError = AgentActionError;
+module.exports.POLICIES = POLICIES;
@@ -0,0 +1,113 @@
+/**
+ * Agent Personas
+ * Per-vertical chat agent definitions loaded from verticals/<vertical>/agent.js:
+ * the persona's system prompt, the skills it may call as tools, and its
+ * formatting and safety rules. Tenants can append to or replace the system
+ * prompt (tenants.settings.agent); the safety rules always apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPT_MODES = ['append', 'replace'];
+
+class AgentPersonaError extends Error {
+    constructor(code, message, status) {
+        super(message);
+        this.name = 'AgentPersonaError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class AgentPersonas {
+    /**
+     * @param {object} options
+     * @param {string} options.verticalsPath - Root directory holding <vertical>/agent.js
+     */
+    constructor(options = {}) {
+        this.verticalsPath = options.verticalsPath || path.join(__dirname, '../../verticals');
+        this.personas = new Map(); // vertical -> persona
+    }
+
+    /**
+     * The agent definition of a vertical
+     * @throws {AgentPersonaError} AGENT_NOT_AVAILABLE (404) when the vertical has none
+     */
+    get(vertical) {
+        if (this.personas.has(vertical)) return this.personas.get(vertical);
+
+        if (!/^[a-z0-9-]+$/.test(vertical || '') || !fs.existsSync(this.file(vertical))) {
+            throw new AgentPersonaError('AGENT_NOT_AVAILABLE', `No chat agent is defined for the '${vertical}' vertical`, 404);
+        }
+
+        const persona = { vertical, skills: null, formattingRules: '', safetyRules: '', ...require(this.file(vertical)) };
+        if (typeof persona.name !== 'string' || typeof persona.systemPrompt !== 'string') {
+            throw new Error(`Agent of vertical '${vertical}' needs a name and a systemPrompt`);
+        }
+
+        this.personas.set(vertical, persona);
+        return persona;
+    }
+
+    file(vertical) {
+        return path.join(this.verticalsPath, vertical, 'agent.js');
+    }
+
+    /**
+     * Whether a persona lets the agent call a skill
+     */
+    allows(persona, skillName) {
+        return !persona.skills || persona.skills.includes(skillName);
+    }
+
+    /**
+     * Full system prompt: the persona's (or the tenant's) prompt, then the
+     * formatting and safety rules
+     * @param {object} persona - From get()
+     * @param {object} override - Tenant override { systemPrompt, mode: 'append'|'replace' }
+     */
+    systemPrompt(persona, override = null) {
+        const sections = [];
+
+        if (override?.systemPrompt && override.mode === 'replace') {
+            sections.push(override.systemPrompt);
+        } else {
+            sections.push(persona.systemPrompt);
+            if (override?.systemPrompt) {
+                sections.push(`## Instructions from ${persona.name} administrators\n\n${override.systemPrompt}`);
+            }
+        }
+
+        if (persona.formattingRules) {
+            sections.push(`## Response Formatting Rules\n\n${persona.formattingRules}`);
+        }
+        if (persona.safetyRules) {
+            sections.push(`## Safety Rules (always apply)\n\n${persona.safetyRules}`);
+        }
+
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Check a tenant prompt override
+     * @returns {object} { systemPrompt, mode } normalized
+     * @throws {AgentPersonaError} INVALID_AGENT_SETTINGS (400)
+     */
+    validateOverride({ systemPrompt, mode = 'append' } = {}, maxLength = 20000) {
+        if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+            throw new AgentPersonaError('INVALID_AGENT_SETTINGS', 'systemPrompt must be a non-empty string', 400);
+        }
+        if (systemPrompt.length > maxLength) {
+            throw new AgentPersonaError('INVALID_AGENT_SETTINGS', `systemPrompt must be at most ${maxLength} characters`, 400);
+        }
+        if (!PROMPT_MODES.includes(mode)) {
+            throw new AgentPersonaError('INVALID_AGENT_SETTINGS', `mode must be one of: ${PROMPT_MODES.join(', ')}`, 400);
+        }
+        return { systemPrompt: systemPrompt.trim(), mode };
+    }
+}
+
+module.exports = new AgentPersonas();
+module.exports.AgentPersonas = AgentPersonas;
+module.exports.AgentPersonaError = AgentPersonaError;
@@ -0,0 +1,181 @@
+/**
+ * Tenant API Keys
+ * Long-lived credentials for machine clients such as the MCP server. A key
+ * identifies its tenant, so requests authenticated with one run as that
+ * tenant whatever domain they arrive on. Only SHA-256 hashes are stored.
+ */
+
+const crypto = require('crypto');
+const db = require('../../core/database/connection');
+const { getTenantById } = require('../../core/middleware/tenant-isolation');
+
+const KEY_PREFIX = 'vpk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeys {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+    }
+
+    /**
+     * Create a key; the plaintext key is only ever returned here
+     * @param {string} tenantId - Tenant the key acts as
+     * @param {object} options - { name, scopes, expiresAt, createdBy }
+     * @returns {object} { key, apiKey }
+     */
+    async create(tenantId, { name, scopes = ['mcp'], expiresAt = null, createdBy = null }) {
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+        const result = await this.db.query(`
+            INSERT INTO api_keys (tenant_id, name, key_prefix, key_hash, scopes, expires_at, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            tenantId,
+            name,
+            key.slice(0, DISPLAY_PREFIX_LENGTH),
+            hashKey(key),
+            JSON.stringify(scopes),
+            expiresAt,
+            createdBy
+        ]);
+
+        return { key, apiKey: this.format(result.rows[0]) };
+    }
+
+    /**
+     * Keys of a tenant, newest first (revoked ones included)
+     */
+    async list(tenantId) {
+        const result = await this.db.query(`
+            SELECT * FROM api_keys
+            WHERE tenant_id = $1
+            ORDER BY created_at DESC
+        `, [tenantId]);
+
+        return result.rows.map(row => this.format(row));
+    }
+
+    /**
+     * @returns {boolean} Whether an active key was revoked
+     */
+    async revoke(tenantId, id) {
+        const result = await this.db.query(`
+            UPDATE api_keys SET revoked_at = NOW()
+            WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL
+            RETURNING id
+        `, [id, tenantId]);
+
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Look up an active, unexpired key
+     * @returns {object|null} Key row
+     */
+    async authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+        const result = await this.db.query(`
+            SELECT * FROM api_keys
+            WHERE key_hash = $1 AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > NOW())
+        `, [hashKey(key)]);
+
+        const row = result.rows[0];
+        if (!row) return null;
+
+        this.db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [row.id])
+            .catch(error => console.error('API key last_used_at update failed:', error.message));
+
+        return row;
+    }
+
+    /**
+     * Key sent as "Authorization: Bearer vpk_..." or "X-API-Key: vpk_..."
+     */
+    extractKey(req) {
+        const header = req.get('x-api-key');
+        if (header) return header.trim();
+
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        return scheme?.toLowerCase() === 'bearer' ? token : null;
+    }
+
+    /**
+     * Express middleware that authenticates an API key and runs the request as its tenant
+     * Sets req.apiKey, req.tenant and req.tenantId.
+     * @param {string} scope - Scope the key must have
+     */
+    middleware(scope = 'mcp') {
+        return async (req, res, next) => {
+            const key = this.extractKey(req);
+            if (!key) {
+                return res.status(401).json({
+                    error: 'API_KEY_REQUIRED',
+                    message: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+                });
+            }
+
+            try {
+                const row = await this.authenticate(key);
+                if (!row) {
+                    return res.status(401).json({
+                        error: 'INVALID_API_KEY',
+                        message: 'API key is invalid, expired or revoked'
+                    });
+                }
+
+                if (!(row.scopes || []).includes(scope)) {
+                    return res.status(403).json({
+                        error: 'API_KEY_SCOPE',
+                        message: `API key does not have the '${scope}' scope`
+                    });
+                }
+
+                const tenant = getTenantById(row.tenant_id);
+                if (!tenant) {
+                    return res.status(403).json({
+                        error: 'INVALID_TENANT',
+                        message: 'API key belongs to a tenant that is not configured'
+                    });
+                }
+
+                req.apiKey = this.format(row);
+                req.tenant = tenant;
+                req.tenantId = tenant.id;
+                next();
+            } catch (error) {
+                console.error('API key lookup error:', error.message);
+                res.status(503).json({
+                    error: 'API_KEY_LOOKUP_ERROR',
+                    message: 'API key could not be verified'
+                });
+            }
+        };
+    }
+
+    format(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.key_prefix,
+            scopes: row.scopes,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at
+        };
+    }
+}
+
+module.exports = new ApiKeys();
+module.exports.ApiKeys = ApiKeys;
+module.exports.KEY_PREFIX = KEY_PREFIX;
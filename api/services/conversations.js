@@ -0,0 +1,176 @@
+/**
+ * Conversation Store
+ * Chat conversations and their messages in Postgres (conversations,
+ * conversation_messages). Conversations belong to signed-in users; every
+ * lookup is scoped to the tenant and to the conversation's owner, and finds
+ * nothing without a user (anonymous chat turns are not stored).
+ */
+
+const db = require('../../core/database/connection');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TITLE_LENGTH = 80;
+
+const CONVERSATION_COLUMNS = `id, user_id, title, profile_name, message_count, last_message_at, created_at, updated_at`;
+const MESSAGE_COLUMNS = `id, position, role, content, tool_calls, metadata, created_at`;
+
+class ConversationStore {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+    }
+
+    /**
+     * Start a signed-in user's conversation, titled after its first message unless a title is given
+     */
+    async create(tenantId, userId, { title, firstMessage = '', profileName = null } = {}) {
+        const result = await this.db.query(`
+            INSERT INTO conversations (tenant_id, user_id, title, profile_name)
+            VALUES ($1, $2, $3, $4)
+            RETURNING ${CONVERSATION_COLUMNS}
+        `, [tenantId, userId, title || titleFrom(firstMessage), profileName]);
+        return result.rows[0];
+    }
+
+    /**
+     * A conversation owned by the caller
+     * @returns {object|null} null when it does not exist or belongs to someone else
+     */
+    async get(id, tenantId, userId) {
+        if (!userId || !UUID_PATTERN.test(id || '')) return null;
+
+        const result = await this.db.query(`
+            SELECT ${CONVERSATION_COLUMNS}
+            FROM conversations
+            WHERE id = $1 AND tenant_id = $2 AND user_id = $3
+        `, [id, tenantId, userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The caller's conversations, most recently active first
+     * @param {object} options - { q (matches titles and message text), limit, offset }
+     * @returns {object} { conversations, total }
+     */
+    async list(tenantId, userId, { q = null, limit = 20, offset = 0 } = {}) {
+        if (!userId) return { conversations: [], total: 0 };
+
+        const result = await this.db.query(`
+            SELECT ${CONVERSATION_COLUMNS.split(', ').map(column => `c.${column}`).join(', ')},
+                   COUNT(*) OVER () AS total_count
+            FROM conversations c
+            WHERE c.tenant_id = $1 AND c.user_id = $2
+              AND ($3::text IS NULL
+                   OR c.title ILIKE '%' || $4 || '%'
+                   OR EXISTS (
+                       SELECT 1 FROM conversation_messages m
+                       WHERE m.conversation_id = c.id
+                         AND to_tsvector('english', m.content) @@ plainto_tsquery('english', $3)
+                   ))
+            ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
+            LIMIT $5 OFFSET $6
+        `, [tenantId, userId, q || null, q ? escapeLike(q) : null, limit, offset]);
+
+        return {
+            conversations: result.rows.map(({ total_count, ...row }) => row),
+            total: parseInt(result.rows[0]?.total_count) || 0
+        };
+    }
+
+    /**
+     * Messages of a conversation in order
+     * @param {object} options - { limit, before } pages backwards from position `before`
+     */
+    async messages(conversationId, tenantId, { limit = null, before = null } = {}) {
+        const result = await this.db.query(`
+            SELECT ${MESSAGE_COLUMNS}
+            FROM conversation_messages
+            WHERE conversation_id = $1 AND tenant_id = $2
+              AND ($3::integer IS NULL OR position < $3)
+            ORDER BY position DESC
+            LIMIT $4
+        `, [conversationId, tenantId, before, limit]);
+        return result.rows.reverse();
+    }
+
+    /**
+     * Append messages to a conversation
+     * @param {Array} messages - [{ role, content, toolCalls, metadata }]
+     * @returns {Array} Stored messages
+     */
+    async append(conversationId, tenantId, messages) {
+        const rows = messages.map(({ role, content, toolCalls = [], metadata = {} }) => ({
+            role,
+            content: content || '',
+            tool_calls: toolCalls,
+            metadata
+        }));
+
+        // The conversation row lock orders concurrent appends
+        const result = await this.db.query(`
+            WITH conversation AS (
+                UPDATE conversations
+                SET message_count = message_count + $3, last_message_at = NOW()
+                WHERE id = $1 AND tenant_id = $2
+                RETURNING message_count - $3 AS start
+            )
+            INSERT INTO conversation_messages (tenant_id, conversation_id, position, role, content, tool_calls, metadata)
+            SELECT $2, $1, conversation.start + m.ordinality - 1,
+                   m.message->>'role', m.message->>'content', m.message->'tool_calls', m.message->'metadata'
+            FROM conversation, jsonb_array_elements($4::jsonb) WITH ORDINALITY AS m(message, ordinality)
+            RETURNING ${MESSAGE_COLUMNS}
+        `, [conversationId, tenantId, rows.length, JSON.stringify(rows)]);
+        return result.rows;
+    }
+
+    /**
+     * Rename a conversation owned by the caller
+     * @returns {object|null} The updated conversation
+     */
+    async rename(id, tenantId, userId, title) {
+        if (!userId || !UUID_PATTERN.test(id || '')) return null;
+
+        const result = await this.db.query(`
+            UPDATE conversations
+            SET title = $4
+            WHERE id = $1 AND tenant_id = $2 AND user_id = $3
+            RETURNING ${CONVERSATION_COLUMNS}
+        `, [id, tenantId, userId, title]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Delete a conversation owned by the caller, with its messages
+     * @returns {boolean} Whether it was deleted
+     */
+    async delete(id, tenantId, userId) {
+        if (!userId || !UUID_PATTERN.test(id || '')) return false;
+
+        const result = await this.db.query(`
+            DELETE FROM conversations
+            WHERE id = $1 AND tenant_id = $2 AND user_id = $3
+            RETURNING id
+        `, [id, tenantId, userId]);
+        return result.rows.length > 0;
+    }
+}
+
+/**
+ * Title from the first message: whitespace collapsed, cut at TITLE_LENGTH
+ */
+function titleFrom(message) {
+    const text = String(message).replace(/\s+/g, ' ').trim();
+    if (!text) return 'New conversation';
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+}
+
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+module.exports = new ConversationStore();
+module.exports.ConversationStore = ConversationStore;
+module.exports.titleFrom = titleFrom;
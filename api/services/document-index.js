@@ -0,0 +1,364 @@
+/**
+ * Document Index
+ * Local retrieval index over a profile's documents (document_chunks). When a
+ * document is processed, its text (per PDF page) and its extracted fields
+ * (each transaction, summary, tax info, ...) are split into chunks with their
+ * term counts. Chat retrieves the chunks relevant to a message with BM25 and
+ * gives the agent only those, numbered so its answer can cite them; citations
+ * point back to the document, page and field. No external service is involved.
+ *
+ * Chunks are screened for prompt injection while indexing (see
+ * security/injection/screener.js): findings go into documents.dlp_findings, and
+ * by policy the instructions are stripped from the chunks or the document is
+ * quarantined (no chunks, left out of chat).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../../core/database/connection');
+const PromptInjectionScreener = require('../../security/injection/screener');
+
+// BM25 parameters (term frequency saturation, document length normalization)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does', 'for', 'from', 'had', 'has',
+    'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'show', 'tell', 'that',
+    'the', 'their', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'with',
+    'you', 'your'
+]);
+
+const TEXT_TYPES = ['text/plain', 'text/csv'];
+const TEXT_EXTENSIONS = ['.txt', '.csv'];
+
+/**
+ * Lowercased search terms of a text (amounts keep their decimals, 1,234.50 -> 1234.50;
+ * plurals are folded, deposits -> deposit)
+ */
+function tokenize(text) {
+    const terms = String(text || '')
+        .toLowerCase()
+        .replace(/(\d),(?=\d{3}\b)/g, '$1')
+        .match(/[a-z0-9]+(?:[.'-][a-z0-9]+)*/g) || [];
+    return terms
+        .filter(term => (term.length > 1 || /\d/.test(term)) && !STOPWORDS.has(term))
+        .map(term => /^[a-z]{3,}[^s]s$/.test(term) ? term.slice(0, -1) : term);
+}
+
+/**
+ * Term counts and length of a chunk; the document type makes "W-2" or
+ * "bank statement" find the document's chunks
+ */
+function termCounts(documentType, content) {
+    const terms = tokenize(`${documentType || ''} ${content}`);
+    const counts = {};
+    for (const term of terms) counts[term] = (counts[term] || 0) + 1;
+    return { terms: counts, length: terms.length };
+}
+
+/**
+ * Split text into pieces of at most size characters, at line breaks where possible
+ */
+function splitText(text, size) {
+    const pieces = [];
+    let current = '';
+
+    for (const line of String(text || '').split(/\n+/)) {
+        let rest = line.trim();
+        if (!rest) continue;
+
+        if (current && current.length + rest.length + 1 > size) {
+            pieces.push(current);
+            current = '';
+        }
+        while (rest.length > size) {
+            pieces.push(rest.slice(0, size));
+            rest = rest.slice(size);
+        }
+        current = current ? `${current}\n${rest}` : rest;
+    }
+
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * One line per leaf value: "amount: -42.5; vendor: Acme"
+ */
+function describeValue(value, prefix = '') {
+    if (value === null || value === undefined) return [];
+    if (typeof value !== 'object') return [prefix ? `${prefix}: ${value}` : String(value)];
+
+    return Object.entries(value).flatMap(([key, item]) =>
+        describeValue(item, Array.isArray(value) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key)));
+}
+
+/**
+ * Chunks of a document's extracted data: one per item of a list of records
+ * (transactions[3]), one per other top-level field
+ */
+function fieldChunks(extractedData, size) {
+    let data = extractedData;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            return splitText(data, size).map(content => ({ page: null, field: null, content }));
+        }
+    }
+    if (!data || typeof data !== 'object') return [];
+
+    return Object.entries(data).flatMap(([key, value]) => {
+        const records = Array.isArray(value) && value.some(item => item && typeof item === 'object') ? value : null;
+        const entries = records
+            ? records.map((item, i) => [`${key}[${i}]`, item, describeValue(item).join('; ')])
+            : [[key, value, describeValue(value, key).join('; ')]];
+
+        return entries.flatMap(([field, item, text]) => splitText(text, size).map(content => ({
+            page: Number.isInteger(item?.page) ? item.page : null,
+            field,
+            content
+        })));
+    });
+}
+
+/**
+ * BM25 scores of chunks for query terms
+ * @param {Array} chunks - [{ terms: { term -> count }, length, ... }] containing at least one term
+ * @param {object} stats - { count, avgLength } of every chunk searched
+ * @returns {Array} The chunks with a score, best first
+ */
+function rank(chunks, terms, { count, avgLength }) {
+    const documentFrequency = Object.fromEntries(terms.map(term =>
+        [term, chunks.filter(chunk => chunk.terms[term]).length]));
+
+    return chunks
+        .map((chunk) => {
+            const score = terms.reduce((sum, term) => {
+                const frequency = chunk.terms[term] || 0;
+                if (!frequency) return sum;
+                const idf = Math.log(1 + (count - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+                const norm = frequency + K1 * (1 - B + B * chunk.length / (avgLength || 1));
+                return sum + idf * frequency * (K1 + 1) / norm;
+            }, 0);
+            return { ...chunk, score };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+class DocumentIndex {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     * @param {number} options.chunkChars - Maximum characters per chunk
+     * @param {number} options.limit - Chunks retrieved per message
+     * @param {PromptInjectionScreener} options.screener - Screens chunks while indexing
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.screener = options.screener || new PromptInjectionScreener();
+        this.chunkChars = options.chunkChars || parseInt(process.env.RETRIEVAL_CHUNK_CHARS) || 1000;
+        this.limit = options.limit || parseInt(process.env.RETRIEVAL_CHUNKS) || 8;
+    }
+
+    /**
+     * Chunks of a document: its text, then its extracted fields
+     * @param {object} document - { file_path, mimetype, original_name, document_type, extracted_data }
+     */
+    async chunk(document) {
+        const pages = await this.readPages(document);
+        const chunks = [
+            ...pages.flatMap(({ page, text }) => splitText(text, this.chunkChars).map(content => ({ page, field: null, content }))),
+            ...fieldChunks(document.extracted_data, this.chunkChars)
+        ];
+
+        return chunks.map((chunk, index) => ({
+            chunk_index: index,
+            ...chunk,
+            ...termCounts(document.document_type, chunk.content)
+        }));
+    }
+
+    /**
+     * Text of a document, per page for PDFs ([{ page, text }]); none for images
+     * or files that are gone
+     */
+    async readPages(document) {
+        if (!document.file_path || !fs.existsSync(document.file_path)) return [];
+
+        const extension = path.extname(document.original_name || document.file_path).toLowerCase();
+        if (document.mimetype === 'application/pdf') {
+            return pdfPages(await fs.promises.readFile(document.file_path));
+        }
+        if (TEXT_TYPES.includes(document.mimetype) || TEXT_EXTENSIONS.includes(extension)) {
+            return [{ page: null, text: await fs.promises.readFile(document.file_path, 'utf8') }];
+        }
+        return [];
+    }
+
+    /**
+     * Screen chunks for prompt injection and apply the screener's policy
+     * @returns {object} { chunks, findings (with page and field), action, quarantined }
+     */
+    screen(chunks, documentType, screener = this.screener) {
+        const findings = [];
+        let action = null;
+
+        const screened = chunks.map((chunk) => {
+            const result = screener.screen(chunk.content);
+            if (!result.action) return chunk;
+
+            action = result.action;
+            findings.push(...result.findings.map(finding => ({ ...finding, page: chunk.page, field: chunk.field })));
+            return result.action === 'stripped'
+                ? { ...chunk, content: result.value, ...termCounts(documentType, result.value) }
+                : chunk;
+        });
+
+        const quarantined = action === 'quarantined';
+        return { chunks: quarantined ? [] : screened, findings, action, quarantined };
+    }
+
+    /**
+     * (Re)build the chunks of a document
+     * @param {object} options - { screener } (defaults to the index's)
+     * @returns {object|null} { chunks: number stored, injection: { findings, action } },
+     *   null when the document does not exist
+     */
+    async indexDocument(tenantId, documentId, { screener = this.screener } = {}) {
+        const result = await this.db.query(`
+            SELECT id, file_path, mimetype, original_name, document_type, extracted_data
+            FROM documents
+            WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+        `, [documentId, tenantId]);
+        if (result.rows.length === 0) return null;
+
+        const document = result.rows[0];
+        const { chunks, findings, action, quarantined } = this.screen(await this.chunk(document), document.document_type, screener);
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM document_chunks WHERE document_id = $1', [documentId]);
+            await client.query(`
+                INSERT INTO document_chunks (tenant_id, document_id, chunk_index, page, field, content, terms, length)
+                SELECT $1, $2, c.chunk_index, c.page, c.field, c.content, c.terms, c.length
+                FROM jsonb_to_recordset($3::jsonb)
+                    AS c(chunk_index INTEGER, page INTEGER, field VARCHAR, content TEXT, terms JSONB, length INTEGER)
+            `, [tenantId, documentId, JSON.stringify(chunks)]);
+            // Earlier prompt injection findings are replaced; other DLP findings are kept
+            await client.query(`
+                UPDATE documents
+                SET indexed_at = NOW(),
+                    quarantined_at = CASE WHEN $2::boolean THEN COALESCE(quarantined_at, NOW()) END,
+                    dlp_findings = COALESCE((
+                        SELECT jsonb_agg(finding)
+                        FROM jsonb_array_elements(COALESCE(dlp_findings, '[]'::jsonb)) finding
+                        WHERE NOT COALESCE(finding->'categories', '[]'::jsonb) ? 'PROMPT_INJECTION'
+                    ), '[]'::jsonb) || $3::jsonb
+                WHERE id = $1
+            `, [documentId, quarantined, JSON.stringify(findings)]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return { chunks: chunks.length, injection: { findings, action } };
+    }
+
+    /**
+     * Index processed documents that were processed before indexing existed
+     * A document that fails to index is logged and skipped; it stays unindexed and is retried next time.
+     * @param {Array} documents - [{ id, status, indexedAt }]
+     */
+    async indexMissing(tenantId, documents, options = {}) {
+        for (const document of documents) {
+            if (document.status === 'processed' && !document.indexedAt) {
+                try {
+                    await this.indexDocument(tenantId, document.id, options);
+                } catch (error) {
+                    console.error(`Document indexing error (${document.id}):`, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * The chunks of a profile's documents most relevant to a query
+     * @returns {Array} [{ document_id, filename, document_type, page, field, content, score }]
+     */
+    async search(tenantId, profileName, query, { limit = this.limit } = {}) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const scope = `
+            FROM document_chunks c
+            JOIN documents d ON d.id = c.document_id
+            WHERE c.tenant_id = $1 AND d.tenant_id = $1 AND d.profile_name = $2 AND d.deleted_at IS NULL
+              AND d.quarantined_at IS NULL
+        `;
+        const [stats, matches] = await Promise.all([
+            this.db.query(`SELECT COUNT(*)::int AS count, COALESCE(AVG(c.length), 0)::float AS avg_length ${scope}`,
+                [tenantId, profileName]),
+            this.db.query(`
+                SELECT c.document_id, d.original_name AS filename, d.document_type, c.page, c.field, c.content,
+                       c.terms, c.length
+                ${scope} AND c.terms ?| $3::text[]
+            `, [tenantId, profileName, terms])
+        ]);
+
+        return rank(matches.rows, terms, { count: stats.rows[0].count, avgLength: stats.rows[0].avg_length })
+            .slice(0, limit)
+            .map(({ terms: _terms, length, score, ...chunk }) => ({ ...chunk, score: Math.round(score * 1000) / 1000 }));
+    }
+
+    /**
+     * Passages cited in an answer as [n] (passages are numbered from 1 by ref)
+     * @returns {Array} [{ ref, document_id, filename, page, field }] in order of first citation
+     */
+    citations(text, passages = []) {
+        const byRef = new Map(passages.map(passage => [passage.ref, passage]));
+        const refs = [...String(text || '').matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]));
+
+        return [...new Set(refs)]
+            .filter(ref => byRef.has(ref))
+            .map((ref) => {
+                const { document_id, filename, page, field } = byRef.get(ref);
+                return { ref, document_id, filename, page, field };
+            });
+    }
+}
+
+/**
+ * Text of each page of a PDF
+ */
+async function pdfPages(buffer) {
+    // The package entry point runs a self-test when required without a parent module
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    const pages = [];
+
+    await pdfParse(buffer, {
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent();
+            let lastY;
+            let text = '';
+            for (const item of content.items) {
+                text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+                lastY = item.transform[5];
+            }
+            pages.push({ page: pageData.pageIndex + 1, text });
+            return text;
+        }
+    });
+
+    return pages;
+}
+
+module.exports = new DocumentIndex();
+module.exports.DocumentIndex = DocumentIndex;
+module.exports.tokenize = tokenize;
+module.exports.rank = rank;
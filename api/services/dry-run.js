@@ -0,0 +1,138 @@
+/**
+ * Dry Run
+ * Runs a skill against a database transaction that is always rolled back and a
+ * file store that keeps writes in memory, recording the side effects the run
+ * would have had (rows inserted/updated/deleted, files written, audit entries)
+ * so they can be reviewed before the real run.
+ */
+
+const { FileStore } = require('./file-store');
+
+const WRITE_STATEMENT = /^\s*(?:with\b[\s\S]*?\)\s*)?(insert\s+into|update|delete\s+from)\s+("?[\w.]+"?)/i;
+
+class DryRunSession {
+    /**
+     * @param {object} services
+     * @param {object} services.db - Database handle; one with connect() (the shared
+     *   connection) runs in a rolled-back transaction, test stand-ins without it are used as they are
+     * @param {object} services.files - File store whose root the recorded paths use
+     */
+    constructor({ db, files } = {}) {
+        this.source = db;
+        this.files = new VirtualFileStore(files?.root, this);
+        this.client = null;
+        this.closed = false;
+        this.sideEffects = [];
+    }
+
+    /**
+     * Open the transaction
+     */
+    async begin() {
+        if (typeof this.source?.connect === 'function') {
+            this.client = await this.source.connect();
+            await this.client.query('BEGIN');
+        }
+        return this;
+    }
+
+    /**
+     * Services that replace db, files and audit in the skill context
+     */
+    services() {
+        const session = this;
+        const target = this.client || this.source;
+
+        return {
+            db: {
+                async query(text, params) {
+                    // A cancelled or timed-out run must not reach the released client
+                    if (session.closed) throw new Error('Dry run has already been rolled back');
+                    const result = await target.query(text, params);
+                    session.recordQuery(text, result);
+                    return result;
+                },
+                async setTenantContext(tenantId) {
+                    if (session.client) {
+                        await session.client.query('SELECT set_tenant_context($1)', [tenantId]);
+                    } else {
+                        await session.source?.setTenantContext?.(tenantId);
+                    }
+                }
+            },
+            files: this.files,
+            audit: {
+                async log(entry) {
+                    session.sideEffects.push({ type: 'audit', action: entry?.action || null });
+                    return { logged: false, dryRun: true };
+                }
+            }
+        };
+    }
+
+    recordQuery(text, result) {
+        const match = WRITE_STATEMENT.exec(text || '');
+        if (!match) return;
+
+        this.sideEffects.push({
+            type: 'db',
+            operation: match[1].split(/\s+/)[0].toUpperCase(),
+            table: match[2].replace(/"/g, ''),
+            rowCount: result?.rowCount ?? result?.rows?.length ?? 0,
+            rows: result?.rows || []
+        });
+    }
+
+    /**
+     * Roll back the transaction and release the client (safe to call more than once)
+     */
+    async rollback() {
+        this.closed = true;
+        const client = this.client;
+        if (!client) return;
+        this.client = null;
+
+        try {
+            await client.query('ROLLBACK');
+            client.release();
+        } catch (error) {
+            // A client that cannot roll back must not go back to the pool
+            client.release(error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * File store that records writes instead of making them
+ */
+class VirtualFileStore extends FileStore {
+    constructor(root, session) {
+        super({ root });
+        this.session = session;
+        this.written = new Map();
+    }
+
+    async write(relativePath, data) {
+        const filePath = this.resolve(relativePath);
+        const bytes = Buffer.byteLength(data);
+
+        this.written.set(filePath, data);
+        this.session.sideEffects.push({ type: 'file', operation: 'WRITE', path: filePath, bytes });
+        return { path: filePath, bytes };
+    }
+}
+
+/**
+ * Start a dry-run session
+ * @returns {Promise<DryRunSession>}
+ */
+function startDryRun(services) {
+    return new DryRunSession(services).begin();
+}
+
+module.exports = {
+    startDryRun,
+    DryRunSession,
+    VirtualFileStore
+};
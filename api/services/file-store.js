@@ -0,0 +1,46 @@
+/**
+ * File Store
+ * Where skills write generated files (exports). Skills receive it as
+ * context.files so a dry run can swap in a store that only records writes.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class FileStore {
+    /**
+     * @param {object} options
+     * @param {string} options.root - Directory files are written under (defaults to exports/)
+     */
+    constructor(options = {}) {
+        this.root = options.root || path.join(__dirname, '../../exports');
+    }
+
+    /**
+     * Absolute path of a file in the store
+     * @throws {Error} When the path escapes the store root
+     */
+    resolve(relativePath) {
+        const filePath = path.resolve(this.root, relativePath);
+        if (!filePath.startsWith(path.resolve(this.root) + path.sep)) {
+            throw new Error(`Path escapes the file store: ${relativePath}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Write a file, creating its directory
+     * @param {string} relativePath - Path under the store root (e.g. <tenant_id>/<filename>)
+     * @param {Buffer|Uint8Array|string} data - File contents
+     * @returns {object} { path, bytes }
+     */
+    async write(relativePath, data) {
+        const filePath = this.resolve(relativePath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, data);
+        return { path: filePath, bytes: Buffer.byteLength(data) };
+    }
+}
+
+module.exports = new FileStore();
+module.exports.FileStore = FileStore;
@@ -0,0 +1,180 @@
+/**
+ * Idempotency Keys
+ * A client sends an Idempotency-Key header with a mutating call; the first
+ * response for that key is stored in idempotency_keys and replayed for retries
+ * of the same request, so a retried appointment-schedule create does not book
+ * twice. Server errors (5xx) are not stored, so they can be retried.
+ */
+
+const crypto = require('crypto');
+const db = require('../../core/database/connection');
+const { stableStringify } = require('./skill-cache');
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+class IdempotencyStore {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     * @param {number} options.ttlSeconds - How long a stored response is replayed
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.ttlSeconds = options.ttlSeconds || parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+    }
+
+    /**
+     * Hash of what makes two requests "the same": method, path (with query) and body
+     */
+    requestHash(req) {
+        return crypto.createHash('sha256')
+            .update(stableStringify({ method: req.method, path: req.originalUrl, body: req.body ?? null }))
+            .digest('hex');
+    }
+
+    /**
+     * Claim a key for a request
+     * @returns {object} { state: 'new' } or { state: 'replay', status, body }
+     * @throws IDEMPOTENCY_KEY_MISMATCH (422) when the key was used for a different request,
+     *   IDEMPOTENCY_KEY_IN_PROGRESS (409) while the first request is still running
+     */
+    async begin(tenantId, key, req) {
+        const requestHash = this.requestHash(req);
+
+        // Claim the key, or take over one whose stored response has expired
+        const claimed = await this.db.query(`
+            INSERT INTO idempotency_keys (
+                tenant_id, idempotency_key, request_method, request_path, request_hash, expires_at
+            ) VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+            ON CONFLICT (tenant_id, idempotency_key) DO UPDATE
+            SET request_method = EXCLUDED.request_method,
+                request_path = EXCLUDED.request_path,
+                request_hash = EXCLUDED.request_hash,
+                status = 'processing',
+                response_status = NULL,
+                response_body = NULL,
+                created_at = NOW(),
+                expires_at = EXCLUDED.expires_at
+            WHERE idempotency_keys.expires_at <= NOW()
+            RETURNING id
+        `, [tenantId, key, req.method, req.originalUrl, requestHash, this.ttlSeconds]);
+
+        if (claimed.rows.length > 0) return { state: 'new' };
+
+        const existing = await this.db.query(`
+            SELECT request_hash, status, response_status, response_body
+            FROM idempotency_keys
+            WHERE tenant_id = $1 AND idempotency_key = $2
+        `, [tenantId, key]);
+        const row = existing.rows[0];
+
+        // Deleted between the two queries (the first request failed); let the client retry
+        if (!row) {
+            throw idempotencyError('IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed', 409);
+        }
+        if (row.request_hash !== requestHash) {
+            throw idempotencyError('IDEMPOTENCY_KEY_MISMATCH', 'This Idempotency-Key was already used for a different request', 422);
+        }
+        if (row.status === 'processing') {
+            throw idempotencyError('IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed', 409);
+        }
+
+        return { state: 'replay', status: row.response_status, body: row.response_body };
+    }
+
+    /**
+     * Store the response of a claimed key
+     */
+    async complete(tenantId, key, status, body) {
+        await this.db.query(`
+            UPDATE idempotency_keys
+            SET status = 'completed', response_status = $3, response_body = $4
+            WHERE tenant_id = $1 AND idempotency_key = $2
+        `, [tenantId, key, status, JSON.stringify(body)]);
+    }
+
+    /**
+     * Give up a claimed key (server error or client gone) so the request can be retried
+     */
+    async release(tenantId, key) {
+        await this.db.query(`
+            DELETE FROM idempotency_keys
+            WHERE tenant_id = $1 AND idempotency_key = $2 AND status = 'processing'
+        `, [tenantId, key]);
+    }
+
+    /**
+     * Delete expired keys
+     * @returns {number} Keys removed
+     */
+    async purgeExpired() {
+        const result = await this.db.query(`
+            DELETE FROM idempotency_keys WHERE expires_at <= NOW()
+        `);
+        return result.rowCount;
+    }
+
+    /**
+     * Express middleware honouring the Idempotency-Key header (requests without it pass through)
+     * Replayed responses carry Idempotent-Replayed: true.
+     */
+    middleware() {
+        return async (req, res, next) => {
+            const key = req.get(HEADER);
+            if (key === undefined) return next();
+
+            if (!key || key.length > MAX_KEY_LENGTH) {
+                return res.status(400).json({
+                    error: 'INVALID_IDEMPOTENCY_KEY',
+                    message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+                });
+            }
+
+            const tenantId = req.tenant.id;
+            let claim;
+            try {
+                claim = await this.begin(tenantId, key, req);
+            } catch (error) {
+                if (!error.status) console.error('Idempotency key lookup error:', error);
+                return res.status(error.status || 503).json({
+                    error: error.status ? error.code : 'IDEMPOTENCY_LOOKUP_ERROR',
+                    message: error.message
+                });
+            }
+
+            if (claim.state === 'replay') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(claim.status).json(claim.body);
+            }
+
+            let settled = false;
+            const settle = (operation) => {
+                if (settled) return;
+                settled = true;
+                operation().catch(error => console.error('Idempotency key update error:', error.message));
+            };
+
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                settle(() => (res.statusCode >= 500
+                    ? this.release(tenantId, key)
+                    : this.complete(tenantId, key, res.statusCode, body)));
+                return json(body);
+            };
+            res.on('close', () => settle(() => this.release(tenantId, key)));
+
+            next();
+        };
+    }
+}
+
+function idempotencyError(code, message, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+module.exports = new IdempotencyStore();
+module.exports.IdempotencyStore = IdempotencyStore;
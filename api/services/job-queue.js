@@ -0,0 +1,402 @@
+/**
+ * Skill Job Queue
+ * Postgres-backed queue for long-running skills. Jobs are claimed with
+ * FOR UPDATE SKIP LOCKED so several API instances can share one queue;
+ * transient failures are retried with exponential backoff. Progress reported by
+ * a running skill is stored on the job row and emitted to local subscribers
+ * (GET /api/v1/jobs/:id/events).
+ */
+
+const os = require('os');
+const { EventEmitter } = require('events');
+const db = require('../../core/database/connection');
+const DLPScanner = require('../../security/dlp/scanner');
+const AuditLogger = require('../../security/audit/logger');
+const registry = require('./skill-registry');
+const skillCache = require('./skill-cache');
+
+// Error codes worth retrying: isolation failures, dropped connections, Postgres restarts/contention
+const TRANSIENT_CODES = new Set([
+    'SKILL_TIMEOUT', 'SKILL_CRASHED',
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN',
+    '57P01', '53300', '40001', '40P01'
+]);
+
+// Upstream HTTP statuses worth retrying (LLM provider throttling and outages)
+const TRANSIENT_STATUSES = new Set([429, 502, 503, 504, 529]);
+
+/**
+ * Whether a failed attempt should be retried
+ */
+function isTransientError(error) {
+    return TRANSIENT_CODES.has(error?.code) || TRANSIENT_STATUSES.has(error?.status);
+}
+
+class JobQueue {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     * @param {object} options.registry - Skill registry
+     * @param {object} options.dlp - DLP scanner passed to skills
+     * @param {object} options.audit - Audit logger
+     * @param {object} options.cache - Result cache for skills that opt in (null disables it)
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.registry = options.registry || registry;
+        this.dlp = options.dlp || new DLPScanner({ strictMode: true });
+        this.audit = options.audit || null;
+        this.cache = options.cache === undefined ? skillCache : options.cache;
+
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+        this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 1;
+        this.retryBaseMs = options.retryBaseMs || parseInt(process.env.JOB_RETRY_BASE_MS) || 5000;
+        this.retryMaxMs = options.retryMaxMs || parseInt(process.env.JOB_RETRY_MAX_MS) || 5 * 60 * 1000;
+        this.staleAfterMs = options.staleAfterMs || parseInt(process.env.JOB_STALE_AFTER_MS) || 10 * 60 * 1000;
+        this.progressIntervalMs = options.progressIntervalMs || parseInt(process.env.JOB_PROGRESS_INTERVAL_MS) || 1000;
+
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.running = new Map(); // jobId -> AbortController
+        this.timer = null;
+        this.ticking = false;
+
+        this.events = new EventEmitter(); // jobId -> job events
+        this.events.setMaxListeners(0);
+    }
+
+    getAudit() {
+        if (!this.audit) {
+            this.audit = new AuditLogger({ connectionString: process.env.DATABASE_URL });
+        }
+        return this.audit;
+    }
+
+    /**
+     * Enqueue a skill run
+     * @param {object} job - { tenant, userId, skillName, version, input, maxAttempts }
+     *   version is the exact skill version to run (retries run the same one)
+     * @returns {object} Job row
+     */
+    async enqueue({ tenant, userId = null, skillName, version = null, input = {}, maxAttempts = null }) {
+        const result = await this.db.query(`
+            INSERT INTO skill_jobs (tenant_id, user_id, skill_name, skill_version, input, tenant_context, max_attempts)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            tenant.id,
+            userId,
+            skillName,
+            version,
+            JSON.stringify(input),
+            JSON.stringify(tenant),
+            maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3
+        ]);
+
+        // Start right away on this instance (serverless deployments have no poller)
+        setImmediate(() => this.tick().catch(error => console.error('[JOBS] Tick failed:', error.message)));
+
+        return result.rows[0];
+    }
+
+    /**
+     * Get a job owned by a tenant
+     */
+    async get(jobId, tenantId) {
+        const result = await this.db.query(`
+            SELECT * FROM skill_jobs WHERE id = $1 AND tenant_id = $2
+        `, [jobId, tenantId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @returns {object|null} Updated job, or null if it was not found or already finished
+     */
+    async cancel(jobId, tenantId) {
+        const result = await this.db.query(`
+            UPDATE skill_jobs
+            SET status = 'cancelled', finished_at = NOW(), locked_by = NULL, locked_at = NULL
+            WHERE id = $1 AND tenant_id = $2 AND status IN ('queued', 'running')
+            RETURNING *
+        `, [jobId, tenantId]);
+
+        // Stop the skill now if it runs on this instance; other instances notice on their next tick
+        this.running.get(jobId)?.abort();
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Record progress for a running job
+     */
+    async updateProgress(jobId, progress, message = null) {
+        await this.db.query(`
+            UPDATE skill_jobs
+            SET progress = $2, progress_message = $3
+            WHERE id = $1 AND status = 'running'
+        `, [jobId, Math.max(0, Math.min(100, Math.round(progress))), message]);
+    }
+
+    /**
+     * Listen to a job running on this instance
+     * Events are { type: 'progress', progress, message, partialResult? } and
+     * { type: 'finished' } once the attempt's outcome is stored.
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(jobId, listener) {
+        this.events.on(jobId, listener);
+        return () => this.events.off(jobId, listener);
+    }
+
+    /**
+     * Progress listener for a job's run: every report goes to subscribers, the
+     * latest one is stored at most every progressIntervalMs
+     * @returns {object} { report, stop }
+     */
+    progressReporter(job) {
+        let latest = null;
+        let lastWriteAt = 0;
+        let timer = null;
+
+        const write = () => {
+            timer = null;
+            lastWriteAt = Date.now();
+            this.updateProgress(job.id, latest.progress, latest.message)
+                .catch(error => console.error(`[JOBS] Failed to store progress of job ${job.id}:`, error.message));
+        };
+
+        return {
+            report: (event) => {
+                this.events.emit(job.id, { type: 'progress', ...event });
+                latest = event;
+                if (timer) return;
+
+                const waitMs = this.progressIntervalMs - (Date.now() - lastWriteAt);
+                if (waitMs <= 0) write();
+                else timer = setTimeout(write, waitMs);
+            },
+            stop: () => clearTimeout(timer)
+        };
+    }
+
+    /**
+     * Start polling for jobs
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('[JOBS] Tick failed:', error.message));
+        }, this.pollIntervalMs);
+        this.timer.unref();
+
+        console.log(`[JOBS] Runner ${this.workerId} polling every ${this.pollIntervalMs}ms`);
+    }
+
+    /**
+     * Stop polling and hand the jobs running on this instance back to the queue
+     * They are requeued before their runs are aborted, so another instance picks them
+     * up without waiting for the lease to go stale; the interrupted attempt does not count.
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.running.size === 0) return;
+
+        try {
+            await this.db.query(`
+                UPDATE skill_jobs
+                SET status = 'queued', attempts = GREATEST(attempts - 1, 0), locked_by = NULL, locked_at = NULL,
+                    run_after = NOW()
+                WHERE id = ANY($1) AND status = 'running' AND locked_by = $2
+            `, [[...this.running.keys()], this.workerId]);
+        } catch (error) {
+            console.error('[JOBS] Failed to requeue running jobs:', error.message);
+        }
+
+        for (const controller of this.running.values()) controller.abort();
+    }
+
+    /**
+     * Claim as many jobs as there is capacity for and abort jobs cancelled elsewhere
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            if (this.running.size > 0) {
+                const cancelled = await this.db.query(`
+                    SELECT id FROM skill_jobs WHERE id = ANY($1) AND status = 'cancelled'
+                `, [[...this.running.keys()]]);
+
+                for (const { id } of cancelled.rows) {
+                    this.running.get(id)?.abort();
+                }
+            }
+
+            while (this.running.size < this.concurrency) {
+                const job = await this.claimNext();
+                if (!job) break;
+                this.process(job);
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Lease the next runnable job (or one whose lease went stale)
+     */
+    async claimNext() {
+        const result = await this.db.query(`
+            UPDATE skill_jobs
+            SET status = 'running',
+                attempts = attempts + 1,
+                locked_by = $1,
+                locked_at = NOW(),
+                started_at = COALESCE(started_at, NOW())
+            WHERE id = (
+                SELECT id FROM skill_jobs
+                WHERE (status = 'queued' AND run_after <= NOW())
+                   OR (status = 'running' AND locked_at < NOW() - ($2 || ' milliseconds')::INTERVAL)
+                ORDER BY run_after
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [this.workerId, String(this.staleAfterMs)]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Execute a claimed job and record its outcome
+     */
+    async process(job) {
+        const controller = new AbortController();
+        this.running.set(job.id, controller);
+        const progress = this.progressReporter(job);
+        const startTime = Date.now();
+
+        try {
+            const { result, meta } = await this.registry.execute(job.skill_name, job.input, {
+                tenant: job.tenant_context,
+                userId: job.user_id,
+                db: this.db,
+                dlp: this.dlp,
+                audit: this.getAudit(),
+                cache: this.cache,
+                version: job.skill_version,
+                signal: controller.signal,
+                onProgress: progress.report
+            });
+            progress.stop();
+
+            const stored = await this.db.query(`
+                UPDATE skill_jobs
+                SET status = 'succeeded', progress = 100, result = $2, error = NULL,
+                    finished_at = NOW(), locked_by = NULL, locked_at = NULL
+                WHERE id = $1 AND status = 'running'
+                RETURNING id
+            `, [job.id, JSON.stringify({ ...result, _meta: meta })]);
+
+            // The job was cancelled or requeued on shutdown while the skill ran on; this run does not count
+            if (stored.rows.length === 0) return;
+
+            await this.getAudit().log({
+                tenantId: job.tenant_id,
+                action: 'SKILL_EXECUTION_SUCCESS',
+                skillName: job.skill_name,
+                skillVersion: meta.version,
+                resourceType: 'skill_job',
+                resourceId: job.id,
+                responseStatus: 200,
+                durationMs: Date.now() - startTime
+            });
+        } catch (error) {
+            progress.stop();
+            await this.recordFailure(job, error, Date.now() - startTime);
+        } finally {
+            this.running.delete(job.id);
+            this.events.emit(job.id, { type: 'finished' });
+        }
+    }
+
+    /**
+     * Requeue a transient failure with backoff, or fail the job for good
+     */
+    async recordFailure(job, error, durationMs) {
+        // Cancelled through DELETE /jobs/:id or requeued by stop(); the row already says so
+        if (error.code === 'SKILL_CANCELLED') return;
+
+        const retry = isTransientError(error) && job.attempts < job.max_attempts;
+        const jobError = {
+            code: error.code || 'SKILL_EXECUTION_ERROR',
+            message: error.message,
+            attempt: job.attempts,
+            transient: isTransientError(error),
+            ...(error.errors && { errors: error.errors })
+        };
+
+        try {
+            if (retry) {
+                const delayMs = Math.min(this.retryBaseMs * 2 ** (job.attempts - 1), this.retryMaxMs);
+                await this.db.query(`
+                    UPDATE skill_jobs
+                    SET status = 'queued', error = $2, locked_by = NULL, locked_at = NULL,
+                        run_after = NOW() + ($3 || ' milliseconds')::INTERVAL
+                    WHERE id = $1 AND status = 'running'
+                `, [job.id, JSON.stringify(jobError), String(delayMs)]);
+            } else {
+                await this.db.query(`
+                    UPDATE skill_jobs
+                    SET status = 'failed', error = $2, finished_at = NOW(), locked_by = NULL, locked_at = NULL
+                    WHERE id = $1 AND status = 'running'
+                `, [job.id, JSON.stringify(jobError)]);
+            }
+
+            await this.getAudit().log({
+                tenantId: job.tenant_id,
+                action: retry ? 'SKILL_JOB_RETRY' : 'SKILL_EXECUTION_ERROR',
+                skillName: job.skill_name,
+                skillVersion: error.skillVersion || job.skill_version,
+                resourceType: 'skill_job',
+                resourceId: job.id,
+                responseStatus: error.status || 500,
+                durationMs,
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+        } catch (recordError) {
+            console.error(`[JOBS] Failed to record failure for job ${job.id}:`, recordError.message);
+        }
+    }
+
+    /**
+     * Public representation of a job
+     */
+    format(job) {
+        return {
+            id: job.id,
+            skill: job.skill_name,
+            version: job.skill_version,
+            status: job.status,
+            progress: job.progress,
+            progressMessage: job.progress_message,
+            attempts: job.attempts,
+            maxAttempts: job.max_attempts,
+            result: job.status === 'succeeded' ? job.result : null,
+            error: job.error,
+            nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.run_after : null,
+            createdAt: job.created_at,
+            startedAt: job.started_at,
+            finishedAt: job.finished_at
+        };
+    }
+}
+
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
+module.exports.isTransientError = isTransientError;
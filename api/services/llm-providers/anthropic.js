@@ -0,0 +1,99 @@
+/**
+ * Anthropic provider
+ * Claude through the Messages API
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - Defaults to ANTHROPIC_API_KEY
+     * @param {string} options.model - Defaults to ANTHROPIC_MODEL or claude-sonnet-4
+     * @param {object} options.client - Preconfigured SDK client
+     */
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.external = true;
+        this.apiKey = options.apiKey ?? process.env.ANTHROPIC_API_KEY;
+        this.model = options.model || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+        this.maxTokens = options.maxTokens || 4096;
+        this.client = options.client || null;
+    }
+
+    isConfigured() {
+        return Boolean(this.client || this.apiKey);
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = new Anthropic({ apiKey: this.apiKey });
+        }
+        return this.client;
+    }
+
+    /**
+     * One model turn (see llm-providers/index.js for the message and response shapes)
+     */
+    async complete({ system, messages, tools = [] }) {
+        const response = await this.getClient().messages.create({
+            model: this.model,
+            max_tokens: this.maxTokens,
+            system,
+            ...(tools.length > 0 && {
+                tools: tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    input_schema: tool.inputSchema
+                }))
+            }),
+            messages: toAnthropicMessages(messages)
+        });
+
+        const toolCalls = response.content
+            .filter(block => block.type === 'tool_use' && block.id && block.name)
+            .map(block => ({ id: block.id, name: block.name, input: block.input }));
+
+        return {
+            text: response.content.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+            toolCalls,
+            stopReason: response.stop_reason === 'tool_use' && toolCalls.length > 0 ? 'tool_use' : 'end',
+            usage: {
+                input_tokens: response.usage?.input_tokens || 0,
+                output_tokens: response.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+/**
+ * Assistant tool calls become tool_use blocks; consecutive tool results are
+ * sent back together as tool_result blocks of one user message
+ */
+function toAnthropicMessages(messages) {
+    const result = [];
+
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+            const last = result[result.length - 1];
+            if (last?.role === 'user' && Array.isArray(last.content)) last.content.push(block);
+            else result.push({ role: 'user', content: [block] });
+        } else if (message.role === 'assistant' && message.toolCalls?.length) {
+            result.push({
+                role: 'assistant',
+                content: [
+                    ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                    ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+                ]
+            });
+        } else {
+            result.push({ role: message.role, content: message.content });
+        }
+    }
+
+    return result;
+}
+
+module.exports = AnthropicProvider;
+module.exports.toAnthropicMessages = toAnthropicMessages;
@@ -0,0 +1,121 @@
+/**
+ * LLM Providers
+ * The models the agent can use behind one interface. A provider has a name,
+ * a model, external (prompts leave the machine, so they are DLP-tokenized
+ * first; see prompt-tokenizer.js), isConfigured() and
+ * complete({ system, messages, tools }), where
+ *
+ *   messages: [{ role: 'user', content },
+ *              { role: 'assistant', content, toolCalls?: [{ id, name, input }] },
+ *              { role: 'tool', toolCallId, name, content }]
+ *   tools:    [{ name, description, inputSchema }]
+ *
+ * and resolves to { text, toolCalls: [{ id, name, input, inputError? }],
+ * stopReason: 'tool_use'|'end', usage: { input_tokens, output_tokens } }.
+ *
+ * LLM_PROVIDERS (comma separated) sets which providers are tried and in what
+ * order; by default every configured one of anthropic, openai, local and mock.
+ * LLM_RECORD_TRANSCRIPT=<file> records the responses as a mock transcript.
+ */
+
+const fs = require('fs');
+const AnthropicProvider = require('./anthropic');
+const OpenAIProvider = require('./openai');
+const LocalProvider = require('./local');
+const MockProvider = require('./mock');
+
+const FACTORIES = {
+    anthropic: () => new AnthropicProvider(),
+    openai: () => new OpenAIProvider(),
+    local: () => new LocalProvider(),
+    mock: () => new MockProvider()
+};
+
+class LlmProviders {
+    constructor() {
+        this.providers = new Map(); // name -> provider
+    }
+
+    /**
+     * Use a provider instance for a name (custom adapters, tests)
+     */
+    register(name, provider) {
+        this.providers.set(name, provider);
+        return provider;
+    }
+
+    unregister(name) {
+        this.providers.delete(name);
+    }
+
+    /**
+     * Provider by name, created on first use
+     */
+    get(name) {
+        if (!this.providers.has(name)) {
+            if (!FACTORIES[name]) throw new Error(`Unknown provider: ${name}`);
+
+            const provider = FACTORIES[name]();
+            this.providers.set(name, process.env.LLM_RECORD_TRANSCRIPT
+                ? new RecordingProvider(provider, process.env.LLM_RECORD_TRANSCRIPT)
+                : provider);
+        }
+        return this.providers.get(name);
+    }
+
+    /**
+     * Names of the configured providers, in the order they are tried
+     */
+    available() {
+        const names = process.env.LLM_PROVIDERS
+            ? process.env.LLM_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+            : [...new Set([...Object.keys(FACTORIES), ...this.providers.keys()])];
+
+        return names.filter(name => this.get(name).isConfigured());
+    }
+}
+
+/**
+ * Passes calls to a provider and writes its responses as a mock transcript
+ */
+class RecordingProvider {
+    constructor(provider, file) {
+        this.provider = provider;
+        this.file = file;
+        this.name = provider.name;
+        this.model = provider.model;
+        this.external = provider.external;
+        this.responses = [];
+    }
+
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+
+    async complete(request) {
+        const response = await this.provider.complete(request);
+
+        this.responses.push({
+            ...(response.text && { text: response.text }),
+            ...(response.toolCalls.length > 0 && {
+                toolCalls: response.toolCalls.map(({ id, name, input }) => ({ id, name, input }))
+            })
+        });
+        fs.writeFileSync(this.file, JSON.stringify({
+            provider: this.name,
+            model: this.model,
+            recordedAt: new Date().toISOString(),
+            responses: this.responses
+        }, null, 2));
+
+        return response;
+    }
+}
+
+module.exports = new LlmProviders();
+module.exports.LlmProviders = LlmProviders;
+module.exports.RecordingProvider = RecordingProvider;
+module.exports.AnthropicProvider = AnthropicProvider;
+module.exports.OpenAIProvider = OpenAIProvider;
+module.exports.LocalProvider = LocalProvider;
+module.exports.MockProvider = MockProvider;
@@ -0,0 +1,57 @@
+/**
+ * Local provider
+ * An OpenAI-compatible server on this machine or network (llama.cpp server,
+ * Ollama, vLLM), for tenants whose data may not leave their infrastructure and
+ * for air-gapped environments. Only loopback hosts are accepted unless
+ * LOCAL_LLM_ALLOW_REMOTE=true, so a mistyped URL cannot send PHI elsewhere.
+ */
+
+const OpenAIProvider = require('./openai');
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+class LocalProvider extends OpenAIProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.baseURL - Defaults to LOCAL_LLM_BASE_URL (e.g. http://localhost:11434/v1)
+     * @param {string} options.model - Defaults to LOCAL_LLM_MODEL or llama3.1
+     * @param {boolean} options.allowRemote - Accept non-loopback hosts
+     */
+    constructor(options = {}) {
+        super({
+            name: 'local',
+            // Local servers ignore the key, but the SDK requires one
+            apiKey: options.apiKey || process.env.LOCAL_LLM_API_KEY || 'local',
+            model: options.model || process.env.LOCAL_LLM_MODEL || 'llama3.1',
+            baseURL: options.baseURL ?? process.env.LOCAL_LLM_BASE_URL,
+            timeoutMs: options.timeoutMs || parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || undefined,
+            client: options.client
+        });
+        this.allowRemote = options.allowRemote ?? process.env.LOCAL_LLM_ALLOW_REMOTE === 'true';
+        // A server on this machine sees the raw prompt; a remote one is treated like a cloud provider
+        this.external = this.allowRemote;
+    }
+
+    isConfigured() {
+        return Boolean(this.client || this.baseURL);
+    }
+
+    getClient() {
+        if (!this.client) this.assertLocal();
+        return super.getClient();
+    }
+
+    assertLocal() {
+        let host;
+        try {
+            host = new URL(this.baseURL).hostname;
+        } catch (error) {
+            throw new Error(`LOCAL_LLM_BASE_URL is not a valid URL: ${this.baseURL}`);
+        }
+        if (!this.allowRemote && !LOOPBACK_HOSTS.includes(host)) {
+            throw new Error(`Local LLM host '${host}' is not a loopback address; set LOCAL_LLM_ALLOW_REMOTE=true to use it`);
+        }
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,88 @@
+/**
+ * Mock provider
+ * Replays a recorded transcript of model responses, one per call, so the chat
+ * flow and the tools the model asks for run end to end without network
+ * access. Tool calls in the transcript execute for real; only the model is
+ * scripted. Transcripts are recorded from a real provider with
+ * LLM_RECORD_TRANSCRIPT (see index.js) or written by hand:
+ *
+ *   { "responses": [
+ *       { "expectMessage": "redact", "toolCalls": [{ "name": "pci-redact", "input": { "text": "..." } }] },
+ *       { "text": "Done, the card number is masked." }
+ *   ] }
+ *
+ * expectMessage (optional) must appear in the latest user message, so a
+ * transcript that drifted from the test driving it fails loudly.
+ */
+
+const fs = require('fs');
+
+class MockProvider {
+    /**
+     * @param {object} options
+     * @param {object} options.transcript - { responses: [...] }
+     * @param {string} options.transcriptPath - JSON transcript file (defaults to MOCK_LLM_TRANSCRIPT)
+     * @param {boolean} options.external - Tokenize prompts like the cloud providers it stands in for (default true)
+     */
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = options.model || 'mock-transcript';
+        this.external = options.external ?? true;
+        this.transcript = options.transcript || null;
+        this.transcriptPath = options.transcriptPath ?? process.env.MOCK_LLM_TRANSCRIPT;
+        this.requests = [];
+        this.position = 0;
+    }
+
+    isConfigured() {
+        return Boolean(this.transcript || this.transcriptPath);
+    }
+
+    responses() {
+        if (!this.transcript) {
+            this.transcript = JSON.parse(fs.readFileSync(this.transcriptPath, 'utf8'));
+        }
+        return this.transcript.responses || [];
+    }
+
+    /**
+     * Replay from the first response again
+     */
+    reset() {
+        this.position = 0;
+        this.requests = [];
+    }
+
+    async complete(request) {
+        this.requests.push(request);
+
+        const responses = this.responses();
+        const recorded = responses[this.position];
+        if (!recorded) {
+            throw new Error(`Mock transcript exhausted after ${responses.length} responses`);
+        }
+
+        if (recorded.expectMessage) {
+            const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+            if (!String(lastUser?.content || '').includes(recorded.expectMessage)) {
+                throw new Error(`Mock transcript response ${this.position} expected a message containing '${recorded.expectMessage}'`);
+            }
+        }
+
+        const position = this.position++;
+        const toolCalls = (recorded.toolCalls || []).map((call, index) => ({
+            id: call.id || `call_${position}_${index}`,
+            name: call.name,
+            input: call.input || {}
+        }));
+
+        return {
+            text: recorded.text || '',
+            toolCalls,
+            stopReason: toolCalls.length > 0 ? 'tool_use' : 'end',
+            usage: { input_tokens: 0, output_tokens: 0, ...recorded.usage }
+        };
+    }
+}
+
+module.exports = MockProvider;
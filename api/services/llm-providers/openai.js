@@ -0,0 +1,115 @@
+/**
+ * OpenAI provider
+ * Chat Completions API; also the base of the local provider, since llama.cpp,
+ * Ollama and vLLM serve the same API
+ */
+
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - Defaults to OPENAI_API_KEY
+     * @param {string} options.model - Defaults to OPENAI_MODEL or gpt-4o
+     * @param {string} options.baseURL - API root of an OpenAI-compatible server
+     * @param {object} options.client - Preconfigured SDK client
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'openai';
+        this.external = true;
+        this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o';
+        this.baseURL = options.baseURL || null;
+        this.maxTokens = options.maxTokens || 4096;
+        this.timeoutMs = options.timeoutMs || 10 * 60 * 1000;
+        this.client = options.client || null;
+    }
+
+    isConfigured() {
+        return Boolean(this.client || this.apiKey);
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                timeout: this.timeoutMs,
+                ...(this.baseURL && { baseURL: this.baseURL })
+            });
+        }
+        return this.client;
+    }
+
+    /**
+     * One model turn (see llm-providers/index.js for the message and response shapes)
+     */
+    async complete({ system, messages, tools = [] }) {
+        const response = await this.getClient().chat.completions.create({
+            model: this.model,
+            max_tokens: this.maxTokens,
+            ...(tools.length > 0 && {
+                tools: tools.map(tool => ({
+                    type: 'function',
+                    function: {
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.inputSchema
+                    }
+                }))
+            }),
+            messages: [{ role: 'system', content: system }, ...toOpenAIMessages(messages)]
+        });
+
+        const choice = response.choices[0] || {};
+        const toolCalls = (choice.message?.tool_calls || []).map(parseToolCall);
+
+        return {
+            text: choice.message?.content || '',
+            toolCalls,
+            // Some local servers answer tool calls with finish_reason "stop"
+            stopReason: toolCalls.length > 0 ? 'tool_use' : 'end',
+            usage: {
+                input_tokens: response.usage?.prompt_tokens || 0,
+                output_tokens: response.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+function toOpenAIMessages(messages) {
+    return messages.map((message) => {
+        if (message.role === 'tool') {
+            return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+        }
+        if (message.role === 'assistant' && message.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.input ?? {}) }
+                }))
+            };
+        }
+        return { role: message.role, content: message.content };
+    });
+}
+
+/**
+ * Tool call with parsed arguments; arguments that are not JSON (common with
+ * small local models) are reported back to the model instead of failing the turn
+ */
+function parseToolCall(toolCall) {
+    const call = { id: toolCall.id, name: toolCall.function?.name };
+    try {
+        call.input = JSON.parse(toolCall.function?.arguments || '{}');
+    } catch (error) {
+        call.input = null;
+        call.inputError = `Arguments are not valid JSON: ${error.message}`;
+    }
+    return call;
+}
+
+module.exports = OpenAIProvider;
+module.exports.toOpenAIMessages = toOpenAIMessages;
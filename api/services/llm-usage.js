@@ -0,0 +1,252 @@
+/**
+ * LLM Usage
+ * Stores the tokens and cost of each chat turn (llm_usage) and enforces the
+ * tenant's usage budgets. Cost comes from a price table in USD per million
+ * tokens, keyed by model name (or its prefix) or provider; LLM_PRICES_FILE
+ * points to a JSON file of entries merged over the defaults.
+ *
+ * Budgets are a tenant setting (tenants.settings.budgets):
+ *
+ *   { warnAt: 0.8,
+ *     tenant: { day: { tokens, costUsd, requests }, month: {...}, minute: {...} },
+ *     user:   { day: {...}, ... },               // every signed-in user
+ *     users:  { "<userId>": { day: {...}, ... } } } // overrides for one user
+ *
+ * Each limit warns once usage reaches warnAt of it, and stops chat turns once
+ * it is used up, until the period resets.
+ */
+
+const fs = require('fs');
+const db = require('../../core/database/connection');
+
+const PERIODS = ['minute', 'day', 'month'];
+const METRICS = ['tokens', 'costUsd', 'requests'];
+const DEFAULT_WARN_AT = 0.8;
+
+// USD per million input/output tokens
+const DEFAULT_PRICES = {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    local: { input: 0, output: 0 },
+    mock: { input: 0, output: 0 }
+};
+
+class UsageBudgetError extends Error {
+    constructor(code, message, status) {
+        super(message);
+        this.name = 'UsageBudgetError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Start of the period containing now (UTC; minute is the last 60 seconds)
+ */
+function periodStart(period, now = new Date()) {
+    if (period === 'minute') return new Date(now.getTime() - 60 * 1000);
+    if (period === 'day') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * When usage counted in the period stops counting
+ */
+function periodReset(period, now = new Date()) {
+    if (period === 'minute') return new Date(now.getTime() + 60 * 1000);
+    if (period === 'day') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+function loadPrices(file) {
+    if (!file) return DEFAULT_PRICES;
+    return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+class LlmUsage {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     * @param {object} options.prices - model | model prefix | provider -> { input, output } USD per million tokens
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.prices = options.prices || loadPrices(process.env.LLM_PRICES_FILE);
+    }
+
+    /**
+     * Price of a model: exact name, then the longest matching prefix, then the provider
+     * (models without a price cost nothing)
+     */
+    priceFor(provider, model) {
+        if (model && this.prices[model]) return this.prices[model];
+
+        const prefix = Object.keys(this.prices)
+            .filter(key => model && model.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return this.prices[prefix] || this.prices[provider] || { input: 0, output: 0 };
+    }
+
+    cost(provider, model, { input_tokens = 0, output_tokens = 0 } = {}) {
+        const price = this.priceFor(provider, model);
+        return Math.round(input_tokens * price.input + output_tokens * price.output) / 1e6;
+    }
+
+    /**
+     * Store the usage of a chat turn
+     * @returns {object} The stored row
+     */
+    async record({ tenantId, userId = null, conversationId = null, provider, model = null, usage = {} }) {
+        const result = await this.db.query(`
+            INSERT INTO llm_usage (tenant_id, user_id, conversation_id, provider, model, input_tokens, output_tokens, cost_usd)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id, input_tokens, output_tokens, cost_usd::float AS cost_usd, created_at
+        `, [
+            tenantId,
+            userId,
+            conversationId,
+            provider,
+            model,
+            usage.input_tokens || 0,
+            usage.output_tokens || 0,
+            this.cost(provider, model, usage)
+        ]);
+        return result.rows[0];
+    }
+
+    /**
+     * Usage of the tenant (or of one of its users) in each period so far
+     * @returns {object} period -> { tokens, costUsd, requests }
+     */
+    async totals(tenantId, userId = null, now = new Date()) {
+        const starts = PERIODS.map(period => periodStart(period, now));
+        const columns = PERIODS.map((period, i) => `
+                COUNT(*) FILTER (WHERE created_at >= $${i + 3})::int AS ${period}_requests,
+                COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE created_at >= $${i + 3}), 0)::float AS ${period}_tokens,
+                COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= $${i + 3}), 0)::float AS ${period}_cost`).join(',');
+
+        const result = await this.db.query(`
+            SELECT ${columns}
+            FROM llm_usage
+            WHERE tenant_id = $1 AND ($2::varchar IS NULL OR user_id = $2)
+              AND created_at >= LEAST(${PERIODS.map((period, i) => `$${i + 3}`).join(', ')})
+        `, [tenantId, userId, ...starts]);
+
+        const row = result.rows[0] || {};
+        return Object.fromEntries(PERIODS.map(period => [period, {
+            tokens: row[`${period}_tokens`] || 0,
+            costUsd: row[`${period}_cost`] || 0,
+            requests: row[`${period}_requests`] || 0
+        }]));
+    }
+
+    /**
+     * Limits that apply to a user: the per-user limits with the user's overrides
+     */
+    userLimits(budgets, userId) {
+        const override = budgets.users?.[userId] || {};
+        return Object.fromEntries(PERIODS.map(period => [period, { ...budgets.user?.[period], ...override[period] }]));
+    }
+
+    /**
+     * Compare the tenant's and user's usage with their budgets
+     * @param {object|null} budgets - The tenant's budgets (req.tenant.usageBudgets)
+     * @returns {object} { allowed, exceeded: [limit], warnings: [limit] } where
+     *   limit = { scope: 'tenant'|'user', period, metric, used, limit, resetsAt }
+     */
+    async check(tenantId, userId, budgets, now = new Date()) {
+        const status = { allowed: true, exceeded: [], warnings: [] };
+        if (!budgets) return status;
+
+        const warnAt = budgets.warnAt ?? DEFAULT_WARN_AT;
+        const scopes = [['tenant', null, budgets.tenant || {}]];
+        if (userId) scopes.push(['user', userId, this.userLimits(budgets, userId)]);
+
+        for (const [scope, scopeUserId, limits] of scopes) {
+            const hasLimits = PERIODS.some(period => Object.keys(limits[period] || {}).length > 0);
+            if (!hasLimits) continue;
+
+            const used = await this.totals(tenantId, scopeUserId, now);
+            for (const period of PERIODS) {
+                for (const [metric, limit] of Object.entries(limits[period] || {})) {
+                    const entry = { scope, period, metric, used: used[period][metric], limit, resetsAt: periodReset(period, now).toISOString() };
+                    if (entry.used >= limit) status.exceeded.push(entry);
+                    else if (entry.used >= limit * warnAt) status.warnings.push(entry);
+                }
+            }
+        }
+
+        status.allowed = status.exceeded.length === 0;
+        return status;
+    }
+
+    /**
+     * Usage per period bucket
+     * @param {object} options - { period: 'day'|'month', from, to, userId, groupBy: 'user'|'model'|'provider'|'conversation' }
+     * @returns {Array} [{ period_start, key?, input_tokens, output_tokens, tokens, cost_usd, requests }]
+     */
+    async report(tenantId, { period = 'day', from, to, userId = null, groupBy = null }) {
+        const column = { user: 'user_id', model: 'model', provider: 'provider', conversation: 'conversation_id' }[groupBy];
+        const key = column ? `, ${column}::text AS key` : '';
+
+        const result = await this.db.query(`
+            SELECT date_trunc($2::text, created_at, 'UTC') AS period_start${key},
+                   SUM(input_tokens)::float AS input_tokens,
+                   SUM(output_tokens)::float AS output_tokens,
+                   SUM(input_tokens + output_tokens)::float AS tokens,
+                   SUM(cost_usd)::float AS cost_usd,
+                   COUNT(*)::int AS requests
+            FROM llm_usage
+            WHERE tenant_id = $1 AND created_at >= $3 AND created_at < $4
+              AND ($5::varchar IS NULL OR user_id = $5)
+            GROUP BY 1${column ? ', 2' : ''}
+            ORDER BY 1${column ? ', 2' : ''}
+        `, [tenantId, period, from, to, userId]);
+        return result.rows;
+    }
+
+    /**
+     * Check tenant budgets ({ warnAt, tenant, user, users })
+     * @throws {UsageBudgetError} INVALID_USAGE_BUDGETS (400)
+     */
+    validateBudgets(budgets) {
+        const invalid = (message) => new UsageBudgetError('INVALID_USAGE_BUDGETS', message, 400);
+        const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+        const validateLimits = (limits, path) => {
+            if (!isObject(limits)) throw invalid(`${path} must be an object of period -> limits`);
+            for (const [period, metrics] of Object.entries(limits)) {
+                if (!PERIODS.includes(period)) throw invalid(`${path}.${period} is not a period (${PERIODS.join(', ')})`);
+                if (!isObject(metrics)) throw invalid(`${path}.${period} must be an object of metric -> limit`);
+                for (const [metric, limit] of Object.entries(metrics)) {
+                    if (!METRICS.includes(metric)) throw invalid(`${path}.${period}.${metric} is not a metric (${METRICS.join(', ')})`);
+                    if (typeof limit !== 'number' || !(limit > 0)) throw invalid(`${path}.${period}.${metric} must be a positive number`);
+                }
+            }
+        };
+
+        if (!isObject(budgets)) throw invalid('budgets must be an object');
+        for (const key of Object.keys(budgets)) {
+            if (!['warnAt', 'tenant', 'user', 'users'].includes(key)) throw invalid(`Unknown budget setting '${key}'`);
+        }
+        if (budgets.warnAt !== undefined && (typeof budgets.warnAt !== 'number' || !(budgets.warnAt > 0 && budgets.warnAt <= 1))) {
+            throw invalid('warnAt must be a number greater than 0 and at most 1');
+        }
+        if (budgets.tenant !== undefined) validateLimits(budgets.tenant, 'tenant');
+        if (budgets.user !== undefined) validateLimits(budgets.user, 'user');
+        if (budgets.users !== undefined) {
+            if (!isObject(budgets.users)) throw invalid('users must be an object of userId -> limits');
+            for (const [userId, limits] of Object.entries(budgets.users)) validateLimits(limits, `users.${userId}`);
+        }
+        return budgets;
+    }
+}
+
+module.exports = new LlmUsage();
+module.exports.LlmUsage = LlmUsage;
+module.exports.UsageBudgetError = UsageBudgetError;
+module.exports.PERIODS = PERIODS;
+module.exports.periodStart = periodStart;
@@ -0,0 +1,240 @@
+/**
+ * MCP Server
+ * Publishes a tenant's skills as Model Context Protocol tools over JSON-RPC 2.0.
+ * Transport-agnostic: the stdio entry point (scripts/mcp-server.js) and the
+ * HTTP/SSE routes (api/routes/mcp.js) both feed messages to handle(). Tool calls
+ * go through the skill gateway, so they get the same tenant scoping, DLP
+ * screening and audit logging as POST /api/v1/skills/:skillName.
+ */
+
+const crypto = require('crypto');
+const registry = require('./skill-registry');
+const gateway = require('./skill-gateway');
+const skillSettings = require('./skill-settings');
+const { clientInputSchema } = require('../../core/utils/skill-loader');
+const { name: serverName, version: serverVersion } = require('../../package.json');
+
+// Newest first; a client asking for anything else is answered with the newest
+const PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+const JSONRPC_ERRORS = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603
+};
+
+class McpError extends Error {
+    constructor(code, message, data = undefined) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+const response = (id, result) => ({ jsonrpc: '2.0', id, result });
+
+const errorResponse = (id, error) => ({
+    jsonrpc: '2.0',
+    id: id ?? null,
+    error: {
+        code: error.code,
+        message: error.message,
+        ...(error.data !== undefined && { data: error.data })
+    }
+});
+
+class McpServer {
+    /**
+     * @param {object} options
+     * @param {object} options.registry - Skill registry
+     * @param {object} options.gateway - Skill gateway used for tool calls
+     * @param {object} options.skillSettings - Tenant skill settings (pins, enablement, tier)
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || registry;
+        this.gateway = options.gateway || gateway;
+        this.skillSettings = options.skillSettings || skillSettings;
+    }
+
+    /**
+     * State of one client connection
+     * @param {object} options - { tenant, apiKey } from the authenticated API key
+     */
+    createSession({ tenant, apiKey = null }) {
+        return {
+            id: crypto.randomUUID(),
+            tenant,
+            apiKey,
+            clientInfo: null,
+            protocolVersion: null,
+            inFlight: new Map() // request id -> AbortController
+        };
+    }
+
+    /**
+     * Cancel every running tool call of a session (client disconnected)
+     */
+    closeSession(session) {
+        for (const controller of session.inFlight.values()) controller.abort();
+        session.inFlight.clear();
+    }
+
+    /**
+     * Handle one JSON-RPC message
+     * @returns {object|null} Response, or null for notifications
+     */
+    async handle(session, message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message) ||
+            message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            return errorResponse(message?.id, new McpError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC request'));
+        }
+
+        const { id, method, params = {} } = message;
+        const isNotification = id === undefined;
+
+        try {
+            const result = await this.dispatch(session, method, params, id);
+            return isNotification ? null : response(id, result);
+        } catch (error) {
+            if (isNotification) return null;
+            if (error instanceof McpError) return errorResponse(id, error);
+
+            console.error('MCP request error:', error);
+            return errorResponse(id, new McpError(JSONRPC_ERRORS.INTERNAL_ERROR, error.message));
+        }
+    }
+
+    /**
+     * Parse and handle a raw message (stdio and other text transports)
+     */
+    async handleText(session, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return errorResponse(null, new McpError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+        }
+        return this.handle(session, message);
+    }
+
+    async dispatch(session, method, params, id) {
+        switch (method) {
+            case 'initialize':
+                return this.initialize(session, params);
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return { tools: await this.listTools(session) };
+            case 'tools/call':
+                return this.callTool(session, params, id);
+            case 'notifications/cancelled':
+                session.inFlight.get(params.requestId)?.abort();
+                return null;
+            default:
+                if (method.startsWith('notifications/')) return null;
+                throw new McpError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+    }
+
+    initialize(session, params) {
+        session.clientInfo = params.clientInfo || null;
+        session.protocolVersion = PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : PROTOCOL_VERSIONS[0];
+
+        return {
+            protocolVersion: session.protocolVersion,
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: { name: serverName, version: serverVersion },
+            instructions: `Skills of the ${session.tenant.vertical} vertical for ${session.tenant.name}.`
+        };
+    }
+
+    /**
+     * Current skill settings of the session tenant (sessions outlive the settings cache)
+     */
+    async refreshTenant(session) {
+        const { subscriptionTier, skills } = await this.skillSettings.getForTenant(session.tenant.id);
+        session.tenant = { ...session.tenant, subscriptionTier, skillSettings: skills };
+        return session.tenant;
+    }
+
+    /**
+     * MCP tools built from the registry's tool definitions, limited to skills the tenant can run
+     */
+    async listTools(session) {
+        const tenant = await this.refreshTenant(session);
+        const allowed = new Set(this.registry.listForTenant(tenant).map(skill => skill.name));
+
+        return this.registry.getToolDefinitions(tenant.vertical)
+            .filter(tool => allowed.has(tool.name))
+            .map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                inputSchema: clientInputSchema(tool.input_schema)
+            }));
+    }
+
+    /**
+     * Run a skill; skill failures are reported as tool results with isError
+     */
+    async callTool(session, params, requestId) {
+        const { name, arguments: args = {} } = params;
+        if (typeof name !== 'string' || !this.registry.has(name)) {
+            throw new McpError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+            throw new McpError(JSONRPC_ERRORS.INVALID_PARAMS, 'Tool arguments must be an object');
+        }
+
+        const tenant = await this.refreshTenant(session);
+        const controller = new AbortController();
+        session.inFlight.set(requestId, controller);
+
+        try {
+            const { result, meta } = await this.gateway.execute(name, args, {
+                tenant,
+                signal: controller.signal,
+                auditFields: {
+                    sessionId: session.id,
+                    requestMethod: 'MCP',
+                    requestPath: `tools/call ${name}`,
+                    userAgent: session.clientInfo ? `${session.clientInfo.name}/${session.clientInfo.version}` : null,
+                    resourceType: 'api_key',
+                    resourceId: session.apiKey?.id || null
+                }
+            });
+
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+                structuredContent: result,
+                isError: result?.success === false,
+                _meta: { skillVersion: meta.version, pinned: meta.pinned }
+            };
+        } catch (error) {
+            const failure = {
+                error: error.status ? error.code : 'SKILL_EXECUTION_ERROR',
+                message: error.message,
+                ...(error.errors && { errors: error.errors }),
+                ...(error.violations && { violations: error.violations })
+            };
+
+            return {
+                content: [{ type: 'text', text: `${failure.error}: ${failure.message}` }],
+                structuredContent: failure,
+                isError: true
+            };
+        } finally {
+            session.inFlight.delete(requestId);
+        }
+    }
+}
+
+module.exports = new McpServer();
+module.exports.McpServer = McpServer;
+module.exports.McpError = McpError;
+module.exports.JSONRPC_ERRORS = JSONRPC_ERRORS;
+module.exports.PROTOCOL_VERSIONS = PROTOCOL_VERSIONS;
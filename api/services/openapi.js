@@ -0,0 +1,1388 @@
+/**
+ * OpenAPI Document Builder
+ * Describes the platform API as OpenAPI 3.1: the static routes are declared
+ * here, and every skill the tenant can run gets its own operation generated
+ * from its inputSchema/outputSchema, so the document follows the skills on disk.
+ */
+
+const registry = require('./skill-registry');
+const { clientInputSchema } = require('../../core/utils/skill-loader');
+const { version: apiVersion } = require('../../package.json');
+
+const OPENAPI_VERSION = '3.1.0';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema, description = 'OK') => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+
+const pathParam = (name, description, schema = { type: 'string' }) => ({
+    name,
+    in: 'path',
+    required: true,
+    description,
+    schema
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+    name,
+    in: 'query',
+    required: false,
+    description,
+    schema
+});
+
+const headerParam = (name, description, schema = { type: 'string' }) => ({
+    name,
+    in: 'header',
+    required: false,
+    description,
+    schema
+});
+
+const body = (schema, required = true) => ({
+    required,
+    content: { 'application/json': { schema } }
+});
+
+const object = (properties, required = []) => ({
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required })
+});
+
+// Older routes (auth, documents, profiles, exports, chat) answer { success: false, error }
+const failure = (description) => json(ref('Failure'), description);
+// Newer routes (skills, jobs, workflows) answer { error: CODE, message }
+const error = (description) => json(ref('Error'), description);
+
+const success = (properties = {}) => object({ success: { type: 'boolean', const: true }, ...properties });
+
+const COMPONENTS = {
+    securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas: {
+        Error: object({
+            error: { type: 'string', description: 'Machine-readable error code' },
+            message: { type: 'string' }
+        }, ['error']),
+        Failure: object({
+            success: { type: 'boolean', const: false },
+            error: { type: 'string', description: 'Error message' }
+        }, ['success', 'error']),
+        User: object({
+            id: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            name: { type: 'string' },
+            company: { type: ['string', 'null'] },
+            role: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            lastLogin: { type: ['string', 'null'], format: 'date-time' }
+        }),
+        Credentials: object({
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string', minLength: 8 }
+        }, ['email', 'password']),
+        Document: object({
+            id: { type: 'string', format: 'uuid' },
+            filename: { type: 'string' },
+            originalName: { type: 'string' },
+            mimetype: { type: 'string' },
+            size: { type: 'integer' },
+            profileName: { type: ['string', 'null'] },
+            documentType: { type: 'string' },
+            status: { type: 'string' },
+            processedAt: { type: ['string', 'null'], format: 'date-time' },
+            uploadedAt: { type: 'string', format: 'date-time' },
+            quarantinedAt: { type: ['string', 'null'], format: 'date-time', description: 'Set when prompt injection was found under the quarantine policy; the document is left out of chat' },
+            extractedData: {},
+            dlpFindings: { type: 'array', items: { type: 'object' }, description: 'Returned by GET /api/v1/documents/{id}; prompt injection findings have category PROMPT_INJECTION' }
+        }),
+        Profile: object({
+            id: { type: 'string', format: 'uuid' },
+            profile_name: { type: 'string' },
+            display_name: { type: ['string', 'null'] },
+            description: { type: ['string', 'null'] },
+            metadata: { type: 'object' }
+        }),
+        AgentPromptOverride: object({
+            systemPrompt: { type: 'string', maxLength: 20000 },
+            mode: { type: 'string', enum: ['append', 'replace'], default: 'append' }
+        }, ['systemPrompt']),
+        Conversation: object({
+            id: { type: 'string', format: 'uuid' },
+            user_id: { type: ['string', 'null'] },
+            title: { type: 'string' },
+            profile_name: { type: ['string', 'null'] },
+            message_count: { type: 'integer' },
+            last_message_at: { type: ['string', 'null'], format: 'date-time' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+        }),
+        ConversationMessage: object({
+            id: { type: 'string', format: 'uuid' },
+            position: { type: 'integer' },
+            role: { type: 'string', enum: ['user', 'assistant'] },
+            content: { type: 'string' },
+            tool_calls: { type: 'array', items: object({ tool: { type: 'string' }, input: { type: 'object' }, output: {} }) },
+            metadata: { type: 'object', description: 'provider, model, usage and citations of assistant messages' },
+            created_at: { type: 'string', format: 'date-time' }
+        }),
+        Citation: object({
+            ref: { type: 'integer', description: 'The [n] marker in the answer' },
+            document_id: { type: 'string', format: 'uuid', description: 'Source document (GET /api/v1/documents/{id}/content)' },
+            filename: { type: 'string' },
+            page: { type: ['integer', 'null'] },
+            field: { type: ['string', 'null'], description: 'Extracted field, e.g. transactions[3]' }
+        }),
+        InjectionFinding: object({
+            type: { type: 'string', examples: ['ignoreInstructions'] },
+            description: { type: 'string' },
+            count: { type: 'integer' },
+            severity: { type: 'string', enum: ['HIGH', 'MEDIUM'] },
+            action: { type: 'string', enum: ['BLOCK', 'REDACT', 'WARN'] },
+            categories: { type: 'array', items: { type: 'string', const: 'PROMPT_INJECTION' } },
+            page: { type: ['integer', 'null'], description: 'Documents only' },
+            field: { type: ['string', 'null'], description: 'Documents only' }
+        }),
+        InjectionScreening: object({
+            findings: { type: 'array', items: ref('InjectionFinding') },
+            action: { type: ['string', 'null'], enum: ['quarantined', 'stripped', 'warned', null], description: 'What the policy (PROMPT_INJECTION_POLICY) did; null without findings' }
+        }),
+        AgentAction: object({
+            id: { type: 'string', format: 'uuid' },
+            conversation_id: { type: 'string', format: 'uuid' },
+            user_id: { type: ['string', 'null'] },
+            tool_name: { type: 'string' },
+            input: { type: 'object' },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'expired'] },
+            decided_by: { type: ['string', 'null'] },
+            decided_at: { type: ['string', 'null'], format: 'date-time' },
+            reason: { type: ['string', 'null'] },
+            expires_at: { type: 'string', format: 'date-time' },
+            created_at: { type: 'string', format: 'date-time' }
+        }),
+        AgentPolicy: {
+            type: 'object',
+            description: 'Role (or "*" for every other role) -> policy for the chat agent calling the skill',
+            additionalProperties: { type: 'string', enum: ['auto', 'require-approval', 'forbidden'] }
+        },
+        Job: object({
+            id: { type: 'string', format: 'uuid' },
+            skill: { type: 'string' },
+            version: { type: ['string', 'null'] },
+            status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+            progress: { type: ['integer', 'null'] },
+            progressMessage: { type: ['string', 'null'] },
+            attempts: { type: 'integer' },
+            maxAttempts: { type: 'integer' },
+            result: {},
+            error: {},
+            nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: ['string', 'null'], format: 'date-time' },
+            finishedAt: { type: ['string', 'null'], format: 'date-time' }
+        }),
+        Workflow: object({
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            description: { type: ['string', 'null'] },
+            version: { type: 'integer' },
+            definition: ref('WorkflowDefinition')
+        }),
+        WorkflowDefinition: object({
+            inputSchema: { type: 'object' },
+            steps: {
+                type: 'array',
+                items: object({
+                    id: { type: 'string' },
+                    skill: { type: 'string' },
+                    version: { type: 'string' },
+                    needs: { type: 'array', items: { type: 'string' } },
+                    input: { type: 'object', description: 'Values may reference {{ input.x }} or {{ steps.<id>.output.x }}' },
+                    when: { type: 'object' },
+                    onError: { type: 'string', enum: ['fail', 'continue'] },
+                    timeoutMs: { type: 'integer' }
+                }, ['id', 'skill'])
+            },
+            output: { type: 'object' }
+        }, ['steps']),
+        WorkflowRun: object({
+            id: { type: 'string', format: 'uuid' },
+            workflowId: { type: 'string', format: 'uuid' },
+            status: { type: 'string' },
+            input: { type: 'object' },
+            output: {},
+            error: {},
+            steps: { type: 'array', items: { type: 'object' } }
+        }),
+        UsageLimits: {
+            type: 'object',
+            description: 'Period (minute = the last 60 seconds, day and month in UTC) -> metric -> limit',
+            properties: Object.fromEntries(['minute', 'day', 'month'].map(period => [period, object({
+                tokens: { type: 'number', exclusiveMinimum: 0 },
+                costUsd: { type: 'number', exclusiveMinimum: 0 },
+                requests: { type: 'number', exclusiveMinimum: 0, description: 'Chat turns' }
+            })])),
+            additionalProperties: false
+        },
+        UsageBudgets: object({
+            warnAt: { type: 'number', exclusiveMinimum: 0, maximum: 1, default: 0.8, description: 'Share of a limit at which replies carry a warning' },
+            tenant: ref('UsageLimits'),
+            user: ref('UsageLimits'),
+            users: { type: 'object', description: 'userId -> limits replacing those of user', additionalProperties: ref('UsageLimits') }
+        }),
+        BudgetLimit: object({
+            scope: { type: 'string', enum: ['tenant', 'user'] },
+            period: { type: 'string', enum: ['minute', 'day', 'month'] },
+            metric: { type: 'string', enum: ['tokens', 'costUsd', 'requests'] },
+            used: { type: 'number' },
+            limit: { type: 'number' },
+            resetsAt: { type: 'string', format: 'date-time' }
+        }),
+        BudgetStatus: object({
+            allowed: { type: 'boolean' },
+            exceeded: { type: 'array', items: ref('BudgetLimit') },
+            warnings: { type: 'array', items: ref('BudgetLimit') }
+        }),
+        ApiKey: object({
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            prefix: { type: 'string', description: 'First characters of the key, for recognising it' },
+            scopes: { type: 'array', items: { type: 'string' } },
+            createdBy: { type: ['string', 'null'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+            expiresAt: { type: ['string', 'null'], format: 'date-time' },
+            revokedAt: { type: ['string', 'null'], format: 'date-time' }
+        }),
+        SideEffect: object({
+            type: { type: 'string', enum: ['db', 'file', 'audit'] },
+            operation: { type: 'string', description: 'INSERT, UPDATE or DELETE (db), WRITE (file)' },
+            table: { type: 'string' },
+            rowCount: { type: 'integer' },
+            rows: { type: 'array', items: { type: 'object' } },
+            path: { type: 'string' },
+            bytes: { type: 'integer' },
+            action: { type: ['string', 'null'] }
+        }),
+        SkillStats: object({
+            version: { type: ['string', 'null'], description: 'Only on per-version entries' },
+            executions: { type: 'integer', description: 'Runs, including dry runs and cached results' },
+            succeeded: { type: 'integer' },
+            dryRuns: { type: 'integer' },
+            cached: { type: 'integer' },
+            failed: { type: 'integer' },
+            blocked: { type: 'integer', description: 'Requests refused by DLP (not counted as executions)' },
+            errorRate: { type: 'number' },
+            dlpBlockRate: { type: 'number' },
+            p50Ms: { type: ['integer', 'null'] },
+            p95Ms: { type: ['integer', 'null'] }
+        }),
+        SkillSummary: object({
+            name: { type: 'string' },
+            description: { type: 'string' },
+            vertical: { type: 'string' },
+            tier: { type: 'integer' },
+            version: { type: 'string' },
+            versions: { type: 'array', items: { type: 'string' } },
+            pinnedVersion: { type: ['string', 'null'] },
+            configurable: { type: 'boolean' },
+            available: { type: 'boolean' },
+            unavailableReason: { type: 'string' }
+        })
+    }
+};
+
+const idParam = pathParam('id', 'Resource id', { type: 'string', format: 'uuid' });
+const skillNameParam = pathParam('skillName', 'Skill name');
+const skillRunHeaders = [
+    headerParam('Idempotency-Key', 'Replays the first response for retries of the same request', { type: 'string', maxLength: 255 }),
+    headerParam('Cache-Control', 'no-cache runs cacheable skills again instead of serving a cached result')
+];
+const paging = [
+    queryParam('limit', 'Page size', { type: 'integer', minimum: 1 }),
+    queryParam('offset', 'Rows to skip', { type: 'integer', minimum: 0 })
+];
+
+const STATIC_PATHS = {
+    '/api/v1/health': {
+        get: {
+            tags: ['Health'],
+            summary: 'Service and database health',
+            operationId: 'getHealth',
+            responses: { 200: json({ type: 'object' }), 503: json({ type: 'object' }, 'Database unavailable') }
+        }
+    },
+    '/api/v1/auth/register': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Register a user for the tenant',
+            operationId: 'register',
+            requestBody: body({
+                allOf: [ref('Credentials'), object({ name: { type: 'string' }, company: { type: 'string' } })]
+            }),
+            responses: {
+                201: json(success({ user: ref('User'), accessToken: { type: 'string' }, refreshToken: { type: 'string' } }), 'Created'),
+                400: failure('Missing email or password'),
+                409: failure('User already exists')
+            }
+        }
+    },
+    '/api/v1/auth/login': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Log in with email and password',
+            operationId: 'login',
+            requestBody: body(ref('Credentials')),
+            responses: {
+                200: json(success({ user: ref('User'), accessToken: { type: 'string' }, refreshToken: { type: 'string' } })),
+                401: failure('Invalid credentials')
+            }
+        }
+    },
+    '/api/v1/auth/refresh': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Exchange a refresh token for an access token',
+            operationId: 'refreshToken',
+            requestBody: body(object({ refreshToken: { type: 'string' } }, ['refreshToken'])),
+            responses: {
+                200: json(success({ accessToken: { type: 'string' } })),
+                401: failure('Invalid or expired refresh token')
+            }
+        }
+    },
+    '/api/v1/auth/logout': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Invalidate a refresh token',
+            operationId: 'logout',
+            requestBody: body(object({ refreshToken: { type: 'string' } }), false),
+            responses: { 200: json(success({ message: { type: 'string' } })) }
+        }
+    },
+    '/api/v1/auth/me': {
+        get: {
+            tags: ['Auth'],
+            summary: 'Current user',
+            operationId: 'getCurrentUser',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ user: ref('User') })),
+                401: failure('Missing or invalid token'),
+                404: failure('User not found')
+            }
+        }
+    },
+    '/api/v1/api-keys': {
+        get: {
+            tags: ['Auth'],
+            summary: 'List tenant API keys',
+            operationId: 'listApiKeys',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ apiKeys: { type: 'array', items: ref('ApiKey') }, count: { type: 'integer' } })),
+                401: failure('Missing or invalid token'),
+                403: failure('Not an admin of the tenant')
+            }
+        },
+        post: {
+            tags: ['Auth'],
+            summary: 'Create an API key for machine clients (MCP)',
+            description: 'The key is only returned in this response.',
+            operationId: 'createApiKey',
+            security: [{ bearerAuth: [] }],
+            requestBody: body(object({
+                name: { type: 'string' },
+                scopes: { type: 'array', items: { type: 'string', enum: ['mcp'] }, default: ['mcp'] },
+                expiresAt: { type: ['string', 'null'], format: 'date-time' }
+            }, ['name'])),
+            responses: {
+                201: json(success({ apiKey: ref('ApiKey'), key: { type: 'string' } }), 'Created'),
+                400: error('Invalid name, scopes or expiry'),
+                401: failure('Missing or invalid token'),
+                403: failure('Not an admin of the tenant')
+            }
+        }
+    },
+    '/api/v1/api-keys/{id}': {
+        parameters: [idParam],
+        delete: {
+            tags: ['Auth'],
+            summary: 'Revoke an API key',
+            operationId: 'revokeApiKey',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ id: { type: 'string', format: 'uuid' } })),
+                401: failure('Missing or invalid token'),
+                403: failure('Not an admin of the tenant'),
+                404: error('API key not found')
+            }
+        }
+    },
+    '/api/v1/usage': {
+        get: {
+            tags: ['Usage'],
+            summary: 'LLM usage of chat turns per day or month',
+            description: "Users see their own usage; admins see the whole tenant's or one user's (user_id).",
+            operationId: 'getUsage',
+            security: [{ bearerAuth: [] }],
+            parameters: [
+                queryParam('period', 'Bucket size', { type: 'string', enum: ['day', 'month'], default: 'day' }),
+                queryParam('from', 'Start (default: this month by day, the last 12 months by month)', { type: 'string', format: 'date-time' }),
+                queryParam('to', 'End (default: now)', { type: 'string', format: 'date-time' }),
+                queryParam('user_id', 'Only this user (admins only)'),
+                queryParam('group_by', 'Split each bucket', { type: 'string', enum: ['user', 'model', 'provider', 'conversation'] })
+            ],
+            responses: {
+                200: json(success({
+                    period: { type: 'string' },
+                    from: { type: 'string', format: 'date-time' },
+                    to: { type: 'string', format: 'date-time' },
+                    groupBy: { type: ['string', 'null'] },
+                    usage: {
+                        type: 'array',
+                        items: object({
+                            period_start: { type: 'string', format: 'date-time' },
+                            key: { type: ['string', 'null'], description: 'Value of group_by' },
+                            input_tokens: { type: 'number' },
+                            output_tokens: { type: 'number' },
+                            tokens: { type: 'number' },
+                            cost_usd: { type: 'number' },
+                            requests: { type: 'integer' }
+                        })
+                    },
+                    totals: { type: 'object' },
+                    budget: ref('BudgetStatus')
+                })),
+                400: error('Invalid period, range or group_by'),
+                401: failure('Access token required'),
+                403: error("Another user's usage requested by a user who is not an admin")
+            }
+        }
+    },
+    '/api/v1/usage/budgets': {
+        get: {
+            tags: ['Usage'],
+            summary: "The tenant's usage budgets",
+            operationId: 'getUsageBudgets',
+            security: [{ bearerAuth: [] }],
+            responses: { 200: json(success({ budgets: { oneOf: [ref('UsageBudgets'), { type: 'null' }] } })) }
+        },
+        put: {
+            tags: ['Usage'],
+            summary: "Replace the tenant's usage budgets",
+            description: 'Chat turns are refused while a limit is used up and carry warnings once usage reaches warnAt of one. Requires the admin role.',
+            operationId: 'updateUsageBudgets',
+            security: [{ bearerAuth: [] }],
+            requestBody: body(ref('UsageBudgets')),
+            responses: {
+                200: json(success({ budgets: ref('UsageBudgets') })),
+                400: error('Invalid budgets'),
+                403: failure('Not an admin of the tenant'),
+                404: error('Tenant not found')
+            }
+        },
+        delete: {
+            tags: ['Usage'],
+            summary: 'Remove every usage budget of the tenant',
+            description: 'Requires the admin role.',
+            operationId: 'resetUsageBudgets',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ budgets: { type: 'null' } })),
+                403: failure('Not an admin of the tenant')
+            }
+        }
+    },
+    '/api/v1/documents/upload': {
+        post: {
+            tags: ['Documents'],
+            summary: 'Upload up to 10 documents (10MB each)',
+            operationId: 'uploadDocuments',
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: object({
+                            files: { type: 'array', items: { type: 'string', contentMediaType: 'application/octet-stream' }, maxItems: 10 },
+                            profile_name: { type: 'string' },
+                            document_type: { type: 'string' },
+                            client_id: { type: 'string' }
+                        }, ['files'])
+                    }
+                }
+            },
+            responses: {
+                201: json(success({ message: { type: 'string' }, documents: { type: 'array', items: ref('Document') } }), 'Created'),
+                400: failure('No files uploaded')
+            }
+        }
+    },
+    '/api/v1/documents': {
+        get: {
+            tags: ['Documents'],
+            summary: 'List documents',
+            operationId: 'listDocuments',
+            parameters: [
+                queryParam('profile_name', 'Only documents of this profile'),
+                queryParam('status', 'Only documents with this status'),
+                queryParam('client_id', 'Only documents of this client'),
+                ...paging
+            ],
+            responses: { 200: json(success({ documents: { type: 'array', items: ref('Document') } })) }
+        }
+    },
+    '/api/v1/documents/{id}': {
+        parameters: [idParam],
+        get: {
+            tags: ['Documents'],
+            summary: 'Get a document',
+            operationId: 'getDocument',
+            responses: { 200: json(success({ document: ref('Document') })), 404: failure('Document not found') }
+        },
+        patch: {
+            tags: ['Documents'],
+            summary: 'Update document fields',
+            operationId: 'updateDocument',
+            requestBody: body(object({
+                document_type: { type: 'string' },
+                profile_name: { type: 'string' },
+                status: { type: 'string' },
+                extracted_data: { type: 'object' }
+            })),
+            responses: {
+                200: json(success({ document: ref('Document') })),
+                400: failure('No valid fields to update'),
+                404: failure('Document not found')
+            }
+        },
+        delete: {
+            tags: ['Documents'],
+            summary: 'Delete a document',
+            operationId: 'deleteDocument',
+            responses: { 200: json(success({ message: { type: 'string' } })), 404: failure('Document not found') }
+        }
+    },
+    '/api/v1/documents/{id}/download': {
+        parameters: [idParam],
+        get: {
+            tags: ['Documents'],
+            summary: 'Download the original file',
+            operationId: 'downloadDocument',
+            responses: {
+                200: { description: 'File contents', content: { 'application/octet-stream': {} } },
+                404: failure('Document not found')
+            }
+        }
+    },
+    '/api/v1/documents/{id}/content': {
+        parameters: [idParam],
+        get: {
+            tags: ['Documents'],
+            summary: 'File contents as base64',
+            operationId: 'getDocumentContent',
+            responses: {
+                200: json(success({
+                    document_id: { type: 'string', format: 'uuid' },
+                    mimetype: { type: 'string' },
+                    size: { type: 'integer' },
+                    content: { type: 'string', contentEncoding: 'base64' }
+                })),
+                404: failure('Document not found')
+            }
+        }
+    },
+    '/api/v1/documents/{id}/process': {
+        parameters: [idParam],
+        post: {
+            tags: ['Documents'],
+            summary: 'Extract data from a document with its vertical skills',
+            operationId: 'processDocument',
+            responses: {
+                200: json(success({
+                    document_id: { type: 'string', format: 'uuid' },
+                    profile_name: { type: ['string', 'null'] },
+                    extraction_result: { type: 'object' },
+                    index: object({
+                        chunks: { type: 'integer', description: 'Chat retrieval chunks stored for the document' },
+                        injection: ref('InjectionScreening'),
+                        error: { type: 'string', description: 'Indexing failed; chat retries it' }
+                    })
+                })),
+                404: failure('Document not found')
+            }
+        }
+    },
+    '/api/v1/profiles': {
+        get: {
+            tags: ['Profiles'],
+            summary: 'List client profiles',
+            operationId: 'listProfiles',
+            responses: { 200: json(success({ profiles: { type: 'array', items: ref('Profile') } })) }
+        },
+        post: {
+            tags: ['Profiles'],
+            summary: 'Create a client profile',
+            operationId: 'createProfile',
+            requestBody: body(object({
+                profile_name: { type: 'string' },
+                display_name: { type: 'string' },
+                description: { type: 'string' },
+                metadata: { type: 'object' }
+            }, ['profile_name'])),
+            responses: {
+                201: json(success({ profile: ref('Profile') }), 'Created'),
+                400: failure('profile_name is required'),
+                409: failure('Profile already exists')
+            }
+        }
+    },
+    '/api/v1/profiles/{name}': {
+        parameters: [pathParam('name', 'Profile name')],
+        get: {
+            tags: ['Profiles'],
+            summary: 'Get a profile',
+            operationId: 'getProfile',
+            responses: { 200: json(success({ profile: ref('Profile') })), 404: failure('Profile not found') }
+        },
+        delete: {
+            tags: ['Profiles'],
+            summary: 'Delete a profile',
+            operationId: 'deleteProfile',
+            responses: { 200: json(success({ message: { type: 'string' } })), 404: failure('Profile not found') }
+        }
+    },
+    '/api/v1/profiles/{name}/documents': {
+        parameters: [pathParam('name', 'Profile name')],
+        get: {
+            tags: ['Profiles'],
+            summary: 'Documents of a profile',
+            operationId: 'listProfileDocuments',
+            responses: { 200: json(success({ documents: { type: 'array', items: ref('Document') } })) }
+        }
+    },
+    '/api/v1/exports/{tenant_id}': {
+        parameters: [pathParam('tenant_id', 'Tenant id')],
+        get: {
+            tags: ['Exports'],
+            summary: 'List exported files',
+            operationId: 'listExports',
+            responses: {
+                200: json(success({
+                    exports: {
+                        type: 'array',
+                        items: object({
+                            filename: { type: 'string' },
+                            size: { type: 'integer' },
+                            created: { type: 'string', format: 'date-time' },
+                            modified: { type: 'string', format: 'date-time' },
+                            download_url: { type: 'string' }
+                        })
+                    },
+                    total: { type: 'integer' }
+                })),
+                403: failure('Access denied')
+            }
+        }
+    },
+    '/api/v1/exports/{tenant_id}/{filename}': {
+        parameters: [pathParam('tenant_id', 'Tenant id'), pathParam('filename', 'Export file name')],
+        get: {
+            tags: ['Exports'],
+            summary: 'Download an exported file',
+            operationId: 'downloadExport',
+            responses: {
+                200: { description: 'File contents', content: { 'application/octet-stream': {} } },
+                403: failure('Access denied'),
+                404: failure('File not found')
+            }
+        },
+        delete: {
+            tags: ['Exports'],
+            summary: 'Delete an exported file',
+            operationId: 'deleteExport',
+            responses: { 200: json(success({ message: { type: 'string' } })), 404: failure('File not found') }
+        }
+    },
+    '/api/v1/chat': {
+        post: {
+            tags: ['Chat'],
+            summary: 'Send a message to the AI agent',
+            description: 'Messages are stored in the conversation (started on the first message). With stream=true the reply '
+                + 'is sent as server-sent events; a { type: "conversation", conversation_id } event precedes data: [DONE]. '
+                + 'Tool calls that need approval (signed-in streaming chats only) send { type: "pending_action", action } and '
+                + 'wait for POST /api/v1/chat/conversations/{id}/actions/{actionId}, then send { type: "action_decided", action }. '
+                + 'The done event carries the citations; a { type: "budget_warning", warnings } event comes first when a usage '
+                + 'limit is nearly used up. While a usage budget is used up the turn is refused with 429 and Retry-After.',
+            operationId: 'chat',
+            requestBody: body(object({
+                message: { type: 'string' },
+                conversation_id: { type: 'string', description: 'Continue a conversation of the signed-in user' },
+                profile_name: { type: 'string', description: 'Give the agent the passages of this profile\'s documents relevant to the message' },
+                stream: { type: 'boolean', default: false }
+            }, ['message'])),
+            responses: {
+                200: {
+                    description: 'Agent reply',
+                    content: {
+                        'application/json': {
+                            schema: success({
+                                conversation_id: { type: ['string', 'null'], description: 'null for anonymous callers, whose turns are not stored' },
+                                response: { type: 'string' },
+                                tool_results: {
+                                    type: 'array',
+                                    items: object({
+                                        tool: { type: 'string' },
+                                        input: { type: 'object' },
+                                        output: { type: 'object' },
+                                        injection: ref('InjectionScreening')
+                                    }),
+                                    description: 'Tool output with prompt injection findings is screened before the model sees it'
+                                },
+                                provider: { type: 'string' },
+                                model: { type: 'string' },
+                                usage: { type: 'object' },
+                                citations: { type: 'array', items: ref('Citation'), description: 'Document passages the answer cites as [n]' },
+                                budget_warnings: { type: 'array', items: ref('BudgetLimit'), description: 'Usage limits that are nearly used up' },
+                                history: object({
+                                    included: { type: 'integer', description: 'Earlier messages sent to the model' },
+                                    omitted: { type: 'integer', description: 'Older messages left out of the model context' }
+                                })
+                            })
+                        },
+                        'text/event-stream': { schema: { type: 'string' } }
+                    }
+                },
+                400: failure('Message is required'),
+                401: failure('conversation_id sent without an access token'),
+                404: failure('Conversation not found or no agent for the tenant vertical'),
+                429: json(object({
+                    success: { type: 'boolean', const: false },
+                    error: { type: 'string' },
+                    code: { type: 'string', const: 'USAGE_BUDGET_EXCEEDED' },
+                    budget: ref('BudgetStatus')
+                }), 'A usage budget of the tenant or user is used up')
+            }
+        }
+    },
+    '/api/v1/chat/conversations': {
+        get: {
+            tags: ['Chat'],
+            summary: "The caller's conversations, most recently active first",
+            operationId: 'listConversations',
+            security: [{ bearerAuth: [] }],
+            parameters: [
+                queryParam('q', 'Search titles and message text'),
+                queryParam('limit', 'Page size (1-100)', { type: 'integer', default: 20 }),
+                queryParam('offset', 'Conversations to skip', { type: 'integer', default: 0 })
+            ],
+            responses: {
+                200: json(success({
+                    conversations: { type: 'array', items: ref('Conversation') },
+                    total: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    offset: { type: 'integer' }
+                })),
+                401: failure('Access token required')
+            }
+        }
+    },
+    '/api/v1/chat/conversations/{id}': {
+        parameters: [pathParam('id', 'Conversation id')],
+        get: {
+            tags: ['Chat'],
+            summary: 'Conversation history',
+            operationId: 'getConversation',
+            security: [{ bearerAuth: [] }],
+            parameters: [
+                queryParam('limit', 'Return only the last messages (1-500)', { type: 'integer' }),
+                queryParam('before', 'Only messages before this position', { type: 'integer' })
+            ],
+            responses: {
+                200: json(success({
+                    conversation_id: { type: 'string', format: 'uuid' },
+                    conversation: ref('Conversation'),
+                    messages: { type: 'array', items: ref('ConversationMessage') }
+                })),
+                401: failure('Access token required'),
+                404: failure('Conversation not found')
+            }
+        },
+        patch: {
+            tags: ['Chat'],
+            summary: 'Rename a conversation',
+            operationId: 'renameConversation',
+            security: [{ bearerAuth: [] }],
+            requestBody: body(object({ title: { type: 'string', maxLength: 200 } }, ['title'])),
+            responses: {
+                200: json(success({ conversation: ref('Conversation') })),
+                400: failure('Invalid title'),
+                401: failure('Access token required'),
+                404: failure('Conversation not found')
+            }
+        },
+        delete: {
+            tags: ['Chat'],
+            summary: 'Delete a conversation and its messages',
+            operationId: 'deleteConversation',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ message: { type: 'string' } })),
+                401: failure('Access token required'),
+                404: failure('Conversation not found')
+            }
+        }
+    },
+    '/api/v1/chat/conversations/{id}/actions/{actionId}': {
+        parameters: [pathParam('id', 'Conversation id'), pathParam('actionId', 'Agent action id')],
+        post: {
+            tags: ['Chat'],
+            summary: 'Approve or reject a tool call the agent paused on',
+            description: 'The paused chat turn runs the tool when approved; otherwise the agent is told it was not run.',
+            operationId: 'decideAgentAction',
+            security: [{ bearerAuth: [] }],
+            requestBody: body(object({
+                decision: { type: 'string', enum: ['approve', 'reject'] },
+                reason: { type: 'string' }
+            }, ['decision'])),
+            responses: {
+                200: json(success({ action: ref('AgentAction') })),
+                400: failure('Invalid decision'),
+                401: failure('Access token required'),
+                403: failure("The approver's role may not run the tool"),
+                404: failure('Conversation or action not found'),
+                409: failure('Action already decided or expired')
+            }
+        }
+    },
+    '/api/v1/chat/tools': {
+        get: {
+            tags: ['Chat'],
+            summary: 'Tools the agent can call for this tenant',
+            operationId: 'listChatTools',
+            responses: {
+                200: json(success({ tools: { type: 'array', items: object({ name: { type: 'string' }, description: { type: 'string' } }) } })),
+                404: failure('No agent for the tenant vertical')
+            }
+        }
+    },
+    '/api/v1/chat/persona': {
+        get: {
+            tags: ['Chat'],
+            summary: "The tenant vertical's agent persona, tools, rules and prompt override",
+            operationId: 'getChatPersona',
+            responses: {
+                200: json(success({
+                    persona: object({
+                        vertical: { type: 'string' },
+                        name: { type: 'string' },
+                        systemPrompt: { type: 'string' },
+                        formattingRules: { type: 'string' },
+                        safetyRules: { type: 'string' },
+                        tools: { type: 'array', items: { type: 'string' } }
+                    }),
+                    override: ref('AgentPromptOverride'),
+                    effectiveSystemPrompt: { type: 'string' }
+                })),
+                404: failure('No agent for the tenant vertical')
+            }
+        },
+        put: {
+            tags: ['Chat'],
+            summary: "Append to or replace the agent's system prompt for this tenant",
+            description: 'Formatting and safety rules of the persona still apply with mode=replace. Requires the admin role.',
+            operationId: 'updateChatPersona',
+            security: [{ bearerAuth: [] }],
+            requestBody: body(ref('AgentPromptOverride')),
+            responses: {
+                200: json(success({ override: ref('AgentPromptOverride'), effectiveSystemPrompt: { type: 'string' } })),
+                400: failure('Invalid prompt override'),
+                401: failure('Access token required'),
+                403: failure('Not an admin of the tenant'),
+                404: failure('No agent for the tenant vertical')
+            }
+        },
+        delete: {
+            tags: ['Chat'],
+            summary: "Go back to the vertical's default prompt",
+            description: 'Requires the admin role.',
+            operationId: 'resetChatPersona',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ override: { type: 'null' }, effectiveSystemPrompt: { type: 'string' } })),
+                401: failure('Access token required'),
+                403: failure('Not an admin of the tenant'),
+                404: failure('No agent for the tenant vertical')
+            }
+        }
+    },
+    '/api/v1/chat/providers': {
+        get: {
+            tags: ['Chat'],
+            summary: 'Configured AI providers',
+            operationId: 'listChatProviders',
+            responses: {
+                200: json(success({ providers: { type: 'array', items: { type: 'string' } }, primary: { type: ['string', 'null'] } }))
+            }
+        }
+    },
+    '/api/v1/skills': {
+        get: {
+            tags: ['Skills'],
+            summary: 'Skills of the tenant vertical',
+            operationId: 'listSkills',
+            parameters: [queryParam('include', 'unavailable also lists disabled and tier-locked skills', { type: 'string', enum: ['unavailable'] })],
+            responses: {
+                200: json(success({
+                    tenant: { type: 'string' },
+                    vertical: { type: 'string' },
+                    subscriptionTier: { type: ['string', 'null'] },
+                    skills: { type: 'array', items: ref('SkillSummary') },
+                    totalSkills: { type: 'integer' }
+                }))
+            }
+        }
+    },
+    '/api/v1/skills/load-errors': {
+        get: {
+            tags: ['Skills'],
+            summary: 'Skills of the tenant vertical that failed to load, and hot reload state',
+            operationId: 'listSkillLoadErrors',
+            responses: {
+                200: json(success({
+                    hotReload: object({
+                        watching: { type: 'boolean' },
+                        recentReloads: { type: 'array', items: { type: 'object' } }
+                    }),
+                    errors: {
+                        type: 'array',
+                        items: object({
+                            vertical: { type: 'string' },
+                            skill: { type: 'string' },
+                            version: { type: ['string', 'null'] },
+                            file: { type: ['string', 'null'] },
+                            message: { type: 'string' },
+                            failedAt: { type: 'string', format: 'date-time' }
+                        })
+                    }
+                }))
+            }
+        }
+    },
+    '/api/v1/skills/{skillName}/stats': {
+        parameters: [skillNameParam],
+        get: {
+            tags: ['Skills'],
+            summary: 'Execution counts, latency, error and DLP-block rates of a skill for the tenant',
+            operationId: 'getSkillStats',
+            parameters: [
+                queryParam('from', 'Start of the period (default 30 days before to)', { type: 'string', format: 'date-time' }),
+                queryParam('to', 'End of the period (default now)', { type: 'string', format: 'date-time' })
+            ],
+            responses: {
+                200: json(success({
+                    skill: { type: 'string' },
+                    period: object({
+                        from: { type: 'string', format: 'date-time' },
+                        to: { type: 'string', format: 'date-time' }
+                    }),
+                    total: ref('SkillStats'),
+                    versions: { type: 'array', items: ref('SkillStats') }
+                })),
+                400: error('Invalid period'),
+                404: error('Skill not found')
+            }
+        }
+    },
+    '/api/v1/skills/{skillName}/versions': {
+        parameters: [skillNameParam],
+        get: {
+            tags: ['Skills'],
+            summary: 'Versions of a skill and the tenant pin',
+            operationId: 'listSkillVersions',
+            responses: {
+                200: json(success({
+                    skill: { type: 'string' },
+                    current: { type: 'string' },
+                    versions: { type: 'array', items: { type: 'string' } },
+                    pinnedVersion: { type: ['string', 'null'] }
+                })),
+                404: error('Skill not found')
+            }
+        }
+    },
+    '/api/v1/skills/{skillName}/batch': {
+        parameters: [skillNameParam],
+        post: {
+            tags: ['Skills'],
+            summary: 'Run a skill over many inputs; items succeed or fail independently',
+            operationId: 'executeSkillBatch',
+            parameters: [
+                queryParam('version', 'Exact skill version to run', { type: 'string' }),
+                queryParam('concurrency', 'Items run at the same time (capped by the server)', { type: 'integer', minimum: 1 }),
+                ...skillRunHeaders
+            ],
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: {
+                            oneOf: [
+                                { type: 'array', items: { type: 'object' } },
+                                object({ inputs: { type: 'array', items: { type: 'object' } } }, ['inputs'])
+                            ]
+                        }
+                    },
+                    'application/x-ndjson': { schema: { type: 'string', description: 'One JSON input per line' } }
+                }
+            },
+            responses: {
+                200: json(success({
+                    skill: { type: 'string' },
+                    batchId: { type: 'string', format: 'uuid' },
+                    skillVersion: { type: 'string' },
+                    summary: object({
+                        total: { type: 'integer' },
+                        succeeded: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        durationMs: { type: 'integer' }
+                    }),
+                    results: {
+                        type: 'array',
+                        items: object({
+                            index: { type: 'integer' },
+                            success: { type: 'boolean' },
+                            result: { type: 'object' },
+                            metadata: { type: 'object' },
+                            error: { type: 'string' },
+                            message: { type: 'string' }
+                        }, ['index', 'success'])
+                    }
+                })),
+                400: error('Empty or malformed batch'),
+                403: error('Skill not available to the tenant'),
+                404: error('Skill not found'),
+                409: error('A request with this Idempotency-Key is still running'),
+                413: error('Too many inputs in one batch'),
+                422: error('Idempotency-Key already used for a different request')
+            }
+        }
+    },
+    '/api/v1/skills/{skillName}/pin': {
+        parameters: [skillNameParam],
+        put: {
+            tags: ['Skills'],
+            summary: 'Pin the tenant to a skill version',
+            description: 'Requires the admin role.',
+            operationId: 'pinSkillVersion',
+            security: [{ bearerAuth: [] }],
+            requestBody: body(object({ version: { type: 'string' } }, ['version'])),
+            responses: {
+                200: json(success({ skill: { type: 'string' }, pinnedVersion: { type: 'string' } })),
+                400: error('version is required'),
+                401: failure('Access token required'),
+                403: failure('Not an admin of the tenant'),
+                404: error('Skill or version not found')
+            }
+        },
+        delete: {
+            tags: ['Skills'],
+            summary: 'Remove the tenant pin',
+            description: 'Requires the admin role.',
+            operationId: 'unpinSkillVersion',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ skill: { type: 'string' }, pinnedVersion: { type: 'null' }, currentVersion: { type: 'string' } })),
+                401: failure('Access token required'),
+                403: failure('Not an admin of the tenant'),
+                404: error('Skill or pin not found')
+            }
+        }
+    },
+    '/api/v1/skills/{skillName}/settings': {
+        parameters: [skillNameParam],
+        get: {
+            tags: ['Skills'],
+            summary: 'Tenant enablement and configuration of a skill',
+            operationId: 'getSkillSettings',
+            responses: {
+                200: json(success({
+                    skill: { type: 'string' },
+                    enabled: { type: 'boolean' },
+                    config: { type: 'object' },
+                    agentPolicy: ref('AgentPolicy'),
+                    defaultAgentPolicy: { type: 'string', enum: ['auto', 'require-approval'] }
+                })),
+                404: error('Skill not found')
+            }
+        },
+        put: {
+            tags: ['Skills'],
+            summary: 'Enable/disable a skill, override its configuration or set its chat agent policy',
+            description: 'Requires the admin role.',
+            operationId: 'updateSkillSettings',
+            security: [{ bearerAuth: [] }],
+            requestBody: body(object({
+                enabled: { type: ['boolean', 'null'] },
+                config: { type: 'object' },
+                agentPolicy: { oneOf: [ref('AgentPolicy'), { type: 'null' }] }
+            })),
+            responses: {
+                200: json(success({ skill: { type: 'string' }, enabled: { type: 'boolean' }, config: { type: 'object' }, agentPolicy: ref('AgentPolicy') })),
+                400: error('Invalid settings or configuration'),
+                401: failure('Access token required'),
+                403: failure('Not an admin of the tenant'),
+                404: error('Skill not found')
+            }
+        },
+        delete: {
+            tags: ['Skills'],
+            summary: 'Restore default settings',
+            description: 'Requires the admin role.',
+            operationId: 'resetSkillSettings',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: json(success({ skill: { type: 'string' }, enabled: { type: 'boolean' }, overrides: { type: 'object' } })),
+                401: failure('Access token required'),
+                403: failure('Not an admin of the tenant')
+            }
+        }
+    },
+    '/api/v1/jobs/{id}': {
+        parameters: [idParam],
+        get: {
+            tags: ['Jobs'],
+            summary: 'Status and result of a skill job',
+            operationId: 'getJob',
+            responses: { 200: json(success({ job: ref('Job') })), 404: error('Job not found') }
+        },
+        delete: {
+            tags: ['Jobs'],
+            summary: 'Cancel a queued or running job',
+            operationId: 'cancelJob',
+            responses: {
+                200: json(success({ job: ref('Job') })),
+                404: error('Job not found'),
+                409: error('Job already finished')
+            }
+        }
+    },
+    '/api/v1/jobs/{id}/events': {
+        parameters: [idParam],
+        get: {
+            tags: ['Jobs'],
+            summary: 'Stream job progress as server-sent events',
+            description: 'Sends `job` (status snapshot), `progress` ({ progress, message, partialResult? }) and, '
+                + 'once the job finished, `done` with the final job before closing the stream.',
+            operationId: 'streamJobEvents',
+            responses: {
+                200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                404: error('Job not found')
+            }
+        }
+    },
+    '/api/v1/workflows': {
+        get: {
+            tags: ['Workflows'],
+            summary: 'List workflows',
+            operationId: 'listWorkflows',
+            responses: { 200: json(success({ workflows: { type: 'array', items: ref('Workflow') } })) }
+        },
+        post: {
+            tags: ['Workflows'],
+            summary: 'Create a workflow from a definition or a template',
+            operationId: 'createWorkflow',
+            requestBody: body(object({
+                name: { type: 'string' },
+                description: { type: 'string' },
+                definition: ref('WorkflowDefinition'),
+                template: { type: 'string', description: 'Name of a template from GET /api/v1/workflows/templates' }
+            })),
+            responses: {
+                201: json(success({ workflow: ref('Workflow') }), 'Created'),
+                400: error('Invalid workflow definition'),
+                409: error('Workflow name already used')
+            }
+        }
+    },
+    '/api/v1/workflows/templates': {
+        get: {
+            tags: ['Workflows'],
+            summary: 'Workflow templates of the tenant vertical',
+            operationId: 'listWorkflowTemplates',
+            responses: { 200: json(success({ templates: { type: 'array', items: { type: 'object' } }, count: { type: 'integer' } })) }
+        }
+    },
+    '/api/v1/workflows/{id}': {
+        parameters: [idParam],
+        get: {
+            tags: ['Workflows'],
+            summary: 'Get a workflow',
+            operationId: 'getWorkflow',
+            responses: { 200: json(success({ workflow: ref('Workflow') })), 404: error('Workflow not found') }
+        },
+        put: {
+            tags: ['Workflows'],
+            summary: 'Update a workflow (bumps its version)',
+            operationId: 'updateWorkflow',
+            requestBody: body(object({ name: { type: 'string' }, description: { type: 'string' }, definition: ref('WorkflowDefinition') })),
+            responses: {
+                200: json(success({ workflow: ref('Workflow') })),
+                400: error('Invalid workflow definition'),
+                404: error('Workflow not found')
+            }
+        },
+        delete: {
+            tags: ['Workflows'],
+            summary: 'Delete a workflow',
+            operationId: 'deleteWorkflow',
+            responses: { 200: json(success()), 404: error('Workflow not found') }
+        }
+    },
+    '/api/v1/workflows/{id}/runs': {
+        parameters: [idParam],
+        get: {
+            tags: ['Workflows'],
+            summary: 'Runs of a workflow',
+            operationId: 'listWorkflowRuns',
+            parameters: paging,
+            responses: { 200: json(success({ runs: { type: 'array', items: ref('WorkflowRun') } })) }
+        },
+        post: {
+            tags: ['Workflows'],
+            summary: 'Start a run',
+            operationId: 'startWorkflowRun',
+            parameters: [queryParam('wait', 'Wait for the run to finish', { type: 'boolean' })],
+            requestBody: body({ type: 'object', description: 'Workflow input' }, false),
+            responses: {
+                200: json(success({ run: ref('WorkflowRun') }), 'Finished run (wait=true)'),
+                202: json(success({ run: ref('WorkflowRun'), statusUrl: { type: 'string' } }), 'Run started'),
+                404: error('Workflow not found')
+            }
+        }
+    },
+    '/api/v1/workflows/runs/{runId}': {
+        parameters: [pathParam('runId', 'Run id', { type: 'string', format: 'uuid' })],
+        get: {
+            tags: ['Workflows'],
+            summary: 'A run with its steps',
+            operationId: 'getWorkflowRun',
+            responses: { 200: json(success({ run: ref('WorkflowRun') })), 404: error('Run not found') }
+        },
+        delete: {
+            tags: ['Workflows'],
+            summary: 'Cancel a run',
+            operationId: 'cancelWorkflowRun',
+            responses: { 200: json(success({ run: ref('WorkflowRun') })), 404: error('Run not found'), 409: error('Run already finished') }
+        }
+    }
+};
+
+/**
+ * 'tax-categorize' -> 'TaxCategorize'
+ */
+function pascalCase(name) {
+    return name.split(/[^a-zA-Z0-9]+/).filter(Boolean)
+        .map(part => part[0].toUpperCase() + part.slice(1))
+        .join('');
+}
+
+/**
+ * Component schemas and the POST /api/v1/skills/<name> operation of a skill
+ */
+function skillOperation(skill, versions) {
+    const inputName = `${skill.name}.input`;
+    const outputName = `${skill.name}.output`;
+    const { $schema, ...outputSchema } = structuredClone(skill.outputSchema || { type: 'object' });
+
+    const operation = {
+        tags: ['Skills'],
+        summary: skill.description || skill.name,
+        operationId: `execute${pascalCase(skill.name)}`,
+        parameters: [
+            queryParam('version', 'Run this version instead of the tenant pin or the current one', { type: 'string', enum: versions }),
+            queryParam('async', 'Queue the run and return a job to poll', { type: 'boolean' }),
+            queryParam('dry_run', 'Roll back every write and return the side effects the run would have had', { type: 'boolean' }),
+            ...skillRunHeaders
+        ],
+        requestBody: body(ref(inputName)),
+        responses: {
+            200: json(success({
+                skill: { type: 'string', const: skill.name },
+                result: ref(outputName),
+                dryRun: { type: 'boolean' },
+                sideEffects: { type: 'array', items: ref('SideEffect') },
+                metadata: object({
+                    executionTime: { type: 'integer' },
+                    skillVersion: { type: 'string' },
+                    pinned: { type: 'boolean' },
+                    cached: { type: 'boolean' },
+                    cachedAt: { type: 'string', format: 'date-time' },
+                    dlpScan: { type: 'object' },
+                    outputValidation: { type: 'object' }
+                })
+            }), 'Skill result'),
+            202: json(success({ skill: { type: 'string' }, job: ref('Job'), statusUrl: { type: 'string' } }), 'Job queued (async=true)'),
+            400: error('Input does not match the skill schema, or dry_run combined with async'),
+            403: error('Skill disabled, above the subscription tier or blocked by DLP'),
+            404: error('Skill or version not found'),
+            409: error('A request with this Idempotency-Key is still running'),
+            422: error('Idempotency-Key already used for a different request'),
+            504: error('Skill timed out')
+        },
+        'x-skill-tier': skill.tier || 1,
+        'x-skill-version': skill.version
+    };
+
+    return {
+        operation,
+        schemas: {
+            [inputName]: clientInputSchema(skill.inputSchema),
+            [outputName]: outputSchema
+        }
+    };
+}
+
+/**
+ * Build the OpenAPI document for a tenant
+ * @param {object} options
+ * @param {object} options.tenant - req.tenant; its vertical, enablement and tier select the skill operations
+ * @param {object} options.registry - Skill registry (defaults to the shared one)
+ * @returns {object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument({ tenant, registry: skillRegistry = registry } = {}) {
+    const document = {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'AI Vertical Platform API',
+            version: apiVersion,
+            description: tenant?.vertical
+                ? `API of the ${tenant.vertical} vertical. Skill operations list the skills this tenant can run.`
+                : 'Platform API'
+        },
+        servers: [{ url: '/' }],
+        tags: ['Health', 'Auth', 'Documents', 'Profiles', 'Exports', 'Chat', 'Usage', 'Skills', 'Jobs', 'Workflows']
+            .map(name => ({ name })),
+        paths: structuredClone(STATIC_PATHS),
+        components: structuredClone(COMPONENTS)
+    };
+
+    const skills = tenant ? skillRegistry.listForTenant(tenant) : skillRegistry.list();
+    for (const skill of [...skills].sort((a, b) => a.name.localeCompare(b.name))) {
+        const { operation, schemas } = skillOperation(skill, skillRegistry.versionsOf(skill.name));
+        document.paths[`/api/v1/skills/${skill.name}`] = { post: operation };
+        Object.assign(document.components.schemas, schemas);
+    }
+
+    return document;
+}
+
+module.exports = {
+    buildOpenApiDocument,
+    OPENAPI_VERSION
+};
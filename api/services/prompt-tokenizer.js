@@ -0,0 +1,92 @@
+/**
+ * Prompt Tokenizer
+ * Reversible DLP tokenization for text sent to external LLM providers. Values
+ * the DLP scanner finds (SSNs, account and card numbers, PHI) are replaced with
+ * placeholders such as [SSN_1] before a provider call; the same value always
+ * gets the same placeholder, so the model can refer to it in tool calls and
+ * answers. detokenize() restores the values in tool inputs before skills run
+ * and in the final response. Originals never leave this object.
+ */
+
+const DLPScanner = require('../../security/dlp/scanner');
+
+// Scanner categories that are tokenized by default
+const DEFAULT_CATEGORIES = ['PHI', 'PCI', 'FINANCIAL'];
+
+const PLACEHOLDER = /\[([A-Z]+(?:_[A-Z]+)*_\d+)\]/g;
+
+class PromptTokenizer {
+    /**
+     * @param {object} options
+     * @param {DLPScanner} options.dlp - Scanner whose patterns are used (custom patterns included)
+     * @param {string[]} options.categories - Scanner categories to tokenize
+     */
+    constructor(options = {}) {
+        const dlp = options.dlp instanceof DLPScanner ? options.dlp : new DLPScanner();
+        const categories = options.categories || DEFAULT_CATEGORIES;
+
+        this.patterns = Object.entries(dlp.patterns)
+            .filter(([, pattern]) => pattern.categories.some(category => categories.includes(category)));
+        this.tokens = new Map();  // `${type}:${value}` -> placeholder
+        this.values = new Map();  // placeholder -> value
+        this.counts = {};         // type -> distinct values tokenized
+    }
+
+    /**
+     * Replace sensitive values in text with placeholders
+     */
+    tokenize(text) {
+        if (typeof text !== 'string' || !text) return text;
+
+        return this.patterns.reduce((result, [type, pattern]) =>
+            result.replace(pattern.regex, (match, ...args) => {
+                // Labelled patterns (Account: 12345678) keep their label; only the value is replaced
+                const groups = args.slice(0, args.findIndex(arg => typeof arg === 'number'));
+                const value = groups.filter(Boolean).pop() || match;
+                const at = match.lastIndexOf(value);
+                return match.slice(0, at) + this.placeholder(type, value) + match.slice(at + value.length);
+            }), text);
+    }
+
+    /**
+     * Restore placeholders in a string, or in every string of an object
+     */
+    detokenize(value) {
+        if (typeof value === 'string') {
+            return value.replace(PLACEHOLDER, (placeholder) => this.values.get(placeholder) ?? placeholder);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.detokenize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.detokenize(item)]));
+        }
+        return value;
+    }
+
+    placeholder(type, value) {
+        const key = `${type}:${value}`;
+        if (!this.tokens.has(key)) {
+            this.counts[type] = (this.counts[type] || 0) + 1;
+            const placeholder = `[${type.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_${this.counts[type]}]`;
+            this.tokens.set(key, placeholder);
+            this.values.set(placeholder, value);
+        }
+        return this.tokens.get(key);
+    }
+
+    /**
+     * What was tokenized, without the values: [{ type, description, count, categories }]
+     */
+    findings() {
+        const patterns = Object.fromEntries(this.patterns);
+        return Object.entries(this.counts).map(([type, count]) => ({
+            type,
+            description: patterns[type].description,
+            count,
+            categories: patterns[type].categories
+        }));
+    }
+}
+
+module.exports = PromptTokenizer;
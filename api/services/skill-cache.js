@@ -0,0 +1,166 @@
+/**
+ * Skill Result Cache
+ * Results of skills that opt in with a `cache` export ({ ttlSeconds }) are stored
+ * in skill_result_cache, keyed by tenant, skill version and a hash of the validated
+ * input and the tenant's configuration. Entries are tagged with the profiles and
+ * documents the input refers to, so document changes invalidate them. Only skills
+ * without side effects may opt in: a cache hit skips the run and its writes.
+ *
+ * The registry uses the cache when a caller passes it as context.cache. Cache
+ * failures are logged and treated as misses; they never fail a skill run.
+ */
+
+const crypto = require('crypto');
+const db = require('../../core/database/connection');
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+/**
+ * JSON with object keys sorted, so equal inputs hash the same whatever their key order
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+class SkillCache {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.enabled = options.enabled ?? process.env.SKILL_CACHE !== 'off';
+    }
+
+    /**
+     * Cache policy of a skill, or null when it does not opt in
+     * @returns {object|null} { ttlSeconds }
+     */
+    policy(skill) {
+        if (!this.enabled || !skill?.cache) return null;
+        return { ttlSeconds: skill.cache.ttlSeconds || DEFAULT_TTL_SECONDS };
+    }
+
+    /**
+     * Cache key of a run: input (without tenant_id) and configuration
+     */
+    key(input, config = {}) {
+        const { tenant_id, ...rest } = input || {};
+        return crypto.createHash('sha256')
+            .update(stableStringify({ input: rest, config }))
+            .digest('hex');
+    }
+
+    /**
+     * Invalidation tags of an input ('profile:<name>', 'document:<id>')
+     */
+    dependencies(input = {}) {
+        const tags = [];
+        if (input.profile_name) tags.push(`profile:${input.profile_name}`);
+        for (const id of input.document_ids || []) tags.push(`document:${id}`);
+        return tags;
+    }
+
+    /**
+     * Cached result of a run
+     * @returns {object|null} { result, meta, cachedAt }
+     */
+    async get(skill, tenantId, input, config) {
+        try {
+            const result = await this.db.query(`
+                UPDATE skill_result_cache
+                SET hits = hits + 1
+                WHERE tenant_id = $1 AND skill_name = $2 AND skill_version = $3
+                  AND cache_key = $4 AND expires_at > NOW()
+                RETURNING result, meta, created_at
+            `, [tenantId, skill.name, skill.version, this.key(input, config)]);
+
+            const row = result.rows[0];
+            return row ? { result: row.result, meta: row.meta, cachedAt: row.created_at } : null;
+        } catch (error) {
+            console.error(`[SKILL-CACHE] Lookup failed for ${skill.name}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store the result of a run
+     */
+    async set(skill, tenantId, input, config, result, meta) {
+        const { ttlSeconds } = this.policy(skill) || { ttlSeconds: DEFAULT_TTL_SECONDS };
+
+        try {
+            await this.db.query(`
+                INSERT INTO skill_result_cache (
+                    tenant_id, skill_name, skill_version, cache_key, dependencies, result, meta, expires_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(secs => $8))
+                ON CONFLICT (tenant_id, skill_name, skill_version, cache_key)
+                DO UPDATE SET dependencies = EXCLUDED.dependencies,
+                              result = EXCLUDED.result,
+                              meta = EXCLUDED.meta,
+                              hits = 0,
+                              created_at = NOW(),
+                              expires_at = EXCLUDED.expires_at
+            `, [
+                tenantId,
+                skill.name,
+                skill.version,
+                this.key(input, config),
+                this.dependencies(input),
+                JSON.stringify(result),
+                JSON.stringify(meta),
+                ttlSeconds
+            ]);
+        } catch (error) {
+            console.error(`[SKILL-CACHE] Store failed for ${skill.name}:`, error.message);
+        }
+    }
+
+    /**
+     * Drop cached results that read the given profiles or documents
+     * @param {object} changed - { profiles: [name], documents: [id] }
+     * @returns {number} Entries removed
+     */
+    async invalidate(tenantId, { profiles = [], documents = [] } = {}) {
+        const tags = [
+            ...profiles.filter(Boolean).map(name => `profile:${name}`),
+            ...documents.filter(Boolean).map(id => `document:${id}`)
+        ];
+        if (tags.length === 0) return 0;
+
+        try {
+            const result = await this.db.query(`
+                DELETE FROM skill_result_cache
+                WHERE tenant_id = $1 AND dependencies && $2::text[]
+            `, [tenantId, tags]);
+            return result.rowCount;
+        } catch (error) {
+            console.error('[SKILL-CACHE] Invalidation failed:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Delete expired entries
+     * @returns {number} Entries removed
+     */
+    async purgeExpired() {
+        const result = await this.db.query(`
+            DELETE FROM skill_result_cache WHERE expires_at <= NOW()
+        `);
+        return result.rowCount;
+    }
+}
+
+module.exports = new SkillCache();
+module.exports.SkillCache = SkillCache;
+module.exports.stableStringify = stableStringify;
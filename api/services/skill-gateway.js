@@ -0,0 +1,279 @@
+/**
+ * Skill Gateway
+ * Runs skills for external callers (REST API, MCP) with the checks every
+ * external entry point shares: tenant scoping, vertical and access checks,
+ * DLP screening of the input and audit logging of the outcome.
+ */
+
+const crypto = require('crypto');
+const db = require('../../core/database/connection');
+const DLPScanner = require('../../security/dlp/scanner');
+const AuditLogger = require('../../security/audit/logger');
+const registry = require('./skill-registry');
+const skillCache = require('./skill-cache');
+const skillMetrics = require('./skill-metrics');
+const { SkillError } = require('../../core/utils/skill-loader');
+
+// Items of a batch run at the same time (SKILL_BATCH_CONCURRENCY caps what a request may ask for)
+const MAX_BATCH_CONCURRENCY = parseInt(process.env.SKILL_BATCH_CONCURRENCY) || 4;
+
+class SkillGateway {
+    /**
+     * @param {object} options
+     * @param {object} options.registry - Skill registry
+     * @param {object} options.dlp - DLP scanner used to screen input
+     * @param {object} options.audit - Audit logger
+     * @param {object} options.db - Database handle passed to skills
+     * @param {object} options.cache - Result cache for skills that opt in (null disables it)
+     * @param {object} options.metrics - Skill metrics DLP blocks are recorded in
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || registry;
+        this.dlp = options.dlp || new DLPScanner({ strictMode: true });
+        this.audit = options.audit || null;
+        this.db = options.db || db;
+        this.cache = options.cache === undefined ? skillCache : options.cache;
+        this.metrics = options.metrics || skillMetrics;
+    }
+
+    getAudit() {
+        if (!this.audit) {
+            this.audit = new AuditLogger({ connectionString: process.env.DATABASE_URL });
+        }
+        return this.audit;
+    }
+
+    /**
+     * Skill version a tenant may run
+     * @param {string} skillName - Skill name
+     * @param {object} options - { tenant, version } (version overrides the tenant's pin)
+     * @throws {SkillError} SKILL_NOT_FOUND, SKILL_VERSION_NOT_FOUND (404),
+     *   SKILL_NOT_AVAILABLE, SKILL_DISABLED, SKILL_TIER_REQUIRED (403)
+     */
+    resolve(skillName, { tenant, version = null }) {
+        const skill = this.registry.get(skillName, null, this.registry.resolveVersion(skillName, { version, tenant }));
+
+        // Cross-vertical calls are allowed outside production for dev testing
+        if (process.env.NODE_ENV === 'production' && skill._vertical !== tenant.vertical) {
+            throw new SkillError(
+                'SKILL_NOT_AVAILABLE',
+                `Skill '${skillName}' is not available for ${tenant.vertical} vertical`,
+                403
+            );
+        }
+
+        this.registry.assertAccess(skill, tenant);
+        return skill;
+    }
+
+    /**
+     * Hash and DLP-scan skill input; blocking findings are refused for strict-mode tenants
+     * @param {object} options - { tenant, skillVersion, auditFields } where auditFields are extra
+     *   audit fields (sessionId, requestMethod, requestPath, ...)
+     * @returns {object} { inputHash, dlpScan }
+     * @throws {SkillError} INVALID_SKILL_INPUT (400) for non-object input,
+     *   DLP_VIOLATION (403) with error.violations
+     */
+    async screen(skillName, input, { tenant, skillVersion = null, auditFields = {} }) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new SkillError('INVALID_SKILL_INPUT', 'Skill input must be a JSON object', 400);
+        }
+
+        const inputHash = crypto.createHash('sha256')
+            .update(JSON.stringify(input))
+            .digest('hex');
+
+        const dlpScan = this.dlp.scan(JSON.stringify(input), {
+            context: tenant.vertical,
+            includeMatches: false
+        });
+
+        const blockers = dlpScan.findings.filter(f => f.action === 'BLOCK');
+        if (blockers.length > 0 && tenant.dlpStrictMode) {
+            await this.getAudit().log({
+                ...auditFields,
+                tenantId: tenant.id,
+                action: 'SKILL_EXECUTION_BLOCKED',
+                skillName,
+                skillVersion,
+                requestBodyHash: inputHash,
+                dlpFindings: blockers,
+                responseStatus: 403
+            });
+            this.metrics.record({ skill: skillName, version: skillVersion, tenantId: tenant.id, outcome: 'blocked' });
+
+            const error = new SkillError('DLP_VIOLATION', 'Request contains sensitive data that cannot be processed', 403);
+            error.violations = blockers.map(b => ({
+                type: b.type,
+                severity: b.severity,
+                description: b.description
+            }));
+            error.audited = true;
+            throw error;
+        }
+
+        return { inputHash, dlpScan };
+    }
+
+    /**
+     * Screen input, run a skill and audit the outcome
+     * @param {string} skillName - Skill name
+     * @param {object} input - Raw skill input (tenant_id is always replaced by the tenant's)
+     * @param {object} options - { tenant, user, userId, version, signal, timeoutMs, refreshCache, dryRun, auditFields }
+     *   (timeoutMs overrides the skill timeout)
+     * @returns {object} { result, meta, dlpScan, durationMs } (meta.cached for results served from the cache;
+     *   dry runs add sideEffects, the writes that were rolled back)
+     * @throws {SkillError} Errors are audited before they are thrown (error.audited)
+     */
+    async execute(skillName, input = {}, options = {}) {
+        const {
+            tenant,
+            user = null,
+            userId = null,
+            version = null,
+            signal,
+            timeoutMs,
+            refreshCache = false,
+            dryRun = false,
+            auditFields = {}
+        } = options;
+        const startTime = Date.now();
+        const audit = this.getAudit();
+
+        try {
+            const skill = this.resolve(skillName, { tenant, version });
+            const { inputHash, dlpScan } = await this.screen(skillName, input, {
+                tenant,
+                skillVersion: skill.version,
+                auditFields
+            });
+
+            const { result, meta, sideEffects } = await this.registry.execute(skillName, input, {
+                tenant,
+                user,
+                userId,
+                dlp: this.dlp,
+                audit,
+                db: this.db,
+                cache: this.cache,
+                refreshCache,
+                dryRun,
+                version,
+                signal,
+                timeoutMs
+            });
+            const durationMs = Date.now() - startTime;
+
+            const outputHash = crypto.createHash('sha256')
+                .update(JSON.stringify(result))
+                .digest('hex');
+
+            await audit.log({
+                ...auditFields,
+                tenantId: tenant.id,
+                action: dryRun ? 'SKILL_DRY_RUN' : (meta.cached ? 'SKILL_RESULT_CACHED' : 'SKILL_EXECUTION_SUCCESS'),
+                skillName,
+                skillVersion: meta.version,
+                requestBodyHash: inputHash,
+                responseBodyHash: outputHash,
+                responseStatus: 200,
+                durationMs,
+                dlpFindings: dlpScan.findings
+            });
+
+            return { result, meta, dlpScan, durationMs, ...(dryRun && { sideEffects }) };
+        } catch (error) {
+            if (!error.audited) {
+                await audit.log({
+                    ...auditFields,
+                    tenantId: tenant.id,
+                    action: 'SKILL_EXECUTION_ERROR',
+                    skillName,
+                    skillVersion: error.skillVersion || null,
+                    responseStatus: error.status || 500,
+                    durationMs: Date.now() - startTime,
+                    errorMessage: error.message,
+                    errorStack: error.stack
+                });
+                error.audited = true;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Run a skill over many inputs with bounded concurrency
+     * Items succeed or fail on their own: each is screened, run and audited like a
+     * single execution, with the audit records linked by resourceType 'skill_batch'
+     * and resourceId = batchId. A SKILL_BATCH_COMPLETED record closes the batch.
+     * @param {string} skillName - Skill name
+     * @param {Array} inputs - Raw skill inputs
+     * @param {object} options - As for execute, plus concurrency
+     * @returns {object} { batchId, version, items, summary } where items[i] is
+     *   { index, success: true, result, meta, durationMs } or { index, success: false, error }
+     * @throws {SkillError} Resolution errors (unknown skill, no access) fail the whole batch
+     */
+    async executeBatch(skillName, inputs, options = {}) {
+        const { tenant, signal, auditFields = {} } = options;
+        const concurrency = Math.max(1, Math.min(options.concurrency || MAX_BATCH_CONCURRENCY, MAX_BATCH_CONCURRENCY));
+        const startTime = Date.now();
+
+        // Every item runs the version resolved here, even if the tenant's pin changes mid-batch
+        const skill = this.resolve(skillName, { tenant, version: options.version || null });
+        const batchId = crypto.randomUUID();
+        const itemAuditFields = { ...auditFields, resourceType: 'skill_batch', resourceId: batchId };
+        const items = new Array(inputs.length);
+        let next = 0;
+
+        const runItem = async (index) => {
+            if (signal?.aborted) {
+                return { index, success: false, error: new SkillError('SKILL_CANCELLED', 'Skill run was cancelled', 499) };
+            }
+
+            try {
+                const { result, meta, durationMs } = await this.execute(skillName, inputs[index], {
+                    ...options,
+                    version: skill.version,
+                    auditFields: itemAuditFields
+                });
+                return { index, success: true, result, meta, durationMs };
+            } catch (error) {
+                return { index, success: false, error };
+            }
+        };
+
+        const worker = async () => {
+            while (next < inputs.length) {
+                const index = next++;
+                items[index] = await runItem(index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, inputs.length) }, worker));
+
+        const succeeded = items.filter(item => item.success).length;
+        const summary = {
+            total: items.length,
+            succeeded,
+            failed: items.length - succeeded,
+            durationMs: Date.now() - startTime
+        };
+
+        await this.getAudit().log({
+            ...auditFields,
+            tenantId: tenant.id,
+            action: 'SKILL_BATCH_COMPLETED',
+            skillName,
+            skillVersion: skill.version,
+            resourceType: 'skill_batch',
+            resourceId: batchId,
+            responseStatus: 200,
+            durationMs: summary.durationMs
+        });
+
+        return { batchId, version: skill.version, items, summary };
+    }
+}
+
+module.exports = new SkillGateway();
+module.exports.SkillGateway = SkillGateway;
+module.exports.MAX_BATCH_CONCURRENCY = MAX_BATCH_CONCURRENCY;
@@ -0,0 +1,103 @@
+/**
+ * Skill Metrics
+ * In-process counters and latency histograms of skill runs, labelled by skill,
+ * version and tenant, rendered in the Prometheus text format for GET /metrics.
+ * They cover this process since it started; durable per-tenant statistics come
+ * from audit_logs (AuditLogger.getSkillStats).
+ */
+
+// Latency histogram buckets, in seconds
+const DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// How a run ended: ran, ran without committing, served from cache, failed, refused by DLP
+const OUTCOMES = ['success', 'dry_run', 'cached', 'error', 'blocked'];
+
+class SkillMetrics {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Drop everything recorded so far
+     */
+    reset() {
+        this.executions = new Map(); // label key -> { labels, count }
+        this.durations = new Map();  // label key -> { labels, buckets, sum, count }
+    }
+
+    /**
+     * Record one skill run
+     * @param {object} run - { skill, version, tenantId, outcome, durationMs }
+     *   (durationMs is left out of the histogram for cached and blocked runs)
+     */
+    record({ skill, version = null, tenantId = null, outcome, durationMs = null }) {
+        if (!OUTCOMES.includes(outcome)) {
+            throw new Error(`Unknown skill outcome: ${outcome}`);
+        }
+
+        const labels = { skill, version: version || '', tenant: tenantId || '' };
+        const counter = this.entry(this.executions, { ...labels, outcome }, () => ({ count: 0 }));
+        counter.count++;
+
+        if (durationMs === null || outcome === 'cached' || outcome === 'blocked') return;
+
+        const seconds = durationMs / 1000;
+        const histogram = this.entry(this.durations, labels, () => ({
+            buckets: DURATION_BUCKETS.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        DURATION_BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) histogram.buckets[index]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    entry(map, labels, create) {
+        const key = JSON.stringify(labels);
+        if (!map.has(key)) map.set(key, { labels, ...create() });
+        return map.get(key);
+    }
+
+    /**
+     * Metrics in the Prometheus text exposition format (version 0.0.4)
+     */
+    toPrometheus() {
+        const lines = [
+            '# HELP skill_executions_total Skill runs by outcome (success, dry_run, cached, error, blocked)',
+            '# TYPE skill_executions_total counter'
+        ];
+        for (const { labels, count } of this.executions.values()) {
+            lines.push(`skill_executions_total${formatLabels(labels)} ${count}`);
+        }
+
+        lines.push(
+            '# HELP skill_execution_duration_seconds Duration of skill runs that executed',
+            '# TYPE skill_execution_duration_seconds histogram'
+        );
+        for (const { labels, buckets, sum, count } of this.durations.values()) {
+            DURATION_BUCKETS.forEach((bound, index) => {
+                lines.push(`skill_execution_duration_seconds_bucket${formatLabels({ ...labels, le: String(bound) })} ${buckets[index]}`);
+            });
+            lines.push(`skill_execution_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`skill_execution_duration_seconds_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`skill_execution_duration_seconds_count${formatLabels(labels)} ${count}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * {a="1",b="2"} with label values escaped
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+module.exports = new SkillMetrics();
+module.exports.SkillMetrics = SkillMetrics;
+module.exports.DURATION_BUCKETS = DURATION_BUCKETS;
@@ -0,0 +1,527 @@
+/**
+ * Skill Registry Service
+ * Single source of truth for skill discovery, metadata and execution.
+ * Used by the REST skills route, the chat agent and document processing so a
+ * skill sees the same context no matter which entry point calls it.
+ */
+
+const path = require('path');
+const EncryptionService = require('../../security/encryption/service');
+const SkillWorkerPool = require('./skill-worker-pool');
+const skillMetrics = require('./skill-metrics');
+const fileStore = require('./file-store');
+const { startDryRun } = require('./dry-run');
+const {
+    loadAllSkills,
+    loadSkillEntry,
+    loadError,
+    compareVersions,
+    generateToolDefinitions,
+    validateInput,
+    validateOutput,
+    resolveSkillConfig,
+    SkillError
+} = require('../../core/utils/skill-loader');
+
+// Highest skill tier each subscription includes (tenants.subscription_tier)
+const SUBSCRIPTION_TIERS = {
+    starter: 1,
+    professional: 2,
+    enterprise: 3
+};
+
+// Stand-ins used when a caller does not provide a service (CLI, tests, standalone runs)
+const mockDlp = {
+    scan: (content, options) => ({
+        hasSensitiveData: false,
+        findings: [],
+        redacted: content
+    }),
+    redact: (content) => content
+};
+
+const mockAudit = {
+    log: async (entry) => {
+        console.log('[AUDIT]', entry.action, entry.skillName);
+        return { logged: true };
+    }
+};
+
+const mockDb = {
+    query: async () => ({ rows: [] }),
+    setTenantContext: async () => {}
+};
+
+class SkillRegistry {
+    /**
+     * @param {object} options
+     * @param {string} options.verticalsPath - Root directory holding <vertical>/skills
+     * @param {string} options.isolation - 'worker' (default) or 'inline'; falls back to SKILL_ISOLATION
+     * @param {SkillWorkerPool} options.pool - Worker pool used for isolated runs
+     * @param {object} options.metrics - Skill metrics every run is recorded in
+     */
+    constructor(options = {}) {
+        this.verticalsPath = options.verticalsPath || path.join(__dirname, '../../verticals');
+        this.isolation = options.isolation || null;
+        this.pool = options.pool || null;
+        this.metrics = options.metrics || skillMetrics;
+        this.skills = null;
+        this.loadErrors = [];
+        this.encryption = null;
+    }
+
+    /**
+     * Discover skills (once) and return the name -> skill map
+     * Skills that fail to load are listed in this.loadErrors.
+     */
+    load() {
+        if (!this.skills) {
+            this.loadErrors = [];
+            this.skills = loadAllSkills(this.verticalsPath, this.loadErrors);
+        }
+        return this.skills;
+    }
+
+    /**
+     * Re-register one skill after its files changed (development hot reload)
+     * Its modules are dropped from the require cache and workers are recycled. A skill
+     * that fails to load keeps serving its last good version and its error is listed
+     * in loadErrors until a later reload succeeds.
+     * @param {string} vertical - Vertical name
+     * @param {string} skillDir - Skill folder name (or flat file name without .js)
+     * @returns {object} { status: 'loaded'|'removed'|'failed', skill, version?, error? }
+     */
+    reloadSkill(vertical, skillDir) {
+        const skills = this.load();
+        const skillsPath = path.join(this.verticalsPath, vertical, 'skills');
+        const folderPath = path.join(skillsPath, skillDir);
+        const flatPath = path.join(skillsPath, `${skillDir}.js`);
+
+        for (const file of Object.keys(require.cache)) {
+            if (file === flatPath || file.startsWith(folderPath + path.sep)) {
+                delete require.cache[file];
+            }
+        }
+
+        const previous = Object.values(skills).find(skill =>
+            skill._path === flatPath || skill._path.startsWith(folderPath + path.sep));
+        const loadErrors = [];
+        this.loadErrors = this.loadErrors.filter(entry => !(entry.vertical === vertical && entry.skill === skillDir));
+
+        let skill;
+        try {
+            skill = loadSkillEntry(skillsPath, vertical, skillDir, loadErrors);
+            if (skill && skills[skill.name] && skills[skill.name] !== previous) {
+                throw Object.assign(new Error(`duplicate skill name ${skill.name}`), { path: skill._path });
+            }
+        } catch (error) {
+            this.loadErrors.push(loadError(vertical, skillDir, error.path, error));
+            return { status: 'failed', skill: previous?.name || skillDir, error: error.message };
+        } finally {
+            this.loadErrors.push(...loadErrors);
+        }
+
+        if (previous && previous.name !== skill?.name) {
+            delete skills[previous.name];
+        }
+        this.pool?.recycle();
+
+        if (!skill) {
+            return { status: 'removed', skill: previous?.name || skillDir };
+        }
+
+        skills[skill.name] = skill;
+        return { status: 'loaded', skill: skill.name, version: skill.version };
+    }
+
+    /**
+     * Drop loaded skills so the next call rediscovers them
+     */
+    reset() {
+        this.skills = null;
+    }
+
+    /**
+     * Check whether a skill is registered
+     */
+    has(skillName) {
+        return Boolean(this.load()[skillName]);
+    }
+
+    /**
+     * Get a skill by name
+     * @param {string} skillName - Skill name
+     * @param {string} vertical - Optional vertical the skill must belong to
+     * @param {string} version - Optional exact version (defaults to the current one)
+     * @throws {SkillError} SKILL_NOT_FOUND, SKILL_VERSION_NOT_FOUND
+     */
+    get(skillName, vertical = null, version = null) {
+        const skill = this.load()[skillName];
+
+        if (!skill || (vertical && skill._vertical !== vertical)) {
+            throw new SkillError(
+                'SKILL_NOT_FOUND',
+                vertical ? `Skill not found: ${skillName} in vertical ${vertical}` : `Skill '${skillName}' not found`,
+                404
+            );
+        }
+
+        if (version && !skill._versions?.[version]) {
+            throw new SkillError(
+                'SKILL_VERSION_NOT_FOUND',
+                `Skill '${skillName}' has no version ${version} (available: ${this.versionsOf(skillName).join(', ')})`,
+                404
+            );
+        }
+
+        return version ? skill._versions[version] : skill;
+    }
+
+    /**
+     * Loaded versions of a skill, newest first
+     */
+    versionsOf(skillName) {
+        const skill = this.load()[skillName];
+        if (!skill) return [];
+
+        return Object.keys(skill._versions || { [skill.version]: skill }).sort(compareVersions).reverse();
+    }
+
+    /**
+     * Version a tenant runs: an explicit request wins over the tenant's pin
+     * @param {string} skillName - Skill name
+     * @param {object} context - { version, tenant: { skillSettings: { [skillName]: { version } } } }
+     * @returns {string|null} Version, or null for the current one
+     */
+    resolveVersion(skillName, context = {}) {
+        return context.version || context.tenant?.skillSettings?.[skillName]?.version || null;
+    }
+
+    /**
+     * Whether a tenant may run a skill
+     * Skills are on by default; a tenant can switch one off (skillSettings[name].enabled = false)
+     * and its subscription tier caps the skill tier it can use.
+     * @param {object} skill - Loaded skill
+     * @param {object} tenant - { subscriptionTier, skillSettings } (checks are skipped for missing fields)
+     * @returns {object} { allowed, code?, message? }
+     */
+    checkAccess(skill, tenant = null) {
+        const settings = tenant?.skillSettings?.[skill.name];
+
+        if (settings?.enabled === false) {
+            return {
+                allowed: false,
+                code: 'SKILL_DISABLED',
+                message: `Skill '${skill.name}' is disabled for this tenant`
+            };
+        }
+
+        const maxTier = SUBSCRIPTION_TIERS[tenant?.subscriptionTier];
+        if (maxTier && (skill.tier || 1) > maxTier) {
+            return {
+                allowed: false,
+                code: 'SKILL_TIER_REQUIRED',
+                message: `Skill '${skill.name}' requires a higher subscription tier than ${tenant.subscriptionTier}`
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * @throws {SkillError} SKILL_DISABLED or SKILL_TIER_REQUIRED (403)
+     */
+    assertAccess(skill, tenant = null) {
+        const access = this.checkAccess(skill, tenant);
+        if (!access.allowed) {
+            throw new SkillError(access.code, access.message, 403);
+        }
+    }
+
+    /**
+     * Skills a tenant can run: its vertical, enabled and within its subscription tier
+     */
+    listForTenant(tenant) {
+        return this.list(tenant.vertical).filter(skill => this.checkAccess(skill, tenant).allowed);
+    }
+
+    /**
+     * List skills, optionally for a single vertical
+     */
+    list(vertical = null) {
+        return Object.values(this.load())
+            .filter(skill => !vertical || skill._vertical === vertical);
+    }
+
+    /**
+     * List registered skill names
+     */
+    names() {
+        return Object.keys(this.load());
+    }
+
+    /**
+     * List verticals that have at least one skill
+     */
+    verticals() {
+        return [...new Set(this.list().map(skill => skill._vertical))];
+    }
+
+    /**
+     * Public metadata for a skill (what the API and agent describe)
+     */
+    describe(skill) {
+        return {
+            name: skill.name,
+            description: skill.description || '',
+            vertical: skill._vertical || skill.vertical,
+            tier: skill.tier || 1,
+            version: skill.version,
+            versions: this.versionsOf(skill.name),
+            inputSchema: skill.inputSchema || { type: 'object', properties: {} },
+            outputSchema: skill.outputSchema
+        };
+    }
+
+    /**
+     * Tool definitions for LLM providers ({ name, description, input_schema })
+     */
+    getToolDefinitions(vertical = null) {
+        return generateToolDefinitions(this.load(), vertical);
+    }
+
+    /**
+     * Shared encryption service, created on first use
+     */
+    getEncryption() {
+        if (!this.encryption) {
+            this.encryption = new EncryptionService(process.env.MASTER_ENCRYPTION_KEY);
+        }
+        return this.encryption;
+    }
+
+    /**
+     * Build the execution context every skill receives
+     *
+     * Context contract:
+     *   input      - validated input, tenant_id always set from the tenant
+     *   tenant     - { id, vertical, ... } of the calling tenant
+     *   user       - calling user ({ id, ... }) or null
+     *   db         - database handle (query, setTenantContext)
+     *   dlp        - DLP scanner (scan, redact)
+     *   audit      - audit logger (log)
+     *   files      - file store for generated files (write)
+     *   progress   - progress(pct, message, partialResult) reports how far a long run is;
+     *                forwarded to context.onProgress({ progress, message, partialResult })
+     *   encryption - encryption service (created lazily from MASTER_ENCRYPTION_KEY)
+     *   config     - skill configuration (configSchema defaults + tenant overrides)
+     *
+     * @param {object} input - Validated skill input
+     * @param {object} context - Caller context (tenant or tenantId, user or userId, services)
+     */
+    buildContext(input, context = {}) {
+        const tenant = context.tenant || {
+            id: context.tenantId,
+            vertical: context.vertical
+        };
+        const user = context.user || (context.userId ? { id: context.userId } : null);
+        const registry = this;
+        const { onProgress } = context;
+        let encryption = context.encryption;
+
+        return {
+            input,
+            tenant,
+            user,
+            db: context.db || mockDb,
+            dlp: context.dlp || mockDlp,
+            audit: context.audit || mockAudit,
+            files: context.files || fileStore,
+            config: context.config || {},
+            progress(pct, message = null, partialResult = undefined) {
+                if (!onProgress) return;
+                try {
+                    onProgress({
+                        progress: Math.max(0, Math.min(100, Math.round(Number(pct) || 0))),
+                        message,
+                        ...(partialResult !== undefined && { partialResult })
+                    });
+                } catch (error) {
+                    // A failing listener must not fail the skill
+                    console.error('[SKILL-REGISTRY] Progress listener failed:', error.message);
+                }
+            },
+            // Resolved on access so skills that never encrypt don't need a master key
+            get encryption() {
+                if (!encryption) encryption = registry.getEncryption();
+                return encryption;
+            }
+        };
+    }
+
+    /**
+     * Worker pool for isolated runs, created on first use
+     */
+    getPool() {
+        if (!this.pool) {
+            this.pool = new SkillWorkerPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Run skill.execute either in a worker thread or on the current thread
+     * Inline runs are only meant for tests and for skills nested inside a worker.
+     */
+    run(skill, executionContext, options = {}) {
+        const isolation = this.isolation || process.env.SKILL_ISOLATION || 'worker';
+
+        if (isolation === 'inline') {
+            return skill.execute(executionContext);
+        }
+        return this.getPool().run(skill, executionContext, options);
+    }
+
+    /**
+     * Validate input, execute a skill and check its output
+     * @param {string} skillName - Skill name
+     * @param {object} input - Raw skill input
+     * @param {object} context - See buildContext; context.vertical, when set, restricts the lookup;
+     *   context.version (or the tenant's pin) selects the skill version, context.signal (AbortSignal)
+     *   cancels the run, context.timeoutMs overrides the skill timeout; context.cache (skill-cache)
+     *   serves and stores results of skills that opt in, context.refreshCache skips the lookup;
+     *   context.dryRun runs against a rolled-back transaction and an in-memory file store;
+     *   context.onProgress receives the skill's progress reports
+     * @returns {object} { result, meta } plus sideEffects ([{ type: 'db'|'file'|'audit', ... }]) for dry runs
+     * @throws {SkillError} SKILL_TIMEOUT, SKILL_CRASHED or SKILL_CANCELLED from isolated runs;
+     *   errors raised after the version is resolved carry it as error.skillVersion
+     */
+    async execute(skillName, input = {}, context = {}) {
+        const tenantId = context.tenant?.id || context.tenantId;
+        const startTime = Date.now();
+
+        try {
+            const outcome = await this.executeSkill(skillName, input, context);
+            this.metrics.record({
+                skill: skillName,
+                version: outcome.meta.version,
+                tenantId,
+                outcome: outcome.meta.cached ? 'cached' : (outcome.meta.dry_run ? 'dry_run' : 'success'),
+                durationMs: Date.now() - startTime
+            });
+            return outcome;
+        } catch (error) {
+            // Lookup and access failures happen before a version is resolved and are not runs
+            if (error.skillVersion) {
+                this.metrics.record({
+                    skill: skillName,
+                    version: error.skillVersion,
+                    tenantId,
+                    outcome: 'error',
+                    durationMs: Date.now() - startTime
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Body of execute(), which records the run in the skill metrics
+     */
+    async executeSkill(skillName, input, context) {
+        const pinnedVersion = this.resolveVersion(skillName, context);
+        const skill = this.get(skillName, context.vertical, pinnedVersion);
+        const tenantId = context.tenant?.id || context.tenantId;
+
+        this.assertAccess(skill, context.tenant);
+
+        if (typeof skill.execute !== 'function') {
+            throw new SkillError('SKILL_NOT_EXECUTABLE', `Skill ${skillName} does not have an execute function`);
+        }
+
+        let validatedInput;
+        let config;
+        let result;
+        let durationMs;
+        try {
+            validatedInput = validateInput(skill, {
+                ...input,
+                tenant_id: tenantId  // Always use backend-provided tenant_id, ignore any from input
+            });
+            config = resolveSkillConfig(skill, context.tenant?.skillSettings?.[skillName]?.config);
+        } catch (error) {
+            error.skillVersion = skill.version;
+            throw error;
+        }
+
+        // Skills that opt in (skill.cache) reuse an earlier result for the same input and configuration
+        const cache = !context.dryRun && context.cache?.policy(skill) ? context.cache : null;
+        if (cache && !context.refreshCache) {
+            const cached = await cache.get(skill, tenantId, validatedInput, config);
+            if (cached) {
+                return {
+                    result: cached.result,
+                    meta: {
+                        ...cached.meta,
+                        pinned: Boolean(pinnedVersion),
+                        cached: true,
+                        cached_at: new Date(cached.cachedAt).toISOString()
+                    }
+                };
+            }
+        }
+
+        let dryRun = null;
+        try {
+            // Dry runs see their own writes but nothing is committed or written to disk
+            if (context.dryRun) {
+                dryRun = await startDryRun({ db: context.db || mockDb, files: context.files || fileStore });
+            }
+            const executionContext = this.buildContext(validatedInput, {
+                ...context,
+                ...(dryRun && dryRun.services()),
+                config
+            });
+
+            const startTime = Date.now();
+            result = await this.run(skill, executionContext, {
+                signal: context.signal,
+                timeoutMs: context.timeoutMs
+            });
+            durationMs = Date.now() - startTime;
+        } catch (error) {
+            error.skillVersion = skill.version;
+            throw error;
+        } finally {
+            await dryRun?.rollback();
+        }
+        const outputValidation = validateOutput(skill, result);
+
+        const meta = {
+            skill: skillName,
+            version: skill.version,
+            pinned: Boolean(pinnedVersion),
+            vertical: skill._vertical,
+            duration_ms: durationMs,
+            executed_at: new Date().toISOString(),
+            output_valid: outputValidation.valid,
+            ...(!outputValidation.valid && { output_errors: outputValidation.errors }),
+            ...(dryRun && { dry_run: true })
+        };
+
+        if (dryRun) {
+            return { result, meta, sideEffects: dryRun.sideEffects };
+        }
+
+        if (cache && outputValidation.valid) {
+            await cache.set(skill, tenantId, validatedInput, config, result, meta);
+        }
+
+        return { result, meta: cache ? { ...meta, cached: false } : meta };
+    }
+}
+
+module.exports = new SkillRegistry();
+module.exports.SkillRegistry = SkillRegistry;
+module.exports.SUBSCRIPTION_TIERS = SUBSCRIPTION_TIERS;
+module.exports.SkillError = SkillError;
@@ -0,0 +1,218 @@
+/**
+ * Tenant Skill Settings
+ * The per-tenant settings the skill registry and chat apply:
+ *   - skill version pins (tenant_skill_settings)
+ *   - skill enablement and configuration overrides (tenant_skill_settings)
+ *   - the subscription tier (tenants)
+ *   - the chat agent prompt override (tenants.settings.agent)
+ *   - LLM usage budgets (tenants.settings.budgets)
+ * Loaded onto req.tenant for the routes that run skills, so the registry
+ * applies the same settings whichever entry point calls it.
+ */
+
+const db = require('../../core/database/connection');
+
+class SkillSettings {
+    /**
+     * @param {object} options
+     * @param {object} options.db - Database handle (defaults to the shared connection)
+     * @param {number} options.cacheTtlMs - How long a tenant's settings are cached
+     * @param {string} options.defaultTier - Subscription tier for tenants without a tenants row
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.cacheTtlMs = options.cacheTtlMs ?? (parseInt(process.env.SKILL_SETTINGS_CACHE_MS) || 30000);
+        // Tenants configured only by domain (demo and dev hosts) have no tenants row
+        this.defaultTier = options.defaultTier || process.env.DEFAULT_SUBSCRIPTION_TIER || 'enterprise';
+        this.cache = new Map(); // tenantId -> { value, expiresAt }
+    }
+
+    /**
+     * Skill settings, subscription tier, agent settings and usage budgets of a tenant
+     * @returns {object} { subscriptionTier, agentSettings, usageBudgets,
+     *   skills: { skillName -> { version, enabled, config, agentPolicy } } }
+     */
+    async getForTenant(tenantId) {
+        const cached = this.cache.get(tenantId);
+        if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+        const [settingsResult, tenantResult] = await Promise.all([
+            this.db.query(`
+                SELECT skill_name, pinned_version, pinned_by, pinned_at, enabled, config, agent_policy
+                FROM tenant_skill_settings
+                WHERE tenant_id = $1
+            `, [tenantId]),
+            this.db.query(`
+                SELECT subscription_tier, settings->'agent' AS agent_settings, settings->'budgets' AS usage_budgets
+                FROM tenants WHERE id = $1
+            `, [tenantId])
+        ]);
+
+        const skills = {};
+        for (const row of settingsResult.rows) {
+            skills[row.skill_name] = {
+                version: row.pinned_version,
+                pinnedBy: row.pinned_by,
+                pinnedAt: row.pinned_at,
+                enabled: row.enabled,
+                config: row.config || {},
+                agentPolicy: row.agent_policy || {}
+            };
+        }
+
+        const value = {
+            subscriptionTier: tenantResult.rows[0]?.subscription_tier || this.defaultTier,
+            agentSettings: tenantResult.rows[0]?.agent_settings || null,
+            usageBudgets: tenantResult.rows[0]?.usage_budgets || null,
+            skills
+        };
+
+        this.cache.set(tenantId, { value, expiresAt: Date.now() + this.cacheTtlMs });
+        return value;
+    }
+
+    /**
+     * Pin a skill to an exact version for a tenant
+     */
+    async pinVersion(tenantId, skillName, version, pinnedBy = null) {
+        const result = await this.db.query(`
+            INSERT INTO tenant_skill_settings (tenant_id, skill_name, pinned_version, pinned_by, pinned_at)
+            VALUES ($1, $2, $3, $4, NOW())
+            ON CONFLICT (tenant_id, skill_name)
+            DO UPDATE SET pinned_version = EXCLUDED.pinned_version,
+                          pinned_by = EXCLUDED.pinned_by,
+                          pinned_at = EXCLUDED.pinned_at
+            RETURNING *
+        `, [tenantId, skillName, version, pinnedBy]);
+
+        this.invalidate(tenantId);
+        return result.rows[0];
+    }
+
+    /**
+     * Remove a pin so the tenant follows the current version again
+     * @returns {boolean} Whether a pin was removed
+     */
+    async unpinVersion(tenantId, skillName) {
+        const result = await this.db.query(`
+            UPDATE tenant_skill_settings
+            SET pinned_version = NULL, pinned_by = NULL, pinned_at = NULL
+            WHERE tenant_id = $1 AND skill_name = $2 AND pinned_version IS NOT NULL
+            RETURNING id
+        `, [tenantId, skillName]);
+
+        this.invalidate(tenantId);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Enable/disable a skill or replace its configuration overrides or chat agent policy
+     * Fields left undefined keep their stored value; enabled = null restores the default.
+     * @param {object} changes - { enabled, config, agentPolicy } (agentPolicy: role -> policy, see agent-actions.js)
+     */
+    async update(tenantId, skillName, { enabled, config, agentPolicy }, updatedBy = null) {
+        const result = await this.db.query(`
+            INSERT INTO tenant_skill_settings (tenant_id, skill_name, enabled, config, updated_by, agent_policy)
+            VALUES ($1, $2, $3, COALESCE($4::jsonb, '{}'::jsonb), $5, COALESCE($7::jsonb, '{}'::jsonb))
+            ON CONFLICT (tenant_id, skill_name)
+            DO UPDATE SET enabled = CASE WHEN $6 THEN EXCLUDED.enabled ELSE tenant_skill_settings.enabled END,
+                          config = COALESCE($4::jsonb, tenant_skill_settings.config),
+                          agent_policy = COALESCE($7::jsonb, tenant_skill_settings.agent_policy),
+                          updated_by = EXCLUDED.updated_by
+            RETURNING *
+        `, [
+            tenantId,
+            skillName,
+            enabled ?? null,
+            config === undefined ? null : JSON.stringify(config),
+            updatedBy,
+            enabled !== undefined,
+            agentPolicy === undefined ? null : JSON.stringify(agentPolicy)
+        ]);
+
+        this.invalidate(tenantId);
+        return result.rows[0];
+    }
+
+    /**
+     * Restore default enablement, configuration and agent policy (a version pin is kept)
+     * @returns {boolean} Whether anything was reset
+     */
+    async reset(tenantId, skillName) {
+        const result = await this.db.query(`
+            UPDATE tenant_skill_settings
+            SET enabled = NULL, config = '{}', agent_policy = '{}'
+            WHERE tenant_id = $1 AND skill_name = $2
+            RETURNING id
+        `, [tenantId, skillName]);
+
+        this.invalidate(tenantId);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Set (or with null clear) the tenant's chat agent prompt override
+     * @param {object|null} agentSettings - { systemPrompt, mode }
+     * @returns {boolean} Whether the tenant exists
+     */
+    async updateAgentSettings(tenantId, agentSettings) {
+        return this.updateTenantSetting(tenantId, 'agent', agentSettings);
+    }
+
+    /**
+     * Set (or with null clear) the tenant's LLM usage budgets
+     * @param {object|null} usageBudgets - See llm-usage.js
+     * @returns {boolean} Whether the tenant exists
+     */
+    async updateUsageBudgets(tenantId, usageBudgets) {
+        return this.updateTenantSetting(tenantId, 'budgets', usageBudgets);
+    }
+
+    async updateTenantSetting(tenantId, key, value) {
+        const result = await this.db.query(`
+            UPDATE tenants
+            SET settings = CASE
+                WHEN $3::jsonb IS NULL THEN COALESCE(settings, '{}'::jsonb) - $2::text
+                ELSE jsonb_set(COALESCE(settings, '{}'::jsonb), ARRAY[$2::text], $3::jsonb)
+            END
+            WHERE id = $1
+            RETURNING id
+        `, [tenantId, key, value ? JSON.stringify(value) : null]);
+
+        this.invalidate(tenantId);
+        return result.rows.length > 0;
+    }
+
+    invalidate(tenantId) {
+        this.cache.delete(tenantId);
+    }
+
+    /**
+     * Express middleware that loads req.tenant.skillSettings, req.tenant.subscriptionTier,
+     * req.tenant.agentSettings and req.tenant.usageBudgets
+     */
+    middleware() {
+        return async (req, res, next) => {
+            if (!req.tenant) return next();
+
+            try {
+                const { subscriptionTier, agentSettings, usageBudgets, skills } = await this.getForTenant(req.tenant.id);
+                req.tenant.subscriptionTier = subscriptionTier;
+                req.tenant.agentSettings = agentSettings;
+                req.tenant.usageBudgets = usageBudgets;
+                req.tenant.skillSettings = skills;
+                next();
+            } catch (error) {
+                // Running with the wrong version, config or tier would silently change results, so fail instead
+                console.error('Skill settings lookup error:', error.message);
+                res.status(503).json({
+                    error: 'SKILL_SETTINGS_UNAVAILABLE',
+                    message: 'Tenant skill settings could not be loaded'
+                });
+            }
+        };
+    }
+}
+
+module.exports = new SkillSettings();
+module.exports.SkillSettings = SkillSettings;
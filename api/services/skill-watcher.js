@@ -0,0 +1,108 @@
+/**
+ * Skill Watcher
+ * Development hot reload: watches verticals/<vertical>/skills and re-registers a
+ * skill in the registry when any of its files change, so skill edits apply
+ * without restarting the server. Load failures are kept in the registry's
+ * loadErrors (served by GET /api/v1/skills/load-errors).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./skill-registry');
+
+// Reloads kept for the status endpoint
+const HISTORY_SIZE = 20;
+
+// Editor swap/backup files and fixtures do not affect a loaded skill
+const IGNORED = /(^|[\\/])(\.[^\\/]*|[^\\/]*~|fixtures)([\\/]|$)/;
+
+class SkillWatcher {
+    /**
+     * @param {object} options
+     * @param {object} options.registry - Skill registry to reload into
+     * @param {number} options.debounceMs - Quiet period before a changed skill is reloaded
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || registry;
+        this.debounceMs = options.debounceMs ?? 200;
+        this.watcher = null;
+        this.timers = new Map();
+        this.history = [];
+    }
+
+    /**
+     * Start watching (no-op when already watching)
+     */
+    start() {
+        if (this.watcher) return this;
+
+        this.watcher = fs.watch(this.registry.verticalsPath, { recursive: true }, (event, filename) => {
+            if (filename) this.onChange(filename.toString());
+        });
+        this.watcher.on('error', (error) => {
+            console.error('[SKILL-WATCHER] Watch failed:', error.message);
+            this.stop();
+        });
+        this.watcher.unref();
+
+        console.log(`[SKILL-WATCHER] Watching ${this.registry.verticalsPath} for skill changes`);
+        return this;
+    }
+
+    stop() {
+        this.watcher?.close();
+        this.watcher = null;
+        for (const timer of this.timers.values()) clearTimeout(timer);
+        this.timers.clear();
+    }
+
+    /**
+     * Schedule a reload for the skill a changed file belongs to
+     * @param {string} filename - Path relative to the verticals directory
+     */
+    onChange(filename) {
+        const [vertical, skillsDir, entry, ...rest] = filename.split(/[\\/]/);
+        if (skillsDir !== 'skills' || !entry || IGNORED.test(filename)) return;
+        // Files directly in skills/ other than flat skill modules (README.md, ...) are not skills
+        if (rest.length === 0 && path.extname(entry) && !entry.endsWith('.js')) return;
+
+        const skillDir = entry.replace(/\.js$/, '');
+        const key = `${vertical}/${skillDir}`;
+
+        clearTimeout(this.timers.get(key));
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            this.reload(vertical, skillDir);
+        }, this.debounceMs));
+    }
+
+    /**
+     * Reload a skill now and record the outcome
+     */
+    reload(vertical, skillDir) {
+        const outcome = { vertical, ...this.registry.reloadSkill(vertical, skillDir), reloadedAt: new Date().toISOString() };
+
+        if (outcome.status === 'failed') {
+            console.error(`[SKILL-WATCHER] ✗ ${vertical}/${skillDir} failed to reload:`, outcome.error);
+        } else {
+            console.log(`[SKILL-WATCHER] ↻ ${outcome.skill}${outcome.version ? `@${outcome.version}` : ''} ${outcome.status}`);
+        }
+
+        this.history.unshift(outcome);
+        this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+        return outcome;
+    }
+
+    /**
+     * Watch state and recent reloads
+     */
+    status() {
+        return {
+            watching: Boolean(this.watcher),
+            recentReloads: this.history
+        };
+    }
+}
+
+module.exports = new SkillWatcher();
+module.exports.SkillWatcher = SkillWatcher;
@@ -0,0 +1,259 @@
+/**
+ * Skill Worker Pool
+ * Executes skills in worker threads so a slow or runaway skill cannot stall the
+ * Express event loop. Each run gets a timeout, a heap limit and can be cancelled
+ * through an AbortSignal; the worker is terminated when any of those trip.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const DLPScanner = require('../../security/dlp/scanner');
+const { SkillError } = require('../../core/utils/skill-loader');
+
+const WORKER_PATH = path.join(__dirname, 'skill-worker.js');
+
+// Main-thread services a worker may call, and how their results are sent back
+const SERVICE_METHODS = {
+    db: {
+        query: (result) => ({ rows: result?.rows || [], rowCount: result?.rowCount ?? 0, command: result?.command }),
+        setTenantContext: () => null
+    },
+    audit: {
+        log: (result) => result ?? null
+    },
+    files: {
+        write: (result) => result
+    }
+};
+
+class SkillWorkerPool {
+    /**
+     * @param {object} options
+     * @param {number} options.size - Max concurrent workers (SKILL_WORKER_POOL_SIZE, default 2)
+     * @param {number} options.timeoutMs - Default run timeout (SKILL_TIMEOUT_MS, default 30s)
+     * @param {number} options.maxHeapMb - Default worker heap limit (SKILL_MAX_HEAP_MB, default 256)
+     */
+    constructor(options = {}) {
+        this.size = options.size || parseInt(process.env.SKILL_WORKER_POOL_SIZE) || 2;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.SKILL_TIMEOUT_MS) || 30000;
+        this.maxHeapMb = options.maxHeapMb || parseInt(process.env.SKILL_MAX_HEAP_MB) || 256;
+
+        this.idle = [];       // workers waiting for a task
+        this.busy = new Set(); // workers running a task
+        this.queue = [];      // tasks waiting for a worker
+        this.generation = 0;  // bumped by recycle(); older workers are not reused
+    }
+
+    /**
+     * Run a skill in a worker
+     * @param {object} skill - Registry skill (needs _path, name; may set timeoutMs / maxHeapMb)
+     * @param {object} context - Execution context built by the registry
+     * @param {object} options - { timeoutMs, maxHeapMb, signal }
+     * @returns {Promise<object>} Skill result
+     */
+    run(skill, context, options = {}) {
+        const job = {
+            skillName: skill.name,
+            timeoutMs: options.timeoutMs || skill.timeoutMs || this.timeoutMs,
+            maxHeapMb: options.maxHeapMb || skill.maxHeapMb || this.maxHeapMb,
+            signal: options.signal,
+            services: context,
+            task: {
+                skillPath: skill._path,
+                input: context.input,
+                tenant: context.tenant,
+                user: context.user,
+                config: context.config,
+                dlp: context.dlp instanceof DLPScanner ? { strictMode: context.dlp.strictMode } : null
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+
+            if (job.signal?.aborted) {
+                return reject(cancelledError(job.skillName));
+            }
+
+            // Drop the job from the queue if it is cancelled before a worker picks it up
+            job.onQueuedAbort = () => {
+                const index = this.queue.indexOf(job);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    reject(cancelledError(job.skillName));
+                }
+            };
+            job.signal?.addEventListener('abort', job.onQueuedAbort, { once: true });
+
+            this.queue.push(job);
+            this.drain();
+        });
+    }
+
+    /**
+     * Hand queued jobs to idle workers, spawning up to the pool size
+     */
+    drain() {
+        while (this.queue.length > 0) {
+            const job = this.queue[0];
+            let entry = this.takeIdle(job.maxHeapMb);
+
+            if (!entry) {
+                if (this.idle.length + this.busy.size >= this.size) {
+                    // Pool is full; recycle an idle worker with a different heap limit if there is one
+                    if (this.idle.length === 0) return;
+                    this.idle.shift().worker.terminate();
+                }
+                entry = this.spawn(job.maxHeapMb);
+            }
+
+            this.queue.shift();
+            job.signal?.removeEventListener('abort', job.onQueuedAbort);
+            this.dispatch(entry, job);
+        }
+    }
+
+    takeIdle(maxHeapMb) {
+        const index = this.idle.findIndex(entry => entry.maxHeapMb === maxHeapMb);
+        return index === -1 ? null : this.idle.splice(index, 1)[0];
+    }
+
+    spawn(maxHeapMb) {
+        const worker = new Worker(WORKER_PATH, {
+            resourceLimits: { maxOldGenerationSizeMb: maxHeapMb }
+        });
+        return { worker, maxHeapMb, generation: this.generation };
+    }
+
+    /**
+     * Retire every worker so the next runs load skill modules afresh (hot reload)
+     * Idle workers stop now; busy ones finish their current run first.
+     */
+    recycle() {
+        this.generation++;
+        for (const entry of this.idle.splice(0)) {
+            entry.worker.terminate();
+        }
+    }
+
+    /**
+     * Run one job on a worker and settle it exactly once
+     */
+    dispatch(entry, job) {
+        const { worker } = entry;
+        let settled = false;
+
+        this.busy.add(entry);
+        worker.ref();
+
+        const finish = (error, result, reusable) => {
+            if (settled) return;
+            settled = true;
+
+            clearTimeout(timer);
+            job.signal?.removeEventListener('abort', onAbort);
+            worker.off('message', onMessage);
+            worker.off('error', onError);
+            worker.off('exit', onExit);
+            this.busy.delete(entry);
+
+            if (reusable && entry.generation === this.generation) {
+                worker.unref();
+                this.idle.push(entry);
+            } else {
+                worker.terminate();
+            }
+
+            if (error) job.reject(error);
+            else job.resolve(result);
+
+            this.drain();
+        };
+
+        const onMessage = async (message) => {
+            if (message.type === 'result') {
+                finish(null, message.result, true);
+            } else if (message.type === 'error') {
+                finish(Object.assign(new Error(message.error.message), message.error), null, true);
+            } else if (message.type === 'progress') {
+                job.services.progress?.(message.progress, message.message, message.partialResult);
+            } else if (message.type === 'call') {
+                const reply = await this.callService(job.services, message);
+                if (!settled) worker.postMessage(reply);
+            }
+        };
+
+        const onError = (error) => {
+            finish(new SkillError(
+                'SKILL_CRASHED',
+                `Skill '${job.skillName}' crashed: ${error.message}`,
+                500
+            ), null, false);
+        };
+
+        const onExit = (code) => {
+            finish(new SkillError(
+                'SKILL_CRASHED',
+                `Skill '${job.skillName}' worker exited unexpectedly (code ${code})`,
+                500
+            ), null, false);
+        };
+
+        const onAbort = () => finish(cancelledError(job.skillName), null, false);
+
+        const timer = setTimeout(() => {
+            finish(new SkillError(
+                'SKILL_TIMEOUT',
+                `Skill '${job.skillName}' timed out after ${job.timeoutMs}ms`,
+                504
+            ), null, false);
+        }, job.timeoutMs);
+
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        worker.on('exit', onExit);
+        job.signal?.addEventListener('abort', onAbort, { once: true });
+
+        worker.postMessage({ type: 'execute', task: job.task });
+    }
+
+    /**
+     * Execute a proxied service call from a worker on the main thread
+     */
+    async callService(services, { callId, service, method, args }) {
+        const serialize = SERVICE_METHODS[service]?.[method];
+
+        try {
+            if (!serialize || typeof services[service]?.[method] !== 'function') {
+                throw new Error(`Service call not allowed: ${service}.${method}`);
+            }
+            const result = await services[service][method](...args);
+            return { type: 'callResult', callId, result: serialize(result) };
+        } catch (error) {
+            return {
+                type: 'callResult',
+                callId,
+                error: { message: error.message, code: error.code }
+            };
+        }
+    }
+
+    /**
+     * Terminate every worker (queued jobs are rejected)
+     */
+    async destroy() {
+        for (const job of this.queue.splice(0)) {
+            job.reject(cancelledError(job.skillName));
+        }
+        const workers = [...this.idle, ...this.busy].map(entry => entry.worker);
+        this.idle = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
+
+function cancelledError(skillName) {
+    return new SkillError('SKILL_CANCELLED', `Skill '${skillName}' was cancelled`, 499);
+}
+
+module.exports = SkillWorkerPool;
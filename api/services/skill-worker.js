@@ -0,0 +1,110 @@
+/**
+ * Skill Worker
+ * Runs one skill at a time inside a worker thread (see skill-worker-pool.js).
+ * Async services (db, audit, files) are proxied to the main thread; synchronous,
+ * stateless services (dlp, encryption) are rebuilt locally. Progress reports are
+ * posted to the main thread without waiting for a reply.
+ */
+
+const { parentPort } = require('worker_threads');
+const DLPScanner = require('../../security/dlp/scanner');
+const EncryptionService = require('../../security/encryption/service');
+
+// Skills that call other skills (e.g. export-to-excel -> tax-prep-automate) run them in this worker
+process.env.SKILL_ISOLATION = 'inline';
+
+const pendingCalls = new Map();
+let callSeq = 0;
+let encryption = null;
+
+/**
+ * Call a service method on the main thread
+ */
+function callMain(service, method, args) {
+    const callId = ++callSeq;
+
+    return new Promise((resolve, reject) => {
+        pendingCalls.set(callId, { resolve, reject });
+        parentPort.postMessage({ type: 'call', callId, service, method, args });
+    });
+}
+
+/**
+ * Build the skill context from the serialized task
+ */
+function buildContext(task) {
+    const dlp = task.dlp
+        ? new DLPScanner(task.dlp)
+        : {
+            scan: (content) => ({ hasSensitiveData: false, findings: [], redacted: content }),
+            redact: (content) => content
+        };
+
+    return {
+        input: task.input,
+        tenant: task.tenant,
+        user: task.user,
+        config: task.config || {},
+        dlp,
+        db: {
+            query: (text, params) => callMain('db', 'query', [text, params]),
+            setTenantContext: (tenantId) => callMain('db', 'setTenantContext', [tenantId])
+        },
+        audit: {
+            log: (entry) => callMain('audit', 'log', [entry])
+        },
+        progress: (progress, message = null, partialResult = undefined) => {
+            try {
+                parentPort.postMessage({ type: 'progress', progress, message, partialResult });
+            } catch (error) {
+                // Partial results that cannot be cloned are dropped, the report still goes out
+                parentPort.postMessage({ type: 'progress', progress, message });
+            }
+        },
+        files: {
+            write: (relativePath, data) => callMain('files', 'write', [relativePath, data])
+        },
+        get encryption() {
+            if (!encryption) encryption = new EncryptionService(process.env.MASTER_ENCRYPTION_KEY);
+            return encryption;
+        }
+    };
+}
+
+/**
+ * Serialize an error so it survives postMessage
+ */
+function serializeError(error) {
+    return {
+        name: error?.name,
+        message: error?.message || String(error),
+        stack: error?.stack,
+        code: error?.code,
+        status: error?.status
+    };
+}
+
+parentPort.on('message', async (message) => {
+    if (message.type === 'callResult') {
+        const pending = pendingCalls.get(message.callId);
+        if (!pending) return;
+        pendingCalls.delete(message.callId);
+
+        if (message.error) {
+            pending.reject(Object.assign(new Error(message.error.message), message.error));
+        } else {
+            pending.resolve(message.result);
+        }
+        return;
+    }
+
+    if (message.type === 'execute') {
+        try {
+            const skill = require(message.task.skillPath);
+            const result = await skill.execute(buildContext(message.task));
+            parentPort.postMessage({ type: 'result', result });
+        } catch (error) {
+            parentPort.postMessage({ type: 'error', error: serializeError(error) });
+        }
+    }
+});
@@ -0,0 +1,681 @@
+/**
+ * Workflow Engine
+ * Runs tenant-defined DAGs of skills. Step inputs are mapped from the run input
+ * and from earlier step outputs with {{ path }} templates, steps can be gated
+ * by `when` conditions, and every run and step is persisted.
+ *
+ * Definition format:
+ *   {
+ *     "description": "...",
+ *     "inputSchema": { ...JSON Schema for the run input... },
+ *     "steps": [
+ *       { "id": "taxes", "skill": "tax-prep-automate", "version": "1.0.0",
+ *         "input": { "profile_name": "{{ input.profile_name }}", "tax_year": 2025 } },
+ *       { "id": "fraud", "skill": "fraud-detection-scan", "needs": ["taxes"],
+ *         "input": { "transactions": "{{ steps.taxes.output.categorized }}" } },
+ *       { "id": "anomalies", "skill": "anomaly-detect", "needs": ["fraud"],
+ *         "when": { "path": "steps.fraud.output.risk_score", "op": "gt", "value": 50 },
+ *         "input": { "transactions": "{{ steps.taxes.output.categorized }}" } }
+ *     ],
+ *     "output": { "risk": "{{ steps.fraud.output.risk_level }}" }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const db = require('../../core/database/connection');
+const DLPScanner = require('../../security/dlp/scanner');
+const AuditLogger = require('../../security/audit/logger');
+const registry = require('./skill-registry');
+const { SkillGateway } = require('./skill-gateway');
+
+const AJV_OPTIONS = { allErrors: true, useDefaults: true, strict: false };
+const ajv = new Ajv(AJV_OPTIONS);
+
+const CONDITION_OPS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists', 'truthy'];
+
+const DEFINITION_SCHEMA = {
+    type: 'object',
+    properties: {
+        description: { type: 'string' },
+        inputSchema: { type: 'object' },
+        steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+                    skill: { type: 'string' },
+                    version: { type: 'string' },
+                    needs: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+                    input: { type: 'object' },
+                    when: { $ref: '#/$defs/condition' },
+                    onError: { type: 'string', enum: ['fail', 'continue'] },
+                    timeoutMs: { type: 'integer', minimum: 1000 }
+                },
+                required: ['id', 'skill'],
+                additionalProperties: false
+            }
+        },
+        output: {}
+    },
+    required: ['steps'],
+    additionalProperties: false,
+    $defs: {
+        condition: {
+            type: 'object',
+            oneOf: [
+                {
+                    properties: {
+                        path: { type: 'string' },
+                        op: { type: 'string', enum: CONDITION_OPS },
+                        value: {}
+                    },
+                    required: ['path', 'op']
+                },
+                { properties: { all: { type: 'array', items: { $ref: '#/$defs/condition' } } }, required: ['all'] },
+                { properties: { any: { type: 'array', items: { $ref: '#/$defs/condition' } } }, required: ['any'] },
+                { properties: { not: { $ref: '#/$defs/condition' } }, required: ['not'] }
+            ]
+        }
+    }
+};
+
+const validateDefinitionSchema = ajv.compile(DEFINITION_SCHEMA);
+
+/**
+ * Compile a workflow's input schema on its own Ajv instance, so tenant schemas
+ * neither collide on $id nor accumulate in the shared instance's cache
+ */
+function compileInputSchema(schema) {
+    return new Ajv(AJV_OPTIONS).compile(schema);
+}
+
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const STEP_REF_PATTERN = /^steps\.([A-Za-z0-9_-]+)/;
+
+/**
+ * Error raised for invalid definitions and unknown workflows/runs
+ */
+class WorkflowError extends Error {
+    constructor(code, message, status = 400, errors = []) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.code = code;
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Read a dotted path (a.b.0.c or a.b[0].c) from an object
+ */
+function getPath(source, pathExpression) {
+    return pathExpression
+        .replace(/\[(\d+)\]/g, '.$1')
+        .split('.')
+        .filter(Boolean)
+        .reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Resolve {{ path }} templates against the run scope ({ input, steps })
+ * A string that is exactly one template keeps the referenced value's type;
+ * templates embedded in text are interpolated as strings.
+ */
+function resolveTemplate(value, scope) {
+    if (typeof value === 'string') {
+        const whole = value.match(WHOLE_TEMPLATE_PATTERN);
+        if (whole) return getPath(scope, whole[1]);
+
+        return value.replace(TEMPLATE_PATTERN, (_, expression) => {
+            const resolved = getPath(scope, expression);
+            if (resolved == null) return '';
+            return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => resolveTemplate(item, scope));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, scope)])
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Evaluate a `when` condition against the run scope
+ */
+function evaluateCondition(condition, scope) {
+    if (!condition) return true;
+    if (condition.all) return condition.all.every(c => evaluateCondition(c, scope));
+    if (condition.any) return condition.any.some(c => evaluateCondition(c, scope));
+    if (condition.not) return !evaluateCondition(condition.not, scope);
+
+    const actual = getPath(scope, condition.path);
+    const expected = resolveTemplate(condition.value, scope);
+
+    switch (condition.op) {
+        case 'eq': return actual === expected;
+        case 'ne': return actual !== expected;
+        case 'gt': return actual > expected;
+        case 'gte': return actual >= expected;
+        case 'lt': return actual < expected;
+        case 'lte': return actual <= expected;
+        case 'in': return Array.isArray(expected) && expected.includes(actual);
+        case 'exists': return actual !== undefined && actual !== null;
+        case 'truthy': return Boolean(actual);
+        default: return false;
+    }
+}
+
+/**
+ * Collect the step ids a value references through templates or condition paths
+ */
+function collectStepRefs(value, refs = new Set()) {
+    if (typeof value === 'string') {
+        for (const [, expression] of value.matchAll(TEMPLATE_PATTERN)) {
+            const ref = expression.match(STEP_REF_PATTERN);
+            if (ref) refs.add(ref[1]);
+        }
+        const pathRef = value.match(STEP_REF_PATTERN);
+        if (pathRef) refs.add(pathRef[1]);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStepRefs(item, refs));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectStepRefs(item, refs));
+    }
+    return refs;
+}
+
+/**
+ * Order steps so every step comes after the steps it needs (stable, Kahn's algorithm)
+ * @throws {WorkflowError} When the steps contain a cycle
+ */
+function planSteps(steps) {
+    const remaining = new Map(steps.map(step => [step.id, new Set(step.needs || [])]));
+    const ordered = [];
+
+    while (remaining.size > 0) {
+        const ready = steps.filter(step =>
+            remaining.has(step.id) && [...remaining.get(step.id)].every(need => !remaining.has(need))
+        );
+
+        if (ready.length === 0) {
+            throw new WorkflowError('INVALID_WORKFLOW', 'Workflow steps contain a cycle', 400, [
+                { path: '/steps', message: `cycle between: ${[...remaining.keys()].join(', ')}` }
+            ]);
+        }
+
+        for (const step of ready) {
+            remaining.delete(step.id);
+            ordered.push(step);
+        }
+    }
+
+    return ordered;
+}
+
+/**
+ * Validate a workflow definition
+ * @param {object} definition - Workflow definition
+ * @param {object} options - { registry, vertical } to check that every skill exists for the vertical
+ * @throws {WorkflowError} INVALID_WORKFLOW with JSON-pointer paths
+ */
+function validateDefinition(definition, options = {}) {
+    if (!validateDefinitionSchema(definition)) {
+        throw new WorkflowError('INVALID_WORKFLOW', 'Workflow definition is invalid', 400,
+            validateDefinitionSchema.errors.map(e => ({ path: e.instancePath || '/', message: e.message })));
+    }
+
+    const errors = [];
+    const stepIndex = new Map();
+
+    definition.steps.forEach((step, i) => {
+        if (stepIndex.has(step.id)) {
+            errors.push({ path: `/steps/${i}/id`, message: `duplicate step id '${step.id}'` });
+        }
+        stepIndex.set(step.id, i);
+    });
+
+    definition.steps.forEach((step, i) => {
+        for (const need of step.needs || []) {
+            if (!stepIndex.has(need)) {
+                errors.push({ path: `/steps/${i}/needs`, message: `unknown step '${need}'` });
+            }
+        }
+
+        if (options.registry) {
+            if (!options.registry.has(step.skill)) {
+                errors.push({ path: `/steps/${i}/skill`, message: `unknown skill '${step.skill}'` });
+            } else if (options.vertical && options.registry.get(step.skill)._vertical !== options.vertical) {
+                errors.push({ path: `/steps/${i}/skill`, message: `skill '${step.skill}' is not available for ${options.vertical}` });
+            } else if (step.version && !options.registry.versionsOf(step.skill).includes(step.version)) {
+                errors.push({ path: `/steps/${i}/version`, message: `skill '${step.skill}' has no version ${step.version}` });
+            }
+        }
+    });
+
+    if (definition.inputSchema) {
+        try {
+            compileInputSchema(definition.inputSchema);
+        } catch (error) {
+            errors.push({ path: '/inputSchema', message: error.message });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new WorkflowError('INVALID_WORKFLOW', 'Workflow definition is invalid', 400, errors);
+    }
+
+    // Cycles, then make sure steps only read outputs of steps that are guaranteed to run first
+    const ordered = planSteps(definition.steps);
+    const ancestors = new Map();
+
+    for (const step of ordered) {
+        const own = new Set();
+        for (const need of step.needs || []) {
+            own.add(need);
+            ancestors.get(need).forEach(id => own.add(id));
+        }
+        ancestors.set(step.id, own);
+
+        const refs = collectStepRefs([step.input, step.when]);
+        for (const ref of refs) {
+            if (!own.has(ref)) {
+                errors.push({
+                    path: `/steps/${stepIndex.get(step.id)}`,
+                    message: `references step '${ref}' without depending on it (add it to needs)`
+                });
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new WorkflowError('INVALID_WORKFLOW', 'Workflow definition is invalid', 400, errors);
+    }
+
+    return ordered;
+}
+
+/**
+ * Load built-in workflow templates from verticals/<vertical>/workflows/*.json
+ */
+function loadTemplates(verticalsPath = path.join(__dirname, '../../verticals')) {
+    const templates = [];
+
+    for (const vertical of fs.readdirSync(verticalsPath)) {
+        const workflowsPath = path.join(verticalsPath, vertical, 'workflows');
+        if (!fs.existsSync(workflowsPath)) continue;
+
+        for (const file of fs.readdirSync(workflowsPath).filter(f => f.endsWith('.json'))) {
+            try {
+                const template = JSON.parse(fs.readFileSync(path.join(workflowsPath, file), 'utf8'));
+                templates.push({ ...template, name: template.name || path.basename(file, '.json'), vertical });
+            } catch (error) {
+                console.error(`[WORKFLOWS] ✗ Failed to load template ${vertical}/${file}:`, error.message);
+            }
+        }
+    }
+
+    return templates;
+}
+
+class WorkflowEngine {
+    /**
+     * @param {object} options - { db, registry, dlp, audit, gateway } (defaults to the shared services;
+     *   the gateway defaults to one over this engine's registry, DLP scanner and audit logger)
+     */
+    constructor(options = {}) {
+        this.db = options.db || db;
+        this.registry = options.registry || registry;
+        this.dlp = options.dlp || new DLPScanner({ strictMode: true });
+        this.audit = options.audit || null;
+        this.gateway = options.gateway || null;
+        this.running = new Map(); // runId -> AbortController
+        this.templates = null;
+    }
+
+    getAudit() {
+        if (!this.audit) {
+            this.audit = new AuditLogger({ connectionString: process.env.DATABASE_URL });
+        }
+        return this.audit;
+    }
+
+    getGateway() {
+        if (!this.gateway) {
+            this.gateway = new SkillGateway({
+                registry: this.registry,
+                dlp: this.dlp,
+                audit: this.getAudit(),
+                db: this.db
+            });
+        }
+        return this.gateway;
+    }
+
+    /**
+     * Built-in templates, optionally for one vertical
+     */
+    getTemplates(vertical = null) {
+        if (!this.templates) this.templates = loadTemplates();
+        return this.templates.filter(t => !vertical || t.vertical === vertical);
+    }
+
+    // ------------------------------------------------------------
+    // Workflow definitions
+    // ------------------------------------------------------------
+
+    async list(tenantId) {
+        const result = await this.db.query(`
+            SELECT * FROM workflows
+            WHERE tenant_id = $1 AND deleted_at IS NULL
+            ORDER BY created_at DESC
+        `, [tenantId]);
+        return result.rows;
+    }
+
+    async get(workflowId, tenantId) {
+        const result = await this.db.query(`
+            SELECT * FROM workflows
+            WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+        `, [workflowId, tenantId]);
+        return result.rows[0] || null;
+    }
+
+    async create(tenant, { name, description = null, definition }) {
+        validateDefinition(definition, { registry: this.registry, vertical: tenant.vertical });
+
+        const result = await this.db.query(`
+            INSERT INTO workflows (tenant_id, name, description, definition)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [tenant.id, name, description ?? definition.description ?? null, JSON.stringify(definition)]);
+        return result.rows[0];
+    }
+
+    async update(tenant, workflowId, { name, description, definition }) {
+        if (definition) {
+            validateDefinition(definition, { registry: this.registry, vertical: tenant.vertical });
+        }
+
+        const result = await this.db.query(`
+            UPDATE workflows
+            SET name = COALESCE($3, name),
+                description = COALESCE($4, description),
+                definition = COALESCE($5, definition),
+                version = version + CASE WHEN $5::jsonb IS NULL THEN 0 ELSE 1 END
+            WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+            RETURNING *
+        `, [workflowId, tenant.id, name || null, description ?? null, definition ? JSON.stringify(definition) : null]);
+        return result.rows[0] || null;
+    }
+
+    async remove(workflowId, tenantId) {
+        const result = await this.db.query(`
+            UPDATE workflows SET deleted_at = NOW()
+            WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+            RETURNING id
+        `, [workflowId, tenantId]);
+        return result.rows.length > 0;
+    }
+
+    // ------------------------------------------------------------
+    // Runs
+    // ------------------------------------------------------------
+
+    /**
+     * Start a run; steps execute in the background
+     * @param {object} workflow - Workflow row
+     * @param {object} input - Run input
+     * @param {object} options - { tenant, userId }
+     * @returns {object} { run, completion } where completion resolves with the finished run
+     */
+    async startRun(workflow, input = {}, { tenant, userId = null }) {
+        const definition = workflow.definition;
+        const ordered = validateDefinition(definition, { registry: this.registry, vertical: tenant.vertical });
+
+        if (definition.inputSchema) {
+            const validate = compileInputSchema(definition.inputSchema);
+            if (!validate(input)) {
+                throw new WorkflowError('INVALID_WORKFLOW_INPUT', 'Workflow input is invalid', 400,
+                    validate.errors.map(e => ({ path: e.instancePath || '/', message: e.message })));
+            }
+        }
+
+        const runResult = await this.db.query(`
+            INSERT INTO workflow_runs (tenant_id, workflow_id, workflow_version, user_id, definition, input)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [tenant.id, workflow.id, workflow.version, userId, JSON.stringify(definition), JSON.stringify(input)]);
+        const run = runResult.rows[0];
+
+        for (const [position, step] of ordered.entries()) {
+            await this.db.query(`
+                INSERT INTO workflow_run_steps (tenant_id, run_id, step_id, skill_name, position)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [tenant.id, run.id, step.id, step.skill, position]);
+        }
+
+        await this.getAudit().log({
+            tenantId: tenant.id,
+            action: 'WORKFLOW_RUN_START',
+            resourceType: 'workflow_run',
+            resourceId: run.id
+        });
+
+        const completion = this.executeRun(run, ordered, { tenant, userId })
+            .catch(error => console.error(`[WORKFLOWS] Run ${run.id} failed:`, error.message));
+
+        return { run, completion };
+    }
+
+    /**
+     * Execute the steps of a run in dependency order
+     */
+    async executeRun(run, ordered, { tenant, userId }) {
+        const controller = new AbortController();
+        this.running.set(run.id, controller);
+
+        const scope = { input: run.input, steps: {} };
+        const runStart = Date.now();
+        let runError = null;
+
+        try {
+            for (const step of ordered) {
+                if (controller.signal.aborted) {
+                    await this.updateStep(run.id, step.id, { status: 'cancelled' });
+                    continue;
+                }
+
+                // Skip when a dependency did not succeed or the condition is false
+                const blocked = (step.needs || []).find(need => scope.steps[need]?.status !== 'succeeded');
+                if (blocked) {
+                    scope.steps[step.id] = { status: 'skipped' };
+                    await this.updateStep(run.id, step.id, {
+                        status: 'skipped',
+                        skip_reason: `dependency '${blocked}' ${scope.steps[blocked].status}`
+                    });
+                    continue;
+                }
+
+                if (!evaluateCondition(step.when, scope)) {
+                    scope.steps[step.id] = { status: 'skipped' };
+                    await this.updateStep(run.id, step.id, { status: 'skipped', skip_reason: 'condition not met' });
+                    continue;
+                }
+
+                const stepInput = resolveTemplate(step.input || {}, scope);
+                await this.updateStep(run.id, step.id, { status: 'running', input: stepInput, started_at: new Date() });
+
+                const stepStart = Date.now();
+                try {
+                    const { result, meta } = await this.getGateway().execute(step.skill, stepInput, {
+                        tenant,
+                        userId,
+                        version: step.version,
+                        signal: controller.signal,
+                        timeoutMs: step.timeoutMs,
+                        auditFields: { resourceType: 'workflow_run', resourceId: run.id }
+                    });
+                    // Skills report handled failures as { success: false, error } instead of throwing
+                    if (result && result.success === false) {
+                        throw Object.assign(new Error(result.error || `${step.skill} reported a failure`), {
+                            code: 'SKILL_REPORTED_FAILURE',
+                            status: 422
+                        });
+                    }
+
+                    const output = { ...result, _meta: meta };
+
+                    scope.steps[step.id] = { status: 'succeeded', output };
+                    await this.updateStep(run.id, step.id, {
+                        status: 'succeeded',
+                        output,
+                        finished_at: new Date(),
+                        duration_ms: Date.now() - stepStart
+                    });
+                } catch (error) {
+                    const cancelled = error.code === 'SKILL_CANCELLED';
+                    const stepError = { code: error.code || 'SKILL_EXECUTION_ERROR', message: error.message };
+
+                    scope.steps[step.id] = { status: cancelled ? 'cancelled' : 'failed', error: stepError };
+                    await this.updateStep(run.id, step.id, {
+                        status: scope.steps[step.id].status,
+                        error: stepError,
+                        finished_at: new Date(),
+                        duration_ms: Date.now() - stepStart
+                    });
+
+                    // The gateway audits its own errors; failures reported by the skill are audited here
+                    if (!error.audited) {
+                        await this.getAudit().log({
+                            tenantId: tenant.id,
+                            action: 'SKILL_EXECUTION_ERROR',
+                            skillName: step.skill,
+                            skillVersion: error.skillVersion || null,
+                            resourceType: 'workflow_run',
+                            resourceId: run.id,
+                            responseStatus: error.status || 500,
+                            durationMs: Date.now() - stepStart,
+                            errorMessage: error.message
+                        });
+                    }
+
+                    if (!cancelled && step.onError !== 'continue') {
+                        runError = { step: step.id, ...stepError };
+                        controller.abort();
+                    }
+                }
+            }
+
+            const status = runError ? 'failed' : controller.signal.aborted ? 'cancelled' : 'succeeded';
+            const output = status === 'succeeded' && run.definition.output !== undefined
+                ? resolveTemplate(run.definition.output, scope)
+                : null;
+
+            const finished = await this.db.query(`
+                UPDATE workflow_runs
+                SET status = $2, output = $3, error = $4, finished_at = NOW()
+                WHERE id = $1 AND status = 'running'
+                RETURNING *
+            `, [run.id, status, JSON.stringify(output), runError ? JSON.stringify(runError) : null]);
+
+            await this.getAudit().log({
+                tenantId: tenant.id,
+                action: status === 'succeeded' ? 'WORKFLOW_RUN_SUCCESS' : 'WORKFLOW_RUN_ERROR',
+                resourceType: 'workflow_run',
+                resourceId: run.id,
+                durationMs: Date.now() - runStart,
+                errorMessage: runError?.message || null
+            });
+
+            return finished.rows[0] || run;
+        } catch (error) {
+            // Persistence failed mid-run; do not leave the run stuck in 'running'
+            await this.db.query(`
+                UPDATE workflow_runs
+                SET status = 'failed', error = $2, finished_at = NOW()
+                WHERE id = $1 AND status = 'running'
+            `, [run.id, JSON.stringify({ code: 'WORKFLOW_ERROR', message: error.message })]).catch(() => {});
+            throw error;
+        } finally {
+            this.running.delete(run.id);
+        }
+    }
+
+    async updateStep(runId, stepId, fields) {
+        const columns = Object.keys(fields);
+        const values = columns.map(column => (
+            ['input', 'output', 'error'].includes(column) ? JSON.stringify(fields[column]) : fields[column]
+        ));
+
+        await this.db.query(`
+            UPDATE workflow_run_steps
+            SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+            WHERE run_id = $1 AND step_id = $2
+        `, [runId, stepId, ...values]);
+    }
+
+    /**
+     * Get a run with its steps
+     */
+    async getRun(runId, tenantId) {
+        const runResult = await this.db.query(`
+            SELECT * FROM workflow_runs WHERE id = $1 AND tenant_id = $2
+        `, [runId, tenantId]);
+        if (runResult.rows.length === 0) return null;
+
+        const stepsResult = await this.db.query(`
+            SELECT step_id, skill_name, position, status, input, output, error, skip_reason,
+                   started_at, finished_at, duration_ms
+            FROM workflow_run_steps
+            WHERE run_id = $1
+            ORDER BY position
+        `, [runId]);
+
+        return { ...runResult.rows[0], steps: stepsResult.rows };
+    }
+
+    async listRuns(workflowId, tenantId, { limit = 50, offset = 0 } = {}) {
+        const result = await this.db.query(`
+            SELECT id, workflow_id, workflow_version, status, error, started_at, finished_at
+            FROM workflow_runs
+            WHERE workflow_id = $1 AND tenant_id = $2
+            ORDER BY created_at DESC
+            LIMIT $3 OFFSET $4
+        `, [workflowId, tenantId, limit, offset]);
+        return result.rows;
+    }
+
+    /**
+     * Cancel a running run (the current step is aborted, the rest are marked cancelled)
+     */
+    async cancelRun(runId, tenantId) {
+        const result = await this.db.query(`
+            UPDATE workflow_runs SET status = 'cancelled', finished_at = NOW()
+            WHERE id = $1 AND tenant_id = $2 AND status = 'running'
+            RETURNING *
+        `, [runId, tenantId]);
+
+        this.running.get(runId)?.abort();
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new WorkflowEngine();
+module.exports.WorkflowEngine = WorkflowEngine;
+module.exports.WorkflowError = WorkflowError;
+module.exports.validateDefinition = validateDefinition;
+module.exports.resolveTemplate = resolveTemplate;
+module.exports.evaluateCondition = evaluateCondition;
+module.exports.planSteps = planSteps;
@@ -60,6 +60,11 @@ class Database {
     }
   }
 
+  // Dedicated client for transactions; the caller must release() it
+  async connect() {
+    return this.pool.connect();
+  }
+
   async setTenantContext(tenantId) {
     await this.query('SELECT set_tenant_context($1)', [tenantId]);
   }
@@ -0,0 +1,50 @@
+-- Migration: Add asynchronous skill jobs queue
+-- Long-running skills (audit-package, doc-extract over a profile, tax-prep-automate)
+-- are enqueued here and picked up by the job runner with FOR UPDATE SKIP LOCKED
+
+CREATE TABLE IF NOT EXISTS skill_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id VARCHAR(255),
+
+  -- What to run
+  skill_name VARCHAR(100) NOT NULL,
+  input JSONB NOT NULL DEFAULT '{}',
+  tenant_context JSONB NOT NULL DEFAULT '{}',
+
+  -- State
+  status VARCHAR(50) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+  progress_message TEXT,
+  result JSONB,
+  error JSONB,
+
+  -- Retry with backoff
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Worker lease
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMPTZ,
+
+  -- Timestamps
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_jobs_tenant_created ON skill_jobs(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_skill_jobs_runnable ON skill_jobs(run_after) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_skill_jobs_running ON skill_jobs(locked_at) WHERE status = 'running';
+
+-- Row-Level Security
+ALTER TABLE skill_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY skill_jobs_tenant_isolation ON skill_jobs
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+-- Trigger for updated_at
+CREATE TRIGGER update_skill_jobs_updated_at BEFORE UPDATE ON skill_jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
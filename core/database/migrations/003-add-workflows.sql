@@ -0,0 +1,87 @@
+-- Migration: Add declarative skill workflows and their run history
+-- A workflow is a tenant-defined DAG of skills; every run and every step of a run is persisted
+
+CREATE TABLE IF NOT EXISTS workflows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  -- Definition
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  definition JSONB NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflows_tenant_name ON workflows(tenant_id, name) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_workflows_tenant_id ON workflows(tenant_id);
+
+ALTER TABLE workflows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY workflows_tenant_isolation ON workflows
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+CREATE TRIGGER update_workflows_updated_at BEFORE UPDATE ON workflows
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per workflow run (the definition is snapshotted so runs stay reproducible)
+CREATE TABLE IF NOT EXISTS workflow_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  workflow_id UUID NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  workflow_version INTEGER NOT NULL,
+  user_id VARCHAR(255),
+
+  definition JSONB NOT NULL,
+  input JSONB NOT NULL DEFAULT '{}',
+
+  status VARCHAR(50) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed', 'cancelled')),
+  output JSONB,
+  error JSONB,
+
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_workflow ON workflow_runs(workflow_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_tenant ON workflow_runs(tenant_id, created_at DESC);
+
+ALTER TABLE workflow_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY workflow_runs_tenant_isolation ON workflow_runs
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+-- One row per step of a run
+CREATE TABLE IF NOT EXISTS workflow_run_steps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  run_id UUID NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
+
+  step_id VARCHAR(100) NOT NULL,
+  skill_name VARCHAR(100) NOT NULL,
+  position INTEGER NOT NULL,
+
+  status VARCHAR(50) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'succeeded', 'failed', 'skipped', 'cancelled')),
+  input JSONB,
+  output JSONB,
+  error JSONB,
+  skip_reason TEXT,
+
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+
+  UNIQUE(run_id, step_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_run_steps_run ON workflow_run_steps(run_id, position);
+
+ALTER TABLE workflow_run_steps ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY workflow_run_steps_tenant_isolation ON workflow_run_steps
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
@@ -0,0 +1,37 @@
+-- Migration: Skill versioning
+-- Tenants can pin a skill to an exact version; the executed version is recorded with every run
+
+CREATE TABLE IF NOT EXISTS tenant_skill_settings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  skill_name VARCHAR(100) NOT NULL,
+
+  -- Exact version to run (NULL = current version)
+  pinned_version VARCHAR(50),
+  pinned_by VARCHAR(255),
+  pinned_at TIMESTAMPTZ,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(tenant_id, skill_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_skill_settings_tenant ON tenant_skill_settings(tenant_id);
+
+ALTER TABLE tenant_skill_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY tenant_skill_settings_tenant_isolation ON tenant_skill_settings
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+CREATE TRIGGER update_tenant_skill_settings_updated_at BEFORE UPDATE ON tenant_skill_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Executed version in the audit trail
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS skill_version VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_audit_skill_version ON audit_logs(skill_name, skill_version) WHERE skill_version IS NOT NULL;
+
+-- Version an asynchronous job runs (resolved when it is enqueued)
+ALTER TABLE skill_jobs ADD COLUMN IF NOT EXISTS skill_version VARCHAR(50);
@@ -0,0 +1,9 @@
+-- Migration: Per-tenant skill enablement and configuration overrides
+
+-- NULL = default (enabled when the subscription tier allows it)
+ALTER TABLE tenant_skill_settings ADD COLUMN IF NOT EXISTS enabled BOOLEAN;
+
+-- Overrides merged over the defaults in the skill's configSchema
+ALTER TABLE tenant_skill_settings ADD COLUMN IF NOT EXISTS config JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE tenant_skill_settings ADD COLUMN IF NOT EXISTS updated_by VARCHAR(255);
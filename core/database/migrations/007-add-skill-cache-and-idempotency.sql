@@ -0,0 +1,74 @@
+-- Migration: Skill result cache and idempotency keys
+-- Cached results of skills that opt in (skill.cache), keyed by tenant, skill
+-- version and a hash of the input and configuration. Entries are tagged with
+-- the profiles and documents they read so a document change drops them.
+-- Idempotency keys remember the response of a mutating call so a retry with
+-- the same Idempotency-Key header replays it instead of running again.
+
+CREATE TABLE IF NOT EXISTS skill_result_cache (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  skill_name VARCHAR(100) NOT NULL,
+  skill_version VARCHAR(50) NOT NULL,
+  cache_key VARCHAR(64) NOT NULL,
+
+  -- Invalidation tags ('profile:<name>', 'document:<id>')
+  dependencies TEXT[] NOT NULL DEFAULT '{}',
+
+  -- Cached outcome
+  result JSONB NOT NULL,
+  meta JSONB NOT NULL DEFAULT '{}',
+  hits INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(tenant_id, skill_name, skill_version, cache_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_result_cache_dependencies ON skill_result_cache USING GIN (dependencies);
+CREATE INDEX IF NOT EXISTS idx_skill_result_cache_expires ON skill_result_cache(expires_at);
+
+ALTER TABLE skill_result_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY skill_result_cache_tenant_isolation ON skill_result_cache
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+CREATE TRIGGER update_skill_result_cache_updated_at BEFORE UPDATE ON skill_result_cache
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  idempotency_key VARCHAR(255) NOT NULL,
+
+  -- Request the key was first used for (method, path and body hash)
+  request_method VARCHAR(10) NOT NULL,
+  request_path TEXT NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+
+  -- Stored response
+  status VARCHAR(20) NOT NULL DEFAULT 'processing'
+    CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(tenant_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY idempotency_keys_tenant_isolation ON idempotency_keys
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+CREATE TRIGGER update_idempotency_keys_updated_at BEFORE UPDATE ON idempotency_keys
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
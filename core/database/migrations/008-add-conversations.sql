@@ -0,0 +1,58 @@
+-- Migration: Persisted chat conversations
+-- Conversations belong to a tenant and, when the caller was signed in, to the
+-- user who started them. Messages keep the full history, including the tool
+-- calls the agent made and their results.
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id VARCHAR(255),
+
+  title VARCHAR(200) NOT NULL,
+  profile_name VARCHAR(255),
+  message_count INTEGER NOT NULL DEFAULT 0,
+  last_message_at TIMESTAMPTZ,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_owner ON conversations(tenant_id, user_id, updated_at DESC);
+
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY conversations_tenant_isolation ON conversations
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  -- Order within the conversation (messages of one turn share created_at)
+  position INTEGER NOT NULL,
+
+  role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+
+  -- Tools the agent called for an assistant message: [{ tool, input, output }]
+  tool_calls JSONB NOT NULL DEFAULT '[]',
+
+  -- Provider, model and token usage of assistant messages
+  metadata JSONB NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(conversation_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_search ON conversation_messages
+  USING GIN (to_tsvector('english', content));
+
+ALTER TABLE conversation_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY conversation_messages_tenant_isolation ON conversation_messages
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
@@ -0,0 +1,34 @@
+-- Migration: Human-in-the-loop approval of agent tool calls
+
+-- Per-role policy for the chat agent calling this skill:
+-- { "*": "auto", "nurse": "require-approval", "billing_specialist": "forbidden" }
+-- ("*" applies to roles without an entry; {} = the skill's default)
+ALTER TABLE tenant_skill_settings ADD COLUMN IF NOT EXISTS agent_policy JSONB NOT NULL DEFAULT '{}';
+
+-- Tool calls the agent paused on, waiting for a user to approve or reject them
+CREATE TABLE IF NOT EXISTS agent_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  -- User whose chat turn made the call
+  user_id VARCHAR(255),
+
+  tool_name VARCHAR(255) NOT NULL,
+  input JSONB NOT NULL DEFAULT '{}',
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+  decided_by VARCHAR(255),
+  decided_at TIMESTAMPTZ,
+  reason TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_actions_conversation ON agent_actions(conversation_id, created_at DESC);
+
+ALTER TABLE agent_actions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY agent_actions_tenant_isolation ON agent_actions
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
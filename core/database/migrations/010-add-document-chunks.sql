@@ -0,0 +1,35 @@
+-- Migration: Retrieval index over document text and extracted fields
+-- Built when a document is processed; chat retrieves the chunks relevant to a
+-- message (BM25 over the stored term counts) instead of sending every document.
+
+CREATE TABLE IF NOT EXISTS document_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+
+  -- Where the chunk comes from: a page of the document text and/or an
+  -- extracted field (transactions[3], summary, ...)
+  page INTEGER,
+  field VARCHAR(255),
+  content TEXT NOT NULL,
+
+  -- term -> occurrences, and the number of terms (BM25 document length)
+  terms JSONB NOT NULL DEFAULT '{}',
+  length INTEGER NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_document ON document_chunks(document_id);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_terms ON document_chunks USING GIN (terms);
+
+ALTER TABLE document_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY document_chunks_tenant_isolation ON document_chunks
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
+
+-- When the document was last indexed (NULL = processed before indexing existed)
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMPTZ;
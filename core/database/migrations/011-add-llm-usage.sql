@@ -0,0 +1,27 @@
+-- Migration: LLM usage per chat turn, for reporting and usage budgets
+-- Budgets are tenant settings (tenants.settings.budgets); see api/services/llm-usage.js
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id VARCHAR(255),
+  -- Usage is kept (and still counts against budgets) when the conversation is deleted
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  -- From the price table in effect when the turn ran
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_tenant ON llm_usage(tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage(tenant_id, user_id, created_at);
+
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY llm_usage_tenant_isolation ON llm_usage
+  USING (tenant_id = current_setting('app.current_tenant_id')::UUID);
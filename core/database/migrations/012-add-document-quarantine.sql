@@ -0,0 +1,10 @@
+-- Migration: quarantine of documents with prompt injection findings
+-- Findings are stored in documents.dlp_findings with category PROMPT_INJECTION;
+-- see security/injection/screener.js
+
+-- Set while indexing under the quarantine policy; quarantined documents have
+-- no chunks and are left out of chat
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS quarantined_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_documents_quarantined ON documents(tenant_id, quarantined_at)
+  WHERE quarantined_at IS NOT NULL;
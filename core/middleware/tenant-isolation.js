@@ -236,6 +236,31 @@ function getTenantByVertical(vertical) {
   return entry ? entry[1] : null;
 }
 
+/**
+ * Get tenant context by id (the same shape as req.tenant)
+ * Used when the tenant comes from a credential rather than the request domain;
+ * the first configured domain of the tenant is its primary one.
+ * @param {string} tenantId - Tenant id
+ * @returns {object|null} Tenant context
+ */
+function getTenantById(tenantId) {
+  const entry = Object.entries(TENANT_CONFIG).find(
+    ([domain, config]) => config.id === tenantId && !domain.includes('localhost')
+  );
+  if (!entry) return null;
+
+  const [domain, config] = entry;
+  return {
+    id: config.id,
+    name: config.name,
+    vertical: config.vertical,
+    features: config.features,
+    compliance: config.compliance,
+    dlpStrictMode: config.dlpStrictMode,
+    domain
+  };
+}
+
 module.exports = {
   tenantMiddleware,
   requireFeature,
@@ -243,5 +268,6 @@ module.exports = {
   getTenantConfig,
   getAllTenantDomains,
   getTenantByVertical,
+  getTenantById,
   TENANT_CONFIG
 };
@@ -0,0 +1,170 @@
+/**
+ * Skill Fixtures
+ * Golden input/expected-output pairs stored next to each skill:
+ *
+ *   verticals/<vertical>/skills/<name>/fixtures/<case>.json
+ *   {
+ *     "description": "What the case covers",
+ *     "input": { ... },              // tenant_id is filled in
+ *     "config": { ... },             // optional tenant configuration overrides
+ *     "expected": { ... },           // skill result, or
+ *     "expectedError": { "code": "INVALID_SKILL_INPUT" }
+ *   }
+ *
+ * Fixtures run with a fixed clock, sequential UUIDs and seeded randomness so
+ * results are byte-for-byte repeatable; UPDATE_FIXTURES=1 rewrites "expected".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DLPScanner = require('../../security/dlp/scanner');
+const EncryptionService = require('../../security/encryption/service');
+
+const FIXTURE_NOW = Date.parse('2024-06-15T12:00:00.000Z');
+const FIXTURE_TENANT_ID = '00000000-0000-0000-0000-00000000f1c7';
+const FIXTURE_SEED = 42;
+const FIXTURE_MASTER_KEY = '0f'.repeat(32);
+
+/**
+ * Fixture cases of a skill, sorted by file name
+ * @returns {Array} [{ name, file, fixture }]
+ */
+function loadFixtures(skill) {
+  if (!skill._path) return [];
+
+  const dir = path.join(path.dirname(skill._path), 'fixtures');
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.json'),
+      file: path.join(dir, file),
+      fixture: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+    }));
+}
+
+/**
+ * Small seeded PRNG (mulberry32) standing in for Math.random
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Replace the clock, UUID generator and random sources with deterministic ones
+ * @param {object} options - { now, seed }
+ * @returns {Function} Restores the originals
+ */
+function installDeterminism({ now = FIXTURE_NOW, seed = FIXTURE_SEED } = {}) {
+  const RealDate = global.Date;
+  const { randomUUID, randomBytes } = crypto;
+  const mathRandom = Math.random;
+  const random = seededRandom(seed);
+  let uuidCounter = 0;
+
+  class FixedDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [now]));
+    }
+
+    static now() {
+      return now;
+    }
+  }
+
+  global.Date = FixedDate;
+  Math.random = random;
+  crypto.randomUUID = () => `00000000-0000-4000-8000-${String(++uuidCounter).padStart(12, '0')}`;
+  crypto.randomBytes = (size, callback) => {
+    // Asynchronous callers (key generation, TLS) keep real randomness
+    if (callback) return randomBytes(size, callback);
+    return Buffer.from(Array.from({ length: size }, () => Math.floor(random() * 256)));
+  };
+
+  return () => {
+    global.Date = RealDate;
+    Math.random = mathRandom;
+    crypto.randomUUID = randomUUID;
+    crypto.randomBytes = randomBytes;
+  };
+}
+
+/**
+ * Services a fixture run gets: the real DLP scanner, encryption under a fixed
+ * key and a database that stores nothing (INSERT ... RETURNING yields one row
+ * with a generated id, every other query yields no rows)
+ */
+function fixtureServices() {
+  return {
+    dlp: new DLPScanner({ strictMode: false }),
+    encryption: new EncryptionService(FIXTURE_MASTER_KEY),
+    audit: { log: async () => ({ logged: true }) },
+    db: {
+      query: async (sql) => ({
+        rows: /^\s*insert[\s\S]*returning/i.test(sql) ? [{ id: crypto.randomUUID() }] : []
+      }),
+      setTenantContext: async () => {}
+    }
+  };
+}
+
+/**
+ * Run one fixture through the registry
+ * @param {object} registry - Skill registry (runs must be inline so the deterministic sources apply)
+ * @param {object} skill - Loaded skill
+ * @param {object} fixture - Parsed fixture file
+ * @returns {object} { result, error, outputValid } with result normalised through JSON
+ */
+async function runFixture(registry, skill, fixture) {
+  const tenant = {
+    id: FIXTURE_TENANT_ID,
+    vertical: skill._vertical,
+    ...(fixture.config && { skillSettings: { [skill.name]: { config: fixture.config } } })
+  };
+
+  const restore = installDeterminism();
+  try {
+    const { result, meta } = await registry.execute(skill.name, fixture.input || {}, {
+      tenant,
+      version: skill.version,
+      ...fixtureServices()
+    });
+    return { result: JSON.parse(JSON.stringify(result ?? null)), outputValid: meta.output_valid };
+  } catch (error) {
+    return { error: { code: error.code || error.name, message: error.message } };
+  } finally {
+    restore();
+  }
+}
+
+/**
+ * Write a run's outcome back into its fixture file (snapshot update)
+ */
+function updateFixture(file, fixture, outcome) {
+  const { expected, expectedError, ...rest } = fixture;
+  const updated = outcome.error
+    ? { ...rest, expectedError: { code: outcome.error.code } }
+    : { ...rest, expected: outcome.result };
+
+  fs.writeFileSync(file, JSON.stringify(updated, null, 2) + '\n');
+  return updated;
+}
+
+module.exports = {
+  loadFixtures,
+  installDeterminism,
+  runFixture,
+  updateFixture,
+  FIXTURE_NOW,
+  FIXTURE_TENANT_ID
+};
@@ -1,12 +1,188 @@
 const fs = require('fs');
 const path = require('path');
+const Ajv = require('ajv');
+
+// Shared Ajv instance: defaults from the schema are written into the input,
+// and every error is collected so callers can report all bad fields at once.
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+
+// Formats used across skill schemas (ajv-formats is not bundled)
+ajv.addFormat('uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i);
+ajv.addFormat('date', /^\d{4}-\d{2}-\d{2}$/);
+ajv.addFormat('date-time', (value) => !isNaN(Date.parse(value)));
+ajv.addFormat('email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/);
+
+// Skill versions are plain semantic versions (MAJOR.MINOR.PATCH with an optional pre-release tag)
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+const DEFAULT_SKILL_VERSION = '1.0.0';
+
+/**
+ * Error raised by the skill layer (unknown skill, timeout, crashed worker, ...)
+ * Carries an HTTP status and error code like the other API errors.
+ */
+class SkillError extends Error {
+  constructor(code, message, status = 500) {
+    super(message);
+    this.name = 'SkillError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const VALIDATION_ERROR_CODES = {
+  input: ['INVALID_SKILL_INPUT', 400],
+  output: ['INVALID_SKILL_OUTPUT', 500],
+  config: ['INVALID_SKILL_CONFIG', 400]
+};
+
+/**
+ * Raised when skill input, tenant config or (in strict mode) output does not match its schema
+ */
+class SkillValidationError extends Error {
+  constructor(skillName, kind, errors) {
+    super(`Invalid ${kind} for skill '${skillName}': ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    this.name = 'SkillValidationError';
+    [this.code, this.status] = VALIDATION_ERROR_CODES[kind];
+    this.skill = skillName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Compare two semantic versions
+ * @returns {number} Negative when a < b, positive when a > b, 0 when equal
+ */
+function compareVersions(a, b) {
+  const [, ...pa] = SEMVER_PATTERN.exec(a);
+  const [, ...pb] = SEMVER_PATTERN.exec(b);
+
+  for (let i = 0; i < 3; i++) {
+    const diff = Number(pa[i]) - Number(pb[i]);
+    if (diff !== 0) return diff;
+  }
+
+  // A pre-release sorts before the release it precedes
+  if (pa[3] === pb[3]) return 0;
+  if (!pa[3]) return 1;
+  if (!pb[3]) return -1;
+  return pa[3] < pb[3] ? -1 : 1;
+}
+
+/**
+ * Require a skill module and turn it into a registry entry
+ */
+function loadSkillModule(executePath, vertical) {
+  const skillModule = require(executePath);
+  const version = skillModule.version || DEFAULT_SKILL_VERSION;
+
+  if (!SEMVER_PATTERN.test(version)) {
+    throw new Error(`invalid version '${version}' (expected MAJOR.MINOR.PATCH)`);
+  }
+
+  return {
+    ...skillModule,
+    ...compileSkillSchemas(skillModule),
+    version,
+    _path: executePath,
+    _vertical: vertical
+  };
+}
+
+/**
+ * Load the archived versions kept next to a skill
+ * (skills/skill-name/versions/1.2.0/execute.js or skills/skill-name/versions/1.2.0.js)
+ * @param {Array} loadErrors - Versions that fail to load are appended here
+ * @returns {object} version -> registry entry
+ */
+function loadArchivedVersions(skillPath, skill, loadErrors = []) {
+  const versionsPath = path.join(skillPath, 'versions');
+  const versions = {};
+
+  if (!fs.existsSync(versionsPath)) return versions;
+
+  for (const entry of fs.readdirSync(versionsPath, { withFileTypes: true })) {
+    const dirVersion = entry.name.replace(/\.js$/, '');
+    const executePath = entry.isDirectory()
+      ? path.join(versionsPath, entry.name, 'execute.js')
+      : path.join(versionsPath, entry.name);
+
+    if (!SEMVER_PATTERN.test(dirVersion) || !fs.existsSync(executePath)) continue;
+
+    try {
+      const archived = loadSkillModule(executePath, skill._vertical);
+
+      if (archived.name !== skill.name || archived.version !== dirVersion) {
+        throw new Error(`declares ${archived.name}@${archived.version}`);
+      }
+      if (archived.version === skill.version) {
+        throw new Error('duplicates the current version');
+      }
+
+      versions[archived.version] = archived;
+    } catch (error) {
+      console.error(`[SKILL-LOADER] ✗ Failed to load ${skill.name}@${dirVersion}:`, error.message);
+      loadErrors.push(loadError(skill._vertical, path.basename(skillPath), executePath, error, dirVersion));
+    }
+  }
+
+  return versions;
+}
+
+/**
+ * Load one skill of a skills directory
+ * Supports folder structure (skill-name/execute.js) and flat files (skill-name.js);
+ * the folder wins if both exist.
+ * @param {string} skillsPath - <vertical>/skills directory
+ * @param {string} vertical - Vertical name
+ * @param {string} skillDir - Skill folder name (or flat file name without .js)
+ * @param {Array} loadErrors - Archived versions that fail to load are appended here
+ * @returns {object|null} Registry entry with _versions, or null when there is no such skill
+ * @throws {Error} When the current version fails to load (error.path is its file)
+ */
+function loadSkillEntry(skillsPath, vertical, skillDir, loadErrors = []) {
+  const folderPath = path.join(skillsPath, skillDir, 'execute.js');
+  const flatPath = path.join(skillsPath, `${skillDir}.js`);
+  const isFolder = fs.existsSync(folderPath);
+  const executePath = isFolder ? folderPath : flatPath;
+
+  if (!isFolder && !fs.existsSync(flatPath)) return null;
+
+  try {
+    const skill = loadSkillModule(executePath, vertical);
+    skill.name = skill.name || skillDir;
+
+    const archived = isFolder ? loadArchivedVersions(path.join(skillsPath, skillDir), skill, loadErrors) : {};
+    skill._versions = { ...archived, [skill.version]: skill };
+    return skill;
+  } catch (error) {
+    error.path = executePath;
+    throw error;
+  }
+}
+
+/**
+ * Describe a skill that failed to load (what the registry reports)
+ */
+function loadError(vertical, skillDir, filePath, error, version = null) {
+  return {
+    vertical,
+    skill: skillDir,
+    version,
+    path: filePath,
+    message: error.message,
+    failedAt: new Date().toISOString()
+  };
+}
 
 /**
  * Auto-discover and load all skills from verticals directory
+ * Each entry is the current version of the skill; `_versions` maps every
+ * loaded version (current and archived) to its entry.
+ * @param {string} verticalsPath - Root directory holding <vertical>/skills
+ * @param {Array} loadErrors - Skills that fail to load are appended here (see loadError)
  */
-function loadAllSkills() {
+function loadAllSkills(verticalsPath = path.join(__dirname, '../../verticals'), loadErrors = []) {
   const skills = {};
-  const verticalsPath = path.join(__dirname, '../../verticals');
 
   // List all verticals (healthcare, finance, enterprise, legal, data)
   const verticals = fs.readdirSync(verticalsPath)
@@ -21,33 +197,40 @@ function loadAllSkills() {
       continue;
     }
 
-    // List all skill directories
-    const skillDirs = fs.readdirSync(skillsPath)
-      .filter(name => fs.statSync(path.join(skillsPath, name)).isDirectory());
+    const skillDirs = new Set();
+    for (const entry of fs.readdirSync(skillsPath, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        skillDirs.add(entry.name);
+      } else if (entry.isFile() && entry.name.endsWith('.js')) {
+        skillDirs.add(entry.name.replace(/\.js$/, ''));
+      }
+    }
 
     for (const skillDir of skillDirs) {
-      const skillPath = path.join(skillsPath, skillDir);
-      const executePath = path.join(skillPath, 'execute.js');
+      try {
+        const skill = loadSkillEntry(skillsPath, vertical, skillDir, loadErrors);
 
-      // Check if execute.js exists
-      if (!fs.existsSync(executePath)) {
-        console.log(`[SKILL-LOADER] Skipping ${skillDir} (no execute.js)`);
-        continue;
-      }
+        if (!skill) {
+          console.log(`[SKILL-LOADER] Skipping ${skillDir} (no execute.js)`);
+          continue;
+        }
 
-      try {
-        const skillModule = require(executePath);
-        const skillName = skillModule.name || skillDir;
+        if (skills[skill.name]) {
+          console.error(`[SKILL-LOADER] ✗ Duplicate skill name ${skill.name} in ${vertical}, keeping ${skills[skill.name]._vertical}`);
+          loadErrors.push(loadError(vertical, skillDir, skill._path, new Error(`duplicate skill name ${skill.name}`)));
+          continue;
+        }
 
-        skills[skillName] = {
-          ...skillModule,
-          _path: executePath,
-          _vertical: vertical
-        };
+        skills[skill.name] = skill;
 
-        console.log(`[SKILL-LOADER] ✓ Loaded ${skillName} (${vertical}, tier ${skillModule.tier})`);
+        const archived = Object.keys(skill._versions).filter(version => version !== skill.version);
+        const archivedNote = archived.length > 0
+          ? `, also ${archived.sort(compareVersions).join(', ')}`
+          : '';
+        console.log(`[SKILL-LOADER] ✓ Loaded ${skill.name}@${skill.version} (${vertical}, tier ${skill.tier}${archivedNote})`);
       } catch (error) {
         console.error(`[SKILL-LOADER] ✗ Failed to load ${skillDir}:`, error.message);
+        loadErrors.push(loadError(vertical, skillDir, error.path, error));
       }
     }
   }
@@ -56,6 +239,123 @@ function loadAllSkills() {
   return skills;
 }
 
+/**
+ * Compile a skill's input/output/config schemas once so execution only runs the validators
+ * @param {object} skillModule - Skill module exporting inputSchema/outputSchema/configSchema
+ * @returns {object} { _validateInput, _validateOutput, _validateConfig } (null when no schema)
+ */
+function compileSkillSchemas(skillModule) {
+  const compile = (schema) => (schema ? ajv.compile(schema) : null);
+
+  return {
+    _validateInput: compile(skillModule.inputSchema),
+    _validateOutput: compile(skillModule.outputSchema),
+    _validateConfig: compile(skillModule.configSchema)
+  };
+}
+
+/**
+ * Convert Ajv errors to { path, message } pairs with JSON-pointer paths
+ */
+function formatSchemaErrors(errors = []) {
+  return errors.map(error => {
+    const path = error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : (error.instancePath || '/');
+
+    return {
+      path,
+      keyword: error.keyword,
+      message: error.message,
+      params: error.params
+    };
+  });
+}
+
+/**
+ * Validate skill input against its inputSchema
+ * Works on a copy so schema defaults never leak into the caller's object.
+ * @param {object} skill - Loaded skill (from loadAllSkills or compileSkillSchemas)
+ * @param {object} input - Raw input
+ * @returns {object} Input with schema defaults applied
+ * @throws {SkillValidationError} When the input does not match
+ */
+function validateInput(skill, input = {}) {
+  const validate = skill._validateInput || compileSkillSchemas(skill)._validateInput;
+  const data = structuredClone(input);
+
+  if (validate && !validate(data)) {
+    throw new SkillValidationError(skill.name, 'input', formatSchemaErrors(validate.errors));
+  }
+
+  return data;
+}
+
+/**
+ * Resolve the configuration a skill runs with: tenant overrides on top of the
+ * defaults in the skill's configSchema
+ * @param {object} skill - Loaded skill
+ * @param {object} overrides - Tenant overrides (partial)
+ * @returns {object} Complete configuration ({} for skills without a configSchema)
+ * @throws {SkillValidationError} When the overrides do not match the configSchema
+ */
+function resolveSkillConfig(skill, overrides = {}) {
+  const validate = skill._validateConfig !== undefined
+    ? skill._validateConfig
+    : compileSkillSchemas(skill)._validateConfig;
+  const config = structuredClone(overrides || {});
+
+  if (!validate) return config;
+
+  if (!validate(config)) {
+    throw new SkillValidationError(skill.name, 'config', formatSchemaErrors(validate.errors));
+  }
+
+  return config;
+}
+
+/**
+ * Check skill output against its outputSchema
+ * Drift is reported, not fatal, unless strict mode is on
+ * (SKILL_OUTPUT_VALIDATION=strict or options.strict).
+ * @param {object} skill - Loaded skill
+ * @param {object} output - Result returned by skill.execute
+ * @param {object} options - { strict }
+ * @returns {object} { valid, errors }
+ * @throws {SkillValidationError} In strict mode when the output does not match
+ */
+function validateOutput(skill, output, options = {}) {
+  const strict = options.strict ?? process.env.SKILL_OUTPUT_VALIDATION === 'strict';
+  const validate = skill._validateOutput || compileSkillSchemas(skill)._validateOutput;
+
+  if (!validate || validate(output)) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = formatSchemaErrors(validate.errors);
+  if (strict) {
+    throw new SkillValidationError(skill.name, 'output', errors);
+  }
+
+  console.warn(`[SKILL-LOADER] Output of ${skill.name} does not match outputSchema:`, errors.map(e => `${e.path} ${e.message}`).join('; '));
+  return { valid: false, errors };
+}
+
+/**
+ * Input schema as external clients send it (OpenAPI, MCP)
+ * tenant_id is always set from the calling tenant, so it is never asked for.
+ */
+function clientInputSchema(inputSchema = { type: 'object', properties: {} }) {
+  const { $schema, ...schema } = structuredClone(inputSchema);
+
+  if (schema.properties) delete schema.properties.tenant_id;
+  if (Array.isArray(schema.required)) {
+    schema.required = schema.required.filter(field => field !== 'tenant_id');
+    if (schema.required.length === 0) delete schema.required;
+  }
+  return schema;
+}
+
 /**
  * Generate tool definitions for Claude
  */
@@ -77,5 +377,15 @@ function generateToolDefinitions(skills, vertical = null) {
 
 module.exports = {
   loadAllSkills,
-  generateToolDefinitions
+  loadSkillEntry,
+  loadError,
+  compareVersions,
+  generateToolDefinitions,
+  compileSkillSchemas,
+  validateInput,
+  validateOutput,
+  resolveSkillConfig,
+  clientInputSchema,
+  SkillError,
+  SkillValidationError
 };
@@ -105,6 +105,34 @@ function AssistantContent({ content }) {
   );
 }
 
+function citationLabel(citation) {
+  const location = [
+    citation.page && `page ${citation.page}`,
+    citation.field
+  ].filter(Boolean).join(', ');
+  return location ? `${citation.filename}, ${location}` : citation.filename;
+}
+
+function Citations({ citations }) {
+  return (
+    <ol className="mt-2 pt-2 border-t border-gray-200 space-y-1 text-xs list-none pl-0">
+      {citations.map((citation) => (
+        <li key={`cite-${citation.ref}`} className="flex gap-1">
+          <span className="text-gray-500">[{citation.ref}]</span>
+          <a
+            href={`/api/v1/documents/${citation.document_id}/content`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-primary-600 hover:underline"
+          >
+            {citationLabel(citation)}
+          </a>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
 function ChatMessage({ message }) {
   const isUser = message.role === 'user';
   const isError = message.role === 'error';
@@ -128,6 +156,7 @@ function ChatMessage({ message }) {
             <AssistantContent content={message.content} />
           )}
         </div>
+        {message.citations?.length > 0 && <Citations citations={message.citations} />}
       </div>
     </div>
   );
@@ -212,10 +212,16 @@ export default function Chat({ user }) {
           role: 'assistant',
           content: response.response,
           toolResults: response.tool_results,
+          citations: response.citations,
           provider: response.provider,
           model: response.model
         }]);
       } else {
+        // A deleted conversation (or one saved by another user) can't be continued; start over
+        if (response.error === 'Conversation not found') {
+          setConversationId(null);
+          localStorage.removeItem('conversationId');
+        }
         setMessages(prev => [...prev, {
           role: 'error',
           content: response.error || 'Something went wrong'
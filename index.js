@@ -15,13 +15,27 @@ const authRoutes = require('./api/routes/auth');
 const documentRoutes = require('./api/routes/documents');
 const profileRoutes = require('./api/routes/profiles');
 const exportsRoutes = require('./api/routes/exports');
+const jobRoutes = require('./api/routes/jobs');
+const workflowRoutes = require('./api/routes/workflows');
+const docsRoutes = require('./api/routes/docs');
+const apiKeyRoutes = require('./api/routes/api-keys');
+const mcpRoutes = require('./api/routes/mcp');
+const metricsRoutes = require('./api/routes/metrics');
+const usageRoutes = require('./api/routes/usage');
+const jobQueue = require('./api/services/job-queue');
+const skillCache = require('./api/services/skill-cache');
+const idempotency = require('./api/services/idempotency');
+const skillWatcher = require('./api/services/skill-watcher');
+const skillSettings = require('./api/services/skill-settings');
 
 // Security services for injection
 const dlpScanner = require('./security/dlp/scanner');
+const PromptInjectionScreener = require('./security/injection/screener');
 const auditLogger = require('./security/audit/logger');
 
 // Initialize security services
 const dlp = new dlpScanner({ strictMode: process.env.DLP_STRICT_MODE === 'true' });
+const injection = new PromptInjectionScreener();
 const audit = new auditLogger({
   connectionString: process.env.DATABASE_URL,
   ssl: (process.env.DATABASE_SSL === 'true' || process.env.NODE_ENV === 'production')
@@ -106,12 +120,16 @@ app.get('/api/v1/debug-path', (req, res) => {
   res.json({ success: true, paths });
 });
 
+// Prometheus metrics (scraped without a tenant host; see api/routes/metrics.js)
+app.use('/metrics', metricsRoutes);
+
 // Tenant isolation (applies to all routes)
 app.use(tenantMiddleware);
 
 // Inject security services into request
 app.use((req, res, next) => {
   req.dlp = dlp;
+  req.injection = injection;
   req.audit = audit;
   req.db = db;
 
@@ -142,11 +160,22 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/v1/health', healthRoutes);
 app.use('/api/v1/auth', authRoutes);
-app.use('/api/v1/chat', chatRoutes);
-app.use('/api/v1/documents', documentRoutes);
+// Routes that run skills load the tenant's skill settings (version pins) first
+const loadSkillSettings = skillSettings.middleware();
+
+app.use('/api/v1/chat', loadSkillSettings, chatRoutes);
+app.use('/api/v1/documents', loadSkillSettings, documentRoutes);
 app.use('/api/v1/profiles', profileRoutes);
-app.use('/api/v1/skills', skillRoutes);
+app.use('/api/v1/skills', loadSkillSettings, skillRoutes);
 app.use('/api/v1/exports', exportsRoutes);
+app.use('/api/v1/jobs', jobRoutes);
+app.use('/api/v1/workflows', loadSkillSettings, workflowRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/usage', loadSkillSettings, usageRoutes);
+// MCP transports authenticate with an API key, which also selects the tenant
+app.use('/api/v1/mcp', mcpRoutes);
+// OpenAPI document (/api/v1/openapi.json) and docs page (/api/v1/docs)
+app.use('/api/v1', docsRoutes);
 
 // Serve dashboard (React app) - Served from ui-dist folder
 const dashboardPath = path.join(process.cwd(), 'ui-dist');
@@ -189,6 +218,7 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing server gracefully...');
+  await jobQueue.stop();
   await db.close();
   process.exit(0);
 });
@@ -202,6 +232,20 @@ async function start() {
       throw new Error('Database connection failed');
     }
 
+    // Pick up asynchronous skill jobs
+    jobQueue.start();
+
+    // Drop expired cached skill results and idempotency keys hourly
+    setInterval(() => {
+      Promise.all([skillCache.purgeExpired(), idempotency.purgeExpired()])
+        .catch(error => console.error('[CACHE] Purge failed:', error.message));
+    }, 60 * 60 * 1000).unref();
+
+    // Reload edited skills without a restart (development only; SKILL_HOT_RELOAD=off disables it)
+    if (process.env.NODE_ENV !== 'production' && process.env.SKILL_HOT_RELOAD !== 'off') {
+      skillWatcher.start();
+    }
+
     app.listen(PORT, BIND_ADDRESS, () => {
       console.log('🚀 Multi-Vertical AI Platform');
       console.log(`📍 Server running on ${BIND_ADDRESS}:${PORT}`);
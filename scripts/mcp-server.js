@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * MCP server over stdio
+ * Publishes a tenant's skills as MCP tools to a local client. The tenant comes
+ * from the API key (VP_API_KEY or --api-key); messages are newline-delimited
+ * JSON-RPC on stdin/stdout.
+ *
+ * Usage: VP_API_KEY=vpk_... node scripts/mcp-server.js
+ */
+
+// stdout carries protocol messages only, so route logging to stderr
+console.log = console.error;
+console.info = console.error;
+
+require('dotenv').config();
+const readline = require('readline');
+const apiKeys = require('../api/services/api-keys');
+const mcpServer = require('../api/services/mcp-server');
+const { getTenantById } = require('../core/middleware/tenant-isolation');
+
+function readApiKey() {
+    const index = process.argv.indexOf('--api-key');
+    return index > -1 ? process.argv[index + 1] : process.env.VP_API_KEY;
+}
+
+function fail(message) {
+    console.error(`MCP server: ${message}`);
+    process.exit(1);
+}
+
+async function main() {
+    const key = readApiKey();
+    if (!key) fail('set VP_API_KEY or pass --api-key');
+
+    const row = await apiKeys.authenticate(key);
+    if (!row) fail('API key is invalid, expired or revoked');
+    if (!(row.scopes || []).includes('mcp')) fail("API key does not have the 'mcp' scope");
+
+    const tenant = getTenantById(row.tenant_id);
+    if (!tenant) fail('API key belongs to a tenant that is not configured');
+
+    const session = mcpServer.createSession({ tenant, apiKey: apiKeys.format(row) });
+    const input = readline.createInterface({ input: process.stdin });
+    const pending = new Set();
+
+    // Requests are handled concurrently so a long tool call can still be cancelled
+    input.on('line', (line) => {
+        if (!line.trim()) return;
+
+        const handling = mcpServer.handleText(session, line).then((reply) => {
+            if (reply) process.stdout.write(JSON.stringify(reply) + '\n');
+        });
+        pending.add(handling);
+        handling.finally(() => pending.delete(handling));
+    });
+
+    input.on('close', async () => {
+        await Promise.allSettled(pending);
+        mcpServer.closeSession(session);
+        process.exit(0);
+    });
+
+    console.error(`MCP server ready for ${tenant.name} (${tenant.vertical})`);
+}
+
+main().catch(error => fail(error.message));
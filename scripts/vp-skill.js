@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/**
+ * vp-skill - run platform skills from the command line
+ * No Express, Host header or tenant setup needed: skills run with the registry's
+ * local mock context (DLP, audit, database), or against a real database with --db.
+ *
+ *   vp-skill list [--vertical finance]
+ *   vp-skill schema tax-categorize
+ *   vp-skill run tax-categorize --input verticals/finance/skills/tax-categorize/fixtures/bank-export.csv --format table
+ *   vp-skill run tax-categorize --input bank-jan.csv --input bank-feb.csv --format ndjson > categorized.ndjson
+ *   vp-skill run anomaly-detect --input fixture.json --set sensitivity=high --format ndjson
+ *
+ * Exit codes: 0 success, 1 a run failed, 2 usage error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: vp-skill <command> [options]
+
+Commands:
+  list                      List skills (--vertical to filter)
+  schema <skill>            Print input, output and config schemas
+  run <skill>               Run a skill on one or more input files
+
+Run options:
+  -i, --input <file>        JSON or CSV input; repeat to batch-run several files ('-' reads stdin JSON)
+  -f, --field <name>        Input field CSV rows go into (default: the first array field of the schema)
+  -s, --set <key=value>     Extra input value, parsed as JSON when possible; repeatable
+  -c, --config <file>       JSON configuration overrides (as tenant skill settings would apply)
+      --version <x.y.z>     Run an archived version of the skill
+      --tenant <id>         Tenant id passed to the skill (default: the vertical's tenant)
+      --db <url>            Run against a real database instead of the mock context
+      --inline              Run on this thread instead of an isolated worker
+
+Output options:
+  -o, --format <format>     json (default), table or ndjson
+      --out <file>          Write output to a file instead of stdout
+`;
+
+const OPTIONS = {
+    input: { type: 'string', short: 'i', multiple: true },
+    field: { type: 'string', short: 'f' },
+    set: { type: 'string', short: 's', multiple: true },
+    config: { type: 'string', short: 'c' },
+    version: { type: 'string' },
+    tenant: { type: 'string' },
+    db: { type: 'string' },
+    inline: { type: 'boolean' },
+    vertical: { type: 'string' },
+    format: { type: 'string', short: 'o', default: 'json' },
+    out: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const FORMATS = ['json', 'table', 'ndjson'];
+const LOCAL_TENANT_ID = '00000000-0000-0000-0000-000000000000';
+const MAX_CELL_WIDTH = 40;
+
+class UsageError extends Error {}
+
+/**
+ * Parse CSV text into row objects (RFC 4180 quoting, header row required)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    const keys = header.map(h => h.replace(/^\uFEFF/, '').trim());
+    return records.map(record => Object.fromEntries(keys.map((key, i) => [key, record[i] ?? ''])));
+}
+
+/**
+ * 'Posting Date' -> 'posting_date'
+ */
+function normalizeKey(key) {
+    return key.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Map CSV rows onto a schema's item properties: match column names loosely and
+ * convert numbers and booleans ("-1,234.50" -> -1234.5) where the schema asks for them
+ */
+function coerceRows(rows, itemSchema = {}) {
+    const properties = itemSchema.properties || {};
+    const byNormalized = Object.fromEntries(Object.keys(properties).map(name => [normalizeKey(name), name]));
+
+    return rows.map(row => {
+        const item = {};
+        for (const [column, raw] of Object.entries(row)) {
+            const key = byNormalized[normalizeKey(column)] || normalizeKey(column);
+            const types = [].concat(properties[key]?.type || 'string');
+            const value = raw.trim();
+
+            if (value === '' && !types.includes('string')) continue;
+
+            if ((types.includes('number') || types.includes('integer')) && /^[-+(]?[$€£]?[\d,]*\.?\d+\)?$/.test(value)) {
+                const number = Number(value.replace(/[$€£,()]/g, ''));
+                item[key] = /^\(.*\)$/.test(value) ? -number : number;
+            } else if (types.includes('boolean') && /^(true|false)$/i.test(value)) {
+                item[key] = value.toLowerCase() === 'true';
+            } else {
+                item[key] = value;
+            }
+        }
+        return item;
+    });
+}
+
+/**
+ * Input field CSV rows are placed in: --field, else the first array property of the schema
+ */
+function csvField(skill, field = null) {
+    const properties = skill.inputSchema?.properties || {};
+    if (field) return field;
+
+    const arrayField = Object.keys(properties).find(name => properties[name]?.type === 'array');
+    if (!arrayField) {
+        throw new UsageError(`${skill.name} has no array input for CSV rows; pass --field`);
+    }
+    return arrayField;
+}
+
+/**
+ * Read one input file into a skill input object
+ */
+function readInput(file, skill, options = {}) {
+    const text = file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+
+    if (file !== '-' && path.extname(file).toLowerCase() === '.csv') {
+        const field = csvField(skill, options.field);
+        const itemSchema = skill.inputSchema?.properties?.[field]?.items;
+        return { [field]: coerceRows(parseCsv(text), itemSchema) };
+    }
+
+    const input = JSON.parse(text);
+    // A bare array is taken as the rows of the array field (same as CSV)
+    return Array.isArray(input) ? { [csvField(skill, options.field)]: input } : input;
+}
+
+/**
+ * --set key=value pairs; values are JSON when they parse, strings otherwise
+ */
+function parseSets(sets = []) {
+    const values = {};
+    for (const pair of sets) {
+        const index = pair.indexOf('=');
+        if (index < 1) throw new UsageError(`--set expects key=value, got '${pair}'`);
+
+        const raw = pair.slice(index + 1);
+        try {
+            values[pair.slice(0, index)] = JSON.parse(raw);
+        } catch (error) {
+            values[pair.slice(0, index)] = raw;
+        }
+    }
+    return values;
+}
+
+/**
+ * Rows a table shows: the first array of objects in the value, else the value itself
+ */
+function tableRows(value) {
+    if (Array.isArray(value)) return value.map(v => (v && typeof v === 'object' ? v : { value: v }));
+    if (value && typeof value === 'object') {
+        const list = Object.values(value).find(v => Array.isArray(v) && v.length > 0 && typeof v[0] === 'object');
+        if (list) return list;
+        return Object.entries(value).map(([key, v]) => ({ key, value: v }));
+    }
+    return [{ value }];
+}
+
+function formatTable(rows) {
+    if (rows.length === 0) return '(no rows)\n';
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cell = (value) => {
+        const text = value === undefined || value === null ? ''
+            : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > MAX_CELL_WIDTH ? text.slice(0, MAX_CELL_WIDTH - 1) + '…' : text;
+    };
+    const cells = rows.map(row => columns.map(column => cell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(r => r[i].length)));
+    const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [line(columns), line(widths.map(w => '-'.repeat(w))), ...cells.map(line)].join('\n') + '\n';
+}
+
+/**
+ * Render run outcomes ({ file, ok, result, meta, error }) in the requested format
+ */
+function formatRuns(runs, format) {
+    if (format === 'ndjson') {
+        return runs.map(run => JSON.stringify(run)).join('\n') + '\n';
+    }
+
+    if (format === 'table') {
+        return runs.map(run => {
+            const title = `# ${run.file || 'input'} (${run.ok ? `${run.meta.skill}@${run.meta.version}, ${run.meta.duration_ms}ms` : 'failed'})\n`;
+            return title + (run.ok ? formatTable(tableRows(run.result)) : `${run.error.code}: ${run.error.message}\n`);
+        }).join('\n');
+    }
+
+    return JSON.stringify(runs.length === 1 ? runs[0] : runs, null, 2) + '\n';
+}
+
+function loadRegistry(options) {
+    if (options.db) process.env.DATABASE_URL = options.db;
+    if (options.inline) process.env.SKILL_ISOLATION = 'inline';
+
+    const registry = require('../api/services/skill-registry');
+    registry.load();
+    return registry;
+}
+
+function listSkills(registry, options) {
+    const skills = registry.list(options.vertical || null).map(skill => {
+        const { inputSchema, outputSchema, ...summary } = registry.describe(skill);
+        return summary;
+    });
+
+    if (options.format === 'table') {
+        return formatTable(skills.map(({ versions, ...s }) => ({ ...s, versions: versions.join(', ') })));
+    }
+    if (options.format === 'ndjson') return skills.map(s => JSON.stringify(s)).join('\n') + '\n';
+    return JSON.stringify(skills, null, 2) + '\n';
+}
+
+function printSchema(registry, skillName, options) {
+    const skill = registry.get(skillName, null, options.version || null);
+
+    return JSON.stringify({
+        name: skill.name,
+        version: skill.version,
+        inputSchema: skill.inputSchema || null,
+        outputSchema: skill.outputSchema || null,
+        configSchema: skill.configSchema || null
+    }, null, 2) + '\n';
+}
+
+/**
+ * Tenant the skill runs as: --tenant, else the vertical's configured tenant, else a local one
+ */
+function buildTenant(skill, options, config) {
+    const { getTenantById, getTenantByVertical } = require('../core/middleware/tenant-isolation');
+    const configured = options.tenant ? getTenantById(options.tenant) : null;
+    const verticalTenant = getTenantByVertical(skill._vertical);
+
+    return {
+        id: options.tenant || verticalTenant?.id || LOCAL_TENANT_ID,
+        name: configured?.name || verticalTenant?.name || 'Local',
+        vertical: skill._vertical,
+        ...(config && { skillSettings: { [skill.name]: { config } } })
+    };
+}
+
+async function runSkill(registry, skillName, options) {
+    const skill = registry.get(skillName, null, options.version || null);
+    const inputs = options.input?.length ? options.input : [null];
+    const extra = parseSets(options.set);
+    const config = options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : null;
+    const tenant = buildTenant(skill, options, config);
+    const db = options.db ? require('../core/database/connection') : undefined;
+
+    const runs = [];
+    for (const file of inputs) {
+        try {
+            const input = { ...(file ? readInput(file, skill, options) : {}), ...extra };
+            const { result, meta } = await registry.execute(skillName, input, {
+                tenant,
+                db,
+                version: options.version || null
+            });
+            runs.push({ file, ok: true, result, meta });
+        } catch (error) {
+            runs.push({
+                file,
+                ok: false,
+                error: {
+                    code: error.code || 'SKILL_EXECUTION_ERROR',
+                    message: error.message,
+                    ...(error.errors && { errors: error.errors })
+                }
+            });
+        }
+    }
+
+    if (db) await db.close();
+    return runs;
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, skillName] = positionals;
+
+    if (options.help || !command) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (['schema', 'run'].includes(command) && !skillName) {
+        throw new UsageError(`${command} needs a skill name`);
+    }
+
+    // Skill loading and mock services log to stdout; keep stdout for results
+    console.log = console.error;
+
+    const registry = loadRegistry(options);
+    let output;
+    let exitCode = 0;
+
+    try {
+        if (command === 'list') {
+            output = listSkills(registry, options);
+        } else if (command === 'schema') {
+            output = printSchema(registry, skillName, options);
+        } else if (command === 'run') {
+            const runs = await runSkill(registry, skillName, options);
+            output = formatRuns(runs, options.format);
+            exitCode = runs.every(run => run.ok) ? 0 : 1;
+        } else {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+    } finally {
+        if (registry.pool) await registry.pool.destroy();
+    }
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return exitCode;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+            console.error(`vp-skill: ${error.message}`);
+            if (usage) console.error('Run vp-skill --help for usage.');
+            process.exit(usage ? 2 : 1);
+        });
+}
+
+module.exports = {
+    main,
+    parseCsv,
+    coerceRows,
+    parseSets,
+    formatTable,
+    tableRows
+};
@@ -5,6 +5,15 @@
 
 const { Pool } = require('pg');
 
+// Audit actions that count towards skill statistics (getSkillStats)
+const SKILL_RUN_ACTIONS = {
+  succeeded: ['SKILL_EXECUTION_SUCCESS'],
+  dryRuns: ['SKILL_DRY_RUN'],
+  cached: ['SKILL_RESULT_CACHED'],
+  failed: ['SKILL_EXECUTION_ERROR', 'SKILL_ERROR'],
+  blocked: ['SKILL_EXECUTION_BLOCKED']
+};
+
 class AuditLogger {
   constructor(dbConfig) {
     this.pool = new Pool(dbConfig);
@@ -31,6 +40,7 @@ class AuditLogger {
           resource_type VARCHAR(100),
           resource_id VARCHAR(255),
           skill_name VARCHAR(100),
+          skill_version VARCHAR(50),
 
           -- Request details
           ip_address INET,
@@ -75,6 +85,9 @@ class AuditLogger {
         CREATE INDEX IF NOT EXISTS idx_audit_skill_name
           ON ${this.tableName}(skill_name) WHERE skill_name IS NOT NULL;
 
+        -- Added after the first release; tables created earlier lack it
+        ALTER TABLE ${this.tableName} ADD COLUMN IF NOT EXISTS skill_version VARCHAR(50);
+
         CREATE INDEX IF NOT EXISTS idx_audit_phi_detected
           ON ${this.tableName}(phi_detected) WHERE phi_detected = TRUE;
 
@@ -111,6 +124,7 @@ class AuditLogger {
       resourceType = null,
       resourceId = null,
       skillName = null,
+      skillVersion = null,
       ipAddress = null,
       userAgent = null,
       requestMethod = null,
@@ -139,17 +153,17 @@ class AuditLogger {
           skill_name, ip_address, user_agent, request_method, request_path,
           request_body_hash, response_status, response_body_hash, duration_ms,
           dlp_findings, phi_detected, pii_detected, data_classification,
-          retention_period, error_message, error_stack
+          retention_period, error_message, error_stack, skill_version
         ) VALUES (
           $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
-          $16, $17, $18, $19, $20, $21, $22
+          $16, $17, $18, $19, $20, $21, $22, $23
         ) RETURNING id`,
         [
           tenantId, userId, sessionId, action, resourceType, resourceId,
           skillName, ipAddress, userAgent, requestMethod, requestPath,
           requestBodyHash, responseStatus, responseBodyHash, durationMs,
           JSON.stringify(dlpFindings), phiDetected, piiDetected,
-          dataClassification, retentionPeriod, errorMessage, errorStack
+          dataClassification, retentionPeriod, errorMessage, errorStack, skillVersion
         ]
       );
 
@@ -265,6 +279,7 @@ class AuditLogger {
       userId = null,
       action = null,
       skillName = null,
+      skillVersion = null,
       resourceType = null,
       startDate = null,
       endDate = null,
@@ -300,6 +315,12 @@ class AuditLogger {
       paramIndex++;
     }
 
+    if (skillVersion) {
+      conditions.push(`skill_version = $${paramIndex}`);
+      params.push(skillVersion);
+      paramIndex++;
+    }
+
     if (resourceType) {
       conditions.push(`resource_type = $${paramIndex}`);
       params.push(resourceType);
@@ -413,6 +434,70 @@ class AuditLogger {
     }
   }
 
+  /**
+   * Execution statistics of one skill, overall and per version
+   * Runs are SKILL_EXECUTION_SUCCESS, SKILL_DRY_RUN, SKILL_RESULT_CACHED and the
+   * error actions; latency percentiles cover runs that executed (not cached ones).
+   * @param {object} filters - { tenantId, skillName, startDate, endDate }
+   * @returns {object} { total, versions: [{ version, ... }] } with executions, succeeded,
+   *   dryRuns, cached, failed, blocked, errorRate, dlpBlockRate, p50Ms and p95Ms
+   */
+  async getSkillStats(filters) {
+    await this.init();
+
+    const { tenantId, skillName, startDate, endDate } = filters;
+
+    if (!tenantId || !skillName) {
+      throw new Error('tenantId and skillName are required for skill stats');
+    }
+
+    const conditions = ['tenant_id = $1', 'skill_name = $2', 'action = ANY($3)'];
+    const params = [tenantId, skillName, Object.values(SKILL_RUN_ACTIONS).flat()];
+    let paramIndex = 4;
+
+    if (startDate) {
+      conditions.push(`created_at >= $${paramIndex}`);
+      params.push(startDate);
+      paramIndex++;
+    }
+
+    if (endDate) {
+      conditions.push(`created_at <= $${paramIndex}`);
+      params.push(endDate);
+      paramIndex++;
+    }
+
+    const executed = `action IN ('${[...SKILL_RUN_ACTIONS.succeeded, ...SKILL_RUN_ACTIONS.dryRuns, ...SKILL_RUN_ACTIONS.failed].join("', '")}')`;
+    const counts = Object.entries(SKILL_RUN_ACTIONS)
+      .map(([name, actions]) => `COUNT(*) FILTER (WHERE action IN ('${actions.join("', '")}')) as ${name}`);
+
+    const query = `
+      SELECT
+        skill_version,
+        GROUPING(skill_version) as is_total,
+        ${counts.join(',\n        ')},
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY duration_ms) FILTER (WHERE ${executed}) as p50_ms,
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY duration_ms) FILTER (WHERE ${executed}) as p95_ms
+      FROM ${this.tableName}
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY GROUPING SETS ((skill_version), ())
+      ORDER BY is_total DESC, skill_version
+    `;
+
+    try {
+      const result = await this.pool.query(query, params);
+      const [totalRow, ...versionRows] = result.rows;
+
+      return {
+        total: formatSkillStats(totalRow),
+        versions: versionRows.map(row => ({ version: row.skill_version, ...formatSkillStats(row) }))
+      };
+    } catch (error) {
+      console.error('Failed to get skill stats:', error);
+      throw error;
+    }
+  }
+
   /**
    * Export audit logs for compliance reporting
    * @param {object} filters - Export filters
@@ -463,4 +548,29 @@ class AuditLogger {
   }
 }
 
+/**
+ * Counts, rates and percentiles of a getSkillStats row (pg returns counts as strings)
+ */
+function formatSkillStats(row = {}) {
+  const count = (name) => Number(row[name.toLowerCase()] || 0);
+  const percentile = (value) => (value === null || value === undefined ? null : Math.round(Number(value)));
+
+  const executions = count('succeeded') + count('dryRuns') + count('cached') + count('failed');
+  const blocked = count('blocked');
+
+  return {
+    executions,
+    succeeded: count('succeeded'),
+    dryRuns: count('dryRuns'),
+    cached: count('cached'),
+    failed: count('failed'),
+    blocked,
+    errorRate: executions > 0 ? count('failed') / executions : 0,
+    dlpBlockRate: executions + blocked > 0 ? blocked / (executions + blocked) : 0,
+    p50Ms: percentile(row.p50_ms),
+    p95Ms: percentile(row.p95_ms)
+  };
+}
+
 module.exports = AuditLogger;
+module.exports.SKILL_RUN_ACTIONS = SKILL_RUN_ACTIONS;
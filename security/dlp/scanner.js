@@ -247,7 +247,8 @@ class DLPScanner {
     const {
       context = 'default',
       redactionStyle = 'mask', // mask, remove, hash, tokenize
-      preserveFormat = false // preserve string length/format
+      preserveFormat = false, // preserve string length/format
+      includeMatches = false // whether to include the original text in redactions
     } = options;
 
     let redactedText = text;
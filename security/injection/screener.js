@@ -0,0 +1,167 @@
+/**
+ * Prompt Injection Screener
+ * Detects instruction-like content (prompt injection, jailbreak phrasing) in
+ * untrusted text that reaches the agent: document text, extracted fields and
+ * tool results. A policy decides what happens to content with findings:
+ *   quarantine - withhold it (documents are kept out of chat)
+ *   strip      - remove the sentences that contain instructions
+ *   warn       - keep it, only record the findings
+ * PROMPT_INJECTION_POLICY sets the default policy (strip).
+ */
+
+const POLICIES = ['quarantine', 'strip', 'warn'];
+
+// Finding action per policy, in the DLP scanner's vocabulary
+const POLICY_ACTIONS = {
+  quarantine: 'BLOCK',
+  strip: 'REDACT',
+  warn: 'WARN'
+};
+
+const STRIPPED = '[removed: possible prompt injection]';
+
+// Detection patterns for instructions aimed at the model
+const PATTERNS = {
+  ignoreInstructions: {
+    regex: /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+|my\s+)?(?:previous|prior|above|earlier|preceding|original|system)\s+(?:instructions?|prompts?|rules|directions|directives|guidelines|messages?)\b/gi,
+    description: 'Instruction to ignore previous instructions',
+    severity: 'HIGH'
+  },
+  roleOverride: {
+    regex: /\b(?:you\s+are\s+now\s+(?:an?\s+)?(?:unrestricted|unfiltered|uncensored|different|new)\s+(?:ai|assistant|model|chatbot|persona)|you\s+are\s+now\s+in\s+[\w-]+\s+mode|you\s+are\s+no\s+longer\s+(?:an?\s+)?(?:ai|assistant|bound\s+by)|pretend\s+(?:to\s+be|you\s+are)\s+(?:an?\s+)?(?:ai|assistant|model|different|unrestricted)|your\s+new\s+(?:role|instructions|task)\s+(?:is|are))\b/gi,
+    description: 'Attempt to change the assistant role',
+    severity: 'HIGH'
+  },
+  jailbreak: {
+    regex: /\b(?:jailbreak|jailbroken|DAN\s+mode|do\s+anything\s+now|developer\s+mode|without\s+(?:any\s+)?(?:restrictions|filters|safety\s+rules)|bypass\s+(?:your\s+|the\s+)?(?:safety|rules|restrictions|filters|guardrails))\b/gi,
+    description: 'Jailbreak phrasing',
+    severity: 'HIGH'
+  },
+  promptExfiltration: {
+    regex: /\b(?:reveal|print|repeat|output|leak|disclose)\s+(?:your|the)\s+(?:system\s+prompt|initial\s+prompt|hidden\s+instructions|instructions)\b/gi,
+    description: 'Request to reveal the system prompt',
+    severity: 'MEDIUM'
+  },
+  toolDirective: {
+    regex: /\b(?:call|invoke|execute|trigger)\s+(?:the\s+)?[\w-]+\s+(?:tool|function)\b|\b(?:export|delete|remove|send|email|upload|transfer|share)\s+(?:all|every)\s+(?:of\s+the\s+)?(?:profiles?|documents?|records?|data|files?|clients?|patients?|accounts?)\b/gi,
+    description: 'Directive to call tools or move data',
+    severity: 'HIGH'
+  },
+  roleMarkup: {
+    regex: /<\/?(?:system|assistant|instructions?)>|<\|im_(?:start|end)\|>|\[\/?INST\]|^\s*#{1,3}\s*(?:system|new\s+instructions)\b/gim,
+    description: 'Chat role markup',
+    severity: 'MEDIUM'
+  }
+};
+
+class PromptInjectionScreener {
+  constructor(config = {}) {
+    this.patterns = { ...PATTERNS, ...config.customPatterns };
+    this.policy = config.policy || process.env.PROMPT_INJECTION_POLICY || 'strip';
+
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`Invalid prompt injection policy '${this.policy}' (use one of: ${POLICIES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Scan text for instruction-like content
+   * @param {string} text - Text to scan
+   * @param {object} options - { policy } (sets the action of the findings)
+   * @returns {object} Scan results
+   */
+  scan(text, options = {}) {
+    if (typeof text !== 'string') {
+      return { findings: [], hasInjection: false, totalMatches: 0 };
+    }
+
+    const { policy = this.policy } = options;
+    const findings = [];
+    let totalMatches = 0;
+
+    for (const [type, pattern] of Object.entries(this.patterns)) {
+      const matches = text.match(pattern.regex);
+
+      if (matches && matches.length > 0) {
+        totalMatches += matches.length;
+        findings.push({
+          type,
+          description: pattern.description,
+          count: matches.length,
+          severity: pattern.severity,
+          action: POLICY_ACTIONS[policy],
+          categories: ['PROMPT_INJECTION']
+        });
+      }
+    }
+
+    return {
+      findings,
+      hasInjection: totalMatches > 0,
+      totalMatches,
+      scannedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Remove the sentences (or lines) of text that contain instructions
+   */
+  strip(text) {
+    if (typeof text !== 'string') return text;
+
+    const bySentence = text.replace(/[^\n]*?[.!?]+(?=\s|$)|[^\n]+/g, (sentence) =>
+      this.scan(sentence).hasInjection ? sentence.match(/^\s*/)[0] + STRIPPED : sentence);
+
+    // Matches that span sentences or lines
+    return Object.values(this.patterns)
+      .reduce((result, pattern) => result.replace(pattern.regex, STRIPPED), bySentence);
+  }
+
+  /**
+   * Screen a string, or every string of an object, and apply the policy
+   * @param {*} value - Text or tool output
+   * @param {object} options - { policy }
+   * @returns {object} { findings, action: null|'quarantined'|'stripped'|'warned', value }
+   *   value is null when quarantined
+   */
+  screen(value, options = {}) {
+    const { policy = this.policy } = options;
+    const counts = new Map(); // type -> finding
+
+    for (const text of strings(value)) {
+      for (const finding of this.scan(text, { policy }).findings) {
+        const seen = counts.get(finding.type);
+        counts.set(finding.type, seen ? { ...seen, count: seen.count + finding.count } : finding);
+      }
+    }
+
+    const findings = [...counts.values()];
+    if (findings.length === 0) return { findings, action: null, value };
+    if (policy === 'quarantine') return { findings, action: 'quarantined', value: null };
+    if (policy === 'strip') return { findings, action: 'stripped', value: mapStrings(value, text => this.strip(text)) };
+    return { findings, action: 'warned', value };
+  }
+}
+
+/**
+ * Every string in a value
+ */
+function strings(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(strings);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(strings);
+  return [];
+}
+
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+module.exports = PromptInjectionScreener;
+module.exports.POLICIES = POLICIES;
+module.exports.STRIPPED = STRIPPED;
@@ -9,6 +9,7 @@ module.exports = {
     description: 'Detect unusual patterns, potential fraud, and compliance issues in financial transactions',
     vertical: 'finance',
     tier: 1,
+    version: '1.0.0',
 
     inputSchema: {
         type: 'object',
@@ -40,6 +41,36 @@ module.exports = {
         required: ['transactions', 'tenant_id']
     },
 
+    configSchema: {
+        type: 'object',
+        properties: {
+            thresholds: {
+                type: 'object',
+                description: 'Per-sensitivity overrides of the built-in detection thresholds',
+                properties: {
+                    low: { $ref: '#/$defs/levelThresholds' },
+                    medium: { $ref: '#/$defs/levelThresholds' },
+                    high: { $ref: '#/$defs/levelThresholds' }
+                },
+                additionalProperties: false
+            }
+        },
+        additionalProperties: false,
+        $defs: {
+            levelThresholds: {
+                type: 'object',
+                properties: {
+                    amountZScore: { type: 'number', exclusiveMinimum: 0 },
+                    roundNumberThreshold: { type: 'number', minimum: 0 },
+                    duplicateTimeWindow: { type: 'integer', minimum: 0 },
+                    velocityMultiplier: { type: 'number', exclusiveMinimum: 0 },
+                    splitThreshold: { type: 'number', minimum: 0 }
+                },
+                additionalProperties: false
+            }
+        }
+    },
+
     outputSchema: {
         type: 'object',
         properties: {
@@ -52,7 +83,7 @@ module.exports = {
     },
 
     async execute(context) {
-        const { input, dlp, audit } = context;
+        const { input, dlp, audit, config = {} } = context;
         const {
             transactions,
             historical_transactions = [],
@@ -76,7 +107,7 @@ module.exports = {
 
         // 3. Run all anomaly detection rules
         const alerts = [];
-        const sensitivityThresholds = getSensitivityThresholds(sensitivity);
+        const sensitivityThresholds = getSensitivityThresholds(sensitivity, config.thresholds);
 
         // Rule 1: Unusual amounts
         alerts.push(...detectUnusualAmounts(transactions, baseline, sensitivityThresholds));
@@ -145,9 +176,9 @@ module.exports = {
 };
 
 /**
- * Sensitivity thresholds for different levels
+ * Sensitivity thresholds for different levels, with the tenant's overrides applied
  */
-function getSensitivityThresholds(sensitivity) {
+function getSensitivityThresholds(sensitivity, overrides = {}) {
     const thresholds = {
         low: {
             amountZScore: 3.0,
@@ -171,7 +202,8 @@ function getSensitivityThresholds(sensitivity) {
             splitThreshold: 8000
         }
     };
-    return thresholds[sensitivity] || thresholds.medium;
+    const level = thresholds[sensitivity] ? sensitivity : 'medium';
+    return { ...thresholds[level], ...overrides[level] };
 }
 
 /**
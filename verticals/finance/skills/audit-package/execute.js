@@ -9,6 +9,7 @@ module.exports = {
     description: 'Generate comprehensive audit documentation packages for compliance reviews',
     vertical: 'finance',
     tier: 1,
+    version: '1.0.0',
 
     inputSchema: {
         type: 'object',
@@ -55,7 +56,7 @@ module.exports = {
     },
 
     async execute(context) {
-        const { input, dlp, audit, db } = context;
+        const { input, dlp, audit, db, progress } = context;
         const {
             client_id,
             tenant_id,
@@ -85,7 +86,7 @@ module.exports = {
         const sections = [];
         const packageId = crypto.randomUUID();
 
-        for (const sectionName of sectionsToInclude) {
+        for (const [index, sectionName] of sectionsToInclude.entries()) {
             const section = await generateSection(
                 sectionName,
                 { client_id, period, transactions, accounts, journal_entries, audit_type }
@@ -93,6 +94,12 @@ module.exports = {
             if (section) {
                 sections.push(section);
             }
+            // Sections are most of the work; compliance checks and the summary take the last 10%
+            progress?.(
+                (index + 1) / sectionsToInclude.length * 90,
+                `Built ${index + 1}/${sectionsToInclude.length} sections`,
+                section ? { section: section.name, status: section.status } : undefined
+            );
         }
 
         // 4. Run compliance checks
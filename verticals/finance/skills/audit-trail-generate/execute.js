@@ -5,6 +5,7 @@ module.exports = {
   description: 'Generate immutable audit trails for transactions',
   vertical: 'finance',
   tier: 1,
+  version: '1.0.0',
 
   inputSchema: {
     type: 'object',
@@ -5,6 +5,8 @@ module.exports = {
   description: 'Synchronize and reconcile bank statements with ledger',
   vertical: 'finance',
   tier: 1,
+  version: '1.0.0',
+  cache: { ttlSeconds: 3600 },
 
   inputSchema: {
     type: 'object',
@@ -5,6 +5,7 @@ module.exports = {
   description: 'Analyze and flag budget vs actual variances',
   vertical: 'finance',
   tier: 2,
+  version: '1.0.0',
 
   inputSchema: {
     type: 'object',
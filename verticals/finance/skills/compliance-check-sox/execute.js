@@ -18,6 +18,20 @@ module.exports = {
   description: 'Validate workflows against SOX compliance rules',
   vertical: 'finance',
   tier: 2,
+  version: '1.0.0',
+
+  configSchema: {
+    type: 'object',
+    properties: {
+      approval_limit: {
+        type: 'number',
+        minimum: 0,
+        default: 1000,
+        description: 'SOX-002: transactions above this amount need an approver'
+      }
+    },
+    additionalProperties: false
+  },
 
   inputSchema: {
     type: 'object',
@@ -35,8 +49,9 @@ module.exports = {
   },
 
   async execute(context) {
-    const { input, audit } = context;
+    const { input, audit, config = {} } = context;
     const { controls = [], transactions = [], users = [], period, tenant_id } = input;
+    const approvalLimit = config.approval_limit ?? 1000;
 
     const results = [];
     const controlMap = new Map(controls.map(c => [c.id, c]));
@@ -77,9 +92,9 @@ module.exports = {
 
       if (soxControl.id === 'SOX-002') {
         // Authorization - check for unauthorized transactions
-        const unauthorized = transactions.filter(t => !t.approved_by && Math.abs(t.amount) > 1000);
+        const unauthorized = transactions.filter(t => !t.approved_by && Math.abs(t.amount) > approvalLimit);
         if (unauthorized.length > 0) {
-          result.findings.push(`${unauthorized.length} transactions over $1000 without approval`);
+          result.findings.push(`${unauthorized.length} transactions over $${approvalLimit} without approval`);
           result.effective = false;
         }
       }
@@ -14,6 +14,8 @@ module.exports = {
   description: 'Extract structured financial data from uploaded documents (receipts, invoices, bank statements, W-2, 1099)',
   vertical: 'finance',
   tier: 1,
+  version: '1.0.0',
+  timeoutMs: 120000, // One LLM extraction call per document
 
   inputSchema: {
     type: 'object',
@@ -36,7 +38,7 @@ module.exports = {
   },
 
   async execute(context) {
-    const { input, db, audit } = context;
+    const { input, db, audit, progress } = context;
     const { document_ids, profile_name, tenant_id } = input;
 
     if (!document_ids && !profile_name) {
@@ -80,7 +82,9 @@ module.exports = {
       ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY })
       : null;
 
-    for (const doc of documents) {
+    for (const [index, doc] of documents.entries()) {
+      progress?.(index / documents.length * 100, `Extracting ${index + 1}/${documents.length} documents`);
+
       try {
         // If already extracted and has transactions, use that
         if (doc.extracted_data && typeof doc.extracted_data === 'object') {
@@ -1,5 +1,4 @@
 const XLSX = require('xlsx');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
@@ -12,6 +11,8 @@ module.exports = {
     description: 'Export financial data to Excel spreadsheet format with professional formatting',
     vertical: 'finance',
     tier: 1,
+    version: '1.0.0',
+    writes: true, // Writes data: the chat agent asks for approval by default (see agent-actions.js)
 
     inputSchema: {
         type: 'object',
@@ -56,7 +57,7 @@ module.exports = {
     },
 
     async execute(context) {
-        const { input, audit, db } = context;
+        const { input, audit, db, files } = context;
         const { data, export_type = 'custom', filename: customFilename, profile_name, tenant_id } = input;
 
         let exportData = data;
@@ -73,6 +74,9 @@ module.exports = {
                 }, {
                     tenantId: tenant_id,
                     db,
+                    files,
+                    // The shared cache has its own connection, outside this run's (possibly proxied or dry-run) db
+                    cache: null,
                     dlp: { scan: () => ({ hasSensitiveData: false, findings: [] }) },
                     audit: { log: async () => ({}) }
                 });
@@ -94,14 +98,6 @@ module.exports = {
         const baseFilename = customFilename || `${export_type}_${timestamp}`;
         const filename = `${baseFilename}.xlsx`;
 
-        // Create exports directory
-        const exportsDir = path.join(__dirname, '../../../../exports', tenant_id);
-        if (!fs.existsSync(exportsDir)) {
-            fs.mkdirSync(exportsDir, { recursive: true });
-        }
-
-        const filePath = path.join(exportsDir, filename);
-
         // Auto-detect export type if not specified
         let detectedExportType = export_type;
         if (export_type === 'custom' && exportData.categorized && exportData.needs_review) {
@@ -130,8 +126,9 @@ module.exports = {
                 sheets = Object.keys(exportData);
         }
 
-        // Write workbook to file
-        XLSX.writeFile(workbook, filePath);
+        // Write workbook to the export store (exports/<tenant_id>/)
+        const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        const { path: filePath } = await files.write(path.join(tenant_id, filename), buffer);
 
         // Audit log
         await audit?.log({
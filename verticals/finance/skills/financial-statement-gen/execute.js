@@ -5,6 +5,7 @@ module.exports = {
   description: 'Generate Balance Sheets and P&L statements',
   vertical: 'finance',
   tier: 2,
+  version: '1.0.0',
 
   inputSchema: {
     type: 'object',
@@ -5,6 +5,7 @@ module.exports = {
   description: 'Scan transactions for anomalous patterns and potential fraud',
   vertical: 'finance',
   tier: 2,
+  version: '1.0.0',
 
   inputSchema: {
     type: 'object',
@@ -5,6 +5,7 @@ module.exports = {
   description: 'Parse and validate invoices against purchase orders',
   vertical: 'finance',
   tier: 1,
+  version: '1.0.0',
 
   inputSchema: {
     type: 'object',
@@ -15,6 +15,7 @@ module.exports = {
   description: 'Validate payroll records for errors and compliance',
   vertical: 'finance',
   tier: 2,
+  version: '1.0.0',
 
   inputSchema: {
     type: 'object',
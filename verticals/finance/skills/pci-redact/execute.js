@@ -5,6 +5,7 @@ module.exports = {
   description: 'Detect and redact PCI/PII data from financial documents',
   vertical: 'finance',
   tier: 1,
+  version: '1.0.0',
 
   inputSchema: {
     type: 'object',
@@ -9,6 +9,8 @@ module.exports = {
     description: 'Categorize transactions into IRS-compliant expense categories for tax preparation',
     vertical: 'finance',
     tier: 1,
+    version: '1.1.0', // 1.1.0: meal deduction rate is configurable and applied to deductible totals
+    cache: { ttlSeconds: 86400 },
 
     inputSchema: {
         type: 'object',
@@ -34,6 +36,20 @@ module.exports = {
         required: ['transactions', 'tenant_id']
     },
 
+    configSchema: {
+        type: 'object',
+        properties: {
+            meal_deduction_rate: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                default: 0.5,
+                description: 'Deductible share of business meals (0.5 under current IRS rules)'
+            }
+        },
+        additionalProperties: false
+    },
+
     outputSchema: {
         type: 'object',
         properties: {
@@ -47,8 +63,9 @@ module.exports = {
     },
 
     async execute(context) {
-        const { input, dlp, audit } = context;
+        const { input, dlp, audit, config = {} } = context;
         const { transactions, tenant_id, client_id, tax_year, business_type = 'sole_prop' } = input;
+        const mealRate = config.meal_deduction_rate ?? IRS_CATEGORIES.meals.partial_deduction;
 
         if (!transactions || !Array.isArray(transactions)) {
             throw new Error('transactions array is required');
@@ -67,6 +84,11 @@ module.exports = {
         for (const tx of transactions) {
             const result = categorizeTransaction(tx, business_type);
 
+            if (result.category === 'meals') {
+                result.partial_deduction = mealRate;
+                result.subcategory = `Meals (${Math.round(mealRate * 100)}% deductible)`;
+            }
+
             if (result.confidence >= 0.7) {
                 categorized.push({
                     ...tx,
@@ -74,7 +96,8 @@ module.exports = {
                     subcategory: result.subcategory,
                     irs_line: result.irs_line,
                     confidence: result.confidence,
-                    deductible: result.deductible
+                    deductible: result.deductible,
+                    ...(result.partial_deduction !== undefined && { partial_deduction: result.partial_deduction })
                 });
             } else {
                 needsReview.push({
@@ -369,7 +392,7 @@ function generateCategorySummary(categorized) {
         summary[cat].total_amount += tx.amount || 0;
 
         if (tx.deductible) {
-            const deductionRate = tx.partial_deduction || 1;
+            const deductionRate = tx.partial_deduction ?? 1;
             summary[cat].deductible_amount += (tx.amount || 0) * deductionRate;
         }
     }
@@ -26,6 +26,8 @@ module.exports = {
   description: 'Automate tax document categorization and preparation for CPAs',
   vertical: 'finance',
   tier: 1,
+  version: '1.0.0',
+  cache: { ttlSeconds: 3600 }, // invalidated when the profile's documents change
 
   inputSchema: {
     type: 'object',
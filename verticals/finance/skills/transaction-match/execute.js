@@ -9,6 +9,8 @@ module.exports = {
     description: 'Match and reconcile bank transactions with internal ledger entries',
     vertical: 'finance',
     tier: 1,
+    version: '1.0.0',
+    cache: { ttlSeconds: 86400 },
 
     inputSchema: {
         type: 'object',
@@ -5,6 +5,8 @@ module.exports = {
     description: 'Schedule, reschedule, or cancel appointments with conflict detection and availability optimization',
     vertical: 'healthcare',
     tier: 1,
+    version: '1.0.0',
+    writes: true, // Writes data: the chat agent asks for approval by default (see agent-actions.js)
 
     inputSchema: {
         type: "object",
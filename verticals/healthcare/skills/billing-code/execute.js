@@ -5,6 +5,7 @@ module.exports = {
     description: 'Generate suggested ICD-10 and CPT codes from clinical documentation',
     vertical: 'healthcare',
     tier: 2,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
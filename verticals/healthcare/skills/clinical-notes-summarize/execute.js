@@ -5,6 +5,7 @@ module.exports = {
     description: 'Summarize clinical conversations into structured SOAP notes with PHI redaction',
     vertical: 'healthcare',
     tier: 2,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
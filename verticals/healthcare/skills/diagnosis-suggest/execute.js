@@ -5,6 +5,7 @@ module.exports = {
     description: 'Suggest potential differential diagnoses based on symptoms, history, and lab results',
     vertical: 'healthcare',
     tier: 3,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
@@ -5,6 +5,7 @@ module.exports = {
     description: 'Analyze multiple medications for potential adverse drug-drug interactions',
     vertical: 'healthcare',
     tier: 3,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
@@ -5,6 +5,7 @@ module.exports = {
     description: 'Verify patient insurance eligibility and coverage details',
     vertical: 'healthcare',
     tier: 2,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
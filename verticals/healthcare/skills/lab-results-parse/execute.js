@@ -5,6 +5,7 @@ module.exports = {
     description: 'Parse and structure lab results from unstructured reports or data feeds',
     vertical: 'healthcare',
     tier: 2,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
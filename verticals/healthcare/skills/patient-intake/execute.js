@@ -5,6 +5,7 @@ module.exports = {
     description: 'Process patient intake forms and extract structured data',
     vertical: 'healthcare',
     tier: 1,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
@@ -5,6 +5,7 @@ module.exports = {
     description: 'Detect and redact Protected Health Information (PHI) from text',
     vertical: 'healthcare',
     tier: 1,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
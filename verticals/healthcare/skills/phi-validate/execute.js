@@ -5,6 +5,7 @@ module.exports = {
     description: 'Validate that text or data meets HIPAA PHI handling requirements',
     vertical: 'healthcare',
     tier: 1,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
@@ -5,6 +5,7 @@ module.exports = {
     description: 'Analyze population health trends and care gaps across a patient panel',
     vertical: 'healthcare',
     tier: 3,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
@@ -5,6 +5,8 @@ module.exports = {
     description: 'Generate prescription records with drug validation, interaction checks, and compliance verification',
     vertical: 'healthcare',
     tier: 1,
+    version: '1.0.0',
+    writes: true, // Writes data: the chat agent asks for approval by default (see agent-actions.js)
 
     inputSchema: {
         type: "object",
@@ -5,6 +5,7 @@ module.exports = {
     description: 'Generate quality measure reports (HEDIS, MIPS) for clinical performance tracking',
     vertical: 'healthcare',
     tier: 3,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
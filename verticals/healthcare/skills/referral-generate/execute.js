@@ -5,6 +5,7 @@ module.exports = {
     description: 'Create clinical referral records for specialists',
     vertical: 'healthcare',
     tier: 2,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",
@@ -5,6 +5,7 @@ module.exports = {
     description: 'Calculate patient risk scores for various condition-specific outcomes (e.g., CV risk, Readmission)',
     vertical: 'healthcare',
     tier: 3,
+    version: '1.0.0',
 
     inputSchema: {
         type: "object",